@@ -1,886 +1,5267 @@
 // AI-Enhanced Course Management System with Complete Fixes
-class CourseManagementSystem {
-    constructor() {
-        this.data = {
-            courses: [],
-            students: [],
-            instructors: [],
-            categories: [],
-            enrollments: [],
-            aiSettings: {
-                enabled: true,
-                autoRecommendations: true,
-                autoDescriptions: true,
-                smartSuggestions: true,
-                predictiveAnalytics: true,
-                confidenceThreshold: 0.7
-            }
-        };
-        
-        this.currentSection = 'dashboard';
-        this.autoSaveInterval = null;
-        this.lastSaveTime = null;
-        this.aiEnabled = true;
-        this.charts = {};
-        
-        this.storageKeys = {
-            primary: 'edumanage_ai_data',
-            backup: 'edumanage_ai_backup',
-            temp: 'edumanage_ai_temp'
-        };
-        
-        // AI simulation responses
-        this.aiResponses = {
-            descriptions: {
-                'Programming': [
-                    'Master the fundamentals of modern programming with hands-on projects and real-world applications.',
-                    'Develop advanced programming skills through comprehensive theory and practical implementation.',
-                    'Build robust applications using industry-standard practices and cutting-edge technologies.'
-                ],
-                'Data Science': [
-                    'Transform raw data into actionable insights using advanced analytics and machine learning.',
-                    'Master statistical analysis and predictive modeling for data-driven decision making.',
-                    'Develop expertise in data visualization and interpretation for business intelligence.'
-                ],
-                'Marketing': [
-                    'Create compelling marketing strategies that drive engagement and business growth.',
-                    'Master digital marketing channels and analytics to optimize campaign performance.',
-                    'Develop brand awareness and customer acquisition through proven marketing methodologies.'
-                ],
-                'Design': [
-                    'Create stunning visual experiences that engage users and communicate effectively.',
-                    'Master design principles and tools to build professional-grade creative solutions.',
-                    'Develop aesthetic sensibility and technical skills for impactful design work.'
-                ]
-            },
-            recommendations: {
-                courses: [
-                    { reason: 'Based on enrollment patterns', confidence: 0.89 },
-                    { reason: 'Complementary skill development', confidence: 0.85 },
-                    { reason: 'Career advancement pathway', confidence: 0.78 },
-                    { reason: 'Industry demand trends', confidence: 0.92 }
-                ]
+
+// STORAGE ADAPTERS
+// Every backend exposes the same promise-based interface so the app never
+// talks to localStorage or IndexedDB directly. Each entity collection is kept
+// in its own store and written record by record.
+class StorageAdapter {
+    constructor(collections, options = {}) {
+        this.collections = collections;
+        this.options = options;
+        this.name = 'base';
+    }
+
+    static isAvailable() {
+        return false;
+    }
+
+    async open() {
+        return this;
+    }
+
+    // Resolves to { records: { courses: [...], ... }, meta: { aiSettings: {...} } } or null when empty
+    async load() {
+        throw new Error(`${this.name} adapter does not implement load()`);
+    }
+
+    // Replaces everything in the store with the given dataset
+    async save(data) {
+        const changes = { puts: [], deletes: [], meta: {} };
+        const existing = await this.load();
+
+        this.collections.forEach(collection => {
+            const records = Array.isArray(data[collection]) ? data[collection] : [];
+            const keep = new Set(records.map(record => record.id));
+            records.forEach(record => changes.puts.push({ collection, record }));
+
+            if (existing && existing.records[collection]) {
+                existing.records[collection]
+                    .filter(record => !keep.has(record.id))
+                    .forEach(record => changes.deletes.push({ collection, id: record.id }));
             }
-        };
-        
-        // Initialize immediately if DOM is ready, otherwise wait
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.init());
-        } else {
-            // Use setTimeout to ensure DOM is fully rendered
-            setTimeout(() => this.init(), 0);
+        });
+
+        Object.keys(data)
+            .filter(key => !this.collections.includes(key))
+            .forEach(key => { changes.meta[key] = data[key]; });
+
+        return this.commit(changes);
+    }
+
+    async put(collection, record) {
+        throw new Error(`${this.name} adapter does not implement put()`);
+    }
+
+    async delete(collection, id) {
+        throw new Error(`${this.name} adapter does not implement delete()`);
+    }
+
+    async putMeta(key, value) {
+        throw new Error(`${this.name} adapter does not implement putMeta()`);
+    }
+
+    // Applies a batch of { puts, deletes, meta } produced by the change tracker
+    async commit(changes) {
+        for (const { collection, record } of changes.puts) {
+            await this.put(collection, record);
+        }
+        for (const { collection, id } of changes.deletes) {
+            await this.delete(collection, id);
+        }
+        for (const key of Object.keys(changes.meta)) {
+            await this.putMeta(key, changes.meta[key]);
         }
     }
 
-    // Initialize the application
-    init() {
-        console.log('🚀 Initializing EduManage Pro AI...');
-        this.setupDataPersistence();
-        this.loadData();
-        this.renderDashboard();
-        this.showSection('dashboard');
-        this.initializeAI();
-        this.updateDataStatus('🤖 AI-Powered • Data Synced');
-        this.updateAllDropdowns();
-        
-        // Bind events after a short delay to ensure DOM is ready
-        setTimeout(() => {
-            this.bindEvents();
-            this.startAutoSave();
-        }, 100);
+    async saveSnapshot(snapshot) {
+        throw new Error(`${this.name} adapter does not implement saveSnapshot()`);
     }
 
-    // Enhanced Data Persistence System
-    setupDataPersistence() {
-        this.storageAvailable = this.testStorageAvailability();
-        console.log('📦 Storage Available:', this.storageAvailable);
-        
-        // Save on page unload
-        window.addEventListener('beforeunload', () => {
-            this.saveData(true);
-        });
-        
-        // Save when page becomes hidden
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.saveData(true);
-            }
+    // Snapshot metadata only ({ id, createdAt, label, counts }), newest first
+    async listSnapshots() {
+        return [];
+    }
+
+    async loadSnapshot(id) {
+        return null;
+    }
+
+    async deleteSnapshot(id) {
+        throw new Error(`${this.name} adapter does not implement deleteSnapshot()`);
+    }
+
+    static snapshotMeta(snapshot) {
+        const { data, ...meta } = snapshot;
+        return meta;
+    }
+}
+
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor(collections, options = {}) {
+        super(collections, options);
+        this.name = 'memory';
+        this.stores = {};
+        this.meta = {};
+        this.snapshots = new Map();
+        collections.forEach(collection => { this.stores[collection] = new Map(); });
+    }
+
+    static isAvailable() {
+        return true;
+    }
+
+    async load() {
+        const isEmpty = this.collections.every(collection => this.stores[collection].size === 0) &&
+            Object.keys(this.meta).length === 0;
+        if (isEmpty) return null;
+
+        const records = {};
+        this.collections.forEach(collection => {
+            records[collection] = [...this.stores[collection].values()].map(record => JSON.parse(record));
         });
+        const meta = {};
+        Object.keys(this.meta).forEach(key => { meta[key] = JSON.parse(this.meta[key]); });
+        return { records, meta };
+    }
 
-        // Save on form changes with debouncing
-        this.setupAutoSaveOnChanges();
+    async put(collection, record) {
+        this.stores[collection].set(record.id, JSON.stringify(record));
     }
 
-    setupAutoSaveOnChanges() {
-        let saveTimeout;
-        const debouncedSave = () => {
-            clearTimeout(saveTimeout);
-            saveTimeout = setTimeout(() => this.saveData(), 2000);
-        };
+    async delete(collection, id) {
+        this.stores[collection].delete(id);
+    }
 
-        // Monitor form inputs
-        document.addEventListener('input', debouncedSave);
-        document.addEventListener('change', debouncedSave);
+    async putMeta(key, value) {
+        this.meta[key] = JSON.stringify(value);
+    }
+
+    async saveSnapshot(snapshot) {
+        this.snapshots.set(snapshot.id, JSON.stringify(snapshot));
+    }
+
+    async listSnapshots() {
+        return [...this.snapshots.values()]
+            .map(json => StorageAdapter.snapshotMeta(JSON.parse(json)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async loadSnapshot(id) {
+        const json = this.snapshots.get(id);
+        return json ? JSON.parse(json) : null;
+    }
+
+    async deleteSnapshot(id) {
+        this.snapshots.delete(id);
+    }
+}
+
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(collections, options = {}) {
+        super(collections, options);
+        this.name = 'localStorage';
+        this.prefix = options.prefix || 'edumanage_ai';
+        // Every snapshot is a full copy of the data and localStorage only holds a few MB
+        this.maxSnapshots = options.maxSnapshots || 10;
     }
 
-    testStorageAvailability() {
+    static isAvailable() {
         try {
             const test = '__storage_test__';
             localStorage.setItem(test, test);
             localStorage.removeItem(test);
             return true;
         } catch (e) {
-            console.warn('⚠️ localStorage not available:', e);
             return false;
         }
     }
 
-    loadData() {
-        try {
-            let data = this.loadFromStorage(this.storageKeys.primary);
-            
-            if (!data) {
-                console.log('📥 Loading from backup...');
-                data = this.loadFromStorage(this.storageKeys.backup);
-            }
-            
-            if (!data) {
-                console.log('📥 Loading initial data...');
-                data = this.getInitialData();
-                this.saveData();
-            }
-            
-            this.data = { ...this.data, ...data };
-            this.validateAndRepairData();
-            this.updateEnrollmentCounts();
-            this.lastSaveTime = Date.now();
-            
-            console.log('✅ Data loaded successfully');
-        } catch (error) {
-            console.error('❌ Error loading data:', error);
-            this.showToast('Error loading data. Using default dataset.', 'error');
-            this.data = { ...this.data, ...this.getInitialData() };
-            this.saveData();
-        }
+    recordKey(collection, id) {
+        return `${this.prefix}:${collection}:${id}`;
     }
 
-    loadFromStorage(key) {
-        if (!this.storageAvailable) return null;
-        
-        try {
-            const stored = localStorage.getItem(key);
-            if (stored) {
-                const parsed = JSON.parse(stored);
-                if (parsed && typeof parsed === 'object' && 
-                    parsed.courses && parsed.students && parsed.instructors) {
-                    return parsed;
-                }
+    async load() {
+        const records = {};
+        const meta = {};
+        let found = false;
+        this.collections.forEach(collection => { records[collection] = []; });
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(`${this.prefix}:`)) continue;
+
+            const [, store, ...rest] = key.split(':');
+            if (store === 'meta') {
+                meta[rest.join(':')] = JSON.parse(localStorage.getItem(key));
+                found = true;
+            } else if (records[store]) {
+                records[store].push(JSON.parse(localStorage.getItem(key)));
+                found = true;
             }
-        } catch (error) {
-            console.warn(`⚠️ Failed to load from ${key}:`, error);
         }
-        
-        return null;
+
+        if (!found) return null;
+
+        // localStorage has no ordering guarantee, keep records in id order
+        this.collections.forEach(collection => {
+            records[collection].sort((a, b) => (a.id > b.id ? 1 : a.id < b.id ? -1 : 0));
+        });
+        return { records, meta };
     }
 
-    saveData(force = false) {
-        if (!this.storageAvailable) {
-            console.warn('⚠️ Storage not available, data not saved');
-            return false;
-        }
+    async put(collection, record) {
+        localStorage.setItem(this.recordKey(collection, record.id), JSON.stringify(record));
+    }
 
-        try {
-            this.updateDataStatus('💾 Saving...', 'saving');
-            
-            const dataString = JSON.stringify(this.data);
-            const now = Date.now();
-            
-            // Primary save
-            localStorage.setItem(this.storageKeys.primary, dataString);
-            
-            // Backup save (every 5 minutes or on force)
-            if (force || !this.lastSaveTime || (now - this.lastSaveTime > 300000)) {
-                localStorage.setItem(this.storageKeys.backup, dataString);
-                console.log('💾 Backup created');
-            }
-            
-            this.lastSaveTime = now;
-            this.updateDataStatus('🤖 AI-Powered • Data Synced');
-            
-            console.log('💾 Data saved successfully');
-            return true;
-        } catch (error) {
-            console.error('❌ Error saving data:', error);
-            this.updateDataStatus('❌ Save Error', 'error');
-            this.showToast('Error saving data. Please try again.', 'error');
-            return false;
-        }
+    async delete(collection, id) {
+        localStorage.removeItem(this.recordKey(collection, id));
     }
 
-    startAutoSave() {
-        if (this.autoSaveInterval) {
-            clearInterval(this.autoSaveInterval);
-        }
-        
-        this.autoSaveInterval = setInterval(() => {
-            this.saveData();
-        }, 30000); // Save every 30 seconds
-        
-        console.log('⏰ Auto-save started (30s intervals)');
+    async putMeta(key, value) {
+        localStorage.setItem(`${this.prefix}:meta:${key}`, JSON.stringify(value));
     }
 
-    validateAndRepairData() {
-        console.log('🔧 Validating data integrity...');
-        
-        // Ensure all arrays exist
-        if (!Array.isArray(this.data.courses)) this.data.courses = [];
-        if (!Array.isArray(this.data.students)) this.data.students = [];
-        if (!Array.isArray(this.data.instructors)) this.data.instructors = [];
-        if (!Array.isArray(this.data.categories)) this.data.categories = [];
-        if (!Array.isArray(this.data.enrollments)) this.data.enrollments = [];
-        
-        // Ensure AI settings exist
-        if (!this.data.aiSettings) {
-            this.data.aiSettings = {
-                enabled: true,
-                autoRecommendations: true,
-                autoDescriptions: true,
-                smartSuggestions: true,
-                predictiveAnalytics: true,
-                confidenceThreshold: 0.7
-            };
+    readSnapshotIndex() {
+        try {
+            return JSON.parse(localStorage.getItem(`${this.prefix}_snapshots`)) || [];
+        } catch (e) {
+            return [];
         }
-        
-        // Repair course data
-        this.data.courses.forEach((course, index) => {
-            if (!course.id) course.id = index + 1;
-            if (course.aiGenerated === undefined) course.aiGenerated = false;
-            if (course.popularity === undefined) course.popularity = Math.floor(Math.random() * 40) + 60;
-            if (!course.tags) course.tags = [];
-        });
-        
-        // Repair student data
-        this.data.students.forEach((student, index) => {
-            if (!student.id) student.id = index + 1;
-            if (!Array.isArray(student.courses)) student.courses = [];
-            if (!student.level) student.level = 'Beginner';
-            if (!student.interests) student.interests = [];
-            if (!student.aiRecommendations) student.aiRecommendations = [];
-            if (!student.learningPath) student.learningPath = [];
-        });
-        
-        // Repair instructor data
-        this.data.instructors.forEach((instructor, index) => {
-            if (!instructor.id) instructor.id = index + 1;
-            if (!Array.isArray(instructor.courses)) instructor.courses = [];
-            if (!Array.isArray(instructor.expertise)) {
-                instructor.expertise = typeof instructor.expertise === 'string' 
-                    ? instructor.expertise.split(',').map(s => s.trim())
-                    : [];
-            }
-            if (instructor.aiOptimized === undefined) instructor.aiOptimized = false;
-            if (!instructor.availability) instructor.availability = [];
-            if (instructor.rating === undefined) instructor.rating = Math.round((Math.random() * 1 + 4) * 10) / 10;
-        });
-        
-        // Repair enrollment data
-        this.data.enrollments = this.data.enrollments.filter(enrollment => {
-            const hasValidStudent = this.data.students.some(s => s.id === enrollment.studentId);
-            const hasValidCourse = this.data.courses.some(c => c.id === enrollment.courseId);
-            
-            // Add missing properties
-            if (enrollment.aiSuggested === undefined) enrollment.aiSuggested = Math.random() > 0.7;
-            if (enrollment.progress === undefined) enrollment.progress = Math.floor(Math.random() * 100);
-            
-            return hasValidStudent && hasValidCourse;
-        });
-        
-        console.log('✅ Data integrity validated and repaired');
     }
 
-    updateEnrollmentCounts() {
-        this.data.courses.forEach(course => {
-            course.enrolled = this.data.enrollments.filter(
-                enrollment => enrollment.courseId === course.id && enrollment.status === 'Active'
-            ).length;
-        });
+    // Over the cap the oldest automatic and system snapshots make room; manual ones are left to the user
+    async saveSnapshot(snapshot) {
+        let index = this.readSnapshotIndex().filter(meta => meta.id !== snapshot.id);
+        const evicted = index
+            .filter(meta => meta.kind !== 'manual')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .slice(0, Math.max(0, index.length + 1 - this.maxSnapshots));
+        evicted.forEach(meta => localStorage.removeItem(`${this.prefix}_snapshot:${meta.id}`));
+        index = index.filter(meta => !evicted.includes(meta));
+
+        localStorage.setItem(`${this.prefix}_snapshot:${snapshot.id}`, JSON.stringify(snapshot));
+        index.push(StorageAdapter.snapshotMeta(snapshot));
+        localStorage.setItem(`${this.prefix}_snapshots`, JSON.stringify(index));
     }
 
-    updateDataStatus(message, type = 'success') {
-        const statusElement = document.getElementById('data-status');
-        if (statusElement) {
-            statusElement.textContent = message;
-            statusElement.className = type === 'error' ? 'error' : type === 'saving' ? 'saving' : '';
+    async listSnapshots() {
+        return this.readSnapshotIndex().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async loadSnapshot(id) {
+        const stored = localStorage.getItem(`${this.prefix}_snapshot:${id}`);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async deleteSnapshot(id) {
+        localStorage.removeItem(`${this.prefix}_snapshot:${id}`);
+        const index = this.readSnapshotIndex().filter(meta => meta.id !== id);
+        localStorage.setItem(`${this.prefix}_snapshots`, JSON.stringify(index));
+    }
+}
+
+class IndexedDBAdapter extends StorageAdapter {
+    constructor(collections, options = {}) {
+        super(collections, options);
+        this.name = 'IndexedDB';
+        this.dbName = options.dbName || 'edumanage_ai';
+        this.db = null;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    static request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    static transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    get storeNames() {
+        return [...this.collections, 'meta', 'snapshots', 'snapshotData'];
+    }
+
+    // Opens the database and bumps its version whenever a collection store is missing,
+    // so new collections can be added without a hand-written upgrade step.
+    // options.onBlocked runs while other tabs hold the old version open; the upgrade then
+    // waits for them instead of failing. options.onVersionChange runs after this connection
+    // has closed itself because another tab is upgrading.
+    async open() {
+        let db = await this.openDatabase();
+        const missing = this.storeNames.filter(name => !db.objectStoreNames.contains(name));
+        if (missing.length > 0) {
+            const version = db.version + 1;
+            db.close();
+            db = await this.openDatabase(version);
         }
+        db.onversionchange = () => {
+            db.close();
+            if (this.options.onVersionChange) this.options.onVersionChange();
+        };
+        this.db = db;
+        return this;
     }
 
-    // AI SYSTEM INITIALIZATION
-    initializeAI() {
-        console.log('🤖 Initializing AI system...');
-        this.aiEnabled = this.data.aiSettings.enabled;
-        this.updateAIStatus();
-        this.generateDashboardInsights();
-        
-        setTimeout(() => {
-            this.addRecentActivity('🤖 AI System', 'AI-powered recommendations activated', 'Just now');
-        }, 1000);
+    openDatabase(version) {
+        return new Promise((resolve, reject) => {
+            const request = version ? indexedDB.open(this.dbName, version) : indexedDB.open(this.dbName);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.storeNames
+                    .filter(name => !db.objectStoreNames.contains(name))
+                    .forEach(name => db.createObjectStore(name, { keyPath: 'id' }));
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                if (this.options.onBlocked) this.options.onBlocked();
+            };
+        });
     }
 
-    updateAIStatus() {
-        const statusElement = document.getElementById('ai-status');
-        if (statusElement) {
-            statusElement.textContent = this.aiEnabled ? '🤖 AI: ON' : '🤖 AI: OFF';
+    async load() {
+        const tx = this.db.transaction([...this.collections, 'meta'], 'readonly');
+        const [metaRows, ...results] = await Promise.all([
+            IndexedDBAdapter.request(tx.objectStore('meta').getAll()),
+            ...this.collections.map(collection => IndexedDBAdapter.request(tx.objectStore(collection).getAll()))
+        ]);
+
+        const records = {};
+        this.collections.forEach((collection, index) => { records[collection] = results[index]; });
+        const meta = {};
+        metaRows.forEach(row => { meta[row.id] = row.value; });
+
+        const found = metaRows.length > 0 || results.some(rows => rows.length > 0);
+        return found ? { records, meta } : null;
+    }
+
+    async put(collection, record) {
+        return this.commit({ puts: [{ collection, record }], deletes: [], meta: {} });
+    }
+
+    async delete(collection, id) {
+        return this.commit({ puts: [], deletes: [{ collection, id }], meta: {} });
+    }
+
+    async putMeta(key, value) {
+        return this.commit({ puts: [], deletes: [], meta: { [key]: value } });
+    }
+
+    // The whole batch goes through a single transaction so a save is all-or-nothing
+    async commit(changes) {
+        const tx = this.db.transaction([...this.collections, 'meta'], 'readwrite');
+        const done = IndexedDBAdapter.transactionDone(tx);
+
+        changes.puts.forEach(({ collection, record }) => tx.objectStore(collection).put(record));
+        changes.deletes.forEach(({ collection, id }) => tx.objectStore(collection).delete(id));
+        Object.keys(changes.meta).forEach(key => tx.objectStore('meta').put({ id: key, value: changes.meta[key] }));
+
+        return done;
+    }
+
+    async saveSnapshot(snapshot) {
+        const tx = this.db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+        const done = IndexedDBAdapter.transactionDone(tx);
+        tx.objectStore('snapshots').put(StorageAdapter.snapshotMeta(snapshot));
+        tx.objectStore('snapshotData').put({ id: snapshot.id, data: snapshot.data });
+        return done;
+    }
+
+    async listSnapshots() {
+        const tx = this.db.transaction('snapshots', 'readonly');
+        const snapshots = await IndexedDBAdapter.request(tx.objectStore('snapshots').getAll());
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async loadSnapshot(id) {
+        const tx = this.db.transaction(['snapshots', 'snapshotData'], 'readonly');
+        const [meta, payload] = await Promise.all([
+            IndexedDBAdapter.request(tx.objectStore('snapshots').get(id)),
+            IndexedDBAdapter.request(tx.objectStore('snapshotData').get(id))
+        ]);
+        return meta && payload ? { ...meta, data: payload.data } : null;
+    }
+
+    async deleteSnapshot(id) {
+        const tx = this.db.transaction(['snapshots', 'snapshotData'], 'readwrite');
+        const done = IndexedDBAdapter.transactionDone(tx);
+        tx.objectStore('snapshots').delete(id);
+        tx.objectStore('snapshotData').delete(id);
+        return done;
+    }
+}
+
+// Snapshots the app takes on its own before a first server sync or a restore ('system' kind);
+// only the newest few are kept
+const SYSTEM_SNAPSHOT_LIMIT = 5;
+
+// SCHEMA MIGRATIONS
+// Persisted data and export files carry a schemaVersion. Payloads without one
+// predate versioning and are treated as version 1. Each step upgrades the data
+// by exactly one version; append new steps to the end, never edit old ones.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Give every enrollment a numeric id',
+        migrate(data) {
+            const enrollments = Array.isArray(data.enrollments) ? data.enrollments : [];
+            const ids = enrollments.filter(e => Number.isInteger(e.id)).map(e => e.id);
+            let nextId = ids.length > 0 ? Math.max(...ids) + 1 : 1;
+            enrollments.forEach(enrollment => {
+                if (!Number.isInteger(enrollment.id)) enrollment.id = nextId++;
+            });
+            return data;
         }
-        
-        const toggleButton = document.querySelector('.ai-toggle');
-        if (toggleButton) {
-            toggleButton.className = this.aiEnabled ? 'btn btn--sm btn--outline ai-toggle' : 'btn btn--sm btn--outline ai-toggle disabled';
+    },
+    {
+        version: 3,
+        description: 'Store instructor expertise and student interests as arrays',
+        migrate(data) {
+            const toList = value => typeof value === 'string'
+                ? value.split(',').map(s => s.trim()).filter(s => s.length > 0)
+                : value;
+            (data.instructors || []).forEach(instructor => {
+                instructor.expertise = toList(instructor.expertise);
+            });
+            (data.students || []).forEach(student => {
+                student.interests = toList(student.interests);
+            });
+            return data;
+        }
+    },
+    {
+        version: 4,
+        description: 'Add the room catalog and weekly course schedules',
+        migrate(data) {
+            if (!Array.isArray(data.rooms)) data.rooms = [];
+            (data.courses || []).forEach(course => {
+                if (course.schedule === undefined) course.schedule = null;
+            });
+            return data;
+        }
+    },
+    {
+        version: 5,
+        description: 'Add course waitlists',
+        migrate(data) {
+            if (!Array.isArray(data.waitlist)) data.waitlist = [];
+            return data;
+        }
+    },
+    {
+        version: 6,
+        description: 'Add course prerequisites',
+        migrate(data) {
+            (data.courses || []).forEach(course => {
+                if (course.prerequisites === undefined) course.prerequisites = null;
+            });
+            return data;
+        }
+    },
+    {
+        version: 7,
+        description: 'Track enrollment status history',
+        migrate(data) {
+            (data.enrollments || []).forEach(enrollment => {
+                if (!Array.isArray(enrollment.statusHistory)) {
+                    enrollment.statusHistory = [{ from: null, to: enrollment.status || 'Active', date: enrollment.enrollmentDate || null, reason: null }];
+                }
+            });
+            return data;
         }
     }
+];
 
-    toggleAI() {
-        this.aiEnabled = !this.aiEnabled;
-        this.data.aiSettings.enabled = this.aiEnabled;
-        this.updateAIStatus();
-        this.saveData();
-        
-        const message = this.aiEnabled ? 'AI system activated' : 'AI system deactivated';
-        this.showToast(message, this.aiEnabled ? 'success' : 'warning');
-        
-        if (this.aiEnabled) {
-            this.generateDashboardInsights();
-        }
+const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+class SchemaVersionError extends Error {
+    constructor(foundVersion, supportedVersion) {
+        super(`Data uses schema version ${foundVersion}, but this app only understands up to version ${supportedVersion}`);
+        this.name = 'SchemaVersionError';
+        this.foundVersion = foundVersion;
+        this.supportedVersion = supportedVersion;
     }
+}
 
-    // AI DESCRIPTION GENERATION
-    async generateAIDescription() {
-        if (!this.aiEnabled) {
-            this.showToast('AI system is disabled', 'warning');
-            return;
+class SyncError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'SyncError';
+        // 0 means the server could not be reached at all
+        this.status = status;
+    }
+}
+
+// AI TEXT PROVIDERS
+// Description and bio generation go through a provider with one method:
+// generate(task, context, { signal, onToken }) resolves to the full text and calls
+// onToken with the text so far while it streams. The template provider works offline;
+// the OpenAI-compatible provider talks to any /chat/completions endpoint (OpenAI, Ollama, ...).
+class AIProviderError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'AIProviderError';
+        // 'cancelled', 'timeout', 'network', 'http', 'config', 'empty' or 'format'
+        this.reason = reason;
+    }
+
+    // Callers abort with reason 'timeout' when their deadline passes
+    static fromAbort(signal) {
+        return signal.reason === 'timeout'
+            ? new AIProviderError('The provider did not answer in time', 'timeout')
+            : new AIProviderError('Generation cancelled', 'cancelled');
+    }
+}
+
+const AI_PROMPT_TEMPLATES = {
+    courseDescription: {
+        system: 'You write course catalog descriptions. Reply with the description only: one paragraph of 3-4 sentences, no headings, no markdown.',
+        user: ctx => [
+            `Write a description for the ${ctx.level} ${ctx.category} course "${ctx.name}".`,
+            ctx.tags.length > 0 ? `Topics covered: ${ctx.tags.join(', ')}.` : '',
+            ctx.duration ? `It runs for ${ctx.duration}.` : '',
+            `Pitch it at ${ctx.level.toLowerCase()} learners.`
+        ].filter(Boolean).join(' ')
+    },
+    courseSyllabus: {
+        system: 'You design course syllabi. Reply with JSON only, no prose and no code fences, shaped as ' +
+            '{"objectives": [string], "weeks": [{"week": number, "title": string, "topics": [string]}], ' +
+            '"assessments": [{"title": string, "week": number, "weight": number}]}. Assessment weights are percentages that add up to 100.',
+        user: ctx => [
+            `Create a ${ctx.weeks}-week syllabus for the ${ctx.level} ${ctx.category} course "${ctx.name}" with exactly one entry per week.`,
+            ctx.tags.length > 0 ? `Topics to cover: ${ctx.tags.join(', ')}.` : '',
+            ctx.description ? `Course description: ${ctx.description}` : '',
+            'Include 3-5 measurable learning objectives and a mix of quizzes and projects.'
+        ].filter(Boolean).join(' ')
+    },
+    instructorBio: {
+        system: 'You write short third-person instructor bios for a course catalog. Reply with the bio only: 2-3 sentences, no headings, no markdown.',
+        user: ctx => [
+            `Write a bio for ${ctx.name}, an instructor in the ${ctx.department} department with ${ctx.experience} years of experience.`,
+            ctx.expertise.length > 0 ? `Areas of expertise: ${ctx.expertise.join(', ')}.` : ''
+        ].filter(Boolean).join(' ')
+    }
+};
+
+const TEMPLATE_DESCRIPTIONS = {
+    'Programming': [
+        'Master the fundamentals of modern programming with hands-on projects and real-world applications.',
+        'Develop advanced programming skills through comprehensive theory and practical implementation.',
+        'Build robust applications using industry-standard practices and cutting-edge technologies.'
+    ],
+    'Data Science': [
+        'Transform raw data into actionable insights using advanced analytics and machine learning.',
+        'Master statistical analysis and predictive modeling for data-driven decision making.',
+        'Develop expertise in data visualization and interpretation for business intelligence.'
+    ],
+    'Marketing': [
+        'Create compelling marketing strategies that drive engagement and business growth.',
+        'Master digital marketing channels and analytics to optimize campaign performance.',
+        'Develop brand awareness and customer acquisition through proven marketing methodologies.'
+    ],
+    'Design': [
+        'Create stunning visual experiences that engage users and communicate effectively.',
+        'Master design principles and tools to build professional-grade creative solutions.',
+        'Develop aesthetic sensibility and technical skills for impactful design work.'
+    ]
+};
+
+const TEMPLATE_LEVEL_MODIFIERS = {
+    'Beginner': 'Perfect for those new to the field, this course provides a solid foundation and step-by-step guidance.',
+    'Intermediate': 'Building on fundamental knowledge, this course dives deeper into advanced concepts and practical applications.',
+    'Advanced': 'Designed for experienced practitioners, this course covers cutting-edge techniques and industry best practices.'
+};
+
+function listPhrase(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+class TemplateTextProvider {
+    constructor({ tokenDelay = 25 } = {}) {
+        this.tokenDelay = tokenDelay;
+    }
+
+    get label() {
+        return 'Built-in templates';
+    }
+
+    write(task, ctx) {
+        if (task === 'courseSyllabus') {
+            return JSON.stringify(SyllabusBuilder.fromTemplate(ctx), null, 2);
         }
 
-        const courseName = document.getElementById('courseName').value.trim();
-        const courseCategory = document.getElementById('courseCategory').value;
-        const courseLevel = document.getElementById('courseLevel').value;
+        if (task === 'courseDescription') {
+            const descriptions = TEMPLATE_DESCRIPTIONS[ctx.category] || TEMPLATE_DESCRIPTIONS['Programming'];
+            const base = descriptions[Math.floor(Math.random() * descriptions.length)];
+            const topics = ctx.tags.length > 0 ? ` Topics include ${listPhrase(ctx.tags)}.` : '';
+            return `${base} ${TEMPLATE_LEVEL_MODIFIERS[ctx.level] || ''}${topics} Through interactive lessons, real-world projects, and expert instruction, you'll develop the skills needed to excel in ${ctx.category.toLowerCase()}.`;
+        }
 
-        if (!courseName || !courseCategory || !courseLevel) {
-            this.showToast('Please fill in course name, category, and level first', 'warning');
-            return;
+        const department = ctx.department.toLowerCase();
+        const expertise = ctx.expertise.length > 0 ? listPhrase(ctx.expertise) : null;
+        const templates = [
+            `${ctx.name} is a dedicated ${department} professional with ${ctx.experience} years of industry experience. Specializing in ${expertise || 'various technologies'}, they bring real-world expertise and passion for education to create engaging learning experiences.`,
+            `With ${ctx.experience} years in ${department}, ${ctx.name} combines deep technical knowledge with exceptional teaching skills. Their expertise in ${expertise || 'industry practices'} helps students bridge the gap between theory and practical application.`,
+            `${ctx.name} is an experienced educator and ${department} expert with ${ctx.experience} years of professional experience. Known for their innovative teaching methods and expertise in ${expertise || 'emerging technologies'}, they inspire students to achieve their full potential.`
+        ];
+        return templates[Math.floor(Math.random() * templates.length)];
+    }
+
+    // Emits the text word by word (JSON line by line) so the UI behaves the same as with a streaming model
+    async generate(task, context, { signal, onToken = () => {} } = {}) {
+        const separator = task === 'courseSyllabus' ? '\n' : ' ';
+        const pieces = this.write(task, context).split(separator);
+        let text = '';
+        for (const piece of pieces) {
+            if (signal && signal.aborted) throw AIProviderError.fromAbort(signal);
+            text += (text ? separator : '') + piece;
+            onToken(text);
+            await new Promise(resolve => setTimeout(resolve, this.tokenDelay));
         }
+        return text;
+    }
+}
 
-        this.showAIProcessing('Generating course description...');
+class OpenAICompatibleProvider {
+    constructor({ endpoint, apiKey, model }) {
+        this.endpoint = (endpoint || '').replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+    }
 
-        try {
-            // Simulate AI processing delay
-            await this.delay(2000);
+    get label() {
+        let host = this.endpoint;
+        try { host = new URL(this.endpoint).host; } catch (e) { /* show the raw value */ }
+        return `${this.model} @ ${host}`;
+    }
 
-            const descriptions = this.aiResponses.descriptions[courseCategory] || this.aiResponses.descriptions['Programming'];
-            const baseDescription = descriptions[Math.floor(Math.random() * descriptions.length)];
-            
-            const levelModifiers = {
-                'Beginner': 'Perfect for those new to the field, this course provides a solid foundation and step-by-step guidance.',
-                'Intermediate': 'Building on fundamental knowledge, this course dives deeper into advanced concepts and practical applications.',
-                'Advanced': 'Designed for experienced practitioners, this course covers cutting-edge techniques and industry best practices.'
-            };
+    async generate(task, context, { signal, onToken = () => {} } = {}) {
+        if (!this.endpoint || !this.model) {
+            throw new AIProviderError('Set the endpoint URL and model in the AI provider settings', 'config');
+        }
+
+        const prompt = AI_PROMPT_TEMPLATES[task];
+        let response;
+        try {
+            response = await fetch(`${this.endpoint}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    stream: true,
+                    messages: [
+                        { role: 'system', content: prompt.system },
+                        { role: 'user', content: prompt.user(context) }
+                    ]
+                }),
+                signal
+            });
+        } catch (error) {
+            if (signal && signal.aborted) throw AIProviderError.fromAbort(signal);
+            throw new AIProviderError(`Could not reach ${this.endpoint}`, 'network');
+        }
 
-            const aiDescription = `${baseDescription} ${levelModifiers[courseLevel]} Through interactive lessons, real-world projects, and expert instruction, you'll develop the skills needed to excel in ${courseCategory.toLowerCase()}.`;
+        if (!response.ok) {
+            let detail = '';
+            try {
+                const body = await response.json();
+                detail = (body.error && (body.error.message || body.error)) || '';
+            } catch (e) { /* not JSON */ }
+            throw new AIProviderError(`Provider returned ${response.status}${detail ? `: ${detail}` : ''}`, 'http');
+        }
 
-            document.getElementById('courseDescription').value = aiDescription;
-            
-            // Show AI indicator
-            const indicator = document.getElementById('description-ai-indicator');
-            const confidence = document.getElementById('description-confidence');
-            if (indicator && confidence) {
-                confidence.textContent = `${Math.floor(Math.random() * 15 + 85)}%`;
-                indicator.classList.remove('hidden');
+        let text = '';
+        try {
+            // Servers that ignore stream: true answer with a single JSON body
+            if (!response.body || (response.headers.get('Content-Type') || '').includes('application/json')) {
+                const body = OpenAICompatibleProvider.parseJSON(await response.text());
+                const message = ((body.choices || [])[0] || {}).message || {};
+                text = message.content || '';
+                onToken(text);
+            } else {
+                text = await this.readStream(response.body, onToken);
             }
+        } catch (error) {
+            if (signal && signal.aborted) throw AIProviderError.fromAbort(signal);
+            // Parse failures are already AIProviderErrors; anything else means reading the body failed
+            if (error instanceof AIProviderError) throw error;
+            throw new AIProviderError('The provider closed the connection', 'network');
+        }
 
-            this.hideAIProcessing();
-            this.showToast('AI description generated successfully!', 'success');
+        text = text.trim();
+        if (!text) throw new AIProviderError('The provider returned no text', 'empty');
+        return text;
+    }
+
+    // Server-sent events: one `data: {json}` line per chunk, terminated by `data: [DONE]`
+    async readStream(body, onToken) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const payload = line.trim().replace(/^data:\s*/, '');
+                if (!line.trim().startsWith('data:') || !payload) continue;
+                if (payload === '[DONE]') return text;
+                const delta = ((OpenAICompatibleProvider.parseJSON(payload).choices || [])[0] || {}).delta || {};
+                if (delta.content) {
+                    text += delta.content;
+                    onToken(text);
+                }
+            }
+        }
+        return text;
+    }
 
+    static parseJSON(text) {
+        try {
+            return JSON.parse(text);
         } catch (error) {
-            this.hideAIProcessing();
-            this.showToast('Error generating AI description', 'error');
-            console.error('AI Description Error:', error);
+            throw new AIProviderError('The provider sent a response that could not be read', 'format');
         }
     }
+}
 
-    async generateInstructorBio() {
-        if (!this.aiEnabled) {
-            this.showToast('AI system is disabled', 'warning');
-            return;
+// COURSE SYLLABUS
+// course.syllabus = { objectives: [text], weeks: [{ week, title, topics: [text] }],
+//                     assessments: [{ title, week, weight }], generatedBy }
+// Weights are percentages of the final grade and should add up to 100.
+const SYLLABUS_OBJECTIVE_VERBS = {
+    'Beginner': ['Explain the core ideas of', 'Use', 'Complete guided exercises with', 'Recognize good practice in'],
+    'Intermediate': ['Apply', 'Analyze problems using', 'Combine', 'Debug and improve work built with'],
+    'Advanced': ['Design solutions with', 'Evaluate trade-offs in', 'Optimize', 'Lead projects that rely on']
+};
+
+class SyllabusBuilder {
+    // "8 weeks", "3 months" or "10 days"; falls back to the course dates, then 8 weeks
+    static weekCount({ duration, startDate, endDate }) {
+        const match = /(\d+)\s*(day|week|month)/i.exec(duration || '');
+        let weeks = 8;
+        if (match) {
+            const amount = parseInt(match[1]);
+            const unit = match[2].toLowerCase();
+            weeks = unit === 'day' ? Math.ceil(amount / 7) : unit === 'month' ? Math.round(amount * 4.33) : amount;
+        } else if (startDate && endDate && endDate > startDate) {
+            weeks = Math.ceil((Date.parse(endDate) - Date.parse(startDate)) / (7 * 24 * 60 * 60 * 1000));
         }
+        return Math.min(52, Math.max(1, weeks));
+    }
 
-        const instructorName = document.getElementById('instructorName').value.trim();
-        const department = document.getElementById('instructorDepartment').value;
-        const experience = document.getElementById('instructorExperience').value;
-        const expertise = document.getElementById('instructorExpertise').value.trim();
+    static splitWeights(total, count) {
+        const base = Math.floor(total / count);
+        return Array.from({ length: count }, (_, i) => base + (i < total - base * count ? 1 : 0));
+    }
 
-        if (!instructorName || !department || !experience) {
-            this.showToast('Please fill in basic instructor information first', 'warning');
-            return;
-        }
+    // Offline outline: an introduction week, the course tags spread over the middle
+    // weeks and a final project week, with a quiz closing each topic block
+    static fromTemplate({ name, category, level, tags, weeks }) {
+        const topics = tags.length > 0 ? tags : [category];
+        const verbs = SYLLABUS_OBJECTIVE_VERBS[level] || SYLLABUS_OBJECTIVE_VERBS['Beginner'];
+        const objectives = [
+            ...topics.slice(0, 4).map((topic, i) => `${verbs[i % verbs.length]} ${topic}`),
+            `Complete a ${category.toLowerCase()} project that brings the course together`
+        ];
 
-        this.showAIProcessing('Generating instructor bio...');
+        if (weeks === 1) {
+            return {
+                objectives,
+                weeks: [{ week: 1, title: name, topics: [...topics, 'Final project'] }],
+                assessments: [{ title: 'Final project', week: 1, weight: 100 }]
+            };
+        }
 
-        try {
-            await this.delay(1500);
+        const middle = weeks - 2;
+        const plan = [{ week: 1, title: `Introduction to ${name}`, topics: ['Course overview', 'Tools and setup'] }];
+        const quizWeeks = [];
+
+        for (let slot = 0; slot < middle; slot++) {
+            const week = slot + 2;
+            if (topics.length >= middle) {
+                const covered = topics.filter((_, t) => Math.floor(t * middle / topics.length) === slot);
+                plan.push({ week, title: covered.join(' & '), topics: covered.map(topic => `${topic} concepts`).concat('Guided exercises') });
+                quizWeeks.push({ week, topic: covered.join(' & ') });
+                continue;
+            }
 
-            const templates = [
-                `${instructorName} is a dedicated ${department.toLowerCase()} professional with ${experience} years of industry experience. Specializing in ${expertise || 'various technologies'}, they bring real-world expertise and passion for education to create engaging learning experiences.`,
-                `With ${experience} years in ${department.toLowerCase()}, ${instructorName} combines deep technical knowledge with exceptional teaching skills. Their expertise in ${expertise || 'industry practices'} helps students bridge the gap between theory and practical application.`,
-                `${instructorName} is an experienced educator and ${department.toLowerCase()} expert with ${experience} years of professional experience. Known for their innovative teaching methods and expertise in ${expertise || 'emerging technologies'}, they inspire students to achieve their full potential.`
+            const t = Math.floor(slot * topics.length / middle);
+            const part = slot - Math.ceil(t * middle / topics.length);
+            const topic = topics[t];
+            const stages = [
+                { title: `${topic}: fundamentals`, topics: [`${topic} concepts`, 'Guided exercises'] },
+                { title: `${topic}: in practice`, topics: [`${topic} in real projects`, 'Lab session'] },
+                { title: `${topic}: advanced techniques`, topics: [`Advanced ${topic}`, 'Case study'] }
             ];
+            plan.push({ week, ...stages[Math.min(part, stages.length - 1)] });
+            if (Math.floor((slot + 1) * topics.length / middle) !== t) quizWeeks.push({ week, topic });
+        }
+        plan.push({ week: weeks, title: 'Final project', topics: ['Project presentations', 'Course review'] });
+
+        // Midterm 25% from six weeks on, up to four evenly spread quizzes share 35% (60% without
+        // a midterm) and the final project carries the rest
+        const quizCount = Math.min(4, quizWeeks.length);
+        const quizzes = Array.from({ length: quizCount }, (_, i) => quizWeeks[Math.round((i + 1) * quizWeeks.length / quizCount) - 1]);
+        const midterm = weeks >= 6 ? { title: 'Midterm project', week: Math.ceil(weeks / 2), weight: 25 } : null;
+        const quizPool = quizCount === 0 ? 0 : midterm ? 35 : 60;
+        const quizWeights = quizCount === 0 ? [] : SyllabusBuilder.splitWeights(quizPool, quizCount);
+        const assessments = [
+            ...quizzes.map((quiz, i) => ({ title: `Quiz: ${quiz.topic}`, week: quiz.week, weight: quizWeights[i] })),
+            ...(midterm ? [midterm] : []),
+            { title: 'Final project', week: weeks, weight: 100 - quizPool - (midterm ? midterm.weight : 0) }
+        ].sort((a, b) => a.week - b.week);
+
+        return { objectives, weeks: plan, assessments };
+    }
 
-            const aiBio = templates[Math.floor(Math.random() * templates.length)];
-            document.getElementById('instructorBio').value = aiBio;
+    // Models wrap JSON in prose or code fences often enough that the outermost object is extracted
+    static parse(text) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        let raw;
+        try {
+            raw = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            throw new AIProviderError('The provider did not return a readable syllabus', 'format');
+        }
 
-            this.hideAIProcessing();
-            this.showToast('AI bio generated successfully!', 'success');
+        const strings = list => (Array.isArray(list) ? list : []).map(item => String(item).trim()).filter(Boolean);
+        const syllabus = {
+            objectives: strings(raw.objectives),
+            weeks: (Array.isArray(raw.weeks) ? raw.weeks : [])
+                .filter(week => week && week.title)
+                .map((week, i) => ({ week: i + 1, title: String(week.title).trim(), topics: strings(week.topics) })),
+            assessments: (Array.isArray(raw.assessments) ? raw.assessments : [])
+                .filter(assessment => assessment && assessment.title)
+                .map(assessment => ({
+                    title: String(assessment.title).trim(),
+                    week: parseInt(assessment.week) || null,
+                    weight: Number(assessment.weight) || 0
+                }))
+        };
 
-        } catch (error) {
-            this.hideAIProcessing();
-            this.showToast('Error generating AI bio', 'error');
-            console.error('AI Bio Error:', error);
+        if (syllabus.weeks.length === 0) {
+            throw new AIProviderError('The provider returned a syllabus without any weeks', 'format');
         }
+        return syllabus;
     }
 
-    // AI RECOMMENDATIONS
-    generateCourseRecommendations(studentId) {
-        if (!this.aiEnabled) return [];
+    static totalWeight(syllabus) {
+        return syllabus.assessments.reduce((sum, assessment) => sum + (assessment.weight || 0), 0);
+    }
+}
 
-        const student = this.data.students.find(s => s.id === studentId);
-        if (!student) return [];
+// UNDO/REDO COMMANDS
+// A command wraps one user-level mutation. While executing it records the
+// before/after state of every record it touched, so undo and redo only swap
+// those records back in and never depend on the rest of the dataset.
+class DataCommand {
+    constructor(label, collections, mutate) {
+        this.label = label;
+        this.collections = collections;
+        this.mutate = mutate;
+        this.changes = [];
+        this.timestamp = new Date().toISOString();
+    }
 
-        const enrolledCourseIds = student.courses || [];
-        const availableCourses = this.data.courses.filter(course => 
-            !enrolledCourseIds.includes(course.id) && 
-            course.status === 'Active' &&
-            course.enrolled < course.capacity
-        );
+    static capture(records) {
+        const state = new Map();
+        (records || []).forEach((record, index) => {
+            state.set(record.id, { json: JSON.stringify(record), index });
+        });
+        return state;
+    }
 
-        const recommendations = availableCourses
-            .map(course => {
-                const reasons = this.aiResponses.recommendations.courses;
-                const reason = reasons[Math.floor(Math.random() * reasons.length)];
-                
-                return {
-                    course,
-                    reason: reason.reason,
-                    confidence: reason.confidence + (Math.random() * 0.1 - 0.05)
-                };
-            })
-            .sort((a, b) => b.confidence - a.confidence)
-            .slice(0, 3);
+    execute(data) {
+        const before = {};
+        this.collections.forEach(collection => {
+            before[collection] = DataCommand.capture(data[collection]);
+        });
+
+        const result = this.mutate(data);
+
+        this.collections.forEach(collection => {
+            const after = DataCommand.capture(data[collection]);
+            const ids = new Set([...before[collection].keys(), ...after.keys()]);
+
+            ids.forEach(id => {
+                const previous = before[collection].get(id) || null;
+                const next = after.get(id) || null;
+                if (previous && next && previous.json === next.json) return;
+                this.changes.push({ collection, id, before: previous, after: next });
+            });
+        });
 
-        return recommendations;
+        return result;
     }
 
-    updateEnrollmentRecommendations() {
-        if (!this.aiEnabled) return;
+    get isEmpty() {
+        return this.changes.length === 0;
+    }
 
-        const studentId = parseInt(document.getElementById('enrollmentStudent').value);
-        if (!studentId) return;
+    undo(data) {
+        this.apply(data, 'before');
+    }
 
-        const recommendations = this.generateCourseRecommendations(studentId);
-        const container = document.getElementById('enrollment-ai-suggestions');
+    redo(data) {
+        this.apply(data, 'after');
+    }
 
-        if (container && recommendations.length > 0) {
-            container.innerHTML = `
-                <h4>🤖 AI Recommendations</h4>
-                ${recommendations.map(rec => `
-                    <div class="ai-recommendation-item">
-                        <div class="ai-recommendation-content">
-                            <div class="ai-recommendation-title">${rec.course.name}</div>
-                            <div class="ai-recommendation-reason">${rec.reason}</div>
-                        </div>
-                        <div class="ai-confidence-score">${Math.round(rec.confidence * 100)}%</div>
-                    </div>
-                `).join('')}
-            `;
-        }
+    // Removes every touched record, then re-inserts the requested side at its original position
+    apply(data, side) {
+        this.changes.forEach(({ collection, id }) => {
+            data[collection] = data[collection].filter(record => record.id !== id);
+        });
+
+        this.changes
+            .filter(change => change[side])
+            .sort((a, b) => a[side].index - b[side].index)
+            .forEach(change => {
+                const records = data[change.collection];
+                records.splice(Math.min(change[side].index, records.length), 0, JSON.parse(change[side].json));
+            });
     }
+}
 
-    generateDashboardInsights() {
-        if (!this.aiEnabled) return;
+// ENROLLMENT LIFECYCLE
+// Enrollments are never deleted when a student leaves a course; they move to a
+// closed state and keep a dated history of every status change. Open states hold
+// a seat in the course.
+const ENROLLMENT_STATUSES = ['Pending', 'Active', 'Paused', 'Withdrawn', 'Completed', 'Failed'];
+
+const ENROLLMENT_OPEN_STATUSES = ['Pending', 'Active', 'Paused'];
+
+const ENROLLMENT_TRANSITIONS = {
+    Pending: ['Active', 'Withdrawn'],
+    Active: ['Paused', 'Withdrawn', 'Completed', 'Failed'],
+    Paused: ['Active', 'Withdrawn'],
+    Withdrawn: [],
+    Completed: [],
+    Failed: []
+};
+
+// Moving into these states needs a reason in the history
+const ENROLLMENT_REASON_REQUIRED = ['Paused', 'Withdrawn', 'Failed'];
+
+// Badge colour per status, using the shared status-- classes
+const ENROLLMENT_STATUS_STYLES = {
+    Pending: 'info',
+    Active: 'success',
+    Paused: 'warning',
+    Withdrawn: 'info',
+    Completed: 'success',
+    Failed: 'error'
+};
+
+class EnrollmentLifecycle {
+    static isOpen(enrollment) {
+        return ENROLLMENT_OPEN_STATUSES.includes(enrollment.status);
+    }
 
-        setTimeout(() => {
-            // Course insights
-            const coursesInsight = document.getElementById('courses-insight');
-            if (coursesInsight) {
-                const insights = [
-                    '📈 +12% enrollment growth',
-                    '🔥 High demand detected',
-                    '💡 3 new courses recommended',
-                    '⭐ 95% satisfaction rate'
-                ];
-                coursesInsight.textContent = insights[Math.floor(Math.random() * insights.length)];
-            }
-
-            // Student insights
-            const studentsInsight = document.getElementById('students-insight');
-            if (studentsInsight) {
-                const insights = [
-                    '🎯 85% completion rate',
-                    '📚 Avg 2.3 courses/student',
-                    '🏆 78% skill improvement',
-                    '💪 Active learner base'
-                ];
-                studentsInsight.textContent = insights[Math.floor(Math.random() * insights.length)];
-            }
-
-            // Instructor insights
-            const instructorsInsight = document.getElementById('instructors-insight');
-            if (instructorsInsight) {
-                const insights = [
-                    '⭐ 4.8 avg rating',
-                    '👥 Optimal class sizes',
-                    '🚀 High performance team',
-                    '📊 Great feedback scores'
-                ];
-                instructorsInsight.textContent = insights[Math.floor(Math.random() * insights.length)];
-            }
-
-            // Enrollment insights
-            const enrollmentsInsight = document.getElementById('enrollments-insight');
-            if (enrollmentsInsight) {
-                const insights = [
-                    '🎯 92% retention rate',
-                    '📈 Steady growth trend',
-                    '💼 Career-focused paths',
-                    '🔄 High re-enrollment'
-                ];
-                enrollmentsInsight.textContent = insights[Math.floor(Math.random() * insights.length)];
-            }
+    static nextStatuses(status) {
+        return ENROLLMENT_TRANSITIONS[status] || [];
+    }
 
-            // Dashboard recommendations
-            this.generateDashboardRecommendations();
-        }, 500);
+    static canTransition(from, to) {
+        return EnrollmentLifecycle.nextStatuses(from).includes(to);
     }
 
-    generateDashboardRecommendations() {
-        const container = document.getElementById('ai-dashboard-recommendations');
-        if (!container) return;
+    // The history a new enrollment starts with
+    static initialHistory(status, date) {
+        return [{ from: null, to: status, date, reason: null }];
+    }
+
+    // Mutates the enrollment; throws on a transition the state machine doesn't allow
+    transition(enrollment, status, { reason = null, date }) {
+        if (!EnrollmentLifecycle.canTransition(enrollment.status, status)) {
+            throw new Error(`An enrollment can't go from ${enrollment.status} to ${status}`);
+        }
+        if (ENROLLMENT_REASON_REQUIRED.includes(status) && !reason) {
+            throw new Error(`A reason is required to mark an enrollment as ${status}`);
+        }
+
+        const entry = { from: enrollment.status, to: status, date, reason: reason || null };
+        enrollment.statusHistory = [...(enrollment.statusHistory || []), entry];
+        enrollment.status = status;
+        return entry;
+    }
+}
 
-        const recommendations = [
+// CSV COLUMN SCHEMAS
+// Field list per entity for CSV export and import. `ref` fields are written as
+// names and resolved back to ids on import; `list` fields use the same
+// comma-separated format as the instructor expertise input.
+const CSV_SCHEMAS = {
+    courses: {
+        label: 'Courses',
+        matchBy: 'name + start date',
+        fields: [
+            { key: 'name', label: 'Name', required: true, aliases: ['course', 'course name', 'title'] },
+            { key: 'description', label: 'Description', aliases: ['summary'] },
+            { key: 'instructor', label: 'Instructor', type: 'ref', aliases: ['teacher', 'instructor name', 'instructor email'] },
+            { key: 'category', label: 'Category', required: true, type: 'category' },
+            { key: 'level', label: 'Level', options: ['Beginner', 'Intermediate', 'Advanced'], default: 'Beginner' },
+            { key: 'capacity', label: 'Capacity', type: 'integer', required: true, aliases: ['seats', 'max students'] },
+            { key: 'price', label: 'Price', type: 'number', default: 0, aliases: ['cost', 'fee', 'price usd'] },
+            { key: 'startDate', label: 'Start Date', type: 'date', aliases: ['start', 'starts'] },
+            { key: 'endDate', label: 'End Date', type: 'date', aliases: ['end', 'ends'] },
+            { key: 'duration', label: 'Duration', aliases: ['length'] },
+            { key: 'status', label: 'Status', options: ['Active', 'Upcoming', 'Completed'], default: 'Active' },
+            { key: 'tags', label: 'Tags', type: 'list', aliases: ['keywords', 'topics'] },
+            { key: 'enrolled', label: 'Enrolled', exportOnly: true }
+        ]
+    },
+    students: {
+        label: 'Students',
+        matchBy: 'email',
+        fields: [
+            { key: 'name', label: 'Name', required: true, aliases: ['full name', 'student', 'student name'] },
+            { key: 'email', label: 'Email', type: 'email', required: true, aliases: ['email address', 'e-mail'] },
+            { key: 'phone', label: 'Phone', aliases: ['phone number', 'mobile', 'telephone'] },
+            { key: 'address', label: 'Address' },
+            { key: 'level', label: 'Level', options: ['Beginner', 'Intermediate', 'Advanced'], default: 'Beginner' },
+            { key: 'status', label: 'Status', options: ['Active', 'Inactive'], default: 'Active' },
+            { key: 'interests', label: 'Interests', type: 'list' },
+            { key: 'enrollmentDate', label: 'Registered', type: 'date', aliases: ['registration date', 'joined'] },
+            { key: 'courses', label: 'Enrolled Courses', exportOnly: true }
+        ]
+    },
+    instructors: {
+        label: 'Instructors',
+        matchBy: 'email',
+        fields: [
+            { key: 'name', label: 'Name', required: true, aliases: ['full name', 'instructor', 'teacher'] },
+            { key: 'email', label: 'Email', type: 'email', required: true, aliases: ['email address', 'e-mail'] },
+            { key: 'phone', label: 'Phone', aliases: ['phone number', 'mobile'] },
+            {
+                key: 'department',
+                label: 'Department',
+                required: true,
+                options: ['Computer Science', 'Data Science', 'Business', 'Design', 'Engineering', 'Mathematics']
+            },
+            { key: 'expertise', label: 'Expertise', type: 'list', aliases: ['skills', 'expertise areas'] },
+            { key: 'experience', label: 'Experience (years)', type: 'integer', default: 0, aliases: ['experience', 'years'] },
+            { key: 'status', label: 'Status', options: ['Active', 'Inactive'], default: 'Active' },
+            { key: 'bio', label: 'Bio', aliases: ['biography', 'description'] },
+            { key: 'rating', label: 'Rating', exportOnly: true },
+            { key: 'courses', label: 'Assigned Courses', exportOnly: true }
+        ]
+    },
+    enrollments: {
+        label: 'Enrollments',
+        matchBy: 'student + course',
+        fields: [
+            { key: 'student', label: 'Student', type: 'ref', required: true, aliases: ['student name', 'student email', 'email'] },
+            { key: 'course', label: 'Course', type: 'ref', required: true, aliases: ['course name'] },
+            { key: 'instructor', label: 'Instructor', exportOnly: true },
+            { key: 'enrollmentDate', label: 'Enrollment Date', type: 'date', aliases: ['date', 'enrolled on'] },
+            { key: 'status', label: 'Status', options: ENROLLMENT_STATUSES, default: 'Active' },
+            { key: 'progress', label: 'Progress', type: 'integer', default: 0, aliases: ['progress %'] },
+            { key: 'aiSuggested', label: 'AI Suggested', exportOnly: true }
+        ]
+    }
+};
+
+// Declarative validation rules shared by the entity forms and the JSON import.
+// Field rules: required, type (integer|number|date|list), min/max, minLength/maxLength,
+// format (see VALIDATION_FORMATS), oneOf, unique (case-insensitive within the collection),
+// exists (id must exist in another collection) and after (date must not precede another field).
+// Cross-field rules go in `checks` and return an error message or null.
+const VALIDATION_FORMATS = {
+    email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'must be a valid email address' },
+    phone: { pattern: /^\+?[0-9][0-9\s().-]{5,18}[0-9]$/, message: 'must be a valid phone number (digits, spaces, +, -, parentheses)' }
+};
+
+const VALIDATION_SCHEMAS = {
+    courses: {
+        formId: 'courseForm',
+        idInput: 'courseId',
+        fields: {
+            name: { input: 'courseName', label: 'Course name', required: true, maxLength: 120 },
+            description: { input: 'courseDescription', label: 'Description', required: true, maxLength: 2000 },
+            // Courses imported without an instructor are shown as unassigned
+            instructorId: { input: 'courseInstructor', label: 'Instructor', type: 'integer', required: true, optionalOnImport: true, exists: 'instructors' },
+            category: { input: 'courseCategory', label: 'Category', required: true },
+            capacity: { input: 'courseCapacity', label: 'Capacity', type: 'integer', required: true, min: 1, max: 1000 },
+            price: { input: 'coursePrice', label: 'Price', type: 'number', required: true, min: 0 },
+            startDate: { input: 'courseStartDate', label: 'Start date', type: 'date', required: true },
+            endDate: { input: 'courseEndDate', label: 'End date', type: 'date', required: true, after: 'startDate' },
+            duration: { input: 'courseDuration', label: 'Duration', required: true, maxLength: 50 },
+            level: { input: 'courseLevel', label: 'Level', required: true, oneOf: ['Beginner', 'Intermediate', 'Advanced'] },
+            status: { input: 'courseStatus', label: 'Status', oneOf: ['Active', 'Upcoming', 'Completed'] }
+        },
+        checks: [
             {
-                title: 'Optimize Course Scheduling',
-                description: 'AI detected optimal time slots for higher engagement',
-                confidence: 89
+                field: 'capacity',
+                validate: record => record.enrolled > record.capacity
+                    ? `Capacity cannot be below the ${record.enrolled} students already enrolled`
+                    : null
+            }
+        ]
+    },
+    students: {
+        formId: 'studentForm',
+        idInput: 'studentId',
+        fields: {
+            name: { input: 'studentName', label: 'Full name', required: true, maxLength: 100 },
+            email: { input: 'studentEmail', label: 'Email', required: true, format: 'email', unique: true },
+            phone: { input: 'studentPhone', label: 'Phone', required: true, format: 'phone' },
+            address: { input: 'studentAddress', label: 'Address', maxLength: 300 },
+            level: { input: 'studentLevel', label: 'Level', oneOf: ['Beginner', 'Intermediate', 'Advanced'] },
+            status: { input: 'studentStatus', label: 'Status', oneOf: ['Active', 'Inactive'] },
+            interests: { input: 'studentInterests', label: 'Interests', type: 'list' }
+        }
+    },
+    instructors: {
+        formId: 'instructorForm',
+        idInput: 'instructorId',
+        fields: {
+            name: { input: 'instructorName', label: 'Full name', required: true, maxLength: 100 },
+            email: { input: 'instructorEmail', label: 'Email', required: true, format: 'email', unique: true },
+            phone: { input: 'instructorPhone', label: 'Phone', format: 'phone' },
+            department: {
+                input: 'instructorDepartment',
+                label: 'Department',
+                required: true,
+                oneOf: ['Computer Science', 'Data Science', 'Business', 'Design', 'Engineering', 'Mathematics']
             },
+            expertise: { input: 'instructorExpertise', label: 'Expertise', type: 'list', required: true },
+            experience: { input: 'instructorExperience', label: 'Years of experience', type: 'integer', required: true, min: 0, max: 70 },
+            status: { input: 'instructorStatus', label: 'Status', oneOf: ['Active', 'Inactive'] },
+            bio: { input: 'instructorBio', label: 'Bio', maxLength: 2000 }
+        }
+    },
+    rooms: {
+        formId: 'roomForm',
+        idInput: 'roomId',
+        fields: {
+            name: { input: 'roomName', label: 'Room name', required: true, maxLength: 60, unique: true },
+            capacity: { input: 'roomCapacity', label: 'Seats', type: 'integer', required: true, min: 1, max: 1000 },
+            location: { input: 'roomLocation', label: 'Location', maxLength: 120 }
+        }
+    },
+    enrollments: {
+        formId: 'enrollmentForm',
+        defaults: { status: 'Active' },
+        fields: {
+            studentId: { input: 'enrollmentStudent', label: 'Student', type: 'integer', required: true, exists: 'students' },
+            courseId: { input: 'enrollmentCourse', label: 'Course', type: 'integer', required: true, exists: 'courses' },
+            status: { input: 'enrollmentStatus', label: 'Status', oneOf: ENROLLMENT_STATUSES },
+            progress: { label: 'Progress', type: 'integer', min: 0, max: 100 }
+        },
+        checks: [
             {
-                title: 'Expand Programming Courses',
-                description: 'High demand detected in web development category',
-                confidence: 94
+                field: 'courseId',
+                validate: (record, data) => EnrollmentLifecycle.isOpen(record) && data.enrollments.some(other =>
+                    other.id !== record.id && EnrollmentLifecycle.isOpen(other) &&
+                    other.studentId === record.studentId && other.courseId === record.courseId
+                ) ? 'Student is already enrolled in this course' : null
             },
             {
-                title: 'Instructor Workload Balance',
-                description: 'Redistribute courses for better teaching quality',
-                confidence: 76
+                field: 'courseId',
+                validate: (record, data) => {
+                    const course = data.courses.find(c => c.id === record.courseId);
+                    if (!course || !EnrollmentLifecycle.isOpen(record)) return null;
+                    const taken = data.enrollments.filter(other =>
+                        other.id !== record.id && EnrollmentLifecycle.isOpen(other) && other.courseId === course.id
+                    ).length;
+                    // Seats offered to the waitlist are held for those students
+                    const held = (data.waitlist || []).filter(entry =>
+                        entry.courseId === course.id && entry.status === 'Offered' && entry.studentId !== record.studentId
+                    ).length;
+                    if (taken + held < course.capacity) return null;
+                    return held > 0
+                        ? `${course.name} is full (${course.capacity} seats, ${held} held for the waitlist)`
+                        : `${course.name} is at full capacity (${course.capacity} seats)`;
+                }
             }
-        ];
+        ]
+    }
+};
 
-        container.innerHTML = `
-            <h4>🤖 AI Strategic Recommendations</h4>
-            ${recommendations.map(rec => `
-                <div class="ai-recommendation-item">
-                    <div class="ai-recommendation-content">
-                        <div class="ai-recommendation-title">${rec.title}</div>
-                        <div class="ai-recommendation-reason">${rec.description}</div>
-                    </div>
-                    <div class="ai-confidence-score">${rec.confidence}%</div>
-                </div>
-            `).join('')}
-        `;
+class RecordValidator {
+    constructor(schemas) {
+        this.schemas = schemas;
     }
 
-    // ANALYTICS DASHBOARD
-    initializeCharts() {
-        this.createPopularityChart();
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '' ||
+            (Array.isArray(value) && value.length === 0);
     }
 
-    createPopularityChart() {
-        const ctx = document.getElementById('popularityChart');
-        if (!ctx) return;
+    // Returns { field: message } with the first failing rule per field; `data` is the
+    // dataset used for uniqueness and reference checks, `mode` is 'form' or 'import'
+    validate(entity, record, { data, mode = 'form' }) {
+        const schema = this.schemas[entity];
+        const errors = {};
 
-        const courseNames = this.data.courses.map(course => course.name.length > 20 ? 
-            course.name.substring(0, 20) + '...' : course.name);
-        const popularityData = this.data.courses.map(course => course.popularity || Math.floor(Math.random() * 40) + 60);
+        Object.entries(schema.fields).forEach(([key, rule]) => {
+            const message = this.validateField(entity, key, rule, record, data, mode);
+            if (message) errors[key] = message;
+        });
 
-        if (this.charts.popularity) {
-            this.charts.popularity.destroy();
-        }
-
-        this.charts.popularity = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: courseNames,
-                datasets: [{
-                    label: 'Course Popularity',
-                    data: popularityData,
-                    backgroundColor: ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F'],
-                    borderColor: ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F'],
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    title: {
-                        display: true,
-                        text: '🤖 AI-Powered Course Analytics'
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        max: 100
-                    }
-                }
-            }
+        (schema.checks || []).forEach(check => {
+            if (errors[check.field]) return;
+            const message = check.validate(record, data);
+            if (message) errors[check.field] = message;
         });
-    }
 
-    // CRITICAL FIX: CENTRALIZED DROPDOWN UPDATE SYSTEM
-    updateAllDropdowns() {
-        console.log('🔄 Updating all dropdowns...');
-        
-        // Update course instructor dropdown
-        this.updateCourseInstructorDropdown();
-        
-        // Update enrollment student dropdown
-        this.updateEnrollmentStudentDropdown();
-        
-        // Update enrollment course dropdown
-        this.updateEnrollmentCourseDropdown();
-        
-        // Update filter dropdowns
-        this.updateFilterDropdowns();
-        
-        console.log('✅ All dropdowns updated');
+        return errors;
     }
 
-    updateCourseInstructorDropdown() {
-        const select = document.getElementById('courseInstructor');
-        if (select) {
-            const currentValue = select.value;
-            select.innerHTML = '<option value="">Select Instructor</option>' +
-                this.data.instructors.filter(i => i.status === 'Active').map(instructor => 
-                    `<option value="${instructor.id}">${instructor.name}</option>`
-                ).join('');
-            
-            // Restore selection if still valid
-            if (currentValue && this.data.instructors.some(i => i.id === parseInt(currentValue))) {
-                select.value = currentValue;
-            }
+    validateField(entity, key, rule, record, data, mode) {
+        const value = record[key];
+        const label = rule.label;
+
+        if (RecordValidator.isEmpty(value)) {
+            return rule.required && !(rule.optionalOnImport && mode === 'import') ? `${label} is required` : null;
         }
-    }
 
-    updateEnrollmentStudentDropdown() {
-        const select = document.getElementById('enrollmentStudent');
-        if (select) {
-            const currentValue = select.value;
-            select.innerHTML = '<option value="">Select Student</option>' +
-                this.data.students.filter(s => s.status === 'Active').map(student => 
-                    `<option value="${student.id}">${student.name}</option>`
-                ).join('');
-            
-            if (currentValue && this.data.students.some(s => s.id === parseInt(currentValue))) {
-                select.value = currentValue;
-            }
+        if (rule.type === 'integer' && !Number.isInteger(value)) return `${label} must be a whole number`;
+        if (rule.type === 'number' && (typeof value !== 'number' || Number.isNaN(value))) return `${label} must be a number`;
+        if (rule.type === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value)))) {
+            return `${label} must be a valid date`;
         }
-    }
+        if (rule.type === 'list' && !Array.isArray(value)) return `${label} must be a list`;
 
-    updateEnrollmentCourseDropdown() {
-        const select = document.getElementById('enrollmentCourse');
-        if (select) {
-            const currentValue = select.value;
-            const activeCourses = this.data.courses.filter(c => c.status === 'Active' && c.enrolled < c.capacity);
-            select.innerHTML = '<option value="">Select Course</option>' +
-                activeCourses.map(course => 
-                    `<option value="${course.id}">${course.name} (${course.capacity - course.enrolled} spots left)</option>`
-                ).join('');
-            
-            if (currentValue && activeCourses.some(c => c.id === parseInt(currentValue))) {
-                select.value = currentValue;
-            }
+        if (rule.min !== undefined && value < rule.min) return `${label} must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `${label} must be at most ${rule.max}`;
+
+        if (typeof value === 'string') {
+            if (rule.minLength !== undefined && value.length < rule.minLength) return `${label} must be at least ${rule.minLength} characters`;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${label} must be at most ${rule.maxLength} characters`;
         }
-    }
 
-    updateFilterDropdowns() {
-        const courseFilter = document.getElementById('enrollment-course-filter');
-        if (courseFilter) {
-            const currentValue = courseFilter.value;
-            courseFilter.innerHTML = '<option value="">All Courses</option>' + 
-                this.data.courses.map(course => `<option value="${course.id}">${course.name}</option>`).join('');
-            
-            if (currentValue && this.data.courses.some(c => c.id === parseInt(currentValue))) {
-                courseFilter.value = currentValue;
-            }
+        if (rule.format && !VALIDATION_FORMATS[rule.format].pattern.test(value)) {
+            return `${label} ${VALIDATION_FORMATS[rule.format].message}`;
         }
-    }
 
-    // EVENT BINDING - FIXED
-    bindEvents() {
-        console.log('🔗 Binding events...');
-        
-        try {
-            // Navigation events - FIXED
-            const navBtns = document.querySelectorAll('.nav-btn');
-            console.log('Found nav buttons:', navBtns.length);
-            
-            navBtns.forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    const section = e.target.dataset.section;
-                    console.log('Navigation clicked:', section);
-                    this.showSection(section);
-                });
-            });
+        if (rule.oneOf && !rule.oneOf.includes(value)) return `${label} must be one of ${rule.oneOf.join(', ')}`;
 
-            // Form events - FIXED
-            const courseForm = document.getElementById('courseForm');
-            if (courseForm) {
-                courseForm.addEventListener('submit', (e) => this.handleCourseForm(e));
-            }
-            
-            const studentForm = document.getElementById('studentForm');
-            if (studentForm) {
-                studentForm.addEventListener('submit', (e) => this.handleStudentForm(e));
-            }
-            
-            const instructorForm = document.getElementById('instructorForm');
-            if (instructorForm) {
-                instructorForm.addEventListener('submit', (e) => this.handleInstructorForm(e));
-            }
-            
-            const enrollmentForm = document.getElementById('enrollmentForm');
-            if (enrollmentForm) {
-                enrollmentForm.addEventListener('submit', (e) => this.handleEnrollmentForm(e));
-            }
+        if (rule.unique) {
+            const normalized = String(value).toLowerCase();
+            const duplicate = (data[entity] || []).find(other =>
+                other.id !== record.id && String(other[key] || '').toLowerCase() === normalized
+            );
+            if (duplicate) return `${label} is already used by ${duplicate.name || `#${duplicate.id}`}`;
+        }
 
-            // Search and filter events
-            this.bindSearchFilters();
+        if (rule.exists && !(data[rule.exists] || []).some(other => other.id === value)) {
+            return `${label} does not exist`;
+        }
 
-            console.log('✅ Events bound successfully');
-        } catch (error) {
-            console.error('❌ Error binding events:', error);
+        if (rule.after && record[rule.after] && value < record[rule.after]) {
+            return `${label} cannot be before ${this.schemas[entity].fields[rule.after].label.toLowerCase()}`;
         }
+
+        return null;
     }
+}
 
-    bindSearchFilters() {
-        const elements = [
-            'course-search', 'course-category-filter', 'course-status-filter',
-            'student-search', 'student-status-filter',
-            'instructor-search', 'instructor-department-filter',
-            'enrollment-search', 'enrollment-course-filter'
-        ];
+// Course recommendations are scored from four explainable signals; a suggestion's
+// confidence is the weighted sum, so a signal with no evidence (e.g. no enrollment
+// history yet) lowers confidence instead of being guessed at.
+const RECOMMENDER_WEIGHTS = {
+    interests: 0.35,
+    coEnrollment: 0.25,
+    history: 0.2,
+    level: 0.2
+};
+
+const RECOMMENDER_SIGNAL_LABELS = {
+    interests: 'Interest match',
+    coEnrollment: 'Co-enrollment',
+    history: 'Builds on history',
+    level: 'Level fit'
+};
+
+const RECOMMENDER_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+// Fit of a course by (course level - student level); a single step up is the natural next course
+const RECOMMENDER_LEVEL_FIT = { '-2': 0.1, '-1': 0.35, '0': 1, '1': 0.75, '2': 0.2 };
+
+// Suggestions below this confidence are dropped; level fit alone can never reach it
+const RECOMMENDER_MIN_CONFIDENCE = 0.25;
+
+// Co-enrollment ratios are shrunk by this many phantom students so one shared
+// classmate doesn't read as a 100% signal
+const RECOMMENDER_CO_ENROLLMENT_SHRINK = 2;
+
+// Accepted, dismissed and ignored suggestions are credited to the signal that led
+// the reason. Each signal's weight moves with its acceptance rate, smoothed toward
+// 50% by phantom decisions so a few clicks can't swing rankings; at most ±40%.
+const RECOMMENDER_FEEDBACK_PRIOR = 6;
+const RECOMMENDER_FEEDBACK_STRENGTH = 0.4;
+const RECOMMENDER_FEEDBACK_LIMIT = 1000;
+
+class CourseRecommender {
+    constructor(weights = RECOMMENDER_WEIGHTS) {
+        this.weights = weights;
+    }
 
-        elements.forEach(id => {
-            const element = document.getElementById(id);
-            if (element) {
-                const eventType = element.tagName === 'INPUT' ? 'input' : 'change';
-                element.addEventListener(eventType, () => {
-                    if (id.includes('course')) this.filterCourses();
-                    else if (id.includes('student')) this.filterStudents();
-                    else if (id.includes('instructor')) this.filterInstructors();
-                    else if (id.includes('enrollment')) this.filterEnrollments();
-                });
-            }
-        });
+    // Lower-cased, space-padded word sequence so phrases match on whole words only
+    static normalize(text) {
+        return ` ${String(text || '').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim()} `;
     }
 
-    // SECTION NAVIGATION - FIXED
-    showSection(sectionName) {
-        console.log('📍 Showing section:', sectionName);
-        
-        try {
-            // Update navigation
-            document.querySelectorAll('.nav-btn').forEach(btn => {
-                btn.classList.remove('active');
-            });
-            const activeBtn = document.querySelector(`[data-section="${sectionName}"]`);
-            if (activeBtn) {
-                activeBtn.classList.add('active');
-            }
+    static phrasesMatch(a, b) {
+        const left = CourseRecommender.normalize(a);
+        const right = CourseRecommender.normalize(b);
+        if (left.trim() === '' || right.trim() === '') return false;
+        return left.includes(right) || right.includes(left);
+    }
 
-            // Update sections
-            document.querySelectorAll('.section').forEach(section => {
-                section.classList.remove('active');
+    static levelIndex(level) {
+        const index = RECOMMENDER_LEVELS.indexOf(level);
+        return index === -1 ? 0 : index;
+    }
+
+    // Per signal (and `all`): { accepted, dismissed, ignored, decisions, rate }
+    static feedbackStats(events) {
+        const stats = {};
+        ['all', ...Object.keys(RECOMMENDER_SIGNAL_LABELS)].forEach(key => {
+            stats[key] = { accepted: 0, dismissed: 0, ignored: 0, decisions: 0, rate: null };
+        });
+
+        (events || []).forEach(event => {
+            [stats.all, stats[event.reasonType]].forEach(entry => {
+                if (!entry || entry[event.action] === undefined) return;
+                entry[event.action]++;
+                entry.decisions++;
             });
-            const targetSection = document.getElementById(sectionName);
-            if (targetSection) {
-                targetSection.classList.add('active');
-            }
+        });
 
-            this.currentSection = sectionName;
+        Object.values(stats).forEach(entry => {
+            entry.rate = entry.decisions > 0 ? entry.accepted / entry.decisions : null;
+        });
+        return stats;
+    }
 
-            // Render section content
-            switch (sectionName) {
-                case 'dashboard':
-                    this.renderDashboard();
-                    break;
-                case 'courses':
-                    this.renderCourses();
-                    break;
-                case 'students':
-                    this.renderStudents();
-                    break;
-                case 'instructors':
-                    this.renderInstructors();
-                    break;
-                case 'enrollments':
-                    this.renderEnrollments();
-                    break;
-            }
-            
-            console.log('✅ Section switched successfully');
-        } catch (error) {
-            console.error('❌ Error switching section:', error);
-        }
+    feedbackWeights(events) {
+        const stats = CourseRecommender.feedbackStats(events);
+        const weights = {};
+        Object.entries(this.weights).forEach(([key, weight]) => {
+            const { accepted, decisions } = stats[key];
+            const smoothed = (accepted + RECOMMENDER_FEEDBACK_PRIOR / 2) / (decisions + RECOMMENDER_FEEDBACK_PRIOR);
+            weights[key] = weight * (1 + 2 * RECOMMENDER_FEEDBACK_STRENGTH * (smoothed - 0.5));
+        });
+        return weights;
     }
 
-    // RENDER METHODS
-    renderDashboard() {
-        document.getElementById('total-courses').textContent = this.data.courses.length;
-        document.getElementById('total-students').textContent = this.data.students.length;
-        document.getElementById('total-instructors').textContent = this.data.instructors.length;
-        document.getElementById('total-enrollments').textContent = 
-            this.data.enrollments.filter(e => e.status === 'Active').length;
+    // Returns up to `limit` suggestions ordered by confidence, then course id:
+    // { course, confidence, reason, reasonType, factors: [{ key, label, score, weight, contribution, detail }] }
+    // Courses the student dismissed are never suggested to them again.
+    recommend(student, data, { limit = 3, feedback = [] } = {}) {
+        const enrollments = data.enrollments || [];
+        const courses = data.courses || [];
+        const takenIds = new Set([
+            ...(student.courses || []),
+            ...enrollments.filter(e => e.studentId === student.id).map(e => e.courseId)
+        ]);
+        const history = courses.filter(course => takenIds.has(course.id));
+        const dismissedIds = new Set(feedback
+            .filter(event => event.studentId === student.id && event.action === 'dismissed')
+            .map(event => event.courseId));
+        const weights = this.feedbackWeights(feedback);
+
+        const studentsByCourse = new Map();
+        enrollments.forEach(enrollment => {
+            if (!studentsByCourse.has(enrollment.courseId)) studentsByCourse.set(enrollment.courseId, new Set());
+            studentsByCourse.get(enrollment.courseId).add(enrollment.studentId);
+        });
 
-        this.generateDashboardInsights();
-        setTimeout(() => this.initializeCharts(), 100);
+        return courses
+            .filter(course =>
+                !takenIds.has(course.id) &&
+                !dismissedIds.has(course.id) &&
+                course.status === 'Active' &&
+                course.enrolled < course.capacity
+            )
+            .map(course => this.scoreCourse(student, course, history, studentsByCourse, weights))
+            .filter(rec => rec.confidence >= RECOMMENDER_MIN_CONFIDENCE)
+            .sort((a, b) => b.confidence - a.confidence || a.course.id - b.course.id)
+            .slice(0, limit);
     }
 
-    renderCourses() {
-        this.updateAllDropdowns();
-        this.displayCourses(this.data.courses);
+    scoreCourse(student, course, history, studentsByCourse, weights = this.weights) {
+        const factors = [
+            this.interestFactor(student, course),
+            this.coEnrollmentFactor(student, course, history, studentsByCourse),
+            this.historyFactor(course, history),
+            this.levelFactor(student, course)
+        ].map(factor => ({
+            ...factor,
+            label: RECOMMENDER_SIGNAL_LABELS[factor.key],
+            weight: weights[factor.key],
+            contribution: factor.score * weights[factor.key]
+        }));
+
+        const confidence = Math.min(1, factors.reduce((sum, factor) => sum + factor.contribution, 0));
+        const leading = factors
+            .filter(factor => factor.detail && factor.contribution > 0)
+            .sort((a, b) => b.contribution - a.contribution)
+            .slice(0, 2);
+        const reason = leading.map(factor => factor.detail).join('; ');
+
+        return {
+            course,
+            confidence,
+            reason: reason.charAt(0).toUpperCase() + reason.slice(1),
+            reasonType: leading.length > 0 ? leading[0].key : 'level',
+            factors
+        };
     }
 
-    displayCourses(courses) {
-        const grid = document.getElementById('courses-grid');
-        
-        if (courses.length === 0) {
-            grid.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">📚</div>
-                    <h3>No courses found</h3>
-                    <p>Start by adding your first course</p>
-                    <button class="btn btn--primary" onclick="cms.addCourse()">Add Course</button>
-                </div>
-            `;
-            return;
-        }
+    // Interests and learning-path goals that appear in the course's category, name or tags
+    interestFactor(student, course) {
+        const courseTerms = [course.category, course.name, ...(course.tags || [])];
+        const goals = [...new Set([...(student.interests || []), ...(student.learningPath || [])])];
+        // "Programming" and "Advanced Programming" are one interest, not two
+        const matched = goals
+            .filter(goal => courseTerms.some(term => CourseRecommender.phrasesMatch(goal, term)))
+            .reduce((kept, goal) => kept.some(other => CourseRecommender.phrasesMatch(goal, other)) ? kept : [...kept, goal], []);
 
-        grid.innerHTML = courses.map(course => {
-            const aiClass = course.aiGenerated ? 'ai-generated' : '';
-            const aiIcon = course.aiGenerated ? '<span class="ai-badge">AI-GENERATED</span>' : '';
-            
-            return `
+        return {
+            key: 'interests',
+            score: Math.min(1, matched.length / 2),
+            detail: matched.length > 0 ? `matches your interest in ${listPhrase(matched)}` : null
+        };
+    }
+
+    // Of the students who share a course with this student, how many also took the candidate
+    coEnrollmentFactor(student, course, history, studentsByCourse) {
+        const takers = studentsByCourse.get(course.id) || new Set();
+        let best = { score: 0, detail: null };
+
+        history.forEach(taken => {
+            const classmates = [...(studentsByCourse.get(taken.id) || [])].filter(id => id !== student.id);
+            if (classmates.length === 0) return;
+            const shared = classmates.filter(id => takers.has(id)).length;
+            const score = shared / (classmates.length + RECOMMENDER_CO_ENROLLMENT_SHRINK);
+            if (shared > 0 && score > best.score) {
+                best = {
+                    score,
+                    detail: `${shared} of ${classmates.length} student${classmates.length === 1 ? '' : 's'} from ${taken.name} also enrolled`
+                };
+            }
+        });
+
+        return { key: 'coEnrollment', ...best };
+    }
+
+    // Closest course in the student's history: same category counts half, shared tags the rest
+    historyFactor(course, history) {
+        const tags = new Set((course.tags || []).map(tag => tag.toLowerCase()));
+        let best = { score: 0, detail: null };
+
+        history.forEach(taken => {
+            const takenTags = new Set((taken.tags || []).map(tag => tag.toLowerCase()));
+            const shared = [...tags].filter(tag => takenTags.has(tag)).length;
+            const union = new Set([...tags, ...takenTags]).size;
+            const score = (taken.category === course.category ? 0.5 : 0) + (union > 0 ? 0.5 * shared / union : 0);
+            if (score > best.score) best = { score, detail: `builds on ${taken.name}` };
+        });
+
+        return { key: 'history', ...best };
+    }
+
+    levelFactor(student, course) {
+        const studentLevel = student.level || RECOMMENDER_LEVELS[0];
+        const step = CourseRecommender.levelIndex(course.level) - CourseRecommender.levelIndex(studentLevel);
+        let detail = null;
+        if (step === 0) detail = `pitched at your ${studentLevel} level`;
+        if (step === 1) detail = `next step from ${studentLevel} to ${course.level}`;
+
+        return { key: 'level', score: RECOMMENDER_LEVEL_FIT[step], detail };
+    }
+}
+
+// Dashboard metrics are computed from the dataset; strategic recommendations only
+// appear when one of these thresholds is actually crossed.
+const INSIGHT_THRESHOLDS = {
+    growthWindowDays: 30,
+    categoryFullRate: 0.9,          // category seats filled before suggesting expansion
+    courseUnderfilledRate: 0.4,     // running course below this fill rate
+    instructorMaxCourses: 3,        // active + upcoming courses per instructor
+    instructorMaxStudents: 80,      // active students across those courses
+    instructorMinRating: 4.0,
+    enrollmentDeclineRate: -0.2,
+    completionMinRate: 0.6,
+    completionMinSample: 5          // finished enrollments needed before judging completion
+};
+
+class InsightEngine {
+    constructor(thresholds = INSIGHT_THRESHOLDS) {
+        this.thresholds = thresholds;
+    }
+
+    static ratio(part, whole) {
+        return whole > 0 ? part / whole : null;
+    }
+
+    static percent(value) {
+        return `${Math.round(value * 100)}%`;
+    }
+
+    static isoDaysBefore(today, days) {
+        const date = new Date(`${today}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() - days);
+        return date.toISOString().split('T')[0];
+    }
+
+    // `today` is an ISO date; growth compares the trailing window with the one before it
+    computeMetrics(data, today) {
+        const courses = data.courses || [];
+        const enrollments = data.enrollments || [];
+        const students = data.students || [];
+        const instructors = data.instructors || [];
+        const active = enrollments.filter(e => e.status === 'Active');
+        const running = courses.filter(c => c.status === 'Active' || c.status === 'Upcoming');
+
+        const windowDays = this.thresholds.growthWindowDays;
+        const windowStart = InsightEngine.isoDaysBefore(today, windowDays);
+        const previousStart = InsightEngine.isoDaysBefore(today, windowDays * 2);
+        const recent = enrollments.filter(e => e.enrollmentDate > windowStart && e.enrollmentDate <= today).length;
+        const previous = enrollments.filter(e => e.enrollmentDate > previousStart && e.enrollmentDate <= windowStart).length;
+
+        const finished = enrollments.filter(e => !EnrollmentLifecycle.isOpen(e));
+        const completed = finished.filter(e => e.status === 'Completed').length;
+        const rated = instructors.filter(i => typeof i.rating === 'number');
+
+        const seats = courses => courses.reduce((sum, course) => sum + (course.capacity || 0), 0);
+        const filled = courses => courses.reduce((sum, course) => sum + (course.enrolled || 0), 0);
+
+        const categories = [...new Set(running.map(course => course.category))].sort().map(name => {
+            const inCategory = running.filter(course => course.category === name);
+            return {
+                name,
+                courses: inCategory.length,
+                capacity: seats(inCategory),
+                fillRate: InsightEngine.ratio(filled(inCategory), seats(inCategory))
+            };
+        });
+
+        const instructorLoads = instructors.map(instructor => {
+            const teaching = running.filter(course => course.instructorId === instructor.id);
+            return { instructor, courses: teaching.length, students: filled(teaching) };
+        });
+
+        return {
+            growth: { windowDays, recent, previous, rate: InsightEngine.ratio(recent - previous, previous) },
+            coursesPerStudent: InsightEngine.ratio(active.length, students.length),
+            averageRating: rated.length > 0
+                ? rated.reduce((sum, instructor) => sum + instructor.rating, 0) / rated.length
+                : null,
+            ratedInstructors: rated.length,
+            fillRate: InsightEngine.ratio(filled(running), seats(running)),
+            fullCourses: running.filter(course => course.capacity > 0 && course.enrolled >= course.capacity).length,
+            completionRate: InsightEngine.ratio(completed, finished.length),
+            finishedEnrollments: finished.length,
+            averageProgress: InsightEngine.ratio(active.reduce((sum, e) => sum + (e.progress || 0), 0), active.length),
+            categories,
+            instructorLoads,
+            underfilledCourses: courses
+                .filter(course => course.status === 'Active' && course.capacity > 0)
+                .map(course => ({ course, fillRate: course.enrolled / course.capacity }))
+                .filter(entry => entry.fillRate < this.thresholds.courseUnderfilledRate)
+        };
+    }
+
+    // Each triggered rule yields { title, description, metric, severity }; severity (0-1)
+    // is how far past its threshold the rule fired and orders the list
+    recommend(metrics) {
+        const t = this.thresholds;
+        const recommendations = [];
+
+        metrics.categories
+            .filter(category => category.fillRate !== null && category.fillRate >= t.categoryFullRate)
+            .forEach(category => recommendations.push({
+                title: `Expand ${category.name} courses`,
+                description: `${InsightEngine.percent(category.fillRate)} of ${category.capacity} seats filled across ${category.courses} active or upcoming course${category.courses === 1 ? '' : 's'}`,
+                metric: InsightEngine.percent(category.fillRate),
+                severity: 0.5 + Math.min(0.5, category.fillRate - t.categoryFullRate)
+            }));
+
+        metrics.instructorLoads
+            .filter(load => load.courses > t.instructorMaxCourses || load.students > t.instructorMaxStudents)
+            .forEach(load => recommendations.push({
+                title: `Rebalance ${load.instructor.name}'s workload`,
+                description: `Teaching ${load.courses} course${load.courses === 1 ? '' : 's'} with ${load.students} active students (limits: ${t.instructorMaxCourses} courses, ${t.instructorMaxStudents} students)`,
+                metric: load.courses > t.instructorMaxCourses ? `${load.courses} courses` : `${load.students} students`,
+                severity: 0.5 + Math.min(0.5, Math.max(
+                    (load.courses - t.instructorMaxCourses) / t.instructorMaxCourses,
+                    (load.students - t.instructorMaxStudents) / t.instructorMaxStudents
+                ))
+            }));
+
+        if (metrics.growth.rate !== null && metrics.growth.rate <= t.enrollmentDeclineRate) {
+            recommendations.push({
+                title: 'Enrollment is declining',
+                description: `${metrics.growth.recent} new enrollments in the last ${metrics.growth.windowDays} days, down from ${metrics.growth.previous}`,
+                metric: InsightEngine.percent(metrics.growth.rate),
+                severity: Math.min(1, -metrics.growth.rate)
+            });
+        }
+
+        if (metrics.completionRate !== null && metrics.finishedEnrollments >= t.completionMinSample &&
+            metrics.completionRate < t.completionMinRate) {
+            recommendations.push({
+                title: 'Improve course completion',
+                description: `Only ${InsightEngine.percent(metrics.completionRate)} of ${metrics.finishedEnrollments} finished enrollments were completed`,
+                metric: InsightEngine.percent(metrics.completionRate),
+                severity: t.completionMinRate - metrics.completionRate
+            });
+        }
+
+        metrics.instructorLoads
+            .filter(load => typeof load.instructor.rating === 'number' && load.instructor.rating < t.instructorMinRating)
+            .forEach(load => recommendations.push({
+                title: `Support ${load.instructor.name}`,
+                description: `Rated ${load.instructor.rating}/5.0, below the ${t.instructorMinRating.toFixed(1)} target`,
+                metric: `⭐ ${load.instructor.rating}`,
+                severity: (t.instructorMinRating - load.instructor.rating) / t.instructorMinRating
+            }));
+
+        metrics.underfilledCourses.forEach(({ course, fillRate }) => recommendations.push({
+            title: `Promote ${course.name}`,
+            description: `Only ${course.enrolled} of ${course.capacity} seats filled`,
+            metric: InsightEngine.percent(fillRate),
+            severity: (t.courseUnderfilledRate - fillRate) / t.courseUnderfilledRate * 0.5
+        }));
+
+        return recommendations.sort((a, b) => b.severity - a.severity || a.title.localeCompare(b.title));
+    }
+}
+
+// ENROLLMENT FORECASTING
+// Weekly enrollment counts over a trailing window are fitted with a least-squares
+// linear trend and projected forward. Courses with too little history of their own
+// borrow their category's trend, shared across the category's open courses.
+const FORECAST_SETTINGS = {
+    historyWeeks: 12,
+    horizonWeeks: 8,          // dashboard chart
+    maxProjectionWeeks: 52,
+    minCourseEnrollments: 3,  // fewer than this and the category trend is used
+    underfillRate: 0.5        // projected seats filled at start below this is flagged
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EnrollmentForecaster {
+    constructor(settings = FORECAST_SETTINGS) {
+        this.settings = settings;
+    }
+
+    static addDays(isoDate, days) {
+        return new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().split('T')[0];
+    }
+
+    static daysBetween(from, to) {
+        return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+    }
+
+    // Enrollments per week for the `weeks` weeks ending today (oldest first), starting no
+    // earlier than the first enrollment so a new course isn't dragged down by empty weeks
+    weeklySeries(dates, today) {
+        const weeks = this.settings.historyWeeks;
+        const inWindow = dates.filter(date => date <= today && EnrollmentForecaster.daysBetween(date, today) < weeks * 7);
+        if (inWindow.length === 0) return new Array(weeks).fill(0);
+
+        const first = dates.reduce((min, date) => (date < min ? date : min), today);
+        const length = Math.min(weeks, Math.floor(EnrollmentForecaster.daysBetween(first, today) / 7) + 1);
+        const series = new Array(length).fill(0);
+        inWindow.forEach(date => {
+            const weeksAgo = Math.floor(EnrollmentForecaster.daysBetween(date, today) / 7);
+            if (weeksAgo < length) series[length - 1 - weeksAgo]++;
+        });
+        return series;
+    }
+
+    // Least-squares line through the weekly counts; a single week is treated as flat
+    static fitTrend(series) {
+        const n = series.length;
+        const meanX = (n - 1) / 2;
+        const meanY = series.reduce((sum, y) => sum + y, 0) / n;
+        if (n < 2) return { intercept: meanY, slope: 0, n };
+
+        let covariance = 0;
+        let variance = 0;
+        series.forEach((y, x) => {
+            covariance += (x - meanX) * (y - meanY);
+            variance += (x - meanX) ** 2;
+        });
+        const slope = covariance / variance;
+        return { intercept: meanY - slope * meanX, slope, n };
+    }
+
+    // Expected enrollments in the k-th week from now (k >= 1), never negative
+    static weekly(trend, k, share = 1) {
+        return Math.max(0, trend.intercept + trend.slope * (trend.n - 1 + k)) * share;
+    }
+
+    trendFor(dates, today) {
+        return EnrollmentForecaster.fitTrend(this.weeklySeries(dates, today));
+    }
+
+    // One forecast per course: { course, basis, weeklyRate, projectedAtStart, fillDate, risk, message }
+    forecastCourses(data, today) {
+        const courses = data.courses || [];
+        const enrollments = data.enrollments || [];
+        const datesFor = predicate => enrollments.filter(predicate).map(e => e.enrollmentDate).filter(Boolean);
+        const open = courses.filter(course => course.status === 'Active' || course.status === 'Upcoming');
+
+        const categoryTrends = new Map();
+        [...new Set(courses.map(course => course.category))].forEach(category => {
+            const ids = new Set(courses.filter(course => course.category === category).map(course => course.id));
+            categoryTrends.set(category, this.trendFor(datesFor(e => ids.has(e.courseId)), today));
+        });
+
+        return open.map(course => {
+            const dates = datesFor(e => e.courseId === course.id);
+            const ownHistory = dates.length >= this.settings.minCourseEnrollments;
+            const trend = ownHistory ? this.trendFor(dates, today) : categoryTrends.get(course.category);
+            const share = ownHistory ? 1 : 1 / open.filter(other => other.category === course.category).length;
+            return this.project(course, trend, share, ownHistory ? 'course' : 'category', today);
+        });
+    }
+
+    project(course, trend, share, basis, today) {
+        const remaining = course.capacity - course.enrolled;
+        const weeksToStart = course.startDate > today ? EnrollmentForecaster.daysBetween(today, course.startDate) / 7 : 0;
+
+        let projected = course.enrolled;
+        let cumulative = course.enrolled;
+        let fillDate = remaining <= 0 ? today : null;
+        for (let k = 1; k <= this.settings.maxProjectionWeeks; k++) {
+            const gained = EnrollmentForecaster.weekly(trend, k, share);
+            // Only the part of a week that falls before the start date counts toward it
+            if (k - 1 < weeksToStart) projected += gained * Math.min(1, weeksToStart - (k - 1));
+            if (fillDate === null && cumulative + gained >= course.capacity) {
+                const days = (k - 1) * 7 + Math.ceil(7 * (course.capacity - cumulative) / gained);
+                fillDate = EnrollmentForecaster.addDays(today, days);
+            }
+            cumulative += gained;
+            if (fillDate !== null && k >= weeksToStart) break;
+        }
+
+        const forecast = {
+            course,
+            basis,
+            weeklyRate: EnrollmentForecaster.weekly(trend, 1, share),
+            projectedAtStart: Math.min(course.capacity, Math.round(projected)),
+            fillDate,
+            risk: null,
+            message: null
+        };
+
+        // Flags only make sense while the course hasn't started
+        if (weeksToStart > 0 && remaining > 0) {
+            if (fillDate && fillDate <= course.startDate) {
+                const daysEarly = EnrollmentForecaster.daysBetween(fillDate, course.startDate);
+                forecast.risk = 'sellout';
+                forecast.message = `Likely to sell out by ${fillDate}${daysEarly > 0 ? `, ${daysEarly} days before start` : ''}`;
+            } else if (forecast.projectedAtStart / course.capacity < this.settings.underfillRate) {
+                forecast.risk = 'underfill';
+                forecast.message = `Projected ${forecast.projectedAtStart}/${course.capacity} seats filled at start (${course.startDate})`;
+            }
+        }
+
+        return forecast;
+    }
+
+    // Cumulative enrollments per category: `historyWeeks` actual points then `horizonWeeks` projected
+    categorySeries(data, today) {
+        const { historyWeeks, horizonWeeks } = this.settings;
+        const courses = data.courses || [];
+        const enrollments = data.enrollments || [];
+        const labels = [];
+        for (let k = -historyWeeks + 1; k <= horizonWeeks; k++) {
+            labels.push(EnrollmentForecaster.addDays(today, k * 7));
+        }
+
+        const categories = [...new Set(courses.map(course => course.category))].sort().map(category => {
+            const ids = new Set(courses.filter(course => course.category === category).map(course => course.id));
+            const dates = enrollments.filter(e => ids.has(e.courseId) && e.enrollmentDate).map(e => e.enrollmentDate);
+            const actual = labels.slice(0, historyWeeks).map(week => dates.filter(date => date <= week).length);
+            const trend = this.trendFor(dates, today);
+
+            let running = actual[actual.length - 1];
+            const projected = [running];
+            for (let k = 1; k <= horizonWeeks; k++) {
+                running += EnrollmentForecaster.weekly(trend, k);
+                projected.push(Math.round(running * 10) / 10);
+            }
+            return { category, actual, projected };
+        });
+
+        return { labels, historyWeeks, categories };
+    }
+}
+
+// AT-RISK DETECTION
+// Each active enrollment is compared with where it should be if progress were linear
+// between the course's start and end dates. Being behind adds the gap (in points / 100)
+// to the risk score; no recorded progress for `stallDays` adds `stallPenalty`.
+const RISK_SETTINGS = {
+    stallDays: 14,
+    stallPenalty: 0.15,
+    severities: [
+        { level: 'high', minScore: 0.4 },
+        { level: 'medium', minScore: 0.25 },
+        { level: 'low', minScore: 0.1 }
+    ]
+};
+
+class RiskDetector {
+    constructor(settings = RISK_SETTINGS) {
+        this.settings = settings;
+    }
+
+    // Date of the last progress change: the progress history when there is one,
+    // otherwise the enrollment date
+    static lastProgressDate(enrollment) {
+        const history = enrollment.progressHistory || [];
+        return history.length > 0 ? history[history.length - 1].date : enrollment.enrollmentDate;
+    }
+
+    // Progress that arrived some other way than a progress update (CSV, merge, file import)
+    // starts the history at the enrollment date, so it is dated and kept by the next update
+    static seedProgressHistory(enrollment) {
+        if ((enrollment.progressHistory || []).length === 0 && enrollment.progress > 0 && enrollment.enrollmentDate) {
+            enrollment.progressHistory = [{ date: enrollment.enrollmentDate, progress: enrollment.progress }];
+        }
+    }
+
+    // Returns { enrollment, student, course, severity, score, expected, progress, stalledDays, reasons }
+    // or null when the enrollment is on track or there is nothing to compare against yet
+    assess(enrollment, course, today) {
+        if (enrollment.status !== 'Active' || !course || !course.startDate || !course.endDate) return null;
+        if (today < course.startDate || course.endDate <= course.startDate) return null;
+
+        const span = Date.parse(course.endDate) - Date.parse(course.startDate);
+        const elapsed = Math.min(1, (Date.parse(today) - Date.parse(course.startDate)) / span);
+        const expected = Math.round(elapsed * 100);
+        const progress = enrollment.progress || 0;
+        const gap = Math.max(0, expected - progress);
+
+        const lastChange = RiskDetector.lastProgressDate(enrollment) || course.startDate;
+        // Progress can't stall before the course has started
+        const stalledSince = lastChange > course.startDate ? lastChange : course.startDate;
+        const stalledDays = Math.round((Date.parse(today) - Date.parse(stalledSince)) / (24 * 60 * 60 * 1000));
+        const stalled = progress < 100 && stalledDays >= this.settings.stallDays;
+
+        const score = gap / 100 + (stalled ? this.settings.stallPenalty : 0);
+        const severity = this.settings.severities.find(rule => score >= rule.minScore);
+        if (!severity) return null;
+
+        const reasons = [];
+        if (gap > 0) reasons.push(`${gap} points behind schedule (at ${progress}%, expected ${expected}%)`);
+        if (stalled) reasons.push(`no progress recorded in ${stalledDays} days`);
+        if (elapsed >= 1) reasons.push(`course ended ${course.endDate}`);
+
+        return { enrollment, course, severity: severity.level, score, expected, progress, stalledDays, reasons };
+    }
+
+    // At-risk enrollments, most severe first
+    detect(data, today) {
+        return (data.enrollments || [])
+            .map(enrollment => {
+                const risk = this.assess(enrollment, (data.courses || []).find(c => c.id === enrollment.courseId), today);
+                if (!risk) return null;
+                risk.student = (data.students || []).find(s => s.id === enrollment.studentId) || null;
+                return risk;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.enrollment.id - b.enrollment.id);
+    }
+}
+
+// Instructors are ranked for a course from six explainable signals; as with course
+// recommendations the match is their weighted sum
+const INSTRUCTOR_MATCH_WEIGHTS = {
+    expertise: 0.35,
+    load: 0.2,
+    availability: 0.15,
+    department: 0.1,
+    experience: 0.1,
+    rating: 0.1
+};
+
+// Years of experience that count as a full match for each course level
+const INSTRUCTOR_MATCH_EXPERIENCE = { Beginner: 2, Intermediate: 5, Advanced: 8 };
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class InstructorMatcher {
+    constructor(weights = INSTRUCTOR_MATCH_WEIGHTS, maxCourses = INSIGHT_THRESHOLDS.instructorMaxCourses) {
+        this.weights = weights;
+        this.maxCourses = maxCourses;
+    }
+
+    static overlaps(a, b) {
+        return a.startDate <= b.endDate && b.startDate <= a.endDate;
+    }
+
+    // Weekdays the course meets on; the start date's weekday when it has no timetable
+    static courseDays(course) {
+        if (ScheduleConflictDetector.hasMeetings(course)) return course.schedule.days;
+        if (!course.startDate) return [];
+        return [WEEKDAYS[new Date(`${course.startDate}T00:00:00Z`).getUTCDay()]];
+    }
+
+    // Other unfinished courses the instructor teaches while `course` runs
+    concurrentCourses(instructor, course, courses) {
+        const assigned = new Set(instructor.courses || []);
+        return courses.filter(other =>
+            other.id !== course.id &&
+            other.status !== 'Completed' &&
+            (assigned.has(other.id) || other.instructorId === instructor.id) &&
+            (!course.startDate || !course.endDate || InstructorMatcher.overlaps(other, course))
+        );
+    }
+
+    // Active instructors, best match first:
+    // { instructor, match, reason, concerns, factors: [{ key, score, weight, contribution, detail, concern }] }
+    rank(course, data) {
+        return (data.instructors || [])
+            .filter(instructor => instructor.status !== 'Inactive')
+            .map(instructor => this.score(instructor, course, data))
+            .sort((a, b) => b.match - a.match || (b.instructor.rating || 0) - (a.instructor.rating || 0) || a.instructor.id - b.instructor.id);
+    }
+
+    score(instructor, course, data) {
+        const factors = [
+            this.expertiseFactor(instructor, course),
+            this.loadFactor(instructor, course, data.courses || []),
+            this.availabilityFactor(instructor, course),
+            this.departmentFactor(instructor, course, data),
+            this.experienceFactor(instructor, course),
+            this.ratingFactor(instructor)
+        ].map(factor => ({
+            ...factor,
+            weight: this.weights[factor.key],
+            contribution: factor.score * this.weights[factor.key]
+        }));
+
+        const reason = factors
+            .filter(factor => factor.detail && factor.contribution > 0)
+            .sort((a, b) => b.contribution - a.contribution)
+            .slice(0, 2)
+            .map(factor => factor.detail)
+            .join('; ');
+
+        return {
+            instructor,
+            match: Math.min(1, factors.reduce((sum, factor) => sum + factor.contribution, 0)),
+            reason: reason.charAt(0).toUpperCase() + reason.slice(1),
+            concerns: factors.filter(factor => factor.concern).map(factor => factor.concern),
+            factors
+        };
+    }
+
+    // Best instructor for each course, earliest start first; every assignment counts
+    // toward that instructor's load for the courses after it. Returns [{ course, candidate }]
+    assignAll(courses, data) {
+        const instructors = (data.instructors || []).map(instructor => ({ ...instructor, courses: [...(instructor.courses || [])] }));
+        const working = { ...data, instructors };
+
+        return [...courses]
+            .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)) || a.id - b.id)
+            .map(course => {
+                const best = this.rank(course, working)[0] || null;
+                if (!best) return { course, candidate: null };
+                best.instructor.courses.push(course.id);
+                const instructor = data.instructors.find(i => i.id === best.instructor.id);
+                return { course, candidate: { ...best, instructor } };
+            });
+    }
+
+    // Course category and tags, plus skills that appear in the course name
+    expertiseFactor(instructor, course) {
+        const terms = [...new Set([course.category, ...(course.tags || [])].filter(Boolean))];
+        const skills = instructor.expertise || [];
+        const matched = [
+            ...terms.filter(term => skills.some(skill => CourseRecommender.phrasesMatch(skill, term))),
+            ...skills.filter(skill => course.name && CourseRecommender.normalize(course.name).includes(CourseRecommender.normalize(skill)))
+        ].reduce((kept, term) => kept.some(other => CourseRecommender.phrasesMatch(term, other)) ? kept : [...kept, term], []);
+
+        return {
+            key: 'expertise',
+            score: Math.min(1, matched.length / Math.max(1, Math.min(3, terms.length))),
+            detail: matched.length > 0 ? `expertise in ${listPhrase(matched.slice(0, 3))}` : null,
+            concern: matched.length === 0 && course.category ? `no listed expertise in ${course.category}` : null
+        };
+    }
+
+    loadFactor(instructor, course, courses) {
+        const concurrent = this.concurrentCourses(instructor, course, courses).length;
+        return {
+            key: 'load',
+            score: Math.max(0, 1 - concurrent / this.maxCourses),
+            detail: concurrent === 0 ? 'no other courses at the same time' : null,
+            concern: concurrent >= this.maxCourses ? `already teaching ${concurrent} courses at the same time` : null
+        };
+    }
+
+    // Instructors without listed availability are neither credited nor penalised
+    availabilityFactor(instructor, course) {
+        const days = InstructorMatcher.courseDays(course);
+        const availability = instructor.availability || [];
+        if (days.length === 0 || availability.length === 0) return { key: 'availability', score: 0.5, detail: null, concern: null };
+
+        const missing = days.filter(day => !availability.includes(day));
+        return {
+            key: 'availability',
+            score: (days.length - missing.length) / days.length,
+            detail: missing.length === 0 ? `available on ${listPhrase(days.map(day => `${day}s`))}` : null,
+            concern: missing.length > 0 ? `not available on ${listPhrase(missing.map(day => `${day}s`))}` : null
+        };
+    }
+
+    // The department named after the category, or the share of the category's courses
+    // its department already teaches
+    departmentFactor(instructor, course, data) {
+        const department = instructor.department;
+        if (!department || !course.category) return { key: 'department', score: 0, detail: null, concern: null };
+        if (CourseRecommender.phrasesMatch(department, course.category)) {
+            return { key: 'department', score: 1, detail: `${department} department`, concern: null };
+        }
+
+        const colleagues = new Set((data.instructors || []).filter(other => other.department === department).map(other => other.id));
+        const inCategory = (data.courses || []).filter(other => other.id !== course.id && other.category === course.category);
+        const share = inCategory.length > 0 ? inCategory.filter(other => colleagues.has(other.instructorId)).length / inCategory.length : 0;
+
+        return {
+            key: 'department',
+            score: share,
+            detail: share >= 0.5 ? `${department} teaches most ${course.category} courses` : null,
+            concern: null
+        };
+    }
+
+    experienceFactor(instructor, course) {
+        const years = instructor.experience || 0;
+        const needed = INSTRUCTOR_MATCH_EXPERIENCE[course.level] || INSTRUCTOR_MATCH_EXPERIENCE.Beginner;
+        const score = Math.min(1, years / needed);
+        const article = /^[AEIOU]/.test(course.level || '') ? 'an' : 'a';
+
+        return {
+            key: 'experience',
+            score,
+            detail: score >= 1 ? `${years} years' experience` : null,
+            concern: score < 0.5 && course.level ? `${years} years' experience for ${article} ${course.level} course` : null
+        };
+    }
+
+    // Unrated instructors score in the middle rather than at the bottom
+    ratingFactor(instructor) {
+        const rating = instructor.rating;
+        if (rating === null || rating === undefined) return { key: 'rating', score: 0.5, detail: null, concern: null };
+
+        return {
+            key: 'rating',
+            score: Math.max(0, Math.min(1, (rating - 3) / 2)),
+            detail: rating >= 4.5 ? `rated ${rating}` : null,
+            concern: rating < INSIGHT_THRESHOLDS.instructorMinRating ? `rated ${rating}` : null
+        };
+    }
+}
+
+// A course meets on `schedule.days` from `startTime` to `endTime` (24-hour "HH:MM")
+// in `roomId`, every week between its start and end dates; schedule is null when
+// no timetable has been set
+class ScheduleConflictDetector {
+    static hasMeetings(course) {
+        const schedule = course && course.schedule;
+        return !!(schedule && Array.isArray(schedule.days) && schedule.days.length > 0 && schedule.startTime && schedule.endTime);
+    }
+
+    // Both courses run in the same weeks, share a weekday and their hours overlap
+    static meetsTogether(a, b) {
+        if (!ScheduleConflictDetector.hasMeetings(a) || !ScheduleConflictDetector.hasMeetings(b)) return false;
+        if (a.startDate && b.startDate && a.endDate && b.endDate && !InstructorMatcher.overlaps(a, b)) return false;
+        if (!a.schedule.days.some(day => b.schedule.days.includes(day))) return false;
+        return a.schedule.startTime < b.schedule.endTime && b.schedule.startTime < a.schedule.endTime;
+    }
+
+    // "Mon, Wed 18:00–20:00 · Lab A"
+    static describe(course, rooms = []) {
+        if (!ScheduleConflictDetector.hasMeetings(course)) return '';
+        const { days, startTime, endTime, roomId } = course.schedule;
+        const ordered = WEEKDAYS.filter(day => days.includes(day)).map(day => day.slice(0, 3));
+        const room = rooms.find(r => r.id === roomId);
+        return `${ordered.join(', ')} ${startTime}–${endTime}${room ? ` · ${room.name}` : ''}`;
+    }
+
+    static others(course, courses) {
+        return (courses || []).filter(other => other.id !== course.id && other.status !== 'Completed');
+    }
+
+    // Problems with a course's own timetable: [{ type, course, message }] where type is
+    // 'instructor' (double-booked), 'room' (clash), 'availability' or 'capacity'
+    courseConflicts(course, data) {
+        const conflicts = [];
+        if (!ScheduleConflictDetector.hasMeetings(course)) return conflicts;
+
+        const rooms = data.rooms || [];
+        const instructor = (data.instructors || []).find(i => i.id === course.instructorId);
+        const room = rooms.find(r => r.id === course.schedule.roomId);
+
+        ScheduleConflictDetector.others(course, data.courses)
+            .filter(other => ScheduleConflictDetector.meetsTogether(course, other))
+            .forEach(other => {
+                const when = ScheduleConflictDetector.describe(other);
+                if (instructor && other.instructorId === instructor.id) {
+                    conflicts.push({ type: 'instructor', course: other, message: `${instructor.name} also teaches ${other.name} (${when})` });
+                }
+                if (room && other.schedule.roomId === room.id) {
+                    conflicts.push({ type: 'room', course: other, message: `${room.name} is booked for ${other.name} (${when})` });
+                }
+            });
+
+        const availability = instructor ? instructor.availability || [] : [];
+        const unavailable = course.schedule.days.filter(day => !availability.includes(day));
+        if (availability.length > 0 && unavailable.length > 0) {
+            conflicts.push({ type: 'availability', course, message: `${instructor.name} isn't available on ${listPhrase(unavailable.map(day => `${day}s`))}` });
+        }
+
+        if (room && room.capacity < course.capacity) {
+            conflicts.push({ type: 'capacity', course, message: `${room.name} seats ${room.capacity}, fewer than the course capacity of ${course.capacity}` });
+        }
+
+        return conflicts;
+    }
+
+    // The student's other active courses that meet at the same time as `course`
+    studentConflicts(studentId, course, data) {
+        if (!ScheduleConflictDetector.hasMeetings(course)) return [];
+        const courseIds = new Set((data.enrollments || [])
+            .filter(e => e.studentId === studentId && EnrollmentLifecycle.isOpen(e) && e.courseId !== course.id)
+            .map(e => e.courseId));
+
+        return ScheduleConflictDetector.others(course, data.courses)
+            .filter(other => courseIds.has(other.id) && ScheduleConflictDetector.meetsTogether(course, other))
+            .map(other => ({
+                type: 'student',
+                course: other,
+                message: `${other.name} meets at the same time (${ScheduleConflictDetector.describe(other, data.rooms)})`
+            }));
+    }
+
+    // Instructor double-bookings and room clashes across all unfinished courses, by course id
+    detect(data) {
+        const byCourse = new Map();
+        (data.courses || [])
+            .filter(course => course.status !== 'Completed')
+            .forEach(course => {
+                const clashes = this.courseConflicts(course, data).filter(conflict => conflict.type === 'instructor' || conflict.type === 'room');
+                if (clashes.length > 0) byCourse.set(course.id, clashes);
+            });
+        return byCourse;
+    }
+}
+
+// The calendar shows each course's run (startDate to endDate) and the weekly sessions
+// expanded from its schedule. Dates are local "YYYY-MM-DD" strings throughout.
+const CALENDAR_SETTINGS = {
+    // Hours covered by the week and day time grids
+    dayStartHour: 7,
+    dayEndHour: 22,
+    // Dropped sessions snap to this many minutes
+    snapMinutes: 15
+};
+
+const CALENDAR_VIEWS = ['month', 'week', 'day'];
+
+const ICS_WEEKDAYS = { Sunday: 'SU', Monday: 'MO', Tuesday: 'TU', Wednesday: 'WE', Thursday: 'TH', Friday: 'FR', Saturday: 'SA' };
+
+class CalendarBuilder {
+    static parseDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static formatDate(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static addDays(value, days) {
+        const date = CalendarBuilder.parseDate(value);
+        date.setDate(date.getDate() + days);
+        return CalendarBuilder.formatDate(date);
+    }
+
+    static daysBetween(from, to) {
+        return Math.round((CalendarBuilder.parseDate(to) - CalendarBuilder.parseDate(from)) / DAY_MS);
+    }
+
+    static weekday(value) {
+        return WEEKDAYS[CalendarBuilder.parseDate(value).getDay()];
+    }
+
+    // Weeks start on Monday
+    static weekStart(value) {
+        return CalendarBuilder.addDays(value, -((CalendarBuilder.parseDate(value).getDay() + 6) % 7));
+    }
+
+    static toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static fromMinutes(total) {
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    // First and last date shown; a month covers whole weeks so the grid is rectangular
+    range(view, anchor) {
+        if (view === 'day') return { start: anchor, end: anchor };
+
+        if (view === 'week') {
+            const start = CalendarBuilder.weekStart(anchor);
+            return { start, end: CalendarBuilder.addDays(start, 6) };
+        }
+
+        const date = CalendarBuilder.parseDate(anchor);
+        const first = CalendarBuilder.formatDate(new Date(date.getFullYear(), date.getMonth(), 1));
+        const last = CalendarBuilder.formatDate(new Date(date.getFullYear(), date.getMonth() + 1, 0));
+        return { start: CalendarBuilder.weekStart(first), end: CalendarBuilder.addDays(CalendarBuilder.weekStart(last), 6) };
+    }
+
+    dates(view, anchor) {
+        const { start, end } = this.range(view, anchor);
+        const dates = [];
+        for (let date = start; date <= end; date = CalendarBuilder.addDays(date, 1)) dates.push(date);
+        return dates;
+    }
+
+    // The anchor `step` months, weeks or days away
+    shift(view, anchor, step) {
+        if (view === 'day') return CalendarBuilder.addDays(anchor, step);
+        if (view === 'week') return CalendarBuilder.addDays(anchor, step * 7);
+        const date = CalendarBuilder.parseDate(anchor);
+        return CalendarBuilder.formatDate(new Date(date.getFullYear(), date.getMonth() + step, 1));
+    }
+
+    title(view, anchor) {
+        const date = CalendarBuilder.parseDate(anchor);
+        if (view === 'month') return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        if (view === 'day') return date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+        const { start, end } = this.range(view, anchor);
+        const format = value => CalendarBuilder.parseDate(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return `${format(start)} – ${format(end)}, ${CalendarBuilder.parseDate(end).getFullYear()}`;
+    }
+
+    // Courses matching { instructorId, studentId, category, roomId }; empty filters match all.
+    // A student's courses are the ones they are still enrolled in (not withdrawn, completed or failed).
+    filterCourses(data, filters = {}) {
+        const studentCourseIds = filters.studentId
+            ? new Set(data.enrollments.filter(e => e.studentId === filters.studentId && EnrollmentLifecycle.isOpen(e)).map(e => e.courseId))
+            : null;
+
+        return data.courses.filter(course =>
+            (!filters.instructorId || course.instructorId === filters.instructorId) &&
+            (!studentCourseIds || studentCourseIds.has(course.id)) &&
+            (!filters.category || course.category === filters.category) &&
+            (!filters.roomId || (course.schedule && course.schedule.roomId === filters.roomId))
+        );
+    }
+
+    // Courses running at some point between `from` and `to`
+    runs(courses, from, to) {
+        return courses
+            .filter(course => course.startDate && course.endDate && course.startDate <= to && course.endDate >= from)
+            .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.name.localeCompare(b.name));
+    }
+
+    // Weekly meetings between `from` and `to`, earliest first: [{ course, date, startTime, endTime, roomId }]
+    sessions(courses, from, to) {
+        const sessions = [];
+        courses.forEach(course => {
+            if (!ScheduleConflictDetector.hasMeetings(course) || !course.startDate || !course.endDate) return;
+            const { days, startTime, endTime, roomId } = course.schedule;
+            const last = course.endDate < to ? course.endDate : to;
+            for (let date = course.startDate > from ? course.startDate : from; date <= last; date = CalendarBuilder.addDays(date, 1)) {
+                if (days.includes(CalendarBuilder.weekday(date))) sessions.push({ course, date, startTime, endTime, roomId });
+            }
+        });
+        return sessions.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+    }
+
+    // An iCalendar (RFC 5545) feed: one weekly recurring event per scheduled course and an
+    // all-day event spanning the run of courses without a timetable. UIDs are stable so
+    // importing a newer export updates the events instead of duplicating them.
+    toICS(courses, data, { name, now = new Date() } = {}) {
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const compact = value => value.replace(/-/g, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//EduManage Pro AI//Course Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        if (name) lines.push(`X-WR-CALNAME:${CalendarBuilder.escapeText(name)}`);
+
+        courses.filter(course => course.startDate && course.endDate).forEach(course => {
+            const instructor = data.instructors.find(i => i.id === course.instructorId);
+            const room = course.schedule ? data.rooms.find(r => r.id === course.schedule.roomId) : null;
+            const firstSession = this.sessions([course], course.startDate, CalendarBuilder.addDays(course.startDate, 6))[0];
+            const description = [
+                `${course.level} ${course.category} course`,
+                instructor ? `Instructor: ${instructor.name}` : null,
+                `Runs ${course.startDate} to ${course.endDate}`
+            ].filter(Boolean).join('\n');
+
+            lines.push('BEGIN:VEVENT');
+            if (firstSession) {
+                const { days, startTime, endTime } = course.schedule;
+                lines.push(
+                    `UID:course-${course.id}-sessions@edumanage-pro`,
+                    `DTSTART:${compact(firstSession.date)}T${startTime.replace(':', '')}00`,
+                    `DTEND:${compact(firstSession.date)}T${endTime.replace(':', '')}00`,
+                    `RRULE:FREQ=WEEKLY;BYDAY=${WEEKDAYS.filter(day => days.includes(day)).map(day => ICS_WEEKDAYS[day]).join(',')};UNTIL=${compact(course.endDate)}T235959`
+                );
+            } else {
+                lines.push(
+                    `UID:course-${course.id}-run@edumanage-pro`,
+                    `DTSTART;VALUE=DATE:${compact(course.startDate)}`,
+                    `DTEND;VALUE=DATE:${compact(CalendarBuilder.addDays(course.endDate, 1))}`
+                );
+            }
+            lines.push(`DTSTAMP:${stamp}`, `SUMMARY:${CalendarBuilder.escapeText(course.name)}`, `DESCRIPTION:${CalendarBuilder.escapeText(description)}`);
+            if (room) lines.push(`LOCATION:${CalendarBuilder.escapeText([room.name, room.location].filter(Boolean).join(', '))}`);
+            lines.push(`CATEGORIES:${CalendarBuilder.escapeText(course.category)}`, 'END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(CalendarBuilder.foldLine).join('\r\n') + '\r\n';
+    }
+
+    static escapeText(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets continue on the next line after a single space
+    static foldLine(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            if (octets + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+}
+
+// A full course keeps a first-come, first-served waitlist. When a seat frees up it is
+// offered to the first student waiting and held for `holdHours`; an offer that is not
+// taken up in time lapses and the seat passes to the next in line.
+const WAITLIST_DEFAULTS = { holdHours: 48 };
+
+// Entries still in the queue; the rest are kept as a record of demand
+const WAITLIST_OPEN_STATUSES = ['Waiting', 'Offered'];
+
+class WaitlistManager {
+    // Open entries for a course, first in line first
+    queue(courseId, data) {
+        return (data.waitlist || [])
+            .filter(entry => entry.courseId === courseId && WAITLIST_OPEN_STATUSES.includes(entry.status))
+            .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt) || a.id - b.id);
+    }
+
+    openEntry(studentId, courseId, data) {
+        return (data.waitlist || []).find(entry =>
+            entry.studentId === studentId && entry.courseId === courseId && WAITLIST_OPEN_STATUSES.includes(entry.status)
+        ) || null;
+    }
+
+    // Place among the students still waiting, from 1; null once a seat has been offered
+    position(entry, data) {
+        if (entry.status !== 'Waiting') return null;
+        return this.queue(entry.courseId, data).filter(other => other.status === 'Waiting').findIndex(other => other.id === entry.id) + 1;
+    }
+
+    // Seats neither taken by an active enrollment nor held for someone else's offer
+    freeSeats(course, data, studentId = null) {
+        const enrolled = data.enrollments.filter(e => e.courseId === course.id && EnrollmentLifecycle.isOpen(e)).length;
+        const held = (data.waitlist || []).filter(entry =>
+            entry.courseId === course.id && entry.status === 'Offered' && entry.studentId !== studentId
+        ).length;
+        return course.capacity - enrolled - held;
+    }
+
+    join(data, studentId, courseId, { prerequisiteOverride = null, now = new Date() } = {}) {
+        const entry = {
+            id: data.waitlist.length > 0 ? Math.max(...data.waitlist.map(other => other.id)) + 1 : 1,
+            studentId,
+            courseId,
+            status: 'Waiting',
+            joinedAt: now.toISOString(),
+            offeredAt: null,
+            expiresAt: null,
+            resolvedAt: null,
+            // Carried onto the enrollment made from an offer
+            prerequisiteOverride
+        };
+        data.waitlist.push(entry);
+        return entry;
+    }
+
+    // Offers the free seats of each course to the next students in line. Mutates `data`
+    // and returns the entries offered.
+    promote(data, courseIds, { holdHours, now = new Date() }) {
+        const offered = [];
+        [...new Set(courseIds)].forEach(courseId => {
+            const course = data.courses.find(c => c.id === courseId);
+            if (!course || course.status === 'Completed') return;
+
+            const waiting = this.queue(courseId, data).filter(entry => entry.status === 'Waiting');
+            let free = this.freeSeats(course, data);
+            while (free > 0 && waiting.length > 0) {
+                const entry = waiting.shift();
+                entry.status = 'Offered';
+                entry.offeredAt = now.toISOString();
+                entry.expiresAt = new Date(now.getTime() + holdHours * 60 * 60 * 1000).toISOString();
+                offered.push(entry);
+                free--;
+            }
+        });
+        return offered;
+    }
+
+    // Closes an open entry as 'Enrolled', 'Declined', 'Expired' or 'Removed'
+    resolve(entry, status, now = new Date()) {
+        entry.status = status;
+        entry.resolvedAt = now.toISOString();
+    }
+
+    expiredOffers(data, now = new Date()) {
+        return (data.waitlist || []).filter(entry =>
+            entry.status === 'Offered' && entry.expiresAt && new Date(entry.expiresAt) <= now
+        );
+    }
+}
+
+// A course's prerequisites are { minLevel, groups }: the student must be at least
+// `minLevel` and have completed one course from every group of course ids. A group of
+// one is a plain requirement; a longer group lists alternatives. null means none.
+class PrerequisiteChecker {
+    static isEmpty(prerequisites) {
+        return !prerequisites || (!prerequisites.minLevel && (prerequisites.groups || []).length === 0);
+    }
+
+    completedCourseIds(studentId, data) {
+        return new Set(data.enrollments
+            .filter(e => e.studentId === studentId && e.status === 'Completed')
+            .map(e => e.courseId));
+    }
+
+    // { met, unmet: [{ type: 'level' | 'courses', message }] }
+    check(student, course, data) {
+        const prerequisites = course.prerequisites;
+        if (PrerequisiteChecker.isEmpty(prerequisites)) return { met: true, unmet: [] };
+
+        const unmet = [];
+        const studentLevel = RECOMMENDER_LEVELS.indexOf(student.level || 'Beginner');
+        if (prerequisites.minLevel && studentLevel < RECOMMENDER_LEVELS.indexOf(prerequisites.minLevel)) {
+            unmet.push({ type: 'level', message: `${course.name} is for ${prerequisites.minLevel} students or above; ${student.name} is ${student.level || 'Beginner'}` });
+        }
+
+        const completed = this.completedCourseIds(student.id, data);
+        (prerequisites.groups || []).forEach(group => {
+            if (group.some(courseId => completed.has(courseId))) return;
+            unmet.push({ type: 'courses', message: `${student.name} hasn't completed ${this.describeGroup(group, data)}` });
+        });
+
+        return { met: unmet.length === 0, unmet };
+    }
+
+    describeGroup(group, data, joiner = 'or') {
+        const names = group.map(courseId => {
+            const course = data.courses.find(c => c.id === courseId);
+            return course ? course.name : `Course #${courseId}`;
+        });
+        if (names.length <= 1) return names.join('');
+        return `${names.slice(0, -1).join(', ')} ${joiner} ${names[names.length - 1]}`;
+    }
+
+    // "Intermediate level or above; Web Development Fundamentals; Python or SQL"
+    describe(course, data) {
+        const prerequisites = course.prerequisites;
+        if (PrerequisiteChecker.isEmpty(prerequisites)) return '';
+        return [
+            prerequisites.minLevel ? `${prerequisites.minLevel} level or above` : null,
+            ...(prerequisites.groups || []).map(group => this.describeGroup(group, data))
+        ].filter(Boolean).join('; ');
+    }
+
+    requiredCourseIds(course) {
+        return course.prerequisites ? [...new Set((course.prerequisites.groups || []).flat())] : [];
+    }
+
+    // Whether requiring `requiredIds` for `courseId` would make it its own prerequisite
+    createsCycle(courseId, requiredIds, data) {
+        const seen = new Set();
+        const stack = [...requiredIds];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === courseId) return true;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            const course = data.courses.find(c => c.id === id);
+            if (course) stack.push(...this.requiredCourseIds(course));
+        }
+        return false;
+    }
+
+    // Column per course for the prerequisite graph: the length of its longest chain of prerequisites
+    depths(data) {
+        const depths = new Map();
+        const depthOf = (course, visiting = new Set()) => {
+            if (depths.has(course.id)) return depths.get(course.id);
+            if (visiting.has(course.id)) return 0;
+            visiting.add(course.id);
+            const required = this.requiredCourseIds(course)
+                .map(id => data.courses.find(c => c.id === id))
+                .filter(Boolean);
+            const depth = required.length > 0 ? Math.max(...required.map(other => depthOf(other, visiting))) + 1 : 0;
+            depths.set(course.id, depth);
+            return depth;
+        };
+        data.courses.forEach(course => depthOf(course));
+        return depths;
+    }
+}
+
+// The command palette ranks records by fuzzy name matches, reads filters out of plain
+// queries ("advanced programming courses under $500 starting in March") and
+// recognises "enroll <student> in <course>"
+const COMMAND_SEARCH_SETTINGS = {
+    minScore: 0.4,
+    recordLimit: 8,
+    commandLimit: 5
+};
+
+const COMMAND_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+const COMMAND_ENTITY_WORDS = {
+    courses: ['courses', 'course', 'classes', 'class'],
+    students: ['students', 'student', 'learners', 'learner'],
+    instructors: ['instructors', 'instructor', 'teachers', 'teacher'],
+    enrollments: ['enrollments', 'enrollment']
+};
+
+// Searchable fields per entity; the first is the record's title
+const COMMAND_SEARCH_FIELDS = {
+    courses: [['name', 1], ['instructor', 0.7], ['category', 0.6], ['tags', 0.6]],
+    students: [['name', 1], ['email', 0.7], ['interests', 0.5]],
+    instructors: [['name', 1], ['department', 0.6], ['expertise', 0.6], ['email', 0.7]]
+};
+
+const COMMAND_STOP_WORDS = new Set(['show', 'find', 'list', 'me', 'all', 'the', 'a', 'an', 'with', 'that',
+    'are', 'is', 'who', 'which', 'have', 'has', 'and', 'in', 'for', 'of', 'on']);
+
+class CommandSearch {
+    // 1 for an exact match down to 0.2 for a scattered subsequence; 0 when a query word is missing
+    static fuzzyScore(query, text) {
+        const needle = String(query || '').toLowerCase().trim();
+        const haystack = String(text || '').toLowerCase();
+        if (!needle || !haystack) return 0;
+        if (haystack === needle) return 1;
+        if (haystack.startsWith(needle)) return 0.95;
+        if (haystack.includes(` ${needle}`)) return 0.9;
+        if (haystack.includes(needle)) return 0.8;
+
+        const words = needle.split(/\s+/);
+        if (words.length > 1) {
+            const scores = words.map(word => CommandSearch.fuzzyScore(word, haystack));
+            return scores.includes(0) ? 0 : 0.9 * scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        }
+
+        // Every character in order; runs and word starts count for more than scattered letters
+        let position = 0;
+        let bonus = 0;
+        let previous = -2;
+        for (const char of needle) {
+            const found = haystack.indexOf(char, position);
+            if (found === -1) return 0;
+            if (found === previous + 1) bonus++;
+            if (found === 0 || haystack[found - 1] === ' ') bonus++;
+            previous = found;
+            position = found + 1;
+        }
+        return 0.2 + 0.5 * Math.min(1, bonus / needle.length) * Math.min(1, needle.length / 3);
+    }
+
+    static recordScore(entity, record, query) {
+        return COMMAND_SEARCH_FIELDS[entity].reduce((best, [field, weight]) => {
+            const values = Array.isArray(record[field]) ? record[field] : [record[field]];
+            const score = Math.max(0, ...values.map(value => CommandSearch.fuzzyScore(query, value)));
+            return Math.max(best, score * weight);
+        }, 0);
+    }
+
+    static bestMatch(entity, records, query) {
+        return records
+            .map(record => ({ record, score: CommandSearch.recordScore(entity, record, query) }))
+            .filter(match => match.score >= COMMAND_SEARCH_SETTINGS.minScore)
+            .sort((a, b) => b.score - a.score || a.record.id - b.record.id)[0] || null;
+    }
+
+    static monthLabel(index) {
+        return COMMAND_MONTHS[index].charAt(0).toUpperCase() + COMMAND_MONTHS[index].slice(1);
+    }
+
+    // Returns { entity, filters: [{ label, entities, test(record, entity, context) }], text }
+    // where `text` is whatever is left to match against names. `today` is an ISO date.
+    parse(query, data, today) {
+        let text = ` ${String(query || '').toLowerCase().replace(/[,?]/g, ' ')} `;
+        const filters = [];
+        const take = (pattern, handle) => {
+            text = text.replace(pattern, (...match) => {
+                handle(...match);
+                return ' ';
+            });
+        };
+        const amount = value => parseFloat(value.replace(/[$,]/g, ''));
+
+        take(/ between \$?([\d.,]+) and \$?([\d.,]+) /, (m, low, high) => filters.push({
+            label: `$${amount(low)}–$${amount(high)}`, entities: ['courses'],
+            test: course => course.price >= amount(low) && course.price <= amount(high)
+        }));
+        take(/ (?:under|below|less than|cheaper than|<) \$?([\d.,]+) /, (m, value) => filters.push({
+            label: `under $${amount(value)}`, entities: ['courses'],
+            test: course => course.price < amount(value)
+        }));
+        take(/ (?:over|above|more than|>) \$?([\d.,]+) /, (m, value) => filters.push({
+            label: `over $${amount(value)}`, entities: ['courses'],
+            test: course => course.price > amount(value)
+        }));
+
+        const monthPattern = COMMAND_MONTHS.join('|');
+        take(new RegExp(` (?:starting|starts|start|beginning|begins)(?: in)? (this|next) month `), (m, which) => {
+            const date = new Date(`${today}T00:00:00Z`);
+            date.setUTCMonth(date.getUTCMonth() + (which === 'next' ? 1 : 0), 1);
+            const prefix = date.toISOString().slice(0, 7);
+            filters.push({
+                label: `starting ${CommandSearch.monthLabel(date.getUTCMonth())} ${date.getUTCFullYear()}`,
+                entities: ['courses'],
+                test: course => String(course.startDate || '').startsWith(prefix)
+            });
+        });
+        // Without a year the month matches in any year
+        take(new RegExp(` (?:starting|starts|start|beginning|begins)?(?: in| during)? (${monthPattern})(?: (\\d{4}))? `), (m, month, year) => {
+            const index = COMMAND_MONTHS.indexOf(month);
+            const suffix = `-${String(index + 1).padStart(2, '0')}-`;
+            filters.push({
+                label: `starting ${CommandSearch.monthLabel(index)}${year ? ` ${year}` : ''}`,
+                entities: ['courses'],
+                test: course => String(course.startDate || '').slice(4, 8) === suffix &&
+                    (!year || String(course.startDate).startsWith(year))
+            });
+        });
+
+        take(/ (?:without|with no|with zero|no|not in any) (?:enrollments|courses|students) | not enrolled /, () => filters.push({
+            label: 'without enrollments', entities: ['courses', 'students'],
+            test: (record, entity, context) => !context.enrollmentCounts[entity].get(record.id)
+        }));
+        take(/ at[ -]risk /, () => filters.push({
+            label: 'at risk', entities: ['students', 'enrollments'],
+            test: (record, entity, context) => entity === 'students'
+                ? context.atRiskStudentIds.has(record.id)
+                : context.atRiskEnrollmentIds.has(record.id)
+        }));
+        take(/ (?:with )?(?:open|available|free) (?:seats|spots|places) | not full /, () => filters.push({
+            label: 'with open seats', entities: ['courses'], test: course => course.enrolled < course.capacity
+        }));
+        take(/ full /, () => filters.push({
+            label: 'full', entities: ['courses'], test: course => course.enrolled >= course.capacity
+        }));
+
+        take(/ free /, () => filters.push({ label: 'free', entities: ['courses'], test: course => !course.price }));
+
+        take(/ (beginner|intermediate|advanced) /, (m, level) => filters.push({
+            label: level, entities: ['courses', 'students'],
+            test: record => String(record.level || '').toLowerCase() === level
+        }));
+        take(/ (active|inactive|upcoming|completed|dropped|pending|paused|withdrawn|failed) /, (m, status) => filters.push({
+            label: status, entities: ['courses', 'students', 'instructors', 'enrollments'],
+            test: record => String(record.status || '').toLowerCase() === status
+        }));
+
+        (data.categories || [])
+            .map(category => category.name)
+            .sort((a, b) => b.length - a.length)
+            .forEach(name => {
+                const phrase = ` ${name.toLowerCase()} `;
+                if (!text.includes(phrase)) return;
+                text = text.replace(phrase, ' ');
+                filters.push({ label: name, entities: ['courses'], test: course => course.category === name });
+            });
+
+        let entity = null;
+        Object.entries(COMMAND_ENTITY_WORDS).forEach(([key, words]) => {
+            words.forEach(word => {
+                if (!text.includes(` ${word} `)) return;
+                text = text.replace(` ${word} `, ' ');
+                if (!entity) entity = key;
+            });
+        });
+        // Price, dates, seats and categories only make sense for courses
+        if (!entity && filters.length > 0) {
+            entity = ['courses', 'students', 'enrollments', 'instructors']
+                .find(key => filters.every(filter => filter.entities.includes(key))) || null;
+        }
+
+        const rest = text.split(/\s+/).filter(word => word && !COMMAND_STOP_WORDS.has(word)).join(' ');
+        return { entity, filters: filters.filter(filter => !entity || filter.entities.includes(entity)), text: rest };
+    }
+
+    // Records of `parsed.entity` passing every filter, ranked by name match when text is left over
+    applyQuery(parsed, data, context) {
+        const records = data[parsed.entity] || [];
+        const matches = records.filter(record => parsed.filters.every(filter => filter.test(record, parsed.entity, context)));
+        if (!parsed.text || !COMMAND_SEARCH_FIELDS[parsed.entity]) return matches;
+
+        return matches
+            .map(record => ({ record, score: CommandSearch.recordScore(parsed.entity, record, parsed.text) }))
+            .filter(match => match.score >= COMMAND_SEARCH_SETTINGS.minScore)
+            .sort((a, b) => b.score - a.score)
+            .map(match => match.record);
+    }
+
+    // "enroll Emma in React" → { student, course } using the closest name matches
+    parseEnroll(query, data) {
+        const match = String(query || '').trim().match(/^enrol{1,2}\s+(.+?)\s+(?:in|into|on|to)\s+(.+)$/i);
+        if (!match) return null;
+        const student = CommandSearch.bestMatch('students', data.students || [], match[1]);
+        const course = CommandSearch.bestMatch('courses', data.courses || [], match[2]);
+        return student && course ? { student: student.record, course: course.record } : null;
+    }
+
+    // Result kinds: 'enroll', 'query' (filtered list), 'record' and 'command'; best first
+    search(query, data, { today, context, commands = [] }) {
+        const trimmed = String(query || '').trim();
+        if (!trimmed) {
+            return commands.slice(0, COMMAND_SEARCH_SETTINGS.commandLimit).map(command => ({ kind: 'command', command, score: 0 }));
+        }
+
+        const results = [];
+        const enroll = this.parseEnroll(trimmed, data);
+        if (enroll) results.push({ kind: 'enroll', ...enroll, score: 2 });
+
+        const parsed = this.parse(trimmed, data, today);
+        if (parsed.entity && (parsed.filters.length > 0 || !parsed.text)) {
+            const matches = this.applyQuery(parsed, data, context);
+            results.push({ kind: 'query', parsed, matches, score: 1.5 });
+            if (COMMAND_SEARCH_FIELDS[parsed.entity]) {
+                matches.slice(0, COMMAND_SEARCH_SETTINGS.recordLimit).forEach((record, index) => {
+                    results.push({ kind: 'record', entity: parsed.entity, record, score: 1.4 - index * 0.01 });
+                });
+            }
+        } else if (parsed.entity && COMMAND_SEARCH_FIELDS[parsed.entity]) {
+            // "react course": only courses, ranked on what's left after the entity word
+            this.applyQuery(parsed, data, context).forEach(record => {
+                results.push({ kind: 'record', entity: parsed.entity, record, score: CommandSearch.recordScore(parsed.entity, record, parsed.text) });
+            });
+        } else {
+            // Enrollments have no name of their own, so their leftover text is matched against everything
+            const text = parsed.entity ? parsed.text : trimmed;
+            Object.keys(COMMAND_SEARCH_FIELDS).forEach(entity => {
+                (data[entity] || []).forEach(record => {
+                    const score = CommandSearch.recordScore(entity, record, text);
+                    if (score >= COMMAND_SEARCH_SETTINGS.minScore) results.push({ kind: 'record', entity, record, score });
+                });
+            });
+        }
+
+        commands.forEach(command => {
+            const score = Math.max(...[command.title, ...(command.keywords || [])].map(text => CommandSearch.fuzzyScore(trimmed, text)));
+            if (score >= COMMAND_SEARCH_SETTINGS.minScore) results.push({ kind: 'command', command, score: score * 0.95 });
+        });
+
+        const shown = { record: 0, command: 0 };
+        const limits = { record: COMMAND_SEARCH_SETTINGS.recordLimit, command: COMMAND_SEARCH_SETTINGS.commandLimit };
+        return results
+            .sort((a, b) => b.score - a.score)
+            .filter(result => !limits[result.kind] || shown[result.kind]++ < limits[result.kind]);
+    }
+}
+
+class CourseManagementSystem {
+    constructor() {
+        this.data = {
+            courses: [],
+            students: [],
+            instructors: [],
+            categories: [],
+            enrollments: [],
+            rooms: [],
+            waitlist: [],
+            auditLog: [],
+            recordVersions: [],
+            syncQueue: [],
+            syncSettings: { enabled: false, endpoint: '', token: '', cursor: null, lastSyncedAt: null },
+            aiProvider: { type: 'template', endpoint: '', apiKey: '', model: '', timeoutSeconds: 30 },
+            aiSettings: {
+                enabled: true,
+                autoRecommendations: true,
+                autoDescriptions: true,
+                smartSuggestions: true,
+                predictiveAnalytics: true,
+                confidenceThreshold: 0.7
+            },
+            recommendationFeedback: [],
+            waitlistSettings: { ...WAITLIST_DEFAULTS },
+            snapshotSettings: {
+                hourlyRetention: 24,
+                dailyRetention: 30
+            }
+        };
+        
+        this.currentSection = 'dashboard';
+        this.autoSaveInterval = null;
+        this.lastSaveTime = null;
+        this.aiEnabled = true;
+        this.charts = {};
+        
+        // Pre-adapter localStorage keys, only read to migrate old installs
+        this.storageKeys = {
+            primary: 'edumanage_ai_data',
+            backup: 'edumanage_ai_backup',
+            temp: 'edumanage_ai_temp'
+        };
+        
+        this.entityCollections = ['courses', 'students', 'instructors', 'categories', 'enrollments', 'rooms', 'waitlist', 'auditLog', 'recordVersions', 'syncQueue'];
+        // Collections a restore point can bring back; the audit log only ever grows
+        this.restorableCollections = ['courses', 'students', 'instructors', 'categories', 'enrollments', 'rooms', 'waitlist'];
+        this.storage = null;
+        // Nothing is stored until loadData finds otherwise
+        this.rememberPersistedState({});
+        // What changed since the last save; `all` compares everything (after a load or import)
+        this.dirty = { records: new Map(), meta: new Set(), all: true };
+        this.pendingSave = Promise.resolve(true);
+        this.lastSnapshotTime = null;
+        this.storageLocked = false;
+        this.history = { undo: [], redo: [], limit: 50 };
+        this.csvImport = null;
+        this.pendingMerge = null;
+        this.validator = new RecordValidator(VALIDATION_SCHEMAS);
+        this.tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.syncChannel = null;
+        this.versionIndex = new Map();
+        this.openEdit = null;
+        this.syncState = 'disabled';
+        this.syncInterval = null;
+        this.syncInFlight = null;
+        this.applyingServerChanges = false;
+
+        this.recommender = new CourseRecommender();
+        // Suggestions last shown in the enrollment form, credited when it is submitted
+        this.enrollmentSuggestions = null;
+        this.insightEngine = new InsightEngine();
+        this.forecaster = new EnrollmentForecaster();
+        this.riskDetector = new RiskDetector();
+        this.instructorMatcher = new InstructorMatcher();
+        this.scheduleDetector = new ScheduleConflictDetector();
+        this.calendarBuilder = new CalendarBuilder();
+        this.waitlistManager = new WaitlistManager();
+        this.prerequisiteChecker = new PrerequisiteChecker();
+        this.enrollmentLifecycle = new EnrollmentLifecycle();
+        // { retry, unmet } while the prerequisite override dialog is open
+        this.pendingPrerequisiteOverride = null;
+        this.waitlistInterval = null;
+        // Course shown in the waitlist modal; null lists every course with a queue
+        this.waitlistCourseId = null;
+        // view: month | week | day, shown around `date`; drag holds the item being dragged
+        this.calendar = { view: 'month', date: CalendarBuilder.formatDate(new Date()), drag: null };
+        // Proposals shown in the assignment modal until they are applied
+        this.pendingAssignments = [];
+        this.commandSearch = new CommandSearch();
+        this.commandPalette = { results: [], selected: 0 };
+        this.aiGeneration = null;
+        this.syllabusSource = null;
+        
+        // Initialize immediately if DOM is ready, otherwise wait
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            // Use setTimeout to ensure DOM is fully rendered
+            setTimeout(() => this.init(), 0);
+        }
+    }
+
+    // Initialize the application
+    async init() {
+        console.log('🚀 Initializing EduManage Pro AI...');
+        await this.setupDataPersistence();
+        await this.loadData();
+        this.setupTabSync();
+        this.bindSyncConnectivity();
+        this.renderDashboard();
+        this.showSection('dashboard');
+        this.initializeAI();
+        this.updateDataStatus(this.idleStatusText());
+        this.updateAllDropdowns();
+        
+        // Bind events after a short delay to ensure DOM is ready
+        setTimeout(() => {
+            this.bindEvents();
+            this.startAutoSave();
+            this.startWaitlistTimer();
+            this.configureRemoteSync();
+        }, 100);
+    }
+
+    // Enhanced Data Persistence System
+    async setupDataPersistence() {
+        this.storage = await this.testStorageAvailability();
+        this.storageAvailable = !(this.storage instanceof MemoryStorageAdapter);
+        console.log('📦 Storage adapter:', this.storage.name);
+        
+        if (!this.storageAvailable) {
+            this.showToast('Browser storage unavailable. Changes will be lost on reload.', 'warning');
+        }
+        
+        // Save on page unload
+        window.addEventListener('beforeunload', () => {
+            this.saveData();
+        });
+        
+        // Save when page becomes hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.saveData();
+            }
+        });
+
+        // Save on form changes with debouncing
+        this.setupAutoSaveOnChanges();
+    }
+
+    setupAutoSaveOnChanges() {
+        let saveTimeout;
+        const debouncedSave = () => {
+            clearTimeout(saveTimeout);
+            saveTimeout = setTimeout(() => this.saveData(), 2000);
+        };
+
+        // Monitor form inputs
+        document.addEventListener('input', debouncedSave);
+        document.addEventListener('change', debouncedSave);
+    }
+
+    // Picks the best storage backend this browser supports: IndexedDB, then localStorage, then memory.
+    // A database upgrade held up by another tab is waited out rather than treated as unavailable,
+    // since falling back would load and write a dataset separate from the real one.
+    async testStorageAvailability() {
+        const candidates = [IndexedDBAdapter, LocalStorageAdapter];
+        const options = {
+            onBlocked: () => {
+                this.updateDataStatus('⏳ Waiting for other tabs to close', 'saving');
+                this.showToast('EduManage is updating its storage. Close or reload your other EduManage tabs to continue.', 'warning');
+            },
+            onVersionChange: () => {
+                this.storageLocked = true;
+                this.updateDataStatus('⛔ Updated in another tab • Reload to keep saving', 'error');
+                this.showToast('EduManage was updated in another tab. Reload this tab to keep saving your changes.', 'error');
+            }
+        };
+
+        for (const Adapter of candidates) {
+            try {
+                if (Adapter.isAvailable()) {
+                    return await new Adapter(this.entityCollections, options).open();
+                }
+            } catch (e) {
+                console.warn(`⚠️ ${Adapter.name} not available:`, e);
+            }
+        }
+
+        return new MemoryStorageAdapter(this.entityCollections);
+    }
+
+    async loadData() {
+        try {
+            let data = await this.loadFromAdapter();
+            let needsFullSave = false;
+            
+            if (!data) {
+                console.log('📥 Migrating legacy localStorage data...');
+                data = this.loadFromStorage(this.storageKeys.primary) || this.loadFromStorage(this.storageKeys.backup);
+                needsFullSave = !!data;
+            }
+            
+            if (!data) {
+                console.log('📥 Loading initial data...');
+                data = this.getInitialData();
+                needsFullSave = true;
+            }
+            
+            data = this.migrateData(data).data;
+            this.data = { ...this.data, ...data };
+            this.validateAndRepairData();
+            this.indexRecordVersions();
+            this.updateEnrollmentCounts();
+            this.lastSaveTime = Date.now();
+            
+            const latestSnapshot = (await this.storage.listSnapshots()).find(snapshot => snapshot.kind === 'auto');
+            this.lastSnapshotTime = latestSnapshot ? Date.parse(latestSnapshot.createdAt) : null;
+            
+            if (needsFullSave && await this.saveData()) {
+                this.clearLegacyStorage();
+            }
+            
+            console.log('✅ Data loaded successfully');
+        } catch (error) {
+            if (error instanceof SchemaVersionError) {
+                // Never write over data saved by a newer version of the app
+                console.error('⛔ Stored data is newer than this app:', error);
+                this.storageLocked = true;
+                this.updateDataStatus('⛔ Newer data format • Saving disabled', 'error');
+                this.showToast('Your saved data was created by a newer version. Please update the app; nothing will be saved.', 'error');
+                return;
+            }
+            console.error('❌ Error loading data:', error);
+            this.showToast('Error loading data. Using default dataset.', 'error');
+            this.data = { ...this.data, ...this.getInitialData() };
+            this.validateAndRepairData();
+            this.saveData();
+        }
+    }
+
+    async loadFromAdapter() {
+        const stored = await this.storage.load();
+        if (!stored) return null;
+
+        const data = { ...stored.meta };
+        this.entityCollections.forEach(collection => {
+            data[collection] = stored.records[collection] || [];
+        });
+        this.rememberPersistedState(data);
+        return data;
+    }
+
+    // Upgrades a stored or imported payload to CURRENT_SCHEMA_VERSION.
+    // Works on a copy so a failing step leaves the original untouched.
+    migrateData(data) {
+        const fromVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+        if (fromVersion > CURRENT_SCHEMA_VERSION) {
+            throw new SchemaVersionError(fromVersion, CURRENT_SCHEMA_VERSION);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data));
+        SCHEMA_MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                console.log(`🔀 Migrating data to schema v${migration.version}: ${migration.description}`);
+                migrated = migration.migrate(migrated);
+                migrated.schemaVersion = migration.version;
+            });
+        migrated.schemaVersion = CURRENT_SCHEMA_VERSION;
+
+        return { data: migrated, fromVersion };
+    }
+
+    // Reads the single-blob format written by earlier versions
+    loadFromStorage(key) {
+        try {
+            const stored = localStorage.getItem(key);
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                if (parsed && typeof parsed === 'object' && 
+                    parsed.courses && parsed.students && parsed.instructors) {
+                    return parsed;
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️ Failed to load from ${key}:`, error);
+        }
+        
+        return null;
+    }
+
+    clearLegacyStorage() {
+        try {
+            Object.values(this.storageKeys).forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.warn('⚠️ Could not remove legacy storage keys:', error);
+        }
+    }
+
+    // CHANGE TRACKING
+    // Serialized copy of what the adapter currently holds, used to work out which records changed
+    rememberPersistedState(data) {
+        this.persistedRecords = {};
+        this.entityCollections.forEach(collection => {
+            this.persistedRecords[collection] = new Map(
+                (data[collection] || []).map(record => [record.id, JSON.stringify(record)])
+            );
+        });
+        this.persistedMeta = {};
+        Object.keys(data)
+            .filter(key => !this.entityCollections.includes(key))
+            .forEach(key => { this.persistedMeta[key] = JSON.stringify(data[key]); });
+    }
+
+    // Records changed outside a DataCommand have to be marked here to be saved. Without
+    // `ids` the whole collection is compared; names that aren't collections are meta keys.
+    markDirty(collection, ids = null) {
+        if (!this.entityCollections.includes(collection)) {
+            this.dirty.meta.add(collection);
+            return;
+        }
+        const marked = this.dirty.records.get(collection);
+        if (marked === 'all') return;
+        if (ids === null) {
+            this.dirty.records.set(collection, 'all');
+            return;
+        }
+        const set = marked || new Set();
+        ids.forEach(id => set.add(id));
+        this.dirty.records.set(collection, set);
+    }
+
+    // For wholesale replacements (load, import, restore): the next save compares everything
+    markAllDirty() {
+        this.dirty.all = true;
+    }
+
+    // Serializes only the marked records and meta keys and compares them with what was last
+    // written. Takes the marks; saveData puts them back if the write fails.
+    collectChanges() {
+        const changes = { puts: [], deletes: [], meta: {} };
+        const metaJson = {};
+        const { records: marks, meta: metaMarks, all } = this.dirty;
+        this.dirty = { records: new Map(), meta: new Set(), all: false };
+
+        this.entityCollections.forEach(collection => {
+            const marked = all ? 'all' : marks.get(collection);
+            if (!marked) return;
+
+            const previous = this.persistedRecords[collection] || new Map();
+            const list = this.data[collection] || [];
+            const present = new Set();
+            (marked === 'all' ? list : list.filter(record => marked.has(record.id))).forEach(record => {
+                const json = JSON.stringify(record);
+                present.add(record.id);
+                if (previous.get(record.id) !== json) changes.puts.push({ collection, record, json });
+            });
+
+            [...(marked === 'all' ? previous.keys() : marked)]
+                .filter(id => !present.has(id) && previous.has(id))
+                .forEach(id => changes.deletes.push({ collection, id }));
+        });
+
+        Object.keys(this.data)
+            .filter(key => !this.entityCollections.includes(key) && (all || metaMarks.has(key)))
+            .forEach(key => {
+                const json = JSON.stringify(this.data[key]);
+                if (this.persistedMeta[key] !== json) {
+                    changes.meta[key] = this.data[key];
+                    metaJson[key] = json;
+                }
+            });
+
+        changes.isEmpty = changes.puts.length === 0 && changes.deletes.length === 0 &&
+            Object.keys(changes.meta).length === 0;
+        return { changes, metaJson };
+    }
+
+    // Writes only the records that changed since the last successful save.
+    // Saves are queued so an autosave tick never races an explicit save.
+    saveData() {
+        if (this.storageLocked) {
+            console.warn('⚠️ Storage locked, data not saved');
+            return Promise.resolve(false);
+        }
+
+        const { changes, metaJson } = this.collectChanges();
+        const stamped = this.stampRecordVersions(changes);
+        if (stamped.length > 0) {
+            // Version stamps and sync queue entries are records too; pick them up in this save
+            this.enqueueRemoteSync(stamped);
+            const bookkeeping = this.collectChanges();
+            changes.puts.push(...bookkeeping.changes.puts);
+            changes.deletes.push(...bookkeeping.changes.deletes);
+            changes.isEmpty = changes.isEmpty && bookkeeping.changes.isEmpty;
+        }
+        const auditEntries = changes.puts.filter(put => put.collection === 'auditLog').map(put => put.record);
+        const now = Date.now();
+        const snapshotDue = !this.lastSnapshotTime || (now - this.lastSnapshotTime >= 3600000);
+        const snapshot = snapshotDue ? this.createSnapshot('auto', 'Automatic snapshot') : null;
+        if (snapshot) this.lastSnapshotTime = now;
+
+        // Diff the next save against this one even before it lands, so a change is
+        // only written, versioned and queued once; a failed write puts it back
+        const replaced = [];
+        const remember = (store, key, json) => {
+            replaced.push({ store, key, had: store.has(key), json: store.get(key) });
+            if (json === null) store.delete(key);
+            else store.set(key, json);
+        };
+        changes.puts.forEach(({ collection, record, json }) => remember(this.persistedRecords[collection], record.id, json));
+        changes.deletes.forEach(({ collection, id }) => remember(this.persistedRecords[collection], id, null));
+        const previousMeta = { ...this.persistedMeta };
+        Object.assign(this.persistedMeta, metaJson);
+
+        this.pendingSave = this.pendingSave.then(async () => {
+            try {
+                if (!changes.isEmpty) {
+                    this.updateDataStatus('💾 Saving...', 'saving');
+                    await this.storage.commit(changes);
+                    this.broadcastSync({
+                        type: 'changes',
+                        tabId: this.tabId,
+                        records: stamped,
+                        audit: JSON.parse(JSON.stringify(auditEntries)),
+                        meta: changes.meta
+                    });
+                }
+                
+            } catch (error) {
+                replaced.reverse().forEach(({ store, key, had, json }) => {
+                    if (had) store.set(key, json);
+                    else store.delete(key);
+                });
+                Object.keys(metaJson).forEach(key => { this.persistedMeta[key] = previousMeta[key]; });
+                changes.puts.forEach(({ collection, record }) => this.markDirty(collection, [record.id]));
+                changes.deletes.forEach(({ collection, id }) => this.markDirty(collection, [id]));
+                Object.keys(changes.meta).forEach(key => this.markDirty(key));
+                console.error('❌ Error saving data:', error);
+                this.updateDataStatus('❌ Save Error', 'error');
+                this.showToast('Error saving data. Please try again.', 'error');
+                return false;
+            }
+
+            // Rolling restore point (at most one per hour). The data is already saved, so a
+            // failure here is reported without undoing the save and retried an hour later.
+            if (snapshot) {
+                try {
+                    await this.storage.saveSnapshot(snapshot);
+                    await this.pruneSnapshots();
+                    console.log('💾 Restore point created');
+                } catch (error) {
+                    console.error('❌ Error creating restore point:', error);
+                    this.showToast('Data saved, but the hourly restore point could not be created', 'warning');
+                }
+            }
+
+            this.lastSaveTime = now;
+            this.updateDataStatus(this.idleStatusText());
+
+            if (!changes.isEmpty) {
+                console.log(`💾 Data saved (${changes.puts.length} written, ${changes.deletes.length} removed)`);
+            }
+            return true;
+        });
+
+        return this.pendingSave;
+    }
+
+    createSnapshot(kind, label) {
+        const counts = {};
+        this.restorableCollections.forEach(collection => {
+            counts[collection] = (this.data[collection] || []).length;
+        });
+
+        // The audit log is never restored and sync bookkeeping and the AI provider
+        // (which may hold an API key) belong to this browser, so they stay out of snapshots
+        const { auditLog, recordVersions, syncQueue, syncSettings, aiProvider, ...data } = this.data;
+
+        return {
+            id: `${kind}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            kind,
+            label,
+            createdAt: new Date().toISOString(),
+            counts,
+            data: JSON.parse(JSON.stringify(data))
+        };
+    }
+
+    // CROSS-TAB SYNC
+    // Every tab writes to the same storage, so each save is broadcast to the other tabs with
+    // per-record version numbers. A change whose base version matches ours is applied as-is;
+    // two tabs writing on top of the same version is a conflict, settled the same way in both
+    // tabs (higher version, then later write, then tab id) and reported to the user.
+    setupTabSync() {
+        try {
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.syncChannel = new BroadcastChannel('edumanage_ai_sync');
+                this.syncChannel.onmessage = (e) => this.receiveSyncMessage(e.data);
+            } else if (this.storageAvailable) {
+                window.addEventListener('storage', (e) => {
+                    if (e.key === 'edumanage_ai_sync' && e.newValue) {
+                        this.receiveSyncMessage(JSON.parse(e.newValue));
+                    }
+                });
+            }
+            console.log('🔗 Tab sync ready:', this.tabId);
+        } catch (error) {
+            console.warn('⚠️ Tab sync unavailable:', error);
+        }
+    }
+
+    broadcastSync(message) {
+        try {
+            if (this.syncChannel) {
+                this.syncChannel.postMessage(message);
+            } else if (this.storageAvailable) {
+                localStorage.setItem('edumanage_ai_sync', JSON.stringify(message));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not notify other tabs:', error);
+        }
+    }
+
+    indexRecordVersions() {
+        this.versionIndex = new Map(this.data.recordVersions.map(entry => [entry.id, entry]));
+    }
+
+    recordVersion(collection, id) {
+        const entry = this.versionIndex.get(`${collection}-${id}`);
+        return entry ? entry.version : 0;
+    }
+
+    // Bumps the version of every record in this save and returns what other tabs need to know
+    stampRecordVersions(changes) {
+        const stamped = [];
+        const updatedAt = Date.now();
+        const written = [
+            ...changes.puts.map(({ collection, record, json }) => ({ collection, id: record.id, json })),
+            ...changes.deletes.map(({ collection, id }) => ({ collection, id, json: null }))
+        ].filter(({ collection }) => this.restorableCollections.includes(collection));
+
+        written.forEach(({ collection, id, json }) => {
+            const key = `${collection}-${id}`;
+            let entry = this.versionIndex.get(key);
+            if (!entry) {
+                entry = { id: key, version: 0 };
+                this.data.recordVersions.push(entry);
+                this.versionIndex.set(key, entry);
+            }
+            entry.version++;
+            entry.updatedAt = updatedAt;
+            entry.tabId = this.tabId;
+            this.markDirty('recordVersions', [key]);
+
+            stamped.push({
+                collection,
+                id,
+                json,
+                version: entry.version,
+                baseVersion: entry.version - 1,
+                updatedAt,
+                tabId: this.tabId,
+                remoteModifiedAt: entry.remoteModifiedAt || 0
+            });
+        });
+
+        return stamped;
+    }
+
+    receiveSyncMessage(message) {
+        if (!message || message.type !== 'changes' || message.tabId === this.tabId || this.storageLocked) return;
+
+        // Wait for our own queued saves so their bookkeeping doesn't overwrite what we apply
+        this.pendingSave = this.pendingSave.then(() => {
+            try {
+                this.applyRemoteChanges(message);
+            } catch (error) {
+                console.error('❌ Error applying changes from another tab:', error);
+            }
+            return true;
+        });
+    }
+
+    applyRemoteChanges(message) {
+        const touched = new Set();
+        const conflicts = [];
+        let needsSave = false;
+
+        message.records.forEach(change => {
+            const key = `${change.collection}-${change.id}`;
+            const local = this.versionIndex.get(key);
+            const localVersion = local ? local.version : 0;
+
+            if (change.version <= localVersion && local.updatedAt === change.updatedAt && local.tabId === change.tabId) return;
+
+            if (localVersion <= change.baseVersion) {
+                this.applyRemoteRecord(change);
+                touched.add(key);
+                return;
+            }
+
+            if (change.version < localVersion) return;
+
+            const list = this.data[change.collection];
+            const localRecord = list.find(record => record.id === change.id);
+            const localJson = localRecord ? JSON.stringify(localRecord) : null;
+            if (localJson === change.json) {
+                // Same content reached both tabs (e.g. both pulled it from the server)
+                if (change.version > localVersion) this.applyRemoteRecord(change);
+                return;
+            }
+
+            // Both tabs saved on top of the same version
+            const remoteWins = change.version !== localVersion ? change.version > localVersion
+                : change.updatedAt !== local.updatedAt ? change.updatedAt > local.updatedAt
+                : change.tabId > local.tabId;
+            const name = this.describeRecord(change.collection, localRecord || JSON.parse(change.json || '{}'));
+
+            if (remoteWins) {
+                // Two tabs creating a record under the same id: ours moves to a fresh id instead of being lost
+                if (change.version === 1 && localVersion === 1 && localRecord && change.json) {
+                    const id = this.getNextId(list);
+                    list.push({ ...localRecord, id });
+                    this.markDirty(change.collection, [id]);
+                    needsSave = true;
+                }
+                this.applyRemoteRecord(change);
+                touched.add(key);
+            } else {
+                // The losing tab's write reached storage after ours, so the winner writes again
+                this.persistedRecords[change.collection].set(change.id, '');
+                this.markDirty(change.collection, [change.id]);
+                needsSave = true;
+            }
+            conflicts.push({ name, remoteWins });
+        });
+
+        if (this.mergeRemoteAuditEntries(message.audit || [])) needsSave = true;
+
+        Object.entries(message.meta || {}).forEach(([key, value]) => {
+            this.data[key] = value;
+            this.persistedMeta[key] = JSON.stringify(value);
+            if (key === 'syncSettings') this.configureRemoteSync();
+            if (key === 'aiSettings') {
+                this.aiEnabled = value.enabled !== false;
+                this.updateAIStatus();
+                this.updateAIControls();
+            }
+        });
+
+        if (touched.size > 0) {
+            this.dropHistoryFor(touched);
+            this.notifyOpenEditConflict(touched);
+        }
+
+        if (conflicts.length > 0) {
+            const lost = conflicts.filter(conflict => conflict.remoteWins).map(conflict => conflict.name);
+            const kept = conflicts.filter(conflict => !conflict.remoteWins).map(conflict => conflict.name);
+            const parts = [];
+            if (lost.length) parts.push(`another tab's version of ${lost.join(', ')} replaced yours`);
+            if (kept.length) parts.push(`your version of ${kept.join(', ')} was kept over another tab's`);
+            console.warn('⚠️ Conflicting edits from another tab:', conflicts);
+            this.showToast(`Conflicting edit: ${parts.join('; ')}`, 'warning');
+        }
+
+        if (needsSave) this.saveData();
+
+        this.updateAllDropdowns();
+        this.showSection(this.currentSection);
+        if (touched.size > 0) console.log(`🔗 Applied ${touched.size} change(s) from another tab`);
+    }
+
+    // Undo steps recorded against records changed elsewhere would clobber that change
+    dropHistoryFor(touched) {
+        const untouched = command => !command.changes.some(change => touched.has(`${change.collection}-${change.id}`));
+        this.history.undo = this.history.undo.filter(untouched);
+        this.history.redo = this.history.redo.filter(untouched);
+    }
+
+    applyRemoteRecord(change) {
+        const list = this.data[change.collection];
+        const index = list.findIndex(record => record.id === change.id);
+
+        if (change.json === null) {
+            if (index !== -1) list.splice(index, 1);
+            this.persistedRecords[change.collection].delete(change.id);
+        } else {
+            const record = JSON.parse(change.json);
+            if (index !== -1) list[index] = record;
+            else list.push(record);
+            this.persistedRecords[change.collection].set(change.id, change.json);
+        }
+
+        const key = `${change.collection}-${change.id}`;
+        let entry = this.versionIndex.get(key);
+        if (!entry) {
+            entry = { id: key };
+            this.data.recordVersions.push(entry);
+            this.versionIndex.set(key, entry);
+        }
+        Object.assign(entry, {
+            version: change.version,
+            updatedAt: change.updatedAt,
+            tabId: change.tabId,
+            remoteModifiedAt: change.remoteModifiedAt || 0
+        });
+        this.persistedRecords.recordVersions.set(key, JSON.stringify(entry));
+    }
+
+    // Audit ids are "last id + 1" in each tab, so two tabs can hand out the same id.
+    // The older entry keeps it and the other is appended under a new id.
+    mergeRemoteAuditEntries(entries) {
+        const log = this.data.auditLog;
+        let needsSave = false;
+
+        entries.forEach(entry => {
+            const json = JSON.stringify(entry);
+            const index = log.findIndex(existing => existing.id === entry.id);
+
+            if (index === -1) {
+                log.push(entry);
+                this.persistedRecords.auditLog.set(entry.id, json);
+                return;
+            }
+
+            const existingJson = JSON.stringify(log[index]);
+            if (existingJson === json) return;
+
+            const remoteFirst = entry.timestamp !== log[index].timestamp
+                ? entry.timestamp < log[index].timestamp
+                : json < existingJson;
+            const { id, ...moved } = remoteFirst ? log[index] : entry;
+            if (remoteFirst) {
+                log[index] = entry;
+                this.persistedRecords.auditLog.set(entry.id, json);
+            }
+
+            const movedJson = JSON.stringify(moved);
+            const alreadyMoved = log.some(({ id: existingId, ...fields }) => JSON.stringify(fields) === movedJson);
+            if (!alreadyMoved) {
+                const movedId = Math.max(...log.map(existing => existing.id)) + 1;
+                log.push({ id: movedId, ...moved });
+                this.markDirty('auditLog', [movedId]);
+                needsSave = true;
+            }
+        });
+
+        log.sort((a, b) => a.id - b.id);
+        this.renderRecentActivity();
+        return needsSave;
+    }
+
+    // Remembers which record an edit form was opened for and at which version
+    trackEdit(collection, id) {
+        this.openEdit = { collection, id, version: this.recordVersion(collection, id) };
+    }
+
+    isStaleEdit(collection, id) {
+        const edit = this.openEdit;
+        return !!edit && edit.collection === collection && edit.id === id &&
+            this.recordVersion(collection, id) !== edit.version;
+    }
+
+    notifyOpenEditConflict(touched) {
+        const edit = this.openEdit;
+        if (!edit || !touched.has(`${edit.collection}-${edit.id}`)) return;
+
+        const modalIds = { courses: 'courseModal', students: 'studentModal', instructors: 'instructorModal' };
+        const modal = document.getElementById(modalIds[edit.collection]);
+        if (!modal || modal.classList.contains('hidden')) return;
+
+        const record = this.data[edit.collection].find(r => r.id === edit.id);
+        this.showToast(`${record ? record.name : 'This record'} was just changed in another tab. Saving will ask before overwriting it.`, 'warning');
+    }
+
+    // Asks before a form submit overwrites changes another tab made after the form was opened
+    confirmStaleEdit(collection, id, name, retry) {
+        if (!this.isStaleEdit(collection, id)) return true;
+
+        this.showConfirmModal(
+            `"${name}" was changed in another tab after you opened this form. Save your version and overwrite those changes?`,
+            () => {
+                hideModal('confirmModal');
+                this.trackEdit(collection, id);
+                retry();
+            }
+        );
+        return false;
+    }
+
+    // REMOTE SYNC
+    // Optional push/pull against a REST endpoint (see server/server.js). Local saves queue
+    // their changes in the syncQueue collection, which survives reloads while offline.
+    // Each record carries the server's last-modified time it was based on; a refused write
+    // (409) is settled by keeping whichever edit is newer.
+    configureRemoteSync() {
+        const settings = this.data.syncSettings;
+
+        if (this.syncInterval) {
+            clearInterval(this.syncInterval);
+            this.syncInterval = null;
+        }
+
+        if (!settings.enabled || !settings.endpoint) {
+            this.syncState = 'disabled';
+            this.updateDataStatus(this.idleStatusText());
+            return;
+        }
+
+        this.syncInterval = setInterval(() => this.syncNow(), 30000);
+        this.syncNow();
+    }
+
+    bindSyncConnectivity() {
+        window.addEventListener('online', () => {
+            if (this.data.syncSettings.enabled) this.syncNow();
+        });
+        window.addEventListener('offline', () => {
+            if (!this.data.syncSettings.enabled) return;
+            this.syncState = 'offline';
+            this.updateDataStatus(this.idleStatusText());
+        });
+    }
+
+    idleStatusText() {
+        const queued = this.data.syncQueue.length;
+        switch (this.syncState) {
+            case 'synced':
+                return '☁️ Synced with server';
+            case 'offline':
+                return `📴 Offline • ${queued} change${queued === 1 ? '' : 's'} queued`;
+            case 'error':
+                return `⚠️ Sync error • ${queued} change${queued === 1 ? '' : 's'} queued`;
+            case 'syncing':
+                return '🔄 Syncing...';
+            default:
+                return '🤖 AI-Powered • Data Synced';
+        }
+    }
+
+    // Called from saveData for every record this tab just wrote
+    enqueueRemoteSync(stamped) {
+        if (!this.data.syncSettings.enabled || this.applyingServerChanges) return;
+
+        stamped.forEach(change => {
+            const id = `${change.collection}-${change.id}`;
+            const index = this.data.syncQueue.findIndex(item => item.id === id);
+            const item = {
+                id,
+                collection: change.collection,
+                recordId: change.id,
+                op: change.json === null ? 'delete' : 'put',
+                data: change.json === null ? null : JSON.parse(change.json),
+                modifiedAt: change.updatedAt,
+                // A record edited twice while offline is still based on what the server had
+                baseModifiedAt: index !== -1 ? this.data.syncQueue[index].baseModifiedAt : change.remoteModifiedAt
+            };
+
+            if (index !== -1) this.data.syncQueue[index] = item;
+            else this.data.syncQueue.push(item);
+            this.markDirty('syncQueue', [id]);
+        });
+    }
+
+    async syncRequest(method, path, body = null) {
+        const settings = this.data.syncSettings;
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+
+        let response;
+        try {
+            response = await fetch(`${settings.endpoint.replace(/\/+$/, '')}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new SyncError('Server unreachable', 0);
+        }
+
+        const payload = await response.json().catch(() => ({}));
+        if (response.status === 409) return { conflict: true, current: payload.current || null };
+        if (!response.ok) throw new SyncError(payload.error || `HTTP ${response.status}`, response.status);
+        return payload;
+    }
+
+    async syncNow() {
+        const settings = this.data.syncSettings;
+        if (!settings.enabled || !settings.endpoint || this.storageLocked) return false;
+        if (this.syncInFlight) return this.syncInFlight;
+
+        this.syncInFlight = (async () => {
+            this.syncState = 'syncing';
+            this.updateDataStatus(this.idleStatusText(), 'saving');
+
+            try {
+                // Let queued local saves land first so their changes are in the queue
+                await this.pendingSave;
+                const firstSync = settings.cursor === null || settings.cursor === undefined;
+                const conflicts = firstSync ? await this.runFirstSync() : [];
+                conflicts.push(...await this.pushSyncQueue());
+                await this.pullServerChanges();
+
+                settings.lastSyncedAt = new Date().toISOString();
+                this.markDirty('syncSettings');
+                this.syncState = 'synced';
+                this.saveData();
+                this.renderSyncStatus();
+
+                if (conflicts.length > 0) {
+                    const serverWon = conflicts.filter(conflict => conflict.serverWon).map(conflict => conflict.name);
+                    const localWon = conflicts.filter(conflict => !conflict.serverWon && !conflict.rekeyed).map(conflict => conflict.name);
+                    const rekeyed = conflicts.filter(conflict => conflict.rekeyed).map(conflict => conflict.name);
+                    const parts = [];
+                    if (serverWon.length) parts.push(`a newer server version of ${serverWon.join(', ')} replaced yours`);
+                    if (localWon.length) parts.push(`your newer edit of ${localWon.join(', ')} replaced the server's`);
+                    if (rekeyed.length) parts.push(`${rekeyed.join(', ')} got a new id because another admin created a record with the same one`);
+                    console.warn('⚠️ Sync conflicts:', conflicts);
+                    this.showToast(`Sync conflict: ${parts.join('; ')}`, 'warning');
+                }
+                return true;
+            } catch (error) {
+                this.syncState = error instanceof SyncError && error.status === 0 ? 'offline' : 'error';
+                console.warn('⚠️ Sync failed:', error.message);
+                this.renderSyncStatus(error.message);
+                return false;
+            } finally {
+                this.updateDataStatus(this.idleStatusText(), this.syncState === 'error' ? 'error' : 'success');
+                this.syncInFlight = null;
+            }
+        })();
+
+        return this.syncInFlight;
+    }
+
+    // An empty server is seeded from this browser; otherwise the server's catalog is adopted
+    // and the local records are offered as a merge on top of it, with a restore point so the
+    // local data can still be brought back later
+    async runFirstSync() {
+        const { cursor, changes } = await this.syncRequest('GET', '/changes?since=0');
+        const live = changes.filter(change => !change.deleted);
+
+        if (live.length === 0) {
+            this.restorableCollections.forEach(collection => {
+                this.data[collection].forEach(record => {
+                    const key = `${collection}-${record.id}`;
+                    if (this.data.syncQueue.some(item => item.id === key)) return;
+                    const entry = this.versionIndex.get(key);
+                    this.data.syncQueue.push({
+                        id: key,
+                        collection,
+                        recordId: record.id,
+                        op: 'put',
+                        data: JSON.parse(JSON.stringify(record)),
+                        modifiedAt: entry && entry.updatedAt ? entry.updatedAt : Date.now(),
+                        baseModifiedAt: 0
+                    });
+                });
+            });
+            this.data.syncSettings.cursor = 0;
+            this.markDirty('syncQueue');
+            this.markDirty('syncSettings');
+            console.log(`☁️ Seeding empty server with ${this.data.syncQueue.length} records`);
+            return [];
+        }
+
+        await this.storage.saveSnapshot(this.createSnapshot('system', 'Before first server sync'));
+
+        // Everything below runs only once the full server catalog is in hand, and without
+        // awaiting, so a failed request or another tab's save never sees a half-swapped dataset
+        const localCatalog = {};
+        this.restorableCollections.forEach(collection => {
+            localCatalog[collection] = JSON.parse(JSON.stringify(this.data[collection]));
+            this.data[collection] = [];
+            this.markDirty(collection);
+        });
+        this.data.syncQueue = [];
+        this.markDirty('syncQueue');
+        this.clearHistory();
+        this.applyServerChanges(live);
+        this.data.syncSettings.cursor = cursor;
+        this.markDirty('syncSettings');
+        this.updateEnrollmentCounts();
+
+        const plan = this.planMerge(localCatalog);
+        if (plan.added.length === 0 && plan.conflicts.length === 0) {
+            this.showToast('Loaded the shared catalog from the server. Your local data matched it.', 'success');
+            return [];
+        }
+
+        plan.source = 'sync';
+        this.pendingMerge = plan;
+        this.renderMergeConflicts();
+        showModal('mergeModal');
+        this.showToast('Loaded the shared catalog from the server. Review which of your local records to merge into it; your previous local data is also saved as a restore point.', 'warning');
+        return [];
+    }
+
+    async pushSyncQueue() {
+        const conflicts = [];
+        const pushed = new Set();
+        let item;
+
+        // Always takes the latest queue entry: a re-keyed record rewrites other entries and adds its own
+        while ((item = this.data.syncQueue.find(queued => !pushed.has(queued.id)))) {
+            pushed.add(item.id);
+            let result = await this.pushSyncItem(item);
+
+            if (result.conflict) {
+                const current = result.current;
+                const serverModifiedAt = current ? current.modifiedAt : 0;
+
+                if (item.op === 'put' && item.baseModifiedAt === 0 && current && !current.deleted) {
+                    // Created here and on another client under the same id: two different records
+                    if (this.rekeyCreatedRecord(item, current)) {
+                        conflicts.push({ name: this.describeRecord(item.collection, item.data), rekeyed: true });
+                    } else {
+                        this.applyServerChanges([current]);
+                        this.removeSyncItem(item);
+                    }
+                    continue;
+                }
+
+                if (item.modifiedAt > serverModifiedAt) {
+                    // Our edit is newer: write it again on top of the server's version
+                    result = await this.pushSyncItem({ ...item, baseModifiedAt: serverModifiedAt });
+                    conflicts.push({ name: this.describeRecord(item.collection, item.data || current.data || { id: item.recordId }), serverWon: false });
+                } else {
+                    this.applyServerChanges([current]);
+                    this.removeSyncItem(item);
+                    conflicts.push({ name: this.describeRecord(item.collection, current.data || item.data || { id: item.recordId }), serverWon: true });
+                    continue;
+                }
+            }
+
+            if (!result.conflict) {
+                const entry = this.versionIndex.get(item.id);
+                if (entry) entry.remoteModifiedAt = result.modifiedAt;
+                this.markDirty('recordVersions', [item.id]);
+                this.removeSyncItem(item);
+            }
+        }
+
+        return conflicts;
+    }
+
+    // Another client created a different record under the id this browser gave a new record
+    // while offline. Ours moves to a fresh id and the server's record takes the old one.
+    // Only records with unpushed local edits can point at ours; everything else that uses the
+    // id came from the server and means the other client's record. Returns false if our
+    // record is gone.
+    rekeyCreatedRecord(item, current) {
+        const { collection, recordId } = item;
+        const list = this.data[collection];
+        const local = list.find(record => record.id === recordId);
+        if (!local) return false;
+
+        const freshId = Math.max(this.getNextId(list), recordId + 1);
+        const localEdits = new Set(this.data.syncQueue.map(queued => queued.id));
+        const touched = this.rewriteRecordReferences(collection, recordId, freshId, localEdits);
+        local.id = freshId;
+        list.push(current.data);
+        touched.add(item.id);
+        touched.add(`${collection}-${freshId}`);
+        this.markDirty(collection, [recordId, freshId]);
+
+        // The server already has the record now under the old id, so nothing is queued for it
+        const entry = this.versionIndex.get(item.id);
+        if (entry) entry.remoteModifiedAt = current.modifiedAt;
+        this.markDirty('recordVersions', [item.id]);
+        this.dropHistoryFor(touched);
+        this.notifyOpenEditConflict(touched);
+        this.saveData();
+        this.data.syncQueue = this.data.syncQueue.filter(queued => queued.id !== item.id);
+        this.markDirty('syncQueue', [item.id]);
+
+        console.warn(`☁️ ${collection} #${recordId} was also created on another client; ours is now #${freshId}`);
+        this.updateAllDropdowns();
+        this.showSection(this.currentSection);
+        return true;
+    }
+
+    // Points references from `fromId` to `toId` in the records whose keys are in `within`;
+    // returns the keys of the records it changed
+    rewriteRecordReferences(collection, fromId, toId, within) {
+        const touched = new Set();
+        const each = (name, rewrite) => this.data[name].forEach(record => {
+            const key = `${name}-${record.id}`;
+            if (within.has(key) && rewrite(record)) {
+                touched.add(key);
+                this.markDirty(name, [record.id]);
+            }
+        });
+        const swap = ids => ids.includes(fromId) ? ids.map(id => id === fromId ? toId : id) : null;
+        const swapList = (record, field) => {
+            const ids = swap(record[field] || []);
+            if (ids) record[field] = ids;
+            return !!ids;
+        };
+        const swapField = (record, field) => {
+            if (record[field] !== fromId) return false;
+            record[field] = toId;
+            return true;
+        };
+
+        if (collection === 'courses') {
+            each('students', student => swapList(student, 'courses'));
+            each('instructors', instructor => swapList(instructor, 'courses'));
+            each('enrollments', enrollment => swapField(enrollment, 'courseId'));
+            each('waitlist', entry => swapField(entry, 'courseId'));
+            each('courses', course => {
+                if (!course.prerequisites) return false;
+                const groups = course.prerequisites.groups.map(group => swap(group) || group);
+                const changed = groups.some((group, index) => group !== course.prerequisites.groups[index]);
+                course.prerequisites.groups = groups;
+                return changed;
+            });
+        } else if (collection === 'students') {
+            each('enrollments', enrollment => swapField(enrollment, 'studentId'));
+            each('waitlist', entry => swapField(entry, 'studentId'));
+        } else if (collection === 'instructors') {
+            each('courses', course => swapField(course, 'instructorId'));
+        } else if (collection === 'rooms') {
+            each('courses', course => !!course.schedule && swapField(course.schedule, 'roomId'));
+        }
+
+        return touched;
+    }
+
+    pushSyncItem(item) {
+        const path = `/${item.collection}/${item.recordId}`;
+        const body = { modifiedAt: item.modifiedAt, baseModifiedAt: item.baseModifiedAt };
+        return item.op === 'delete'
+            ? this.syncRequest('DELETE', path, body)
+            : this.syncRequest('PUT', path, { ...body, data: item.data });
+    }
+
+    // Leaves the entry alone if the record was edited again while its push was in flight
+    removeSyncItem(item) {
+        this.markDirty('syncQueue', [item.id]);
+        const index = this.data.syncQueue.findIndex(queued => queued.id === item.id);
+        if (index !== -1 && this.data.syncQueue[index].modifiedAt === item.modifiedAt) {
+            this.data.syncQueue.splice(index, 1);
+        } else if (index !== -1) {
+            this.data.syncQueue[index].baseModifiedAt = (this.versionIndex.get(item.id) || {}).remoteModifiedAt || 0;
+        }
+    }
+
+    async pullServerChanges() {
+        const settings = this.data.syncSettings;
+        const { cursor, changes } = await this.syncRequest('GET', `/changes?since=${settings.cursor || 0}`);
+
+        const incoming = changes.filter(change => {
+            const key = `${change.collection}-${change.id}`;
+            const entry = this.versionIndex.get(key);
+            // Skip echoes of our own writes, and records with a pending local edit
+            // (the next push compares timestamps for those)
+            if (entry && entry.remoteModifiedAt === change.modifiedAt) return false;
+            return !this.data.syncQueue.some(item => item.id === key);
+        });
+
+        this.applyServerChanges(incoming);
+        settings.cursor = cursor;
+        this.markDirty('syncSettings');
+        if (incoming.length > 0) console.log(`☁️ Pulled ${incoming.length} change(s) from server`);
+    }
+
+    applyServerChanges(changes) {
+        if (changes.length === 0) return;
+        const touched = new Set();
+
+        changes.forEach(change => {
+            if (!this.restorableCollections.includes(change.collection)) return;
+
+            const list = this.data[change.collection];
+            const index = list.findIndex(record => record.id === change.id);
+            if (change.deleted) {
+                if (index !== -1) list.splice(index, 1);
+            } else if (index !== -1) {
+                list[index] = change.data;
+            } else {
+                list.push(change.data);
+            }
+
+            const key = `${change.collection}-${change.id}`;
+            let entry = this.versionIndex.get(key);
+            if (!entry) {
+                entry = { id: key, version: 0 };
+                this.data.recordVersions.push(entry);
+                this.versionIndex.set(key, entry);
+            }
+            entry.remoteModifiedAt = change.modifiedAt;
+            this.markDirty(change.collection, [change.id]);
+            this.markDirty('recordVersions', [key]);
+            touched.add(key);
+        });
+
+        this.dropHistoryFor(touched);
+        this.notifyOpenEditConflict(touched);
+
+        // Saved like any local change so other tabs hear about it, but never queued back to the server
+        this.applyingServerChanges = true;
+        try {
+            this.saveData();
+        } finally {
+            this.applyingServerChanges = false;
+        }
+
+        this.updateAllDropdowns();
+        this.showSection(this.currentSection);
+    }
+
+    openSyncSettings() {
+        const settings = this.data.syncSettings;
+        document.getElementById('syncEnabled').checked = !!settings.enabled;
+        document.getElementById('syncEndpoint').value = settings.endpoint || '';
+        document.getElementById('syncToken').value = settings.token || '';
+        this.renderSyncStatus();
+        showModal('syncModal');
+    }
+
+    renderSyncStatus(errorMessage = null) {
+        const container = document.getElementById('sync-status-detail');
+        if (!container) return;
+
+        const settings = this.data.syncSettings;
+        const queued = this.data.syncQueue.length;
+        container.innerHTML = `
+            <div><strong>Status:</strong> ${this.idleStatusText()}</div>
+            <div><strong>Last synced:</strong> ${settings.lastSyncedAt ? new Date(settings.lastSyncedAt).toLocaleString() : 'Never'}</div>
+            <div><strong>Queued changes:</strong> ${queued}</div>
+            ${errorMessage ? `<div class="sync-error">⚠️ ${errorMessage}</div>` : ''}
+        `;
+    }
+
+    saveSyncSettings() {
+        const endpoint = document.getElementById('syncEndpoint').value.trim();
+        const enabled = document.getElementById('syncEnabled').checked;
+
+        if (enabled && !/^https?:\/\/\S+$/.test(endpoint)) {
+            this.showToast('Enter the server URL, e.g. http://localhost:3000/api', 'error');
+            return;
+        }
+
+        const previous = this.data.syncSettings;
+        const serverChanged = previous.endpoint !== endpoint;
+        this.data.syncSettings = {
+            ...previous,
+            enabled,
+            endpoint,
+            token: document.getElementById('syncToken').value.trim(),
+            // A different server starts from scratch
+            cursor: serverChanged ? null : previous.cursor
+        };
+        this.markDirty('syncSettings');
+        if (serverChanged || !enabled) {
+            this.data.syncQueue = [];
+            this.data.recordVersions.forEach(entry => { delete entry.remoteModifiedAt; });
+            this.markDirty('syncQueue');
+            this.markDirty('recordVersions');
+        }
+
+        this.saveData();
+        this.configureRemoteSync();
+        this.renderSyncStatus();
+        this.showToast(enabled ? 'Server sync enabled' : 'Server sync disabled');
+    }
+
+    async testSyncConnection() {
+        const endpoint = document.getElementById('syncEndpoint').value.trim().replace(/\/+$/, '');
+        const token = document.getElementById('syncToken').value.trim();
+
+        try {
+            const response = await fetch(`${endpoint}/health`, {
+                headers: token ? { Authorization: `Bearer ${token}` } : {}
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.showToast('Connected to sync server');
+        } catch (error) {
+            this.showToast(`Could not reach sync server: ${error.message}`, 'error');
+        }
+    }
+
+    startAutoSave() {
+        if (this.autoSaveInterval) {
+            clearInterval(this.autoSaveInterval);
+        }
+        
+        this.autoSaveInterval = setInterval(() => {
+            this.saveData();
+        }, 30000); // Save every 30 seconds
+        
+        console.log('⏰ Auto-save started (30s intervals)');
+    }
+
+    // Only runs after the data was loaded or replaced wholesale, so the next save compares everything
+    validateAndRepairData() {
+        console.log('🔧 Validating data integrity...');
+        this.markAllDirty();
+        
+        // Ensure all arrays exist
+        if (!Array.isArray(this.data.courses)) this.data.courses = [];
+        if (!Array.isArray(this.data.students)) this.data.students = [];
+        if (!Array.isArray(this.data.instructors)) this.data.instructors = [];
+        if (!Array.isArray(this.data.categories)) this.data.categories = [];
+        if (!Array.isArray(this.data.enrollments)) this.data.enrollments = [];
+        if (!Array.isArray(this.data.rooms)) this.data.rooms = [];
+        if (!Array.isArray(this.data.waitlist)) this.data.waitlist = [];
+        if (!Array.isArray(this.data.auditLog)) this.data.auditLog = [];
+        if (!Array.isArray(this.data.recordVersions)) this.data.recordVersions = [];
+        if (!Array.isArray(this.data.syncQueue)) this.data.syncQueue = [];
+        if (!this.data.syncSettings) {
+            this.data.syncSettings = { enabled: false, endpoint: '', token: '', cursor: null, lastSyncedAt: null };
+        }
+        if (!this.data.aiProvider) {
+            this.data.aiProvider = { type: 'template', endpoint: '', apiKey: '', model: '', timeoutSeconds: 30 };
+        }
+        
+        // Ensure AI settings exist
+        if (!this.data.aiSettings) {
+            this.data.aiSettings = {
+                enabled: true,
+                autoRecommendations: true,
+                autoDescriptions: true,
+                smartSuggestions: true,
+                predictiveAnalytics: true,
+                confidenceThreshold: 0.7
+            };
+        }
+        
+        if (!Array.isArray(this.data.recommendationFeedback)) this.data.recommendationFeedback = [];
+        this.data.waitlistSettings = { ...WAITLIST_DEFAULTS, ...(this.data.waitlistSettings || {}) };
+
+        if (!this.data.snapshotSettings) {
+            this.data.snapshotSettings = { hourlyRetention: 24, dailyRetention: 30 };
+        }
+        
+        // Repair course data
+        this.data.courses.forEach((course, index) => {
+            if (!course.id) course.id = index + 1;
+            if (course.aiGenerated === undefined) course.aiGenerated = false;
+            if (course.popularity === undefined) course.popularity = Math.floor(Math.random() * 40) + 60;
+            if (!course.tags) course.tags = [];
+            if (course.schedule === undefined) course.schedule = null;
+            if (course.prerequisites === undefined) course.prerequisites = null;
+            if (course.prerequisites) {
+                course.prerequisites.groups = (course.prerequisites.groups || [])
+                    .map(group => group.filter(id => id !== course.id && this.data.courses.some(c => c.id === id)))
+                    .filter(group => group.length > 0);
+            }
+        });
+        
+        // Repair student data
+        this.data.students.forEach((student, index) => {
+            if (!student.id) student.id = index + 1;
+            if (!Array.isArray(student.courses)) student.courses = [];
+            if (!student.level) student.level = 'Beginner';
+            if (!Array.isArray(student.interests)) student.interests = [];
+            if (!student.aiRecommendations) student.aiRecommendations = [];
+            if (!student.learningPath) student.learningPath = [];
+        });
+        
+        // Repair instructor data
+        this.data.instructors.forEach((instructor, index) => {
+            if (!instructor.id) instructor.id = index + 1;
+            if (!Array.isArray(instructor.courses)) instructor.courses = [];
+            if (!Array.isArray(instructor.expertise)) instructor.expertise = [];
+            if (instructor.aiOptimized === undefined) instructor.aiOptimized = false;
+            if (!instructor.availability) instructor.availability = [];
+            if (instructor.rating === undefined) instructor.rating = null;
+        });
+        
+        // Repair enrollment data
+        this.data.enrollments = this.data.enrollments.filter(enrollment => {
+            const hasValidStudent = this.data.students.some(s => s.id === enrollment.studentId);
+            const hasValidCourse = this.data.courses.some(c => c.id === enrollment.courseId);
+            
+            // Add missing properties
+            if (enrollment.aiSuggested === undefined) enrollment.aiSuggested = Math.random() > 0.7;
+            if (enrollment.progress === undefined) enrollment.progress = 0;
+            RiskDetector.seedProgressHistory(enrollment);
+            if (!ENROLLMENT_STATUSES.includes(enrollment.status)) enrollment.status = 'Active';
+            if (!Array.isArray(enrollment.statusHistory)) {
+                enrollment.statusHistory = EnrollmentLifecycle.initialHistory(enrollment.status, enrollment.enrollmentDate || null);
+            }
+            
+            return hasValidStudent && hasValidCourse;
+        });
+
+        this.data.waitlist = this.data.waitlist.filter(entry =>
+            this.data.students.some(s => s.id === entry.studentId) && this.data.courses.some(c => c.id === entry.courseId)
+        );
+        
+        console.log('✅ Data integrity validated and repaired');
+    }
+
+    updateEnrollmentCounts() {
+        this.data.courses.forEach(course => {
+            const enrolled = this.data.enrollments.filter(
+                enrollment => enrollment.courseId === course.id && EnrollmentLifecycle.isOpen(enrollment)
+            ).length;
+            if (course.enrolled === enrolled) return;
+            course.enrolled = enrolled;
+            this.markDirty('courses', [course.id]);
+        });
+    }
+
+    updateDataStatus(message, type = 'success') {
+        const statusElement = document.getElementById('data-status');
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.className = type === 'error' ? 'error' : type === 'saving' ? 'saving' : '';
+        }
+    }
+
+    // AI SYSTEM INITIALIZATION
+    initializeAI() {
+        console.log('🤖 Initializing AI system...');
+        this.aiEnabled = this.data.aiSettings.enabled;
+        this.updateAIStatus();
+        this.updateAIControls();
+        this.generateDashboardInsights();
+    }
+
+    // Features: autoRecommendations (student cards), autoDescriptions (writing buttons),
+    // smartSuggestions (enrollment form) and predictiveAnalytics (insights and forecasts)
+    aiFeatureEnabled(feature) {
+        return this.aiEnabled && this.data.aiSettings[feature] !== false;
+    }
+
+    isBelowConfidenceThreshold(confidence) {
+        return confidence < (this.data.aiSettings.confidenceThreshold || 0);
+    }
+
+    updateAIControls() {
+        const writing = this.aiFeatureEnabled('autoDescriptions');
+        document.querySelectorAll('.ai-generate-btn').forEach(button => button.classList.toggle('hidden', !writing));
+    }
+
+    // Re-renders everything that depends on the AI settings
+    applyAISettings() {
+        this.aiEnabled = this.data.aiSettings.enabled !== false;
+        this.updateAIStatus();
+        this.updateAIControls();
+        this.showSection(this.currentSection);
+    }
+
+    openAISettings() {
+        const settings = this.data.aiSettings;
+        document.getElementById('aiSettingEnabled').checked = settings.enabled !== false;
+        ['autoRecommendations', 'autoDescriptions', 'smartSuggestions', 'predictiveAnalytics'].forEach(feature => {
+            document.getElementById(`aiSetting-${feature}`).checked = settings[feature] !== false;
+        });
+        document.getElementById('aiSettingThreshold').value = Math.round((settings.confidenceThreshold || 0) * 100);
+        this.updateAISettingsForm();
+        this.renderRecommendationMetrics();
+        showModal('aiSettingsModal');
+    }
+
+    updateAISettingsForm() {
+        const enabled = document.getElementById('aiSettingEnabled').checked;
+        document.querySelectorAll('#aiSettingsModal .ai-feature-toggle input').forEach(input => { input.disabled = !enabled; });
+        document.getElementById('ai-threshold-value').textContent = `${document.getElementById('aiSettingThreshold').value}%`;
+    }
+
+    saveAISettings() {
+        const settings = { ...this.data.aiSettings, enabled: document.getElementById('aiSettingEnabled').checked };
+        ['autoRecommendations', 'autoDescriptions', 'smartSuggestions', 'predictiveAnalytics'].forEach(feature => {
+            settings[feature] = document.getElementById(`aiSetting-${feature}`).checked;
+        });
+        settings.confidenceThreshold = parseInt(document.getElementById('aiSettingThreshold').value) / 100;
+
+        this.data.aiSettings = settings;
+        this.markDirty('aiSettings');
+        this.saveData();
+        this.applyAISettings();
+        this.showToast('AI settings saved');
+        hideModal('aiSettingsModal');
+    }
+
+    updateAIStatus() {
+        const statusElement = document.getElementById('ai-status');
+        if (statusElement) {
+            statusElement.textContent = this.aiEnabled ? '🤖 AI: ON' : '🤖 AI: OFF';
+        }
+        
+        const toggleButton = document.querySelector('.ai-toggle');
+        if (toggleButton) {
+            toggleButton.className = this.aiEnabled ? 'btn btn--sm btn--outline ai-toggle' : 'btn btn--sm btn--outline ai-toggle disabled';
+        }
+    }
+
+    toggleAI() {
+        this.data.aiSettings.enabled = !this.aiEnabled;
+        this.markDirty('aiSettings');
+        this.applyAISettings();
+        this.saveData();
+        
+        const message = this.aiEnabled ? 'AI system activated' : 'AI system deactivated';
+        this.showToast(message, this.aiEnabled ? 'success' : 'warning');
+    }
+
+    // AI DESCRIPTION GENERATION
+    async generateAIDescription() {
+        if (!this.aiFeatureEnabled('autoDescriptions')) {
+            this.showToast('AI writing is turned off in AI settings', 'warning');
+            return;
+        }
+        if (this.aiGeneration) {
+            this.aiGeneration.abort('cancelled');
+            return;
+        }
+
+        const courseName = document.getElementById('courseName').value.trim();
+        const courseCategory = document.getElementById('courseCategory').value;
+        const courseLevel = document.getElementById('courseLevel').value;
+
+        if (!courseName || !courseCategory || !courseLevel) {
+            this.showToast('Please fill in course name, category, and level first', 'warning');
+            return;
+        }
+
+        // The form has no tags field, so an edited course keeps contributing its stored tags
+        const existing = this.data.courses.find(c => c.id === parseInt(document.getElementById('courseId').value));
+        const indicator = document.getElementById('description-ai-indicator');
+        if (indicator) indicator.classList.add('hidden');
+
+        const result = await this.streamAIText({
+            task: 'courseDescription',
+            context: {
+                name: courseName,
+                category: courseCategory,
+                level: courseLevel,
+                tags: existing ? existing.tags || [] : [],
+                duration: document.getElementById('courseDuration').value.trim()
+            },
+            buttonId: 'ai-description-btn',
+            targetId: 'courseDescription',
+            label: 'Description'
+        });
+
+        const source = document.getElementById('description-source');
+        if (result && indicator && source) {
+            source.textContent = result.provider.label;
+            indicator.classList.remove('hidden');
+        }
+    }
+
+    async generateInstructorBio() {
+        if (!this.aiFeatureEnabled('autoDescriptions')) {
+            this.showToast('AI writing is turned off in AI settings', 'warning');
+            return;
+        }
+        if (this.aiGeneration) {
+            this.aiGeneration.abort('cancelled');
+            return;
+        }
+
+        const instructorName = document.getElementById('instructorName').value.trim();
+        const department = document.getElementById('instructorDepartment').value;
+        const experience = document.getElementById('instructorExperience').value;
+        const expertise = document.getElementById('instructorExpertise').value.trim();
+
+        if (!instructorName || !department || !experience) {
+            this.showToast('Please fill in basic instructor information first', 'warning');
+            return;
+        }
+
+        await this.streamAIText({
+            task: 'instructorBio',
+            context: {
+                name: instructorName,
+                department,
+                experience,
+                expertise: expertise ? expertise.split(',').map(skill => skill.trim()).filter(skill => skill.length > 0) : []
+            },
+            buttonId: 'ai-bio-btn',
+            targetId: 'instructorBio',
+            label: 'Bio'
+        });
+    }
+
+    async generateSyllabus({ replace = false } = {}) {
+        if (!this.aiFeatureEnabled('autoDescriptions')) {
+            this.showToast('AI writing is turned off in AI settings', 'warning');
+            return;
+        }
+        if (this.aiGeneration) {
+            this.aiGeneration.abort('cancelled');
+            return;
+        }
+
+        const course = {
+            name: document.getElementById('courseName').value.trim(),
+            category: document.getElementById('courseCategory').value,
+            level: document.getElementById('courseLevel').value,
+            duration: document.getElementById('courseDuration').value.trim(),
+            startDate: document.getElementById('courseStartDate').value,
+            endDate: document.getElementById('courseEndDate').value,
+            description: document.getElementById('courseDescription').value.trim()
+        };
+
+        if (!course.name || !course.category || !course.level) {
+            this.showToast('Please fill in course name, category, and level first', 'warning');
+            return;
+        }
+
+        if (this.readSyllabusForm() && !replace) {
+            this.showConfirmModal('Replace the current syllabus with a generated one?', () => {
+                hideModal('confirmModal');
+                this.generateSyllabus({ replace: true });
+            });
+            return;
+        }
+
+        const existing = this.data.courses.find(c => c.id === parseInt(document.getElementById('courseId').value));
+        const status = document.getElementById('syllabus-status');
+        const result = await this.streamAIText({
+            task: 'courseSyllabus',
+            context: { ...course, tags: existing ? existing.tags || [] : [], weeks: SyllabusBuilder.weekCount(course) },
+            buttonId: 'ai-syllabus-btn',
+            label: 'Syllabus',
+            onToken: partial => { status.textContent = `Generating… ${partial.length} characters received`; },
+            parse: text => SyllabusBuilder.parse(text)
+        });
+
+        status.textContent = '';
+        if (result) {
+            this.renderSyllabusEditor({ ...result.value, generatedBy: result.provider.label });
+        }
+    }
+
+    // AI TEXT GENERATION
+    createAIProvider(settings = this.data.aiProvider) {
+        return settings.type === 'openai' ? new OpenAICompatibleProvider(settings) : new TemplateTextProvider();
+    }
+
+    // Streams provider output into a textarea (targetId) or to onToken. Clicking the generate
+    // button again cancels; a cancelled or failed run puts back whatever the field held before.
+    // `parse` turns the finished text into the value handed back, throwing if it is unusable.
+    async streamAIText({ task, context, buttonId, targetId, label, onToken, parse }) {
+        const button = document.getElementById(buttonId);
+        const target = targetId ? document.getElementById(targetId) : null;
+        const original = target ? target.value : null;
+        const provider = this.createAIProvider();
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort('timeout'), (this.data.aiProvider.timeoutSeconds || 30) * 1000);
+
+        this.aiGeneration = controller;
+        this.setAIButtonBusy(button, true);
+
+        try {
+            const text = await provider.generate(task, context, {
+                signal: controller.signal,
+                onToken: partial => {
+                    if (target) target.value = partial;
+                    if (onToken) onToken(partial);
+                }
+            });
+            const value = parse ? parse(text) : text;
+            if (target) {
+                target.value = text;
+                // Let inline validation see the new value
+                target.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            this.showToast(`AI ${label.toLowerCase()} generated with ${provider.label}`, 'success');
+            return { text, value, provider };
+        } catch (error) {
+            if (target) target.value = original;
+            if (error instanceof AIProviderError && error.reason === 'cancelled') {
+                this.showToast('AI generation cancelled', 'warning');
+            } else {
+                this.showToast(`Could not generate ${label.toLowerCase()}: ${error.message}`, 'error');
+                console.error('AI Generation Error:', error);
+            }
+            return null;
+        } finally {
+            clearTimeout(timeout);
+            this.aiGeneration = null;
+            this.setAIButtonBusy(button, false);
+        }
+    }
+
+    setAIButtonBusy(button, busy) {
+        if (!button) return;
+        button.querySelector('.ai-loading').classList.toggle('hidden', !busy);
+        button.querySelector('.ai-default').classList.toggle('hidden', busy);
+        button.title = busy ? 'Click to stop generating' : '';
+    }
+
+    openAIProviderSettings() {
+        const settings = this.data.aiProvider;
+        document.getElementById('aiProviderType').value = settings.type;
+        document.getElementById('aiProviderEndpoint').value = settings.endpoint || '';
+        document.getElementById('aiProviderModel').value = settings.model || '';
+        document.getElementById('aiProviderApiKey').value = settings.apiKey || '';
+        document.getElementById('aiProviderTimeout').value = settings.timeoutSeconds || 30;
+        this.updateAIProviderForm();
+        document.getElementById('ai-provider-status').innerHTML = '';
+        showModal('aiProviderModal');
+    }
+
+    updateAIProviderForm() {
+        const remote = document.getElementById('aiProviderType').value === 'openai';
+        document.getElementById('ai-provider-remote').classList.toggle('hidden', !remote);
+    }
+
+    // Returns the settings in the modal, or null after reporting what is missing
+    readAIProviderForm() {
+        const settings = {
+            type: document.getElementById('aiProviderType').value,
+            endpoint: document.getElementById('aiProviderEndpoint').value.trim(),
+            model: document.getElementById('aiProviderModel').value.trim(),
+            apiKey: document.getElementById('aiProviderApiKey').value.trim(),
+            timeoutSeconds: parseInt(document.getElementById('aiProviderTimeout').value) || 30
+        };
+
+        if (settings.type === 'openai') {
+            if (!/^https?:\/\/\S+$/.test(settings.endpoint)) {
+                this.showToast('Enter the API base URL, e.g. http://localhost:11434/v1', 'error');
+                return null;
+            }
+            if (!settings.model) {
+                this.showToast('Enter the model name, e.g. llama3.1', 'error');
+                return null;
+            }
+        }
+        return settings;
+    }
+
+    saveAIProviderSettings() {
+        const settings = this.readAIProviderForm();
+        if (!settings) return;
+
+        this.data.aiProvider = settings;
+        this.markDirty('aiProvider');
+        this.saveData();
+        this.showToast(`AI text generation now uses ${this.createAIProvider().label}`);
+        hideModal('aiProviderModal');
+    }
+
+    async testAIProvider() {
+        const settings = this.readAIProviderForm();
+        if (!settings) return;
+
+        const status = document.getElementById('ai-provider-status');
+        const provider = this.createAIProvider(settings);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort('timeout'), settings.timeoutSeconds * 1000);
+        status.innerHTML = '<div>Testing…</div>';
+
+        try {
+            const text = await provider.generate('courseDescription', {
+                name: 'Introduction to Programming', category: 'Programming', level: 'Beginner', tags: ['Python'], duration: '4 weeks'
+            }, { signal: controller.signal });
+            // Model output and provider errors are shown as text, never parsed as HTML
+            status.innerHTML = '<div><strong></strong> answered:</div><div class="ai-provider-sample"></div>';
+            status.querySelector('strong').textContent = provider.label;
+            status.querySelector('.ai-provider-sample').textContent = text;
+        } catch (error) {
+            status.innerHTML = '<div class="sync-error"></div>';
+            status.firstChild.textContent = `⚠️ ${error.message}`;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // AI RECOMMENDATIONS
+    generateCourseRecommendations(studentId) {
+        if (!this.aiEnabled) return [];
+
+        const student = this.data.students.find(s => s.id === studentId);
+        if (!student) return [];
+
+        return this.recommender.recommend(student, this.data, { feedback: this.data.recommendationFeedback });
+    }
+
+    // RECOMMENDATION FEEDBACK
+    recordRecommendationFeedback(studentId, recommendation, action, source) {
+        const feedback = this.data.recommendationFeedback;
+        const event = {
+            id: this.getNextId(feedback),
+            studentId,
+            courseId: recommendation.course.id,
+            action,
+            reasonType: recommendation.reasonType,
+            confidence: Math.round(recommendation.confidence * 100) / 100,
+            source,
+            timestamp: new Date().toISOString()
+        };
+        feedback.push(event);
+        if (feedback.length > RECOMMENDER_FEEDBACK_LIMIT) feedback.splice(0, feedback.length - RECOMMENDER_FEEDBACK_LIMIT);
+        this.markDirty('recommendationFeedback');
+        return event;
+    }
+
+    dismissRecommendation(studentId, courseId, source) {
+        const recommendation = this.generateCourseRecommendations(studentId).find(rec => rec.course.id === courseId);
+        const student = this.data.students.find(s => s.id === studentId);
+        if (!recommendation || !student) return;
+
+        const event = this.recordRecommendationFeedback(studentId, recommendation, 'dismissed', source);
+        this.saveData();
+        this.refreshRecommendations(source);
+        this.showToast(`${recommendation.course.name} won't be suggested to ${student.name} again`, 'success', {
+            label: 'Undo',
+            onClick: () => this.undoRecommendationDismissal(event.id, source)
+        });
+    }
+
+    undoRecommendationDismissal(eventId, source) {
+        this.data.recommendationFeedback = this.data.recommendationFeedback.filter(event => event.id !== eventId);
+        this.markDirty('recommendationFeedback');
+        this.saveData();
+        this.refreshRecommendations(source);
+    }
+
+    refreshRecommendations(source) {
+        if (source === 'enrollment-form') {
+            this.updateEnrollmentRecommendations();
+        } else {
+            this.renderStudents();
+        }
+    }
+
+    useEnrollmentSuggestion(courseId) {
+        const select = document.getElementById('enrollmentCourse');
+        select.value = courseId;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+        document.querySelectorAll('#enrollment-ai-suggestions .ai-recommendation-item').forEach(item => {
+            item.classList.toggle('selected', parseInt(item.dataset.courseId) === courseId);
+        });
+    }
+
+    // Suggestions shown in the enrollment form count as accepted when their course is
+    // chosen and as ignored when another course is
+    recordEnrollmentSuggestionFeedback(studentId, courseId) {
+        const shown = this.enrollmentSuggestions;
+        this.enrollmentSuggestions = null;
+        if (!shown || shown.studentId !== studentId) return false;
+
+        const dismissed = new Set(this.data.recommendationFeedback
+            .filter(event => event.studentId === studentId && event.action === 'dismissed')
+            .map(event => event.courseId));
+        let accepted = false;
+        shown.recommendations
+            .filter(rec => !dismissed.has(rec.course.id))
+            .forEach(rec => {
+                const chosen = rec.course.id === courseId;
+                if (chosen) accepted = true;
+                this.recordRecommendationFeedback(studentId, rec, chosen ? 'accepted' : 'ignored', 'enrollment-form');
+            });
+        return accepted;
+    }
+
+    renderRecommendationMetrics() {
+        const container = document.getElementById('recommendation-metrics');
+        if (!container) return;
+
+        const stats = CourseRecommender.feedbackStats(this.data.recommendationFeedback);
+        if (stats.all.decisions === 0) {
+            container.innerHTML = '<p class="section-description">No feedback yet. Enrolling from, dismissing or passing over a suggestion is recorded here.</p>';
+            return;
+        }
+
+        const rate = entry => entry.rate === null ? '—' : InsightEngine.percent(entry.rate);
+        const row = (label, entry) => `
+            <tr>
+                <td>${label}</td>
+                <td>${entry.accepted}</td>
+                <td>${entry.dismissed}</td>
+                <td>${entry.ignored}</td>
+                <td><strong>${rate(entry)}</strong></td>
+            </tr>
+        `;
+
+        container.innerHTML = `
+            <table class="table recommendation-metrics-table">
+                <thead>
+                    <tr><th>Leading reason</th><th>Accepted</th><th>Dismissed</th><th>Ignored</th><th>Acceptance</th></tr>
+                </thead>
+                <tbody>
+                    ${Object.entries(RECOMMENDER_SIGNAL_LABELS).map(([key, label]) => row(label, stats[key])).join('')}
+                </tbody>
+                <tfoot>${row('All suggestions', stats.all)}</tfoot>
+            </table>
+        `;
+    }
+
+    updateEnrollmentRecommendations() {
+        const container = document.getElementById('enrollment-ai-suggestions');
+        if (!container) return;
+        container.innerHTML = '';
+        this.enrollmentSuggestions = null;
+        if (!this.aiFeatureEnabled('smartSuggestions')) return;
+
+        const studentId = parseInt(document.getElementById('enrollmentStudent').value);
+        if (!studentId) return;
+
+        const recommendations = this.generateCourseRecommendations(studentId);
+        this.enrollmentSuggestions = { studentId, recommendations };
+
+        if (recommendations.length > 0) {
+            container.innerHTML = `
+                <h4>🤖 AI Recommendations</h4>
+                ${recommendations.map(rec => {
+                    const low = this.isBelowConfidenceThreshold(rec.confidence);
+                    return `
+                        <div class="ai-recommendation-item ${low ? 'ai-recommendation-item--low' : ''}" data-course-id="${rec.course.id}" ${low ? 'title="Below your AI confidence threshold"' : ''}>
+                            <div class="ai-recommendation-content">
+                                <div class="ai-recommendation-title">${rec.course.name}</div>
+                                <div class="ai-recommendation-reason">${rec.reason}</div>
+                            </div>
+                            <div class="ai-confidence-score">${Math.round(rec.confidence * 100)}%${low ? ' <small>low</small>' : ''}</div>
+                            <div class="ai-recommendation-actions">
+                                <button type="button" class="btn btn--sm btn--outline" onclick="cms.useEnrollmentSuggestion(${rec.course.id})">Use</button>
+                                <button type="button" class="btn-icon recommendation-dismiss" onclick="cms.dismissRecommendation(${studentId}, ${rec.course.id}, 'enrollment-form')" title="Not interested">✕</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            `;
+        }
+    }
+
+    generateDashboardInsights() {
+        if (!this.aiFeatureEnabled('predictiveAnalytics')) {
+            ['courses-insight', 'students-insight', 'instructors-insight', 'enrollments-insight'].forEach(id => {
+                const element = document.getElementById(id);
+                if (element) element.textContent = '';
+            });
+            const container = document.getElementById('ai-dashboard-recommendations');
+            if (container) container.innerHTML = '';
+            return;
+        }
+
+        setTimeout(() => {
+            const today = new Date().toISOString().split('T')[0];
+            const metrics = this.insightEngine.computeMetrics(this.data, today);
+            const percent = InsightEngine.percent;
+            const setInsight = (id, text) => {
+                const element = document.getElementById(id);
+                if (element) element.textContent = text;
+            };
+
+            setInsight('courses-insight', metrics.fillRate === null
+                ? '📊 No open seats yet'
+                : `📊 ${percent(metrics.fillRate)} seats filled${metrics.fullCourses ? ` • ${metrics.fullCourses} full` : ''}`);
+
+            const completion = metrics.completionRate !== null
+                ? `🎯 ${percent(metrics.completionRate)} completion`
+                : metrics.averageProgress !== null ? `🎯 ${percent(metrics.averageProgress / 100)} avg progress` : '';
+            setInsight('students-insight', metrics.coursesPerStudent === null
+                ? '📚 No students yet'
+                : `📚 Avg ${metrics.coursesPerStudent.toFixed(1)} courses/student${completion ? ` • ${completion}` : ''}`);
+
+            setInsight('instructors-insight', metrics.averageRating === null
+                ? '⭐ No ratings yet'
+                : `⭐ ${metrics.averageRating.toFixed(1)} avg rating (${metrics.ratedInstructors} rated)`);
+
+            const growth = metrics.growth;
+            let growthText = `📭 No new enrollments in ${growth.windowDays * 2} days`;
+            if (growth.rate !== null) {
+                growthText = `${growth.rate >= 0 ? '📈 +' : '📉 '}${percent(growth.rate)} vs previous ${growth.windowDays} days`;
+            } else if (growth.recent > 0) {
+                growthText = `🆕 ${growth.recent} new in the last ${growth.windowDays} days`;
+            }
+            setInsight('enrollments-insight', growthText);
+
+            // Dashboard recommendations
+            this.generateDashboardRecommendations(metrics);
+        }, 500);
+    }
+
+    generateDashboardRecommendations(metrics) {
+        const container = document.getElementById('ai-dashboard-recommendations');
+        if (!container) return;
+
+        const recommendations = this.insightEngine.recommend(metrics).slice(0, 3);
+
+        container.innerHTML = `
+            <h4>🤖 AI Strategic Recommendations</h4>
+            ${recommendations.length === 0 ? `
+                <div class="ai-recommendation-item">
+                    <div class="ai-recommendation-content">
+                        <div class="ai-recommendation-title">No action needed</div>
+                        <div class="ai-recommendation-reason">Capacity, workload, growth and completion are all within their thresholds</div>
+                    </div>
+                </div>
+            ` : recommendations.map(rec => `
+                <div class="ai-recommendation-item">
+                    <div class="ai-recommendation-content">
+                        <div class="ai-recommendation-title">${rec.title}</div>
+                        <div class="ai-recommendation-reason">${rec.description}</div>
+                    </div>
+                    <div class="ai-confidence-score">${rec.metric}</div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // ANALYTICS DASHBOARD
+    initializeCharts() {
+        this.createPopularityChart();
+        this.createForecastChart();
+    }
+
+    createPopularityChart() {
+        const ctx = document.getElementById('popularityChart');
+        if (!ctx) return;
+
+        const courseNames = this.data.courses.map(course => course.name.length > 20 ? 
+            course.name.substring(0, 20) + '...' : course.name);
+        const popularityData = this.data.courses.map(course => course.popularity || Math.floor(Math.random() * 40) + 60);
+
+        if (this.charts.popularity) {
+            this.charts.popularity.destroy();
+        }
+
+        this.charts.popularity = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: courseNames,
+                datasets: [{
+                    label: 'Course Popularity',
+                    data: popularityData,
+                    backgroundColor: ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F'],
+                    borderColor: ['#1FB8CD', '#FFC185', '#B4413C', '#ECEBD5', '#5D878F'],
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    title: {
+                        display: true,
+                        text: '🤖 AI-Powered Course Analytics'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100
+                    }
+                }
+            }
+        });
+    }
+
+    // ENROLLMENT FORECAST
+    forecastsEnabled() {
+        return this.aiFeatureEnabled('predictiveAnalytics');
+    }
+
+    getCourseForecasts() {
+        if (!this.forecastsEnabled()) return new Map();
+        const today = new Date().toISOString().split('T')[0];
+        return new Map(this.forecaster.forecastCourses(this.data, today).map(forecast => [forecast.course.id, forecast]));
+    }
+
+    createForecastChart() {
+        const panel = document.getElementById('forecast-panel');
+        const ctx = document.getElementById('forecastChart');
+        if (!panel || !ctx) return;
+
+        if (this.charts.forecast) {
+            this.charts.forecast.destroy();
+            this.charts.forecast = null;
+        }
+
+        panel.classList.toggle('hidden', !this.forecastsEnabled());
+        if (!this.forecastsEnabled()) return;
+
+        const today = new Date().toISOString().split('T')[0];
+        const { labels, historyWeeks, categories } = this.forecaster.categorySeries(this.data, today);
+        const colors = ['#1FB8CD', '#FFC185', '#B4413C', '#5D878F', '#D2BA4C', '#964325'];
+        const datasets = [];
+        categories.forEach(({ category, actual, projected }, i) => {
+            const color = colors[i % colors.length];
+            datasets.push({
+                label: category,
+                data: actual,
+                borderColor: color,
+                backgroundColor: color,
+                tension: 0.2
+            });
+            datasets.push({
+                label: `${category} (forecast)`,
+                // Starts at the last actual point so the dashed line continues the solid one
+                data: [...new Array(historyWeeks - 1).fill(null), ...projected],
+                borderColor: color,
+                backgroundColor: color,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                tension: 0.2
+            });
+        });
+
+        this.charts.forecast = new Chart(ctx, {
+            type: 'line',
+            data: { labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: { filter: item => !item.text.endsWith('(forecast)') }
+                    },
+                    title: {
+                        display: true,
+                        text: `📈 Cumulative enrollments by category, next ${labels.length - historyWeeks} weeks projected`
+                    }
+                },
+                scales: {
+                    y: { beginAtZero: true }
+                }
+            }
+        });
+
+        const alerts = document.getElementById('forecast-alerts');
+        const flagged = [...this.getCourseForecasts().values()].filter(forecast => forecast.risk);
+        alerts.innerHTML = flagged.length === 0
+            ? '<div class="forecast-alert">No upcoming course is projected to sell out or under-fill before it starts</div>'
+            : flagged.map(forecast => `
+                <div class="forecast-alert forecast-alert--${forecast.risk}">
+                    <strong>${forecast.course.name}</strong>: ${forecast.message}
+                </div>
+            `).join('');
+    }
+
+    // CRITICAL FIX: CENTRALIZED DROPDOWN UPDATE SYSTEM
+    updateAllDropdowns() {
+        console.log('🔄 Updating all dropdowns...');
+        
+        // Update course instructor dropdown
+        this.updateCourseInstructorDropdown();
+        this.updateCourseRoomDropdown();
+        
+        // Update enrollment student dropdown
+        this.updateEnrollmentStudentDropdown();
+        
+        // Update enrollment course dropdown
+        this.updateEnrollmentCourseDropdown();
+        
+        // Update filter dropdowns
+        this.updateFilterDropdowns();
+        
+        console.log('✅ All dropdowns updated');
+    }
+
+    updateCourseInstructorDropdown() {
+        const select = document.getElementById('courseInstructor');
+        if (select) {
+            const currentValue = select.value;
+            select.innerHTML = '<option value="">Select Instructor</option>' +
+                this.data.instructors.filter(i => i.status === 'Active').map(instructor => 
+                    `<option value="${instructor.id}">${instructor.name}</option>`
+                ).join('');
+            
+            // Restore selection if still valid
+            if (currentValue && this.data.instructors.some(i => i.id === parseInt(currentValue))) {
+                select.value = currentValue;
+            }
+        }
+    }
+
+    updateCourseRoomDropdown() {
+        const select = document.getElementById('courseRoom');
+        if (select) {
+            const currentValue = select.value;
+            select.innerHTML = '<option value="">No room</option>' +
+                this.data.rooms.map(room => `<option value="${room.id}">${room.name} (${room.capacity} seats)</option>`).join('');
+
+            if (currentValue && this.data.rooms.some(r => r.id === parseInt(currentValue))) {
+                select.value = currentValue;
+            }
+        }
+    }
+
+    updateEnrollmentStudentDropdown() {
+        const select = document.getElementById('enrollmentStudent');
+        if (select) {
+            const currentValue = select.value;
+            select.innerHTML = '<option value="">Select Student</option>' +
+                this.data.students.filter(s => s.status === 'Active').map(student => 
+                    `<option value="${student.id}">${student.name}</option>`
+                ).join('');
+            
+            if (currentValue && this.data.students.some(s => s.id === parseInt(currentValue))) {
+                select.value = currentValue;
+            }
+        }
+    }
+
+    updateEnrollmentCourseDropdown() {
+        const select = document.getElementById('enrollmentCourse');
+        if (select) {
+            const currentValue = select.value;
+            // Full courses stay listed so students can join their waitlist
+            const activeCourses = this.data.courses.filter(c => c.status === 'Active');
+            select.innerHTML = '<option value="">Select Course</option>' +
+                activeCourses.map(course => {
+                    const free = this.waitlistManager.freeSeats(course, this.data);
+                    const waiting = this.waitlistManager.queue(course.id, this.data).length;
+                    return `<option value="${course.id}">${course.name} (${free > 0 ? `${free} spots left` : `full, ${waiting} on waitlist`})</option>`;
+                }).join('');
+            
+            if (currentValue && activeCourses.some(c => c.id === parseInt(currentValue))) {
+                select.value = currentValue;
+            }
+        }
+    }
+
+    updateFilterDropdowns() {
+        const courseFilter = document.getElementById('enrollment-course-filter');
+        if (courseFilter) {
+            const currentValue = courseFilter.value;
+            courseFilter.innerHTML = '<option value="">All Courses</option>' + 
+                this.data.courses.map(course => `<option value="${course.id}">${course.name}</option>`).join('');
+            
+            if (currentValue && this.data.courses.some(c => c.id === parseInt(currentValue))) {
+                courseFilter.value = currentValue;
+            }
+        }
+
+        this.updateCalendarFilters();
+    }
+
+    // EVENT BINDING - FIXED
+    bindEvents() {
+        console.log('🔗 Binding events...');
+        
+        try {
+            // Navigation events - FIXED
+            const navBtns = document.querySelectorAll('.nav-btn');
+            console.log('Found nav buttons:', navBtns.length);
+            
+            navBtns.forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const section = e.target.dataset.section;
+                    console.log('Navigation clicked:', section);
+                    this.showSection(section);
+                });
+            });
+
+            // Form events - FIXED
+            const courseForm = document.getElementById('courseForm');
+            if (courseForm) {
+                courseForm.addEventListener('submit', (e) => this.handleCourseForm(e));
+            }
+            
+            const studentForm = document.getElementById('studentForm');
+            if (studentForm) {
+                studentForm.addEventListener('submit', (e) => this.handleStudentForm(e));
+            }
+            
+            const instructorForm = document.getElementById('instructorForm');
+            if (instructorForm) {
+                instructorForm.addEventListener('submit', (e) => this.handleInstructorForm(e));
+            }
+            
+            const enrollmentForm = document.getElementById('enrollmentForm');
+            if (enrollmentForm) {
+                enrollmentForm.addEventListener('submit', (e) => this.handleEnrollmentForm(e));
+            }
+
+            this.bindFormValidation();
+
+            // Search and filter events
+            this.bindSearchFilters();
+
+            // Ctrl+Z / Ctrl+Shift+Z
+            this.bindUndoShortcuts();
+
+            // Ctrl+K
+            this.bindCommandPalette();
+
+            // Drag-to-reschedule
+            this.bindCalendar();
+
+            // Re-rank instructors and re-check the timetable as the course form changes
+            [
+                'courseName', 'courseCategory', 'courseLevel', 'courseStartDate', 'courseEndDate', 'courseInstructor',
+                'courseCapacity', 'course-schedule-days', 'courseScheduleStart', 'courseScheduleEnd', 'courseRoom'
+            ].forEach(id => {
+                const element = document.getElementById(id);
+                if (!element) return;
+                element.addEventListener('change', () => {
+                    this.updateInstructorSuggestions();
+                    this.updateScheduleConflicts();
+                });
+            });
+
+            const roomForm = document.getElementById('roomForm');
+            if (roomForm) {
+                roomForm.addEventListener('submit', (e) => this.handleRoomForm(e));
+            }
+
+            console.log('✅ Events bound successfully');
+        } catch (error) {
+            console.error('❌ Error binding events:', error);
+        }
+    }
+
+    bindSearchFilters() {
+        const elements = [
+            'course-search', 'course-category-filter', 'course-status-filter',
+            'student-search', 'student-status-filter',
+            'instructor-search', 'instructor-department-filter',
+            'enrollment-search', 'enrollment-course-filter', 'enrollment-risk-filter', 'enrollment-status-filter',
+            'activity-search', 'activity-entity-filter', 'activity-action-filter',
+            'activity-from-date', 'activity-to-date',
+            'calendar-instructor-filter', 'calendar-student-filter', 'calendar-category-filter', 'calendar-room-filter'
+        ];
+
+        elements.forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                const eventType = element.tagName === 'INPUT' ? 'input' : 'change';
+                element.addEventListener(eventType, () => {
+                    if (id.startsWith('activity')) this.filterActivity();
+                    else if (id.startsWith('calendar')) this.renderCalendar();
+                    else if (id.startsWith('enrollment')) this.filterEnrollments();
+                    else if (id.includes('course')) this.filterCourses();
+                    else if (id.includes('student')) this.filterStudents();
+                    else if (id.includes('instructor')) this.filterInstructors();
+                    else if (id.includes('enrollment')) this.filterEnrollments();
+                });
+            }
+        });
+    }
+
+    // SECTION NAVIGATION - FIXED
+    showSection(sectionName) {
+        console.log('📍 Showing section:', sectionName);
+        
+        try {
+            // Update navigation
+            document.querySelectorAll('.nav-btn').forEach(btn => {
+                btn.classList.remove('active');
+            });
+            const activeBtn = document.querySelector(`[data-section="${sectionName}"]`);
+            if (activeBtn) {
+                activeBtn.classList.add('active');
+            }
+
+            // Update sections
+            document.querySelectorAll('.section').forEach(section => {
+                section.classList.remove('active');
+            });
+            const targetSection = document.getElementById(sectionName);
+            if (targetSection) {
+                targetSection.classList.add('active');
+            }
+
+            this.currentSection = sectionName;
+
+            // Render section content
+            switch (sectionName) {
+                case 'dashboard':
+                    this.renderDashboard();
+                    break;
+                case 'courses':
+                    this.renderCourses();
+                    break;
+                case 'students':
+                    this.renderStudents();
+                    break;
+                case 'instructors':
+                    this.renderInstructors();
+                    break;
+                case 'enrollments':
+                    this.renderEnrollments();
+                    break;
+                case 'calendar':
+                    this.renderCalendar();
+                    break;
+                case 'activity':
+                    this.renderActivity();
+                    break;
+            }
+            
+            console.log('✅ Section switched successfully');
+        } catch (error) {
+            console.error('❌ Error switching section:', error);
+        }
+    }
+
+    // RENDER METHODS
+    renderDashboard() {
+        document.getElementById('total-courses').textContent = this.data.courses.length;
+        document.getElementById('total-students').textContent = this.data.students.length;
+        document.getElementById('total-instructors').textContent = this.data.instructors.length;
+        document.getElementById('total-enrollments').textContent = 
+            this.data.enrollments.filter(e => e.status === 'Active').length;
+
+        this.renderRecentActivity();
+        this.renderAtRiskList();
+        this.generateDashboardInsights();
+        setTimeout(() => this.initializeCharts(), 100);
+    }
+
+    renderCourses() {
+        this.updateAllDropdowns();
+        this.displayCourses(this.data.courses);
+    }
+
+    displayCourses(courses) {
+        const grid = document.getElementById('courses-grid');
+        
+        if (courses.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📚</div>
+                    <h3>No courses found</h3>
+                    <p>Start by adding your first course</p>
+                    <button class="btn btn--primary" onclick="cms.addCourse()">Add Course</button>
+                </div>
+            `;
+            return;
+        }
+
+        const forecasts = this.getCourseForecasts();
+        const clashes = this.scheduleDetector.detect(this.data);
+        grid.innerHTML = courses.map(course => {
+            const aiClass = course.aiGenerated ? 'ai-generated' : '';
+            const forecast = forecasts.get(course.id);
+            const schedule = ScheduleConflictDetector.describe(course, this.data.rooms);
+            const courseClashes = clashes.get(course.id) || [];
+            const queue = this.waitlistManager.queue(course.id, this.data);
+            const offered = queue.filter(entry => entry.status === 'Offered').length;
+            const aiIcon = course.aiGenerated ? '<span class="ai-badge">AI-GENERATED</span>' : '';
+            
+            return `
                 <div class="course-card ${aiClass}">
                     <div class="course-header">
                         <h3 class="course-title">${course.name}</h3>
@@ -911,743 +5292,2801 @@ class CourseManagementSystem {
                             <div class="progress-bar" style="width: ${Math.min((course.enrolled / course.capacity) * 100, 100)}%"></div>
                         </div>
                         <div class="progress-text">${Math.round((course.enrolled / course.capacity) * 100)}% capacity</div>
+                        ${schedule ? `<div class="course-schedule">🗓️ ${schedule}</div>` : ''}
+                        ${course.prerequisites ? `<div class="course-prerequisites">🔗 Requires ${this.prerequisiteChecker.describe(course, this.data)}</div>` : ''}
+                        ${courseClashes.length > 0 ? `
+                            <div class="schedule-alert">⚠️ ${courseClashes.map(conflict => conflict.message).join('; ')}</div>
+                        ` : ''}
+                        ${queue.length > 0 ? `
+                            <div class="course-waitlist">
+                                <span>⏳ ${queue.length - offered} waiting${offered > 0 ? ` · ${offered} seat${offered === 1 ? '' : 's'} held` : ''}</span>
+                                <button class="btn btn--sm btn--outline" onclick="cms.openWaitlist(${course.id})">Waitlist</button>
+                            </div>
+                        ` : ''}
                         <div style="margin-top: 12px;">
                             <span class="status status--${course.status.toLowerCase()}">${course.status}</span>
                             ${course.popularity ? `<span class="ai-confidence" style="margin-left: 8px;">🔥 ${course.popularity}% popular</span>` : ''}
                         </div>
+                        ${forecast && forecast.risk ? `
+                            <div class="forecast-alert forecast-alert--${forecast.risk}" title="Based on ${forecast.basis === 'course' ? 'this course' : `the ${course.category} category`}'s enrollment trend">
+                                ${forecast.risk === 'sellout' ? '📈' : '📉'} ${forecast.message}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="course-footer">
+                        <div class="course-price">$${course.price}</div>
+                        <div class="course-actions">
+                            <button class="btn-icon" onclick="cms.exportCourseCalendar(${course.id})" title="Export to Calendar (.ics)">📅</button>
+                            <button class="btn-icon" onclick="cms.printCourseHandout(${course.id})" title="Print Handout">🖨️</button>
+                            <button class="btn-icon btn-edit" onclick="cms.editCourse(${course.id})" title="Edit Course">✏️</button>
+                            <button class="btn-icon btn-delete" onclick="cms.deleteCourse(${course.id})" title="Delete Course">🗑️</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderStudents() {
+        this.displayStudents(this.data.students);
+    }
+
+    displayStudents(students) {
+        const grid = document.getElementById('students-grid');
+        
+        if (students.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">👥</div>
+                    <h3>No students found</h3>
+                    <p>Start by adding your first student</p>
+                    <button class="btn btn--primary" onclick="cms.addStudent()">Add Student</button>
+                </div>
+            `;
+            return;
+        }
+
+        // Sorted most severe first, so a student's first entry is their worst
+        const risks = this.getAtRiskEnrollments();
+        grid.innerHTML = students.map(student => {
+            const enrolledCourses = student.courses.map(courseId => {
+                const course = this.data.courses.find(c => c.id === courseId);
+                return course ? course.name : 'Unknown Course';
+            }).filter(name => name !== 'Unknown Course');
+
+            const aiRecommendations = this.generateCourseRecommendations(student.id);
+            const studentRisks = risks.filter(risk => risk.enrollment.studentId === student.id);
+            const waitlistEntries = this.data.waitlist.filter(entry =>
+                entry.studentId === student.id && WAITLIST_OPEN_STATUSES.includes(entry.status)
+            );
+
+            return `
+                <div class="student-card">
+                    <div class="student-header">
+                        <div class="student-avatar">${student.name.charAt(0).toUpperCase()}</div>
+                        <div class="student-info">
+                            <h3>${student.name}</h3>
+                            <p class="student-email">${student.email}</p>
+                        </div>
+                        ${studentRisks.length > 0 ? `
+                            <span class="risk-badge risk-badge--${studentRisks[0].severity}" title="${studentRisks.map(risk => `${risk.course.name}: ${risk.reasons.join('; ')}`).join('\n')}">
+                                ⚠️ At risk
+                            </span>
+                        ` : ''}
+                    </div>
+                    <div class="student-details">
+                        <div class="student-detail">
+                            <span class="student-detail-label">Phone:</span>
+                            <span class="student-detail-value">${student.phone}</span>
+                        </div>
+                        <div class="student-detail">
+                            <span class="student-detail-label">Level:</span>
+                            <span class="student-detail-value">${student.level || 'Beginner'}</span>
+                        </div>
+                        <div class="student-detail">
+                            <span class="student-detail-label">Status:</span>
+                            <span class="status status--${student.status.toLowerCase()}">${student.status}</span>
+                        </div>
+                    </div>
+                    <div class="student-courses">
+                        <h4>Enrolled Courses (${enrolledCourses.length})</h4>
+                        <div class="course-tags">
+                            ${enrolledCourses.length > 0 
+                                ? enrolledCourses.map(course => `<span class="course-tag">${course}</span>`).join('')
+                                : '<span class="course-tag" style="opacity: 0.6;">No courses enrolled</span>'
+                            }
+                        </div>
+                    </div>
+                    ${waitlistEntries.length > 0 ? `
+                        <div class="student-waitlist">
+                            <h4>Waitlists (${waitlistEntries.length})</h4>
+                            ${waitlistEntries.map(entry => {
+                                const course = this.data.courses.find(c => c.id === entry.courseId);
+                                const name = course ? course.name : 'Unknown Course';
+                                return entry.status === 'Offered' ? `
+                                    <div class="waitlist-offer">
+                                        <span>🎟️ Seat offered in <strong>${name}</strong> until ${new Date(entry.expiresAt).toLocaleString()}</span>
+                                        <span>
+                                            <button class="btn btn--sm btn--primary" onclick="cms.acceptWaitlistOffer(${entry.id})">Enroll</button>
+                                            <button class="btn btn--sm btn--outline" onclick="cms.declineWaitlistOffer(${entry.id})">Decline</button>
+                                        </span>
+                                    </div>
+                                ` : `
+                                    <div class="waitlist-position">⏳ ${name}: #${this.waitlistManager.position(entry, this.data)} on the waitlist</div>
+                                `;
+                            }).join('')}
+                        </div>
+                    ` : ''}
+                    ${this.aiFeatureEnabled('autoRecommendations') && aiRecommendations.length > 0 ? `
+                        <div class="ai-recommendations">
+                            <h4>🤖 AI Recommendations</h4>
+                            ${aiRecommendations.slice(0, 2).map(rec => {
+                                const low = this.isBelowConfidenceThreshold(rec.confidence);
+                                return `
+                                    <div class="recommended-course ${low ? 'recommended-course--low' : ''}" onclick="cms.quickEnroll(${student.id}, ${rec.course.id})" title="${(rec.reason + (low ? ' (below your AI confidence threshold)' : '')).replace(/"/g, '&quot;')}">
+                                        <span>${rec.course.name} (${Math.round(rec.confidence * 100)}% match)</span>
+                                        <button type="button" class="recommendation-dismiss" onclick="event.stopPropagation(); cms.dismissRecommendation(${student.id}, ${rec.course.id}, 'student-card')" title="Not interested">✕</button>
+                                    </div>
+                                `;
+                            }).join('')}
+                        </div>
+                    ` : ''}
+                    <div class="student-actions">
+                        <button class="btn-icon" onclick="cms.exportStudentCalendar(${student.id})" title="Export Timetable (.ics)">📅</button>
+                        <button class="btn-icon btn-edit" onclick="cms.editStudent(${student.id})" title="Edit Student">✏️</button>
+                        <button class="btn-icon btn-delete" onclick="cms.deleteStudent(${student.id})" title="Delete Student">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderInstructors() {
+        this.displayInstructors(this.data.instructors);
+    }
+
+    displayInstructors(instructors) {
+        const grid = document.getElementById('instructors-grid');
+        
+        if (instructors.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">👨‍🏫</div>
+                    <h3>No instructors found</h3>
+                    <p>Start by adding your first instructor</p>
+                    <button class="btn btn--primary" onclick="cms.addInstructor()">Add Instructor</button>
+                </div>
+            `;
+            return;
+        }
+
+        grid.innerHTML = instructors.map(instructor => {
+            const assignedCourses = instructor.courses ? 
+                instructor.courses.map(courseId => {
+                    const course = this.data.courses.find(c => c.id === courseId);
+                    return course ? course.name : null;
+                }).filter(name => name !== null) : [];
+
+            const avatarContent = instructor.profileImage ? 
+                `<img src="${instructor.profileImage}" alt="${instructor.name}" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
+                 <span style="display: none;">${instructor.name.charAt(0).toUpperCase()}</span>` :
+                instructor.name.charAt(0).toUpperCase();
+
+            return `
+                <div class="instructor-card">
+                    <div class="instructor-header">
+                        <div class="instructor-avatar">${avatarContent}</div>
+                        <div class="instructor-info">
+                            <h3>${instructor.name}</h3>
+                            <p class="instructor-department">${instructor.department}</p>
+                            <p class="instructor-experience">${instructor.experience} years experience</p>
+                            ${instructor.rating ? `<div style="margin-top: 4px;">⭐ ${instructor.rating}/5.0</div>` : ''}
+                        </div>
+                    </div>
+                    <div class="instructor-body">
+                        ${instructor.bio ? `<p class="instructor-bio">${instructor.bio}</p>` : ''}
+                        
+                        <div class="instructor-expertise">
+                            <h4>Expertise</h4>
+                            <div class="expertise-tags">
+                                ${instructor.expertise.map(skill => 
+                                    `<span class="expertise-tag">${skill}</span>`
+                                ).join('')}
+                            </div>
+                        </div>
+                        
+                        <div class="instructor-courses">
+                            <h4>Assigned Courses (${assignedCourses.length})</h4>
+                            <div class="course-tags">
+                                ${assignedCourses.length > 0 
+                                    ? assignedCourses.map(course => `<span class="course-tag">${course}</span>`).join('')
+                                    : '<span class="course-tag" style="opacity: 0.6;">No courses assigned</span>'
+                                }
+                            </div>
+                        </div>
+                        
+                        <div class="instructor-contact">
+                            <div class="instructor-contact-item">
+                                <span>📧</span> ${instructor.email}
+                            </div>
+                            ${instructor.phone ? `
+                                <div class="instructor-contact-item">
+                                    <span>📞</span> ${instructor.phone}
+                                </div>
+                            ` : ''}
+                        </div>
+                    </div>
+                    <div class="instructor-footer">
+                        <div class="instructor-status">
+                            <span class="status status--${instructor.status.toLowerCase()}">${instructor.status}</span>
+                            ${instructor.aiOptimized ? '<span class="ai-badge">AI-OPTIMIZED</span>' : ''}
+                        </div>
+                        <div class="instructor-actions">
+                            <button class="btn-icon" onclick="cms.exportInstructorCalendar(${instructor.id})" title="Export Timetable (.ics)">📅</button>
+                            <button class="btn-icon btn-edit" onclick="cms.editInstructor(${instructor.id})" title="Edit Instructor">✏️</button>
+                            <button class="btn-icon btn-delete" onclick="cms.deleteInstructor(${instructor.id})" title="Delete Instructor">🗑️</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderEnrollments() {
+        this.updateAllDropdowns();
+        this.displayEnrollments(this.data.enrollments);
+    }
+
+    displayEnrollments(enrollments) {
+        const tbody = document.querySelector('#enrollments-table tbody');
+        
+        if (enrollments.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">
+                        <div class="empty-state-icon">✅</div>
+                        <h3>No enrollments found</h3>
+                        <p>Start by creating your first enrollment</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const risks = new Map(this.getAtRiskEnrollments().map(risk => [risk.enrollment.id, risk]));
+        tbody.innerHTML = enrollments.map(enrollment => {
+            const risk = risks.get(enrollment.id);
+            const student = this.data.students.find(s => s.id === enrollment.studentId);
+            const course = this.data.courses.find(c => c.id === enrollment.courseId);
+            const instructor = course ? this.data.instructors.find(i => i.id === course.instructorId) : null;
+            
+            const progress = enrollment.progress || 0;
+            const aiIcon = enrollment.aiSuggested ? '🤖' : '';
+            const isOpen = EnrollmentLifecycle.isOpen(enrollment);
+            const lastChange = (enrollment.statusHistory || [])[(enrollment.statusHistory || []).length - 1];
+            
+            return `
+                <tr>
+                    <td>${student ? student.name : 'Unknown Student'}</td>
+                    <td>${course ? course.name : 'Unknown Course'} ${aiIcon}</td>
+                    <td>${instructor ? instructor.name : 'Unassigned'}</td>
+                    <td>${enrollment.enrollmentDate}</td>
+                    <td>
+                        <div class="progress" style="width: 100px;">
+                            <div class="progress-bar" style="width: ${progress}%"></div>
+                        </div>
+                        <small>${progress}%</small>
+                        ${risk ? `<span class="risk-badge risk-badge--${risk.severity}" title="${risk.reasons.join('; ')}">${risk.severity} risk</span>` : ''}
+                    </td>
+                    <td>
+                        <span class="status status--${ENROLLMENT_STATUS_STYLES[enrollment.status] || 'info'} enrollment-status enrollment-status--${enrollment.status.toLowerCase()}"
+                              title="${(lastChange && lastChange.from ? `Since ${lastChange.date}${lastChange.reason ? `: ${lastChange.reason}` : ''}` : `Since ${enrollment.enrollmentDate}`).replace(/"/g, '&quot;')}">${enrollment.status}</span>
+                    </td>
+                    <td>
+                        ${isOpen ? `<button class="btn-icon btn-edit" onclick="cms.openProgressUpdate(${enrollment.id})" title="Update Progress">📈</button>` : ''}
+                        <button class="btn-icon btn-edit" onclick="cms.openEnrollmentStatus(${enrollment.id})" title="${isOpen ? 'Change Status' : 'Status History'}">🔄</button>
+                        ${EnrollmentLifecycle.canTransition(enrollment.status, 'Withdrawn') ? `<button class="btn-icon btn-delete" onclick="cms.openEnrollmentStatus(${enrollment.id}, 'Withdrawn')" title="Withdraw">❌</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // ENROLLMENT STATUS
+    openEnrollmentStatus(enrollmentId, status = null) {
+        const enrollment = this.data.enrollments.find(e => e.id === enrollmentId);
+        if (!enrollment) return;
+
+        const student = this.data.students.find(s => s.id === enrollment.studentId);
+        const course = this.data.courses.find(c => c.id === enrollment.courseId);
+        const nextStatuses = EnrollmentLifecycle.nextStatuses(enrollment.status);
+        const select = document.getElementById('enrollmentNextStatus');
+        const reasonInput = document.getElementById('enrollmentStatusReason');
+
+        document.getElementById('statusEnrollmentId').value = enrollment.id;
+        document.getElementById('status-enrollment-name').textContent =
+            `${student ? student.name : 'Unknown Student'} • ${course ? course.name : 'Unknown Course'} • currently ${enrollment.status}`;
+        select.innerHTML = nextStatuses.length === 0
+            ? `<option value="">${enrollment.status} is final</option>`
+            : nextStatuses.map(next => `<option value="${next}">${next}</option>`).join('');
+        select.value = status && nextStatuses.includes(status) ? status : (nextStatuses[0] || '');
+        select.disabled = nextStatuses.length === 0;
+        reasonInput.value = '';
+        reasonInput.disabled = nextStatuses.length === 0;
+        this.showFieldError(reasonInput, null);
+        document.getElementById('enrollmentStatusSaveBtn').disabled = nextStatuses.length === 0;
+        this.updateEnrollmentStatusForm();
+
+        // Reasons are free text, so the rows are built from text nodes
+        const history = enrollment.statusHistory || [];
+        document.getElementById('status-history').replaceChildren(...history.slice().reverse().map(entry => {
+            const line = document.createElement('small');
+            const status = document.createElement('strong');
+            status.textContent = entry.to;
+            line.append(`${entry.date || 'Unknown date'}: ${entry.from ? `${entry.from} → ` : ''}`, status, entry.reason ? ` — ${entry.reason}` : '');
+            const row = document.createElement('div');
+            row.appendChild(line);
+            return row;
+        }));
+        showModal('enrollmentStatusModal');
+    }
+
+    updateEnrollmentStatusForm() {
+        const status = document.getElementById('enrollmentNextStatus').value;
+        const required = ENROLLMENT_REASON_REQUIRED.includes(status);
+        document.getElementById('enrollmentStatusReasonLabel').textContent = required ? 'Reason *' : 'Reason (optional)';
+    }
+
+    saveEnrollmentStatus() {
+        const enrollmentId = parseInt(document.getElementById('statusEnrollmentId').value);
+        const status = document.getElementById('enrollmentNextStatus').value;
+        const reasonInput = document.getElementById('enrollmentStatusReason');
+        const reason = reasonInput.value.trim();
+        const enrollment = this.data.enrollments.find(e => e.id === enrollmentId);
+        if (!enrollment || !EnrollmentLifecycle.canTransition(enrollment.status, status)) return;
+
+        if (ENROLLMENT_REASON_REQUIRED.includes(status) && !reason) {
+            this.showFieldError(reasonInput, `Give a reason for marking this enrollment as ${status}`);
+            reasonInput.focus();
+            return;
+        }
+
+        const student = this.data.students.find(s => s.id === enrollment.studentId);
+        const course = this.data.courses.find(c => c.id === enrollment.courseId);
+        const freesSeat = EnrollmentLifecycle.isOpen(enrollment) && !ENROLLMENT_OPEN_STATUSES.includes(status);
+        const today = new Date().toISOString().split('T')[0];
+
+        const offers = this.runCommand(`Mark ${student?.name}'s enrollment in ${course?.name} as ${status}`, ['enrollments', 'students', 'waitlist'], data => {
+            const target = data.enrollments.find(e => e.id === enrollmentId);
+            this.enrollmentLifecycle.transition(target, status, { reason, date: today });
+
+            if (!freesSeat) return [];
+            const targetStudent = data.students.find(s => s.id === target.studentId);
+            if (targetStudent) {
+                targetStudent.courses = targetStudent.courses.filter(id => id !== target.courseId);
+            }
+            return this.promoteWaitlist(data, [target.courseId]);
+        });
+
+        this.updateEnrollmentCounts();
+        this.updateAllDropdowns();
+        this.saveData();
+        this.filterEnrollments();
+        hideModal('enrollmentStatusModal');
+        this.showToast(`${student?.name} is now ${status} in ${course?.name}` + this.describeWaitlistOffers(offers),
+            status === 'Withdrawn' || status === 'Failed' ? 'warning' : 'success', this.undoAction());
+    }
+
+    // AT-RISK STUDENTS
+    getAtRiskEnrollments() {
+        const today = new Date().toISOString().split('T')[0];
+        return this.riskDetector.detect(this.data, today);
+    }
+
+    renderAtRiskList() {
+        const container = document.getElementById('at-risk-list');
+        if (!container) return;
+
+        const risks = this.getAtRiskEnrollments();
+        if (risks.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>Every active enrollment is on track</p></div>';
+            return;
+        }
+
+        container.innerHTML = `
+            ${risks.slice(0, 5).map(risk => `
+                <div class="at-risk-item">
+                    <span class="risk-badge risk-badge--${risk.severity}">${risk.severity}</span>
+                    <div class="at-risk-content">
+                        <div><strong>${risk.student ? risk.student.name : 'Unknown Student'}</strong> • ${risk.course.name}</div>
+                        <small>${risk.reasons.join('; ')}</small>
                     </div>
-                    <div class="course-footer">
-                        <div class="course-price">$${course.price}</div>
-                        <div class="course-actions">
-                            <button class="btn-icon btn-edit" onclick="cms.editCourse(${course.id})" title="Edit Course">✏️</button>
-                            <button class="btn-icon btn-delete" onclick="cms.deleteCourse(${course.id})" title="Delete Course">🗑️</button>
-                        </div>
+                </div>
+            `).join('')}
+            <button class="btn btn--sm btn--outline btn--full-width" onclick="cms.showAtRiskEnrollments()">View all ${risks.length} at-risk enrollment${risks.length === 1 ? '' : 's'}</button>
+        `;
+    }
+
+    showAtRiskEnrollments() {
+        this.showSection('enrollments');
+        document.getElementById('enrollment-risk-filter').value = 'any';
+        this.filterEnrollments();
+    }
+
+    openProgressUpdate(enrollmentId) {
+        const enrollment = this.data.enrollments.find(e => e.id === enrollmentId);
+        if (!enrollment) return;
+
+        const student = this.data.students.find(s => s.id === enrollment.studentId);
+        const course = this.data.courses.find(c => c.id === enrollment.courseId);
+        const history = enrollment.progressHistory || [];
+
+        document.getElementById('progressEnrollmentId').value = enrollment.id;
+        document.getElementById('progressValue').value = enrollment.progress || 0;
+        document.getElementById('progress-enrollment-name').textContent =
+            `${student ? student.name : 'Unknown Student'} • ${course ? course.name : 'Unknown Course'}`;
+        document.getElementById('progress-history').innerHTML = history.length === 0
+            ? `<small>No updates recorded since enrolling on ${enrollment.enrollmentDate}</small>`
+            : history.slice().reverse().map(entry => `<div><small>${entry.date}: ${entry.progress}%</small></div>`).join('');
+        showModal('progressModal');
+    }
+
+    saveProgressUpdate() {
+        const enrollmentId = parseInt(document.getElementById('progressEnrollmentId').value);
+        const progress = Number(document.getElementById('progressValue').value);
+        const enrollment = this.data.enrollments.find(e => e.id === enrollmentId);
+        if (!enrollment) return;
+
+        if (!Number.isInteger(progress) || progress < 0 || progress > 100) {
+            this.showToast('Progress must be a whole number between 0 and 100', 'error');
+            return;
+        }
+
+        const student = this.data.students.find(s => s.id === enrollment.studentId);
+        const course = this.data.courses.find(c => c.id === enrollment.courseId);
+        const today = new Date().toISOString().split('T')[0];
+
+        this.runCommand(`Update progress of ${student?.name} in ${course?.name}`, ['enrollments'], data => {
+            const target = data.enrollments.find(e => e.id === enrollmentId);
+            RiskDetector.seedProgressHistory(target);
+            // One entry per day keeps the history readable when a value is corrected
+            const history = (target.progressHistory || []).filter(entry => entry.date !== today);
+            target.progress = progress;
+            target.progressHistory = [...history, { date: today, progress }];
+        });
+
+        this.saveData();
+        this.filterEnrollments();
+        this.showToast('Progress updated', 'success', this.undoAction());
+        hideModal('progressModal');
+    }
+
+    // CRUD OPERATIONS - FIXED
+    addCourse() {
+        this.openEdit = null;
+        this.resetCourseForm();
+        document.getElementById('courseModalTitle').textContent = 'Add New Course';
+        document.getElementById('courseSubmitBtn').textContent = 'Add Course';
+        this.updateAllDropdowns();
+        this.updateInstructorSuggestions();
+        showModal('courseModal');
+    }
+
+    addStudent() {
+        this.openEdit = null;
+        this.resetStudentForm();
+        document.getElementById('studentModalTitle').textContent = 'Add New Student';
+        document.getElementById('studentSubmitBtn').textContent = 'Add Student';
+        showModal('studentModal');
+    }
+
+    addInstructor() {
+        this.openEdit = null;
+        this.resetInstructorForm();
+        document.getElementById('instructorModalTitle').textContent = 'Add New Instructor';
+        document.getElementById('instructorSubmitBtn').textContent = 'Add Instructor';
+        showModal('instructorModal');
+    }
+
+    editCourse(id) {
+        const course = this.data.courses.find(c => c.id === id);
+        if (!course) return;
+        this.trackEdit('courses', id);
+
+        this.updateAllDropdowns();
+
+        document.getElementById('courseId').value = course.id;
+        document.getElementById('courseName').value = course.name;
+        document.getElementById('courseDescription').value = course.description;
+        document.getElementById('courseInstructor').value = course.instructorId || '';
+        document.getElementById('courseCategory').value = course.category;
+        document.getElementById('courseCapacity').value = course.capacity;
+        document.getElementById('coursePrice').value = course.price;
+        document.getElementById('courseStartDate').value = course.startDate;
+        document.getElementById('courseEndDate').value = course.endDate;
+        document.getElementById('courseDuration').value = course.duration;
+        document.getElementById('courseLevel').value = course.level;
+        document.getElementById('courseStatus').value = course.status;
+        const schedule = course.schedule || { days: [], startTime: '', endTime: '', roomId: null };
+        document.querySelectorAll('input[name="courseScheduleDay"]').forEach(input => {
+            input.checked = schedule.days.includes(input.value);
+        });
+        document.getElementById('courseScheduleStart').value = schedule.startTime || '';
+        document.getElementById('courseScheduleEnd').value = schedule.endTime || '';
+        document.getElementById('courseRoom').value = schedule.roomId || '';
+        this.renderSyllabusEditor(course.syllabus || null);
+        this.renderPrerequisiteEditor(course.prerequisites || null);
+
+        // Show AI indicator if applicable
+        const indicator = document.getElementById('description-ai-indicator');
+        if (indicator && course.aiGenerated) {
+            indicator.classList.remove('hidden');
+        }
+
+        document.getElementById('courseModalTitle').textContent = 'Edit Course';
+        document.getElementById('courseSubmitBtn').textContent = 'Update Course';
+        this.updateInstructorSuggestions();
+        this.updateScheduleConflicts();
+        showModal('courseModal');
+    }
+
+    editStudent(id) {
+        const student = this.data.students.find(s => s.id === id);
+        if (!student) return;
+        this.trackEdit('students', id);
+
+        document.getElementById('studentId').value = student.id;
+        document.getElementById('studentName').value = student.name;
+        document.getElementById('studentEmail').value = student.email;
+        document.getElementById('studentPhone').value = student.phone;
+        document.getElementById('studentAddress').value = student.address || '';
+        document.getElementById('studentLevel').value = student.level || 'Beginner';
+        document.getElementById('studentStatus').value = student.status;
+        document.getElementById('studentInterests').value = (student.interests || []).join(', ');
+
+        document.getElementById('studentModalTitle').textContent = 'Edit Student';
+        document.getElementById('studentSubmitBtn').textContent = 'Update Student';
+        showModal('studentModal');
+    }
+
+    editInstructor(id) {
+        const instructor = this.data.instructors.find(i => i.id === id);
+        if (!instructor) return;
+        this.trackEdit('instructors', id);
+
+        document.getElementById('instructorId').value = instructor.id;
+        document.getElementById('instructorName').value = instructor.name;
+        document.getElementById('instructorEmail').value = instructor.email;
+        document.getElementById('instructorPhone').value = instructor.phone || '';
+        document.getElementById('instructorDepartment').value = instructor.department;
+        document.getElementById('instructorExpertise').value = instructor.expertise.join(', ');
+        document.getElementById('instructorExperience').value = instructor.experience;
+        document.getElementById('instructorStatus').value = instructor.status;
+        document.getElementById('instructorBio').value = instructor.bio || '';
+
+        document.getElementById('instructorModalTitle').textContent = 'Edit Instructor';
+        document.getElementById('instructorSubmitBtn').textContent = 'Update Instructor';
+        showModal('instructorModal');
+    }
+
+    deleteCourse(id) {
+        const course = this.data.courses.find(c => c.id === id);
+        if (!course) return;
+
+        this.showConfirmModal(
+            `Are you sure you want to delete "${course.name}"? This will also remove all related enrollments.`,
+            () => {
+                this.runCommand(`Delete course "${course.name}"`, ['courses', 'enrollments', 'students', 'waitlist'], data => {
+                    data.courses = data.courses.filter(c => c.id !== id);
+                    data.enrollments = data.enrollments.filter(e => e.courseId !== id);
+                    data.waitlist = data.waitlist.filter(entry => entry.courseId !== id);
+                    data.students.forEach(student => {
+                        student.courses = student.courses.filter(courseId => courseId !== id);
+                    });
+                    data.courses.forEach(other => {
+                        if (!other.prerequisites) return;
+                        other.prerequisites.groups = (other.prerequisites.groups || [])
+                            .map(group => group.filter(courseId => courseId !== id))
+                            .filter(group => group.length > 0);
+                        if (PrerequisiteChecker.isEmpty(other.prerequisites)) other.prerequisites = null;
+                    });
+                });
+
+                this.updateAllDropdowns();
+                this.saveData();
+                this.renderCourses();
+                this.showToast('Course deleted successfully', 'error', this.undoAction());
+                hideModal('confirmModal');
+            }
+        );
+    }
+
+    deleteStudent(id) {
+        const student = this.data.students.find(s => s.id === id);
+        if (!student) return;
+
+        this.showConfirmModal(
+            `Are you sure you want to delete "${student.name}"? This will also remove all their enrollments.`,
+            () => {
+                const offers = this.runCommand(`Delete student "${student.name}"`, ['students', 'enrollments', 'waitlist'], data => {
+                    const freedCourseIds = data.enrollments.filter(e => e.studentId === id && EnrollmentLifecycle.isOpen(e)).map(e => e.courseId);
+                    data.students = data.students.filter(s => s.id !== id);
+                    data.enrollments = data.enrollments.filter(e => e.studentId !== id);
+                    data.waitlist = data.waitlist.filter(entry => entry.studentId !== id);
+                    return this.promoteWaitlist(data, freedCourseIds);
+                });
+                this.updateEnrollmentCounts();
+                
+                this.updateAllDropdowns();
+                this.saveData();
+                this.renderStudents();
+                this.showToast('Student deleted successfully' + this.describeWaitlistOffers(offers), 'error', this.undoAction());
+                hideModal('confirmModal');
+            }
+        );
+    }
+
+    deleteInstructor(id) {
+        const instructor = this.data.instructors.find(i => i.id === id);
+        if (!instructor) return;
+
+        const assignedCourses = this.data.courses.filter(c => c.instructorId === id);
+        
+        const message = assignedCourses.length > 0 
+            ? `"${instructor.name}" is assigned to ${assignedCourses.length} course(s). Deleting this instructor will unassign them from all courses. Are you sure?`
+            : `Are you sure you want to delete instructor "${instructor.name}"?`;
+
+        this.showConfirmModal(message, () => {
+            this.runCommand(`Delete instructor "${instructor.name}"`, ['instructors', 'courses'], data => {
+                data.instructors = data.instructors.filter(i => i.id !== id);
+                
+                data.courses.forEach(course => {
+                    if (course.instructorId === id) {
+                        course.instructorId = null;
+                        course.instructor = 'Unassigned';
+                    }
+                });
+            });
+            
+            this.updateAllDropdowns();
+            this.saveData();
+            this.renderInstructors();
+            this.showToast(`Instructor "${instructor.name}" deleted successfully`, 'error', this.undoAction());
+            hideModal('confirmModal');
+        });
+    }
+
+    // FORM HANDLERS
+    handleCourseForm(e, { allowConflicts = false } = {}) {
+        e.preventDefault();
+        if (!this.validateForm('courses', { showAll: true })) return;
+
+        const { schedule, error: scheduleError } = this.readScheduleForm();
+        if (scheduleError) {
+            this.showFieldError(scheduleError.input, scheduleError.message);
+            scheduleError.input.focus();
+            return;
+        }
+
+        const editingId = parseInt(document.getElementById('courseId').value);
+        const prerequisites = this.readPrerequisiteForm();
+        if (editingId && prerequisites && this.prerequisiteChecker.createsCycle(editingId, prerequisites.groups.flat(), this.data)) {
+            this.showToast('These prerequisites would make the course require itself', 'error');
+            return;
+        }
+
+        const editingName = document.getElementById('courseName').value.trim();
+        if (editingId && !this.confirmStaleEdit('courses', editingId, editingName, () => this.handleCourseForm(e))) return;
+        
+        const instructorId = parseInt(document.getElementById('courseInstructor').value);
+        const instructor = this.data.instructors.find(i => i.id === instructorId);
+        
+        const courseData = {
+            name: document.getElementById('courseName').value.trim(),
+            description: document.getElementById('courseDescription').value.trim(),
+            instructorId: instructorId,
+            instructor: instructor ? instructor.name : 'Unknown Instructor',
+            category: document.getElementById('courseCategory').value,
+            capacity: parseInt(document.getElementById('courseCapacity').value),
+            price: parseFloat(document.getElementById('coursePrice').value),
+            startDate: document.getElementById('courseStartDate').value,
+            endDate: document.getElementById('courseEndDate').value,
+            duration: document.getElementById('courseDuration').value.trim(),
+            level: document.getElementById('courseLevel').value,
+            status: document.getElementById('courseStatus').value,
+            enrolled: 0,
+            aiGenerated: !document.getElementById('description-ai-indicator').classList.contains('hidden'),
+            syllabus: this.readSyllabusForm(),
+            schedule,
+            prerequisites
+        };
+
+        const courseId = document.getElementById('courseId').value;
+
+        if (!allowConflicts) {
+            const conflicts = this.scheduleDetector.courseConflicts({ ...courseData, id: parseInt(courseId) || null }, this.data);
+            if (conflicts.length > 0) {
+                this.showConfirmModal(`Schedule conflicts: ${conflicts.map(conflict => conflict.message).join('; ')}. Save anyway?`, () => {
+                    hideModal('confirmModal');
+                    this.handleCourseForm(e, { allowConflicts: true });
+                });
+                return;
+            }
+        }
+        
+        let offers = [];
+        if (courseId) {
+            const index = this.data.courses.findIndex(c => c.id === parseInt(courseId));
+            if (index !== -1) {
+                courseData.id = parseInt(courseId);
+                courseData.enrolled = this.data.courses[index].enrolled;
+                offers = this.runCommand(`Update course "${courseData.name}"`, ['courses', 'instructors', 'waitlist'], data => {
+                    // Keep fields the form doesn't edit, e.g. tags and popularity
+                    data.courses[index] = { ...data.courses[index], ...courseData };
+
+                    data.instructors.forEach(other => {
+                        if (other.id !== instructorId && other.courses) {
+                            other.courses = other.courses.filter(id => id !== courseData.id);
+                        }
+                    });
+                    if (instructor && !instructor.courses.includes(courseData.id)) {
+                        instructor.courses.push(courseData.id);
+                    }
+                    // A capacity increase or reopening the course frees seats for the waitlist
+                    return this.promoteWaitlist(data, [courseData.id]);
+                }, { aiSuggested: courseData.aiGenerated });
+                this.showToast('Course updated successfully' + this.describeWaitlistOffers(offers));
+            }
+        } else {
+            courseData.id = this.getNextId(this.data.courses);
+            courseData.popularity = Math.floor(Math.random() * 40) + 60;
+            courseData.tags = [];
+            this.runCommand(`Add course "${courseData.name}"`, ['courses', 'instructors'], data => {
+                data.courses.push(courseData);
+                
+                if (instructor) {
+                    if (!instructor.courses.includes(courseData.id)) {
+                        instructor.courses.push(courseData.id);
+                    }
+                }
+            }, { aiSuggested: courseData.aiGenerated });
+            
+            this.showToast('Course added successfully');
+        }
+
+        this.updateAllDropdowns();
+        this.saveData();
+        this.renderCourses();
+        if (this.currentSection === 'calendar') this.renderCalendar();
+        hideModal('courseModal');
+    }
+
+    handleStudentForm(e) {
+        e.preventDefault();
+        if (!this.validateForm('students', { showAll: true })) return;
+
+        const editingId = parseInt(document.getElementById('studentId').value);
+        const editingName = document.getElementById('studentName').value.trim();
+        if (editingId && !this.confirmStaleEdit('students', editingId, editingName, () => this.handleStudentForm(e))) return;
+        
+        const interests = document.getElementById('studentInterests').value.trim();
+        const interestsArray = interests ? interests.split(',').map(s => s.trim()).filter(s => s.length > 0) : [];
+        
+        const studentData = {
+            name: document.getElementById('studentName').value.trim(),
+            email: document.getElementById('studentEmail').value.trim(),
+            phone: document.getElementById('studentPhone').value.trim(),
+            address: document.getElementById('studentAddress').value.trim(),
+            level: document.getElementById('studentLevel').value,
+            status: document.getElementById('studentStatus').value,
+            interests: interestsArray,
+            courses: [],
+            enrollmentDate: new Date().toISOString().split('T')[0]
+        };
+
+        const studentId = document.getElementById('studentId').value;
+        
+        if (studentId) {
+            const index = this.data.students.findIndex(s => s.id === parseInt(studentId));
+            if (index !== -1) {
+                studentData.id = parseInt(studentId);
+                studentData.courses = this.data.students[index].courses;
+                studentData.enrollmentDate = this.data.students[index].enrollmentDate;
+                this.runCommand(`Update student "${studentData.name}"`, ['students'], data => {
+                    // Keep fields the form doesn't edit, e.g. learningPath feeds the recommender
+                    data.students[index] = { ...data.students[index], ...studentData };
+                });
+                this.showToast('Student updated successfully');
+            }
+        } else {
+            studentData.id = this.getNextId(this.data.students);
+            this.runCommand(`Add student "${studentData.name}"`, ['students'], data => {
+                data.students.push(studentData);
+            });
+            this.showToast('Student added successfully');
+        }
+
+        this.updateAllDropdowns();
+        this.saveData();
+        this.renderStudents();
+        hideModal('studentModal');
+    }
+
+    handleInstructorForm(e) {
+        e.preventDefault();
+        if (!this.validateForm('instructors', { showAll: true })) return;
+
+        const editingId = parseInt(document.getElementById('instructorId').value);
+        const editingName = document.getElementById('instructorName').value.trim();
+        if (editingId && !this.confirmStaleEdit('instructors', editingId, editingName, () => this.handleInstructorForm(e))) return;
+        
+        const expertiseString = document.getElementById('instructorExpertise').value.trim();
+        const expertiseArray = expertiseString ? 
+            expertiseString.split(',').map(skill => skill.trim()).filter(skill => skill.length > 0) : [];
+
+        const instructorData = {
+            name: document.getElementById('instructorName').value.trim(),
+            email: document.getElementById('instructorEmail').value.trim(),
+            phone: document.getElementById('instructorPhone').value.trim(),
+            department: document.getElementById('instructorDepartment').value,
+            expertise: expertiseArray,
+            experience: parseInt(document.getElementById('instructorExperience').value),
+            status: document.getElementById('instructorStatus').value,
+            bio: document.getElementById('instructorBio').value.trim(),
+            courses: [],
+            joinDate: new Date().toISOString().split('T')[0],
+            rating: null,
+            aiOptimized: false
+        };
+
+        const instructorId = document.getElementById('instructorId').value;
+        
+        if (instructorId) {
+            const index = this.data.instructors.findIndex(i => i.id === parseInt(instructorId));
+            if (index !== -1) {
+                instructorData.id = parseInt(instructorId);
+                instructorData.courses = this.data.instructors[index].courses || [];
+                instructorData.joinDate = this.data.instructors[index].joinDate;
+                instructorData.rating = this.data.instructors[index].rating;
+                instructorData.aiOptimized = this.data.instructors[index].aiOptimized;
+                this.runCommand(`Update instructor "${instructorData.name}"`, ['instructors', 'courses'], data => {
+                    // Keep fields the form doesn't edit, e.g. availability feeds the schedule checks
+                    data.instructors[index] = { ...data.instructors[index], ...instructorData };
+                    
+                    data.courses.forEach(course => {
+                        if (course.instructorId === instructorData.id) {
+                            course.instructor = instructorData.name;
+                        }
+                    });
+                });
+                
+                this.showToast('Instructor updated successfully');
+            }
+        } else {
+            instructorData.id = this.getNextId(this.data.instructors);
+            this.runCommand(`Add instructor "${instructorData.name}"`, ['instructors'], data => {
+                data.instructors.push(instructorData);
+            });
+            this.showToast('Instructor added successfully');
+        }
+
+        this.updateAllDropdowns();
+        this.saveData();
+        this.renderInstructors();
+        hideModal('instructorModal');
+    }
+
+    handleEnrollmentForm(e, { allowClash = false, prerequisiteOverride = null } = {}) {
+        e.preventDefault();
+        const studentId = parseInt(document.getElementById('enrollmentStudent').value);
+        const courseId = parseInt(document.getElementById('enrollmentCourse').value);
+        if (!prerequisiteOverride && !this.confirmPrerequisites(studentId, courseId,
+            override => this.handleEnrollmentForm(e, { allowClash, prerequisiteOverride: override }))) return;
+        if (this.offerWaitlist(studentId, courseId, () => hideModal('enrollmentModal'), prerequisiteOverride)) return;
+        if (!this.validateForm('enrollments', { showAll: true })) return;
+
+        if (!allowClash && !this.confirmTimetableClash(studentId, courseId,
+            () => this.handleEnrollmentForm(e, { prerequisiteOverride, allowClash: true }))) return;
+        const course = this.data.courses.find(c => c.id === courseId);
+        const student = this.data.students.find(s => s.id === studentId);
+        const studentName = student ? student.name : 'Student';
+        const courseName = course ? course.name : 'Course';
+        const aiSuggested = this.recordEnrollmentSuggestionFeedback(studentId, courseId);
+
+        const status = document.getElementById('enrollmentStatus').value || 'Active';
+        this.runCommand(`Enroll ${studentName} in ${courseName}`, ['enrollments', 'students', 'waitlist'], data => {
+            const today = new Date().toISOString().split('T')[0];
+            data.enrollments.push({
+                id: this.getNextId(data.enrollments),
+                studentId,
+                courseId,
+                enrollmentDate: today,
+                status,
+                statusHistory: EnrollmentLifecycle.initialHistory(status, today),
+                progress: 0,
+                aiSuggested,
+                ...(prerequisiteOverride ? { prerequisiteOverride } : {})
+            });
+
+            if (student && !student.courses.includes(courseId)) {
+                student.courses.push(courseId);
+            }
+            this.closeWaitlistEntry(data, studentId, courseId);
+        }, { aiSuggested });
+
+        this.updateEnrollmentCounts();
+        this.updateAllDropdowns();
+        this.saveData();
+        this.renderEnrollments();
+        
+        this.showToast(status === 'Pending' ? 'Enrollment added as pending' : 'Student enrolled successfully');
+        hideModal('enrollmentModal');
+    }
+
+    quickEnroll(studentId, courseId, { allowClash = false, prerequisiteOverride = null } = {}) {
+        if (!prerequisiteOverride && !this.confirmPrerequisites(studentId, courseId,
+            override => this.quickEnroll(studentId, courseId, { allowClash, prerequisiteOverride: override }))) return;
+        if (this.offerWaitlist(studentId, courseId, null, prerequisiteOverride)) return;
+        if (!allowClash && !this.confirmTimetableClash(studentId, courseId,
+            () => this.quickEnroll(studentId, courseId, { prerequisiteOverride, allowClash: true }))) return;
+
+        const recommendation = this.generateCourseRecommendations(studentId).find(rec => rec.course.id === courseId);
+        const acceptedRecommendation = recommendation ? { recommendation, source: 'student-card' } : null;
+        if (!this.enrollStudent(studentId, courseId, { aiSuggested: true, prerequisiteOverride, acceptedRecommendation })) return;
+
+        this.saveData();
+        this.renderStudents();
+
+        const student = this.data.students.find(s => s.id === studentId);
+        const course = this.data.courses.find(c => c.id === courseId);
+        this.showToast(`${student.name} enrolled in ${course.name} via AI recommendation!`, 'success', this.undoAction());
+    }
+
+    // Enrolls without the enrollment form; warns and returns false when the student
+    // is already enrolled or the course is full (seats held for the waitlist count as
+    // taken). `prerequisiteOverride` ({ reason, unmet }) is stored on the enrollment when
+    // an admin waived the prerequisites. `acceptedRecommendation` ({ recommendation, source })
+    // is recorded as accepted feedback in the same undo step. The caller saves and re-renders.
+    enrollStudent(studentId, courseId, { aiSuggested = false, prerequisiteOverride = null, acceptedRecommendation = null } = {}) {
+        const student = this.data.students.find(s => s.id === studentId);
+        const course = this.data.courses.find(c => c.id === courseId);
+        
+        if (!student || !course) return false;
+
+        const existingEnrollment = this.data.enrollments.find(
+            e => e.studentId === studentId && e.courseId === courseId && EnrollmentLifecycle.isOpen(e)
+        );
+
+        if (existingEnrollment) {
+            this.showToast('Student is already enrolled in this course', 'warning');
+            return false;
+        }
+
+        if (this.waitlistManager.freeSeats(course, this.data, studentId) <= 0) {
+            this.showToast('Course is at full capacity', 'error');
+            return false;
+        }
+
+        const collections = ['enrollments', 'students', 'waitlist'];
+        if (acceptedRecommendation) collections.push('recommendationFeedback');
+        this.runCommand(`Enroll ${student.name} in ${course.name}`, collections, data => {
+            const today = new Date().toISOString().split('T')[0];
+            data.enrollments.push({
+                id: this.getNextId(data.enrollments),
+                studentId,
+                courseId,
+                enrollmentDate: today,
+                status: 'Active',
+                statusHistory: EnrollmentLifecycle.initialHistory('Active', today),
+                progress: 0,
+                aiSuggested,
+                ...(prerequisiteOverride ? { prerequisiteOverride } : {})
+            });
+
+            if (!student.courses.includes(courseId)) {
+                student.courses.push(courseId);
+            }
+            this.closeWaitlistEntry(data, studentId, courseId);
+            if (acceptedRecommendation) {
+                const { recommendation, source } = acceptedRecommendation;
+                this.recordRecommendationFeedback(studentId, recommendation, 'accepted', source);
+            }
+        }, { aiSuggested });
+
+        this.updateEnrollmentCounts();
+        return true;
+    }
+
+    // UNDO/REDO
+    // `background` is for changes the app makes on its own (e.g. expiring waitlist offers): they
+    // are audited but kept off the undo stack, and undo steps on the same records are dropped
+    // like they are for changes from another tab
+    runCommand(label, collections, mutate, options = {}) {
+        const command = new DataCommand(label, collections, mutate);
+        command.aiSuggested = !!options.aiSuggested;
+        const result = command.execute(this.data);
+        this.markCommandDirty(command);
+
+        if (!command.isEmpty) {
+            this.recordAuditEntries(command.changes, { summary: label, aiSuggested: command.aiSuggested });
+            if (options.background) {
+                this.dropHistoryFor(new Set(command.changes.map(change => `${change.collection}-${change.id}`)));
+                return result;
+            }
+            this.history.undo.push(command);
+            if (this.history.undo.length > this.history.limit) {
+                this.history.undo.shift();
+            }
+            this.history.redo = [];
+        }
+
+        return result;
+    }
+
+    markCommandDirty(command) {
+        command.changes.forEach(({ collection, id }) => this.markDirty(collection, [id]));
+    }
+
+    undoAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
+    }
+
+    undo() {
+        const command = this.history.undo.pop();
+        if (!command) {
+            this.showToast('Nothing to undo', 'warning');
+            return;
+        }
+
+        command.undo(this.data);
+        this.markCommandDirty(command);
+        this.history.redo.push(command);
+        this.recordAuditEntries(command.changes, { summary: `Undo: ${command.label}`, reverse: true });
+        this.refreshAfterHistoryChange();
+        this.showToast(`Undone: ${command.label}`, 'warning', { label: 'Redo', onClick: () => this.redo() });
+    }
+
+    redo() {
+        const command = this.history.redo.pop();
+        if (!command) {
+            this.showToast('Nothing to redo', 'warning');
+            return;
+        }
+
+        command.redo(this.data);
+        this.markCommandDirty(command);
+        this.history.undo.push(command);
+        this.recordAuditEntries(command.changes, { summary: `Redo: ${command.label}`, aiSuggested: command.aiSuggested });
+        this.refreshAfterHistoryChange();
+        this.showToast(`Redone: ${command.label}`, 'success', this.undoAction());
+    }
+
+    // Import and restore replace records wholesale, so older commands no longer apply
+    clearHistory() {
+        this.history.undo = [];
+        this.history.redo = [];
+    }
+
+    refreshAfterHistoryChange() {
+        this.updateEnrollmentCounts();
+        this.updateAllDropdowns();
+        this.saveData();
+        this.showSection(this.currentSection);
+    }
+
+    bindUndoShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+            // Leave native text undo alone while typing
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+    }
+
+    // FILTER METHODS
+    filterCourses() {
+        const searchTerm = document.getElementById('course-search').value.toLowerCase();
+        const categoryFilter = document.getElementById('course-category-filter').value;
+        const statusFilter = document.getElementById('course-status-filter').value;
+
+        const filteredCourses = this.data.courses.filter(course => {
+            const matchesSearch = course.name.toLowerCase().includes(searchTerm) ||
+                                course.instructor.toLowerCase().includes(searchTerm) ||
+                                course.description.toLowerCase().includes(searchTerm);
+            const matchesCategory = !categoryFilter || course.category === categoryFilter;
+            const matchesStatus = !statusFilter || course.status === statusFilter;
+
+            return matchesSearch && matchesCategory && matchesStatus;
+        });
+
+        this.displayCourses(filteredCourses);
+    }
+
+    filterStudents() {
+        const searchTerm = document.getElementById('student-search').value.toLowerCase();
+        const statusFilter = document.getElementById('student-status-filter').value;
+
+        const filteredStudents = this.data.students.filter(student => {
+            const matchesSearch = student.name.toLowerCase().includes(searchTerm) ||
+                                student.email.toLowerCase().includes(searchTerm) ||
+                                student.phone.includes(searchTerm);
+            const matchesStatus = !statusFilter || student.status === statusFilter;
+
+            return matchesSearch && matchesStatus;
+        });
+
+        this.displayStudents(filteredStudents);
+    }
+
+    filterInstructors() {
+        const searchTerm = document.getElementById('instructor-search').value.toLowerCase();
+        const departmentFilter = document.getElementById('instructor-department-filter').value;
+
+        const filteredInstructors = this.data.instructors.filter(instructor => {
+            const matchesSearch = instructor.name.toLowerCase().includes(searchTerm) ||
+                                instructor.email.toLowerCase().includes(searchTerm) ||
+                                instructor.department.toLowerCase().includes(searchTerm) ||
+                                instructor.expertise.some(skill => skill.toLowerCase().includes(searchTerm));
+            const matchesDepartment = !departmentFilter || instructor.department === departmentFilter;
+
+            return matchesSearch && matchesDepartment;
+        });
+
+        this.displayInstructors(filteredInstructors);
+    }
+
+    filterEnrollments() {
+        const searchTerm = document.getElementById('enrollment-search').value.toLowerCase();
+        const courseFilter = document.getElementById('enrollment-course-filter').value;
+        const riskFilter = document.getElementById('enrollment-risk-filter').value;
+        const statusFilter = document.getElementById('enrollment-status-filter').value;
+        const risks = new Map(this.getAtRiskEnrollments().map(risk => [risk.enrollment.id, risk]));
+        const riskLevels = { any: ['high', 'medium', 'low'], medium: ['high', 'medium'], high: ['high'] };
+
+        const filteredEnrollments = this.data.enrollments.filter(enrollment => {
+            const student = this.data.students.find(s => s.id === enrollment.studentId);
+            const course = this.data.courses.find(c => c.id === enrollment.courseId);
+            
+            const matchesSearch = (student && student.name.toLowerCase().includes(searchTerm)) ||
+                                (course && course.name.toLowerCase().includes(searchTerm));
+            const matchesCourse = !courseFilter || enrollment.courseId === parseInt(courseFilter);
+            const risk = risks.get(enrollment.id);
+            const matchesRisk = !riskFilter || (risk && riskLevels[riskFilter].includes(risk.severity));
+            const matchesStatus = !statusFilter ||
+                (statusFilter === 'open' ? EnrollmentLifecycle.isOpen(enrollment) : enrollment.status === statusFilter);
+
+            return matchesSearch && matchesCourse && matchesRisk && matchesStatus;
+        });
+
+        this.displayEnrollments(filteredEnrollments);
+    }
+
+    // INSTRUCTOR MATCHING
+    // The course as currently entered in the course form
+    readCourseDraft() {
+        const id = parseInt(document.getElementById('courseId').value) || null;
+        const existing = id ? this.data.courses.find(c => c.id === id) : null;
+        return {
+            id,
+            name: document.getElementById('courseName').value.trim(),
+            category: document.getElementById('courseCategory').value,
+            level: document.getElementById('courseLevel').value,
+            startDate: document.getElementById('courseStartDate').value,
+            endDate: document.getElementById('courseEndDate').value,
+            status: document.getElementById('courseStatus').value,
+            tags: existing ? existing.tags || [] : [],
+            instructorId: parseInt(document.getElementById('courseInstructor').value) || null,
+            capacity: parseInt(document.getElementById('courseCapacity').value) || 0,
+            schedule: this.readScheduleForm().schedule
+        };
+    }
+
+    updateInstructorSuggestions() {
+        const container = document.getElementById('instructor-suggestions');
+        const select = document.getElementById('courseInstructor');
+        if (!container || !select) return;
+
+        const draft = this.readCourseDraft();
+        if (!draft.name && !draft.category) {
+            container.innerHTML = '<small class="form-hint">Enter a name and category to see the best-matched instructors</small>';
+            return;
+        }
+
+        const ranked = this.instructorMatcher.rank(draft, this.data);
+        const selected = select.value;
+        select.innerHTML = '<option value="">Select Instructor</option>' + ranked.map(candidate =>
+            `<option value="${candidate.instructor.id}">${candidate.instructor.name} · ${Math.round(candidate.match * 100)}% match</option>`
+        ).join('');
+        if (ranked.some(candidate => String(candidate.instructor.id) === selected)) select.value = selected;
+
+        container.innerHTML = ranked.slice(0, 3).map(candidate => {
+            const assigned = String(candidate.instructor.id) === select.value;
+            return `
+                <div class="instructor-suggestion ${assigned ? 'selected' : ''}">
+                    <div class="instructor-suggestion-content">
+                        <strong>${candidate.instructor.name}</strong> <span class="ai-confidence-score">${Math.round(candidate.match * 100)}%</span>
+                        <div class="ai-recommendation-reason">${candidate.reason || 'No strong signals either way'}</div>
+                        ${candidate.concerns.length > 0 ? `<div class="instructor-suggestion-concerns">⚠️ ${candidate.concerns.join('; ')}</div>` : ''}
                     </div>
+                    <button type="button" class="btn btn--sm btn--outline" onclick="cms.assignSuggestedInstructor(${candidate.instructor.id})" ${assigned ? 'disabled' : ''}>${assigned ? 'Assigned' : 'Assign'}</button>
                 </div>
             `;
         }).join('');
     }
 
-    renderStudents() {
-        this.displayStudents(this.data.students);
+    assignSuggestedInstructor(instructorId) {
+        const select = document.getElementById('courseInstructor');
+        select.value = instructorId;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
     }
 
-    displayStudents(students) {
-        const grid = document.getElementById('students-grid');
-        
-        if (students.length === 0) {
-            grid.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">👥</div>
-                    <h3>No students found</h3>
-                    <p>Start by adding your first student</p>
-                    <button class="btn btn--primary" onclick="cms.addStudent()">Add Student</button>
-                </div>
-            `;
+    // Courses still to be taught whose instructor is missing or was deleted
+    getUnassignedCourses() {
+        return this.data.courses.filter(course =>
+            course.status !== 'Completed' &&
+            !this.data.instructors.some(instructor => instructor.id === course.instructorId)
+        );
+    }
+
+    suggestInstructorAssignments() {
+        const unassigned = this.getUnassignedCourses();
+        if (unassigned.length === 0) {
+            this.showToast('Every active and upcoming course has an instructor');
             return;
         }
 
-        grid.innerHTML = students.map(student => {
-            const enrolledCourses = student.courses.map(courseId => {
-                const course = this.data.courses.find(c => c.id === courseId);
-                return course ? course.name : 'Unknown Course';
-            }).filter(name => name !== 'Unknown Course');
+        this.pendingAssignments = this.instructorMatcher.assignAll(unassigned, this.data);
+        const list = document.getElementById('assignment-list');
+        list.innerHTML = this.pendingAssignments.map(({ course, candidate }, index) => `
+            <label class="assignment-item">
+                <input type="checkbox" data-index="${index}" ${candidate ? 'checked' : 'disabled'}>
+                <span>
+                    <strong>${course.name}</strong> <small>${course.startDate} – ${course.endDate}</small><br>
+                    ${candidate ? `
+                        → ${candidate.instructor.name} <span class="ai-confidence-score">${Math.round(candidate.match * 100)}%</span>
+                        <div class="ai-recommendation-reason">${candidate.reason}</div>
+                        ${candidate.concerns.length > 0 ? `<div class="instructor-suggestion-concerns">⚠️ ${candidate.concerns.join('; ')}</div>` : ''}
+                    ` : '<em>No active instructors to assign</em>'}
+                </span>
+            </label>
+        `).join('');
+        showModal('assignmentModal');
+    }
 
-            const aiRecommendations = this.generateCourseRecommendations(student.id);
+    applyInstructorAssignments() {
+        const chosen = [...document.querySelectorAll('#assignment-list input:checked')]
+            .map(input => this.pendingAssignments[parseInt(input.dataset.index)])
+            .filter(assignment => assignment && assignment.candidate);
+        if (chosen.length === 0) {
+            hideModal('assignmentModal');
+            return;
+        }
+
+        const label = chosen.length === 1
+            ? `Assign ${chosen[0].candidate.instructor.name} to "${chosen[0].course.name}"`
+            : `Assign instructors to ${chosen.length} courses`;
+        this.runCommand(label, ['courses', 'instructors'], data => {
+            chosen.forEach(({ course, candidate }) => {
+                const target = data.courses.find(c => c.id === course.id);
+                const instructor = data.instructors.find(i => i.id === candidate.instructor.id);
+                if (!target || !instructor) return;
+                target.instructorId = instructor.id;
+                target.instructor = instructor.name;
+                if (!instructor.courses.includes(target.id)) instructor.courses.push(target.id);
+            });
+        }, { aiSuggested: true });
+
+        this.pendingAssignments = [];
+        this.saveData();
+        this.showSection(this.currentSection);
+        this.showToast(`Assigned instructors to ${chosen.length} course${chosen.length === 1 ? '' : 's'}`, 'success', this.undoAction());
+        hideModal('assignmentModal');
+    }
+
+    // SCHEDULING
+    // Returns { schedule, error: { input, message } | null }; schedule is null when no
+    // days, times or room are set
+    readScheduleForm() {
+        const days = [...document.querySelectorAll('input[name="courseScheduleDay"]:checked')].map(input => input.value);
+        const startInput = document.getElementById('courseScheduleStart');
+        const endInput = document.getElementById('courseScheduleEnd');
+        const roomId = parseInt(document.getElementById('courseRoom').value) || null;
+        const startTime = startInput.value;
+        const endTime = endInput.value;
+
+        if (days.length === 0 && !startTime && !endTime && !roomId) return { schedule: null, error: null };
+
+        let error = null;
+        if (days.length > 0 && !startTime) error = { input: startInput, message: 'Start time is required for a weekly schedule' };
+        else if (days.length > 0 && !endTime) error = { input: endInput, message: 'End time is required for a weekly schedule' };
+        else if (startTime && endTime && endTime <= startTime) error = { input: endInput, message: 'End time must be after the start time' };
+        else if (days.length === 0 && (startTime || endTime)) error = { input: startInput, message: 'Pick the days the course meets' };
+
+        return { schedule: { days, startTime, endTime, roomId }, error };
+    }
+
+    updateScheduleConflicts() {
+        const container = document.getElementById('schedule-conflicts');
+        if (!container) return;
+
+        const { error } = this.readScheduleForm();
+        ['courseScheduleStart', 'courseScheduleEnd'].forEach(id => this.showFieldError(document.getElementById(id), null));
+        if (error) {
+            this.showFieldError(error.input, error.message);
+            container.innerHTML = '';
+            return;
+        }
+
+        const draft = this.readCourseDraft();
+        if (!ScheduleConflictDetector.hasMeetings(draft)) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const conflicts = this.scheduleDetector.courseConflicts(draft, this.data);
+        container.innerHTML = conflicts.length > 0
+            ? conflicts.map(conflict => `<div class="schedule-alert">⚠️ ${conflict.message}</div>`).join('')
+            : '<small class="form-hint">✓ No clashes with other courses</small>';
+    }
+
+    // Warns before enrolling a student in a course that meets while another of theirs does
+    confirmTimetableClash(studentId, courseId, retry) {
+        const student = this.data.students.find(s => s.id === studentId);
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!student || !course) return true;
+
+        const conflicts = this.scheduleDetector.studentConflicts(studentId, course, this.data);
+        if (conflicts.length === 0) return true;
+
+        this.showConfirmModal(
+            `${course.name} clashes with ${student.name}'s timetable: ${conflicts.map(conflict => conflict.message).join('; ')}. Enroll anyway?`,
+            () => {
+                hideModal('confirmModal');
+                retry();
+            }
+        );
+        return false;
+    }
+
+    openRooms() {
+        this.resetRoomForm();
+        this.renderRooms();
+        showModal('roomsModal');
+    }
+
+    renderRooms() {
+        const container = document.getElementById('rooms-list');
+        if (!container) return;
+
+        if (this.data.rooms.length === 0) {
+            container.innerHTML = '<p class="section-description">No rooms yet. Add the rooms courses meet in to catch double bookings.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="table">
+                <thead>
+                    <tr><th>Room</th><th>Seats</th><th>Location</th><th>Courses</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.data.rooms.map(room => {
+                        const courses = this.data.courses.filter(course => course.schedule && course.schedule.roomId === room.id);
+                        return `
+                            <tr>
+                                <td><strong>${room.name}</strong></td>
+                                <td>${room.capacity}</td>
+                                <td>${room.location || ''}</td>
+                                <td>${courses.length > 0 ? courses.map(course => course.name).join(', ') : '<small>Unused</small>'}</td>
+                                <td>
+                                    <button class="btn-icon btn-edit" onclick="cms.editRoom(${room.id})" title="Edit Room">✏️</button>
+                                    <button class="btn-icon btn-delete" onclick="cms.deleteRoom(${room.id})" title="Delete Room">🗑️</button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    resetRoomForm() {
+        const form = document.getElementById('roomForm');
+        if (form) {
+            form.reset();
+            this.clearFormErrors(form);
+        }
+        document.getElementById('roomId').value = '';
+        document.getElementById('roomSubmitBtn').textContent = 'Add Room';
+    }
+
+    editRoom(id) {
+        const room = this.data.rooms.find(r => r.id === id);
+        if (!room) return;
+
+        document.getElementById('roomId').value = room.id;
+        document.getElementById('roomName').value = room.name;
+        document.getElementById('roomCapacity').value = room.capacity;
+        document.getElementById('roomLocation').value = room.location || '';
+        document.getElementById('roomSubmitBtn').textContent = 'Update Room';
+        document.getElementById('roomName').focus();
+    }
+
+    handleRoomForm(e) {
+        e.preventDefault();
+        if (!this.validateForm('rooms', { showAll: true })) return;
+
+        const roomId = parseInt(document.getElementById('roomId').value);
+        const roomData = {
+            name: document.getElementById('roomName').value.trim(),
+            capacity: parseInt(document.getElementById('roomCapacity').value),
+            location: document.getElementById('roomLocation').value.trim()
+        };
+
+        if (roomId) {
+            this.runCommand(`Update room "${roomData.name}"`, ['rooms'], data => {
+                const index = data.rooms.findIndex(r => r.id === roomId);
+                if (index !== -1) data.rooms[index] = { ...data.rooms[index], ...roomData };
+            });
+            this.showToast('Room updated successfully');
+        } else {
+            this.runCommand(`Add room "${roomData.name}"`, ['rooms'], data => {
+                data.rooms.push({ id: this.getNextId(data.rooms), ...roomData });
+            });
+            this.showToast('Room added successfully');
+        }
+
+        this.updateAllDropdowns();
+        this.saveData();
+        this.resetRoomForm();
+        this.renderRooms();
+        if (this.currentSection === 'courses') this.renderCourses();
+    }
+
+    deleteRoom(id) {
+        const room = this.data.rooms.find(r => r.id === id);
+        if (!room) return;
+
+        const booked = this.data.courses.filter(course => course.schedule && course.schedule.roomId === id);
+        const message = booked.length > 0
+            ? `"${room.name}" is booked for ${booked.length} course(s). Deleting it leaves them without a room. Are you sure?`
+            : `Are you sure you want to delete room "${room.name}"?`;
+
+        this.showConfirmModal(message, () => {
+            this.runCommand(`Delete room "${room.name}"`, ['rooms', 'courses'], data => {
+                data.rooms = data.rooms.filter(r => r.id !== id);
+                data.courses.forEach(course => {
+                    if (course.schedule && course.schedule.roomId === id) course.schedule.roomId = null;
+                });
+            });
+
+            this.updateAllDropdowns();
+            this.saveData();
+            this.renderRooms();
+            if (this.currentSection === 'courses') this.renderCourses();
+            this.showToast(`Room "${room.name}" deleted`, 'error', this.undoAction());
+            hideModal('confirmModal');
+        });
+    }
+
+    // PREREQUISITES
+    renderPrerequisiteEditor(prerequisites) {
+        const draft = prerequisites || { minLevel: null, groups: [] };
+        const courseId = parseInt(document.getElementById('courseId').value) || null;
+        const options = this.data.courses.filter(course => course.id !== courseId);
+        document.getElementById('coursePrereqLevel').value = draft.minLevel || '';
+
+        document.getElementById('prerequisite-groups').innerHTML = draft.groups.map((group, index) => `
+            <div class="prerequisite-row">
+                <span class="prerequisite-row-label">${index === 0 ? 'Completed' : 'and'}</span>
+                <select multiple class="form-control prerequisite-courses" size="${Math.min(4, Math.max(2, options.length))}" title="Ctrl/⌘-click to accept any of several courses">
+                    ${options.map(course => `<option value="${course.id}" ${group.includes(course.id) ? 'selected' : ''}>${course.name}</option>`).join('')}
+                </select>
+                <button type="button" class="btn-icon btn-delete" onclick="cms.removePrerequisiteGroup(${index})" title="Remove Requirement">🗑️</button>
+            </div>
+        `).join('');
+    }
+
+    // Returns null when no rule is set; rows with no course selected are dropped
+    readPrerequisiteForm() {
+        const minLevel = document.getElementById('coursePrereqLevel').value || null;
+        const groups = [...document.querySelectorAll('#prerequisite-groups .prerequisite-courses')]
+            .map(select => [...select.selectedOptions].map(option => parseInt(option.value)))
+            .filter(group => group.length > 0);
+
+        return minLevel || groups.length > 0 ? { minLevel, groups } : null;
+    }
+
+    addPrerequisiteGroup() {
+        const draft = this.readPrerequisiteForm() || { minLevel: null, groups: [] };
+        this.renderPrerequisiteEditor({ ...draft, groups: [...draft.groups, []] });
+        const rows = document.querySelectorAll('#prerequisite-groups .prerequisite-courses');
+        if (rows.length > 0) rows[rows.length - 1].focus();
+    }
 
+    removePrerequisiteGroup(index) {
+        const rows = [...document.querySelectorAll('#prerequisite-groups .prerequisite-row')];
+        if (rows[index]) rows[index].remove();
+        this.renderPrerequisiteEditor(this.readPrerequisiteForm());
+    }
+
+    // Explains what the student is missing and asks for a reason to enroll anyway.
+    // Returns true when the prerequisites are met; otherwise `retry(override)` runs on override.
+    confirmPrerequisites(studentId, courseId, retry) {
+        const student = this.data.students.find(s => s.id === studentId);
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!student || !course) return true;
+
+        const result = this.prerequisiteChecker.check(student, course, this.data);
+        if (result.met) return true;
+
+        document.getElementById('prerequisite-explanation').innerHTML = `
+            <p>${student.name} doesn't meet the prerequisites for <strong>${course.name}</strong>:</p>
+            <ul>${result.unmet.map(item => `<li>${item.message}</li>`).join('')}</ul>
+        `;
+        const reasonInput = document.getElementById('prerequisiteOverrideReason');
+        reasonInput.value = '';
+        this.showFieldError(reasonInput, null);
+        this.pendingPrerequisiteOverride = { retry, unmet: result.unmet.map(item => item.message) };
+        showModal('prerequisiteModal');
+        return false;
+    }
+
+    confirmPrerequisiteOverride() {
+        const reasonInput = document.getElementById('prerequisiteOverrideReason');
+        const reason = reasonInput.value.trim();
+        if (!reason) {
+            this.showFieldError(reasonInput, 'Give a reason for enrolling without the prerequisites');
+            reasonInput.focus();
+            return;
+        }
+
+        const pending = this.pendingPrerequisiteOverride;
+        this.pendingPrerequisiteOverride = null;
+        hideModal('prerequisiteModal');
+        if (pending) pending.retry({ reason, unmet: pending.unmet });
+    }
+
+    openPrerequisiteGraph() {
+        this.renderPrerequisiteGraph();
+        showModal('prerequisiteGraphModal');
+    }
+
+    // Courses laid out left to right by how long their chain of prerequisites is; dashed
+    // edges are alternatives, any one of which is enough
+    renderPrerequisiteGraph() {
+        const container = document.getElementById('prerequisite-graph');
+        if (!container) return;
+
+        const checker = this.prerequisiteChecker;
+        const linked = new Set();
+        this.data.courses.forEach(course => {
+            if (PrerequisiteChecker.isEmpty(course.prerequisites)) return;
+            linked.add(course.id);
+            checker.requiredCourseIds(course).forEach(id => linked.add(id));
+        });
+        const courses = this.data.courses.filter(course => linked.has(course.id));
+
+        if (courses.length === 0) {
+            container.innerHTML = '<p class="section-description">No course has prerequisites yet. Add them in the Prerequisites part of a course\'s edit form.</p>';
+            return;
+        }
+
+        const node = { width: 210, height: 54, columnGap: 90, rowGap: 24, padding: 16 };
+        const depths = checker.depths(this.data);
+        const columns = [];
+        courses
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(course => {
+                const depth = depths.get(course.id) || 0;
+                (columns[depth] = columns[depth] || []).push(course);
+            });
+
+        const positions = new Map();
+        columns.forEach((column, depth) => (column || []).forEach((course, row) => {
+            positions.set(course.id, {
+                x: node.padding + depth * (node.width + node.columnGap),
+                y: node.padding + row * (node.height + node.rowGap)
+            });
+        }));
+
+        const width = node.padding * 2 + columns.length * node.width + (columns.length - 1) * node.columnGap;
+        const height = node.padding * 2 + Math.max(...columns.map(column => (column || []).length)) * (node.height + node.rowGap) - node.rowGap;
+        const truncate = text => text.length > 28 ? `${text.slice(0, 27)}…` : text;
+
+        const edges = courses.flatMap(course => (course.prerequisites ? course.prerequisites.groups || [] : [])
+            .flatMap(group => group.filter(id => positions.has(id)).map(id => {
+                const from = positions.get(id);
+                const to = positions.get(course.id);
+                const x1 = from.x + node.width;
+                const y1 = from.y + node.height / 2;
+                const x2 = to.x;
+                const y2 = to.y + node.height / 2;
+                const middle = (x1 + x2) / 2;
+                const alternative = group.length > 1;
+                return `
+                    <path class="prerequisite-edge ${alternative ? 'prerequisite-edge--alternative' : ''}" d="M ${x1} ${y1} C ${middle} ${y1}, ${middle} ${y2}, ${x2} ${y2}" marker-end="url(#prerequisite-arrow)">
+                        <title>${course.name} requires ${checker.describeGroup(group, this.data)}</title>
+                    </path>
+                `;
+            })));
+
+        const nodes = courses.map(course => {
+            const { x, y } = positions.get(course.id);
+            const minLevel = course.prerequisites && course.prerequisites.minLevel;
             return `
-                <div class="student-card">
-                    <div class="student-header">
-                        <div class="student-avatar">${student.name.charAt(0).toUpperCase()}</div>
-                        <div class="student-info">
-                            <h3>${student.name}</h3>
-                            <p class="student-email">${student.email}</p>
-                        </div>
-                    </div>
-                    <div class="student-details">
-                        <div class="student-detail">
-                            <span class="student-detail-label">Phone:</span>
-                            <span class="student-detail-value">${student.phone}</span>
-                        </div>
-                        <div class="student-detail">
-                            <span class="student-detail-label">Level:</span>
-                            <span class="student-detail-value">${student.level || 'Beginner'}</span>
-                        </div>
-                        <div class="student-detail">
-                            <span class="student-detail-label">Status:</span>
-                            <span class="status status--${student.status.toLowerCase()}">${student.status}</span>
-                        </div>
-                    </div>
-                    <div class="student-courses">
-                        <h4>Enrolled Courses (${enrolledCourses.length})</h4>
-                        <div class="course-tags">
-                            ${enrolledCourses.length > 0 
-                                ? enrolledCourses.map(course => `<span class="course-tag">${course}</span>`).join('')
-                                : '<span class="course-tag" style="opacity: 0.6;">No courses enrolled</span>'
-                            }
-                        </div>
-                    </div>
-                    ${this.aiEnabled && aiRecommendations.length > 0 ? `
-                        <div class="ai-recommendations">
-                            <h4>🤖 AI Recommendations</h4>
-                            ${aiRecommendations.slice(0, 2).map(rec => `
-                                <div class="recommended-course" onclick="cms.quickEnroll(${student.id}, ${rec.course.id})">
-                                    ${rec.course.name} (${Math.round(rec.confidence * 100)}% match)
-                                </div>
-                            `).join('')}
-                        </div>
-                    ` : ''}
-                    <div class="student-actions">
-                        <button class="btn-icon btn-edit" onclick="cms.editStudent(${student.id})" title="Edit Student">✏️</button>
-                        <button class="btn-icon btn-delete" onclick="cms.deleteStudent(${student.id})" title="Delete Student">🗑️</button>
-                    </div>
-                </div>
+                <g class="prerequisite-node prerequisite-node--${course.level.toLowerCase()}" transform="translate(${x}, ${y})" onclick="hideModal('prerequisiteGraphModal'); cms.editCourse(${course.id})">
+                    <title>${course.name}${course.prerequisites ? `\nRequires: ${checker.describe(course, this.data)}` : ''}</title>
+                    <rect width="${node.width}" height="${node.height}" rx="8"></rect>
+                    <text x="12" y="22" class="prerequisite-node-name">${truncate(course.name)}</text>
+                    <text x="12" y="40" class="prerequisite-node-meta">${course.level}${minLevel ? ` · needs ${minLevel}+ students` : ''}</text>
+                </g>
             `;
-        }).join('');
+        });
+
+        container.innerHTML = `
+            <svg class="prerequisite-graph" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Course prerequisite graph">
+                <defs>
+                    <marker id="prerequisite-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+                        <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                    </marker>
+                </defs>
+                ${edges.join('')}
+                ${nodes.join('')}
+            </svg>
+            <p class="prerequisite-legend"><small>Arrows point from a prerequisite to the course that needs it. Dashed arrows are alternatives: completing any one of them is enough. Click a course to edit it.</small></p>
+        `;
+    }
+
+    // WAITLISTS
+    // Offers lapse while the app is open as well as on the next load
+    startWaitlistTimer() {
+        if (this.waitlistInterval) {
+            clearInterval(this.waitlistInterval);
+        }
+
+        const start = () => {
+            this.expireWaitlistOffers();
+            this.waitlistInterval = setInterval(() => this.expireWaitlistOffers(), 60000);
+        };
+
+        // One tab expires offers for all of them (the others get the change through tab sync);
+        // the lock passes to another tab when it closes. Without Web Locks every tab does it.
+        if (navigator.locks && navigator.locks.request) {
+            navigator.locks.request('edumanage_waitlist_timer', () => {
+                start();
+                return new Promise(() => {});
+            });
+        } else {
+            start();
+        }
+    }
+
+    promoteWaitlist(data, courseIds) {
+        return this.waitlistManager.promote(data, courseIds, { holdHours: this.data.waitlistSettings.holdHours });
+    }
+
+    // Appended to the toast of whatever freed the seats
+    describeWaitlistOffers(offers) {
+        if (offers.length === 0) return '';
+        const names = offers.map(entry => {
+            const student = this.data.students.find(s => s.id === entry.studentId);
+            const course = this.data.courses.find(c => c.id === entry.courseId);
+            return `${student ? student.name : 'A student'} was offered a seat in ${course ? course.name : 'the course'}`;
+        });
+        return ` · 🎟️ ${names.join('; ')} (held until ${new Date(offers[0].expiresAt).toLocaleString()})`;
+    }
+
+    // Asks to join the waitlist when a course has no seat for the student. Returns false
+    // when there is a seat (or the student is already enrolled) so the caller carries on.
+    offerWaitlist(studentId, courseId, onJoined = null, prerequisiteOverride = null) {
+        const student = this.data.students.find(s => s.id === studentId);
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!student || !course) return false;
+        if (this.waitlistManager.freeSeats(course, this.data, studentId) > 0) return false;
+        if (this.data.enrollments.some(e => e.studentId === studentId && e.courseId === courseId && EnrollmentLifecycle.isOpen(e))) return false;
+
+        const existing = this.waitlistManager.openEntry(studentId, courseId, this.data);
+        if (existing) {
+            this.showToast(`${student.name} is already #${this.waitlistManager.position(existing, this.data)} on the waitlist for ${course.name}`, 'warning');
+            return true;
+        }
+
+        const position = this.waitlistManager.queue(courseId, this.data).filter(entry => entry.status === 'Waiting').length + 1;
+        this.showConfirmModal(`${course.name} is full. Add ${student.name} to the waitlist as #${position}?`, () => {
+            hideModal('confirmModal');
+            this.joinWaitlist(studentId, courseId, prerequisiteOverride);
+            if (onJoined) onJoined();
+        });
+        return true;
+    }
+
+    joinWaitlist(studentId, courseId, prerequisiteOverride = null) {
+        const student = this.data.students.find(s => s.id === studentId);
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!student || !course) return;
+
+        const entry = this.runCommand(`Add ${student.name} to the waitlist for ${course.name}`, ['waitlist'], data =>
+            this.waitlistManager.join(data, studentId, courseId, { prerequisiteOverride })
+        );
+
+        this.saveData();
+        this.refreshWaitlistViews();
+        this.showToast(`${student.name} is #${this.waitlistManager.position(entry, this.data)} on the waitlist for ${course.name}`, 'success', this.undoAction());
+    }
+
+    // Marks the student's open entry as enrolled; called inside enrollment commands
+    closeWaitlistEntry(data, studentId, courseId) {
+        const entry = this.waitlistManager.openEntry(studentId, courseId, data);
+        if (entry) this.waitlistManager.resolve(entry, 'Enrolled');
+    }
+
+    acceptWaitlistOffer(entryId) {
+        const entry = this.data.waitlist.find(e => e.id === entryId);
+        if (!entry || entry.status !== 'Offered') return;
+        if (!this.enrollStudent(entry.studentId, entry.courseId, { prerequisiteOverride: entry.prerequisiteOverride || null })) return;
+
+        const student = this.data.students.find(s => s.id === entry.studentId);
+        const course = this.data.courses.find(c => c.id === entry.courseId);
+        this.saveData();
+        this.refreshWaitlistViews();
+        this.showToast(`${student.name} accepted the seat in ${course.name}`, 'success', this.undoAction());
+    }
+
+    declineWaitlistOffer(entryId) {
+        this.closeWaitlistOffer(entryId, 'Declined');
+    }
+
+    removeFromWaitlist(entryId) {
+        this.closeWaitlistOffer(entryId, 'Removed');
+    }
+
+    // Declining or removing an offered entry passes the seat to the next in line
+    closeWaitlistOffer(entryId, status) {
+        const entry = this.data.waitlist.find(e => e.id === entryId);
+        if (!entry || !WAITLIST_OPEN_STATUSES.includes(entry.status)) return;
+
+        const student = this.data.students.find(s => s.id === entry.studentId);
+        const course = this.data.courses.find(c => c.id === entry.courseId);
+        const label = status === 'Declined'
+            ? `${student?.name} declined a seat in ${course?.name}`
+            : `Remove ${student?.name} from the waitlist for ${course?.name}`;
+
+        const offers = this.runCommand(label, ['waitlist'], data => {
+            this.waitlistManager.resolve(data.waitlist.find(e => e.id === entryId), status);
+            return this.promoteWaitlist(data, [entry.courseId]);
+        });
+
+        this.saveData();
+        this.refreshWaitlistViews();
+        this.showToast(label + this.describeWaitlistOffers(offers), 'warning', this.undoAction());
+    }
+
+    expireWaitlistOffers() {
+        const expired = this.waitlistManager.expiredOffers(this.data);
+        if (expired.length === 0) return;
+
+        const offers = this.runCommand(`${expired.length} waitlist offer${expired.length === 1 ? '' : 's'} expired`, ['waitlist'], data => {
+            expired.forEach(entry => this.waitlistManager.resolve(data.waitlist.find(e => e.id === entry.id), 'Expired'));
+            return this.promoteWaitlist(data, expired.map(entry => entry.courseId));
+        }, { background: true });
+
+        this.saveData();
+        this.refreshWaitlistViews();
+        this.showToast(`${expired.length} waitlist offer${expired.length === 1 ? '' : 's'} expired${this.describeWaitlistOffers(offers)}`, 'warning');
     }
 
-    renderInstructors() {
-        this.displayInstructors(this.data.instructors);
+    refreshWaitlistViews() {
+        this.updateEnrollmentCounts();
+        this.updateAllDropdowns();
+        if (['courses', 'students', 'enrollments'].includes(this.currentSection)) this.showSection(this.currentSection);
+        if (document.getElementById('waitlistModal').classList.contains('hidden') === false) this.renderWaitlist();
     }
 
-    displayInstructors(instructors) {
-        const grid = document.getElementById('instructors-grid');
-        
-        if (instructors.length === 0) {
-            grid.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">👨‍🏫</div>
-                    <h3>No instructors found</h3>
-                    <p>Start by adding your first instructor</p>
-                    <button class="btn btn--primary" onclick="cms.addInstructor()">Add Instructor</button>
-                </div>
-            `;
+    openWaitlist(courseId = null) {
+        this.waitlistCourseId = courseId;
+        document.getElementById('waitlistHoldHours').value = this.data.waitlistSettings.holdHours;
+        this.renderWaitlist();
+        showModal('waitlistModal');
+    }
+
+    renderWaitlist() {
+        const container = document.getElementById('waitlist-list');
+        if (!container) return;
+
+        const courses = this.waitlistCourseId
+            ? this.data.courses.filter(c => c.id === this.waitlistCourseId)
+            : this.data.courses.filter(c => this.waitlistManager.queue(c.id, this.data).length > 0);
+        const course = this.waitlistCourseId ? courses[0] : null;
+        document.getElementById('waitlistModalTitle').textContent = course ? `⏳ Waitlist: ${course.name}` : '⏳ Waitlists';
+
+        if (courses.every(c => this.waitlistManager.queue(c.id, this.data).length === 0)) {
+            container.innerHTML = `<p class="section-description">${course ? `Nobody is waiting for ${course.name}.` : 'No course has a waitlist.'}</p>`;
             return;
         }
 
-        grid.innerHTML = instructors.map(instructor => {
-            const assignedCourses = instructor.courses ? 
-                instructor.courses.map(courseId => {
-                    const course = this.data.courses.find(c => c.id === courseId);
-                    return course ? course.name : null;
-                }).filter(name => name !== null) : [];
+        container.innerHTML = courses.map(c => `
+            ${course ? '' : `<h4>${c.name} <small>(${c.enrolled}/${c.capacity})</small></h4>`}
+            <table class="table waitlist-table">
+                <thead>
+                    <tr><th>#</th><th>Student</th><th>Joined</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.waitlistManager.queue(c.id, this.data).map(entry => {
+                        const student = this.data.students.find(s => s.id === entry.studentId);
+                        const position = this.waitlistManager.position(entry, this.data);
+                        return `
+                            <tr>
+                                <td>${position || '🎟️'}</td>
+                                <td>${student ? student.name : `Student #${entry.studentId}`}</td>
+                                <td><small>${new Date(entry.joinedAt).toLocaleString()}</small></td>
+                                <td>${entry.status === 'Offered'
+                                    ? `<span class="status status--warning">Seat offered</span><br><small>until ${new Date(entry.expiresAt).toLocaleString()}</small>`
+                                    : '<span class="status status--info">Waiting</span>'}</td>
+                                <td>
+                                    ${entry.status === 'Offered' ? `
+                                        <button class="btn btn--sm btn--primary" onclick="cms.acceptWaitlistOffer(${entry.id})">Enroll</button>
+                                        <button class="btn btn--sm btn--outline" onclick="cms.declineWaitlistOffer(${entry.id})">Decline</button>
+                                    ` : `
+                                        <button class="btn-icon btn-delete" onclick="cms.removeFromWaitlist(${entry.id})" title="Remove from Waitlist">🗑️</button>
+                                    `}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `).join('');
+    }
 
-            const avatarContent = instructor.profileImage ? 
-                `<img src="${instructor.profileImage}" alt="${instructor.name}" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
-                 <span style="display: none;">${instructor.name.charAt(0).toUpperCase()}</span>` :
-                instructor.name.charAt(0).toUpperCase();
+    saveWaitlistSettings() {
+        const input = document.getElementById('waitlistHoldHours');
+        const holdHours = Number(input.value);
+        if (!Number.isInteger(holdHours) || holdHours < 1 || holdHours > 720) {
+            this.showFieldError(input, 'Enter a whole number of hours between 1 and 720');
+            return;
+        }
 
-            return `
-                <div class="instructor-card">
-                    <div class="instructor-header">
-                        <div class="instructor-avatar">${avatarContent}</div>
-                        <div class="instructor-info">
-                            <h3>${instructor.name}</h3>
-                            <p class="instructor-department">${instructor.department}</p>
-                            <p class="instructor-experience">${instructor.experience} years experience</p>
-                            ${instructor.rating ? `<div style="margin-top: 4px;">⭐ ${instructor.rating}/5.0</div>` : ''}
-                        </div>
-                    </div>
-                    <div class="instructor-body">
-                        ${instructor.bio ? `<p class="instructor-bio">${instructor.bio}</p>` : ''}
-                        
-                        <div class="instructor-expertise">
-                            <h4>Expertise</h4>
-                            <div class="expertise-tags">
-                                ${instructor.expertise.map(skill => 
-                                    `<span class="expertise-tag">${skill}</span>`
-                                ).join('')}
-                            </div>
-                        </div>
-                        
-                        <div class="instructor-courses">
-                            <h4>Assigned Courses (${assignedCourses.length})</h4>
-                            <div class="course-tags">
-                                ${assignedCourses.length > 0 
-                                    ? assignedCourses.map(course => `<span class="course-tag">${course}</span>`).join('')
-                                    : '<span class="course-tag" style="opacity: 0.6;">No courses assigned</span>'
-                                }
-                            </div>
-                        </div>
-                        
-                        <div class="instructor-contact">
-                            <div class="instructor-contact-item">
-                                <span>📧</span> ${instructor.email}
-                            </div>
-                            ${instructor.phone ? `
-                                <div class="instructor-contact-item">
-                                    <span>📞</span> ${instructor.phone}
-                                </div>
-                            ` : ''}
-                        </div>
-                    </div>
-                    <div class="instructor-footer">
-                        <div class="instructor-status">
-                            <span class="status status--${instructor.status.toLowerCase()}">${instructor.status}</span>
-                            ${instructor.aiOptimized ? '<span class="ai-badge">AI-OPTIMIZED</span>' : ''}
-                        </div>
-                        <div class="instructor-actions">
-                            <button class="btn-icon btn-edit" onclick="cms.editInstructor(${instructor.id})" title="Edit Instructor">✏️</button>
-                            <button class="btn-icon btn-delete" onclick="cms.deleteInstructor(${instructor.id})" title="Delete Instructor">🗑️</button>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        this.showFieldError(input, null);
+        this.data.waitlistSettings = { ...this.data.waitlistSettings, holdHours };
+        this.markDirty('waitlistSettings');
+        this.saveData();
+        this.showToast(`Offered seats are now held for ${holdHours} hours`);
     }
 
-    renderEnrollments() {
-        this.updateAllDropdowns();
-        this.displayEnrollments(this.data.enrollments);
+    // CALENDAR
+    bindCalendar() {
+        const grid = document.getElementById('calendar-grid');
+        if (!grid) return;
+
+        grid.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('[data-calendar-kind]');
+            if (!item) return;
+
+            const rect = item.getBoundingClientRect();
+            this.calendar.drag = {
+                kind: item.dataset.calendarKind,
+                courseId: parseInt(item.dataset.courseId),
+                date: item.dataset.date,
+                offsetY: e.clientY - rect.top
+            };
+            // A run bar is grabbed somewhere along its length; moving it keeps that point under the pointer
+            if (this.calendar.drag.kind === 'run') {
+                const target = this.calendarDropTarget(e);
+                this.calendar.drag.date = target ? target.date : item.dataset.date;
+            }
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.courseId);
+        });
+
+        grid.addEventListener('dragover', (e) => {
+            if (this.calendarDropTarget(e)) e.preventDefault();
+        });
+
+        grid.addEventListener('drop', (e) => {
+            const target = this.calendarDropTarget(e);
+            const drag = this.calendar.drag;
+            this.calendar.drag = null;
+            if (!target || !drag) return;
+
+            e.preventDefault();
+            if (drag.kind === 'run') {
+                this.rescheduleCourseRun(drag.courseId, CalendarBuilder.daysBetween(drag.date, target.date));
+            } else {
+                this.moveCourseSession(drag.courseId, drag.date, target.date, target.time);
+            }
+        });
+
+        grid.addEventListener('dragend', () => {
+            this.calendar.drag = null;
+        });
     }
 
-    displayEnrollments(enrollments) {
-        const tbody = document.querySelector('#enrollments-table tbody');
-        
-        if (enrollments.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="7" class="empty-state">
-                        <div class="empty-state-icon">✅</div>
-                        <h3>No enrollments found</h3>
-                        <p>Start by creating your first enrollment</p>
-                    </td>
-                </tr>
-            `;
-            return;
+    // Where the dragged item would land: { date } on a day lane, plus { time } on a time grid column
+    calendarDropTarget(e) {
+        const drag = this.calendar.drag;
+        if (!drag) return null;
+
+        const column = drag.kind === 'session' ? e.target.closest('.calendar-column') : null;
+        if (column) {
+            const { dayStartHour, dayEndHour, snapMinutes } = CALENDAR_SETTINGS;
+            const rect = column.getBoundingClientRect();
+            const span = (dayEndHour - dayStartHour) * 60;
+            const offset = rect.height > 0 ? (e.clientY - drag.offsetY - rect.top) / rect.height * span : 0;
+            const minutes = dayStartHour * 60 + Math.round(offset / snapMinutes) * snapMinutes;
+            return { date: column.dataset.date, time: CalendarBuilder.fromMinutes(Math.max(0, Math.min(minutes, 24 * 60 - snapMinutes))) };
         }
 
-        tbody.innerHTML = enrollments.map(enrollment => {
-            const student = this.data.students.find(s => s.id === enrollment.studentId);
-            const course = this.data.courses.find(c => c.id === enrollment.courseId);
-            const instructor = course ? this.data.instructors.find(i => i.id === course.instructorId) : null;
-            
-            const progress = enrollment.progress || 0;
-            const aiIcon = enrollment.aiSuggested ? '🤖' : '';
-            
+        const lane = e.target.closest('.calendar-lane');
+        if (!lane) return null;
+
+        const rect = lane.getBoundingClientRect();
+        const days = parseInt(lane.dataset.days);
+        const index = rect.width > 0 ? Math.floor((e.clientX - rect.left) / rect.width * days) : 0;
+        return { date: CalendarBuilder.addDays(lane.dataset.start, Math.max(0, Math.min(days - 1, index))) };
+    }
+
+    calendarFilters() {
+        const value = id => document.getElementById(id).value;
+        return {
+            instructorId: parseInt(value('calendar-instructor-filter')) || null,
+            studentId: parseInt(value('calendar-student-filter')) || null,
+            category: value('calendar-category-filter'),
+            roomId: parseInt(value('calendar-room-filter')) || null
+        };
+    }
+
+    updateCalendarFilters() {
+        const categories = [...new Set(this.data.courses.map(course => course.category))].sort();
+        const filters = {
+            'calendar-instructor-filter': ['All Instructors', this.data.instructors.map(i => [i.id, i.name])],
+            'calendar-student-filter': ['All Students', this.data.students.map(s => [s.id, s.name])],
+            'calendar-category-filter': ['All Categories', categories.map(category => [category, category])],
+            'calendar-room-filter': ['All Rooms', this.data.rooms.map(r => [r.id, r.name])]
+        };
+
+        Object.entries(filters).forEach(([id, [allLabel, options]]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const currentValue = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` +
+                options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+            if (currentValue && options.some(([value]) => String(value) === currentValue)) {
+                select.value = currentValue;
+            }
+        });
+    }
+
+    setCalendarView(view) {
+        if (!CALENDAR_VIEWS.includes(view)) return;
+        this.calendar.view = view;
+        this.renderCalendar();
+    }
+
+    moveCalendar(step) {
+        this.calendar.date = this.calendarBuilder.shift(this.calendar.view, this.calendar.date, step);
+        this.renderCalendar();
+    }
+
+    showCalendarToday() {
+        this.calendar.date = CalendarBuilder.formatDate(new Date());
+        this.renderCalendar();
+    }
+
+    showCalendarDay(date) {
+        this.calendar.view = 'day';
+        this.calendar.date = date;
+        this.renderCalendar();
+    }
+
+    renderCalendar() {
+        const grid = document.getElementById('calendar-grid');
+        if (!grid) return;
+
+        const { view, date } = this.calendar;
+        document.getElementById('calendar-title').textContent = this.calendarBuilder.title(view, date);
+        document.querySelectorAll('[data-calendar-view]').forEach(button => {
+            const active = button.dataset.calendarView === view;
+            button.classList.toggle('btn--primary', active);
+            button.classList.toggle('btn--outline', !active);
+        });
+
+        const courses = this.calendarBuilder.filterCourses(this.data, this.calendarFilters());
+        const clashes = this.scheduleDetector.detect(this.data);
+        grid.className = `calendar calendar--${view}`;
+        grid.innerHTML = view === 'month'
+            ? this.renderCalendarMonth(courses, clashes)
+            : this.renderCalendarTimeGrid(courses, clashes);
+    }
+
+    renderCalendarMonth(courses, clashes) {
+        const dates = this.calendarBuilder.dates('month', this.calendar.date);
+        const month = CalendarBuilder.parseDate(this.calendar.date).getMonth();
+        const today = CalendarBuilder.formatDate(new Date());
+        const weeks = [];
+        for (let i = 0; i < dates.length; i += 7) weeks.push(dates.slice(i, i + 7));
+
+        const weekdays = dates.slice(0, 7).map(date => `<div class="calendar-weekday">${CalendarBuilder.weekday(date).slice(0, 3)}</div>`).join('');
+
+        return `<div class="calendar-weekdays">${weekdays}</div>` + weeks.map(week => {
+            const runs = this.calendarBuilder.runs(courses, week[0], week[6]);
+            const sessions = this.calendarBuilder.sessions(courses, week[0], week[6]);
+
             return `
-                <tr>
-                    <td>${student ? student.name : 'Unknown Student'}</td>
-                    <td>${course ? course.name : 'Unknown Course'} ${aiIcon}</td>
-                    <td>${instructor ? instructor.name : 'Unassigned'}</td>
-                    <td>${enrollment.enrollmentDate}</td>
-                    <td>
-                        <div class="progress" style="width: 100px;">
-                            <div class="progress-bar" style="width: ${progress}%"></div>
+                <div class="calendar-week calendar-lane" data-start="${week[0]}" data-days="7">
+                    ${week.map((date, index) => `
+                        <div class="calendar-day ${CalendarBuilder.parseDate(date).getMonth() !== month ? 'calendar-day--outside' : ''} ${date === today ? 'calendar-day--today' : ''}"
+                             style="grid-column: ${index + 1}; grid-row: 1 / span ${runs.length + 2};"></div>
+                        <button type="button" class="calendar-day-number" style="grid-column: ${index + 1}; grid-row: 1;" onclick="cms.showCalendarDay('${date}')">${CalendarBuilder.parseDate(date).getDate()}</button>
+                    `).join('')}
+                    ${runs.map((course, row) => this.renderCalendarRun(course, week, row + 2, clashes)).join('')}
+                    ${week.map((date, index) => `
+                        <div class="calendar-day-sessions" style="grid-column: ${index + 1}; grid-row: ${runs.length + 2};">
+                            ${sessions.filter(session => session.date === date).map(session => this.renderCalendarSession(session, clashes)).join('')}
                         </div>
-                        <small>${progress}%</small>
-                    </td>
-                    <td><span class="status status--${enrollment.status.toLowerCase()}">${enrollment.status}</span></td>
-                    <td>
-                        <button class="btn-icon btn-delete" onclick="cms.unenrollStudent(${enrollment.studentId}, ${enrollment.courseId})" title="Unenroll">❌</button>
-                    </td>
-                </tr>
+                    `).join('')}
+                </div>
             `;
         }).join('');
     }
 
-    // CRUD OPERATIONS - FIXED
-    addCourse() {
-        this.resetCourseForm();
-        document.getElementById('courseModalTitle').textContent = 'Add New Course';
-        document.getElementById('courseSubmitBtn').textContent = 'Add Course';
-        this.updateAllDropdowns();
-        showModal('courseModal');
+    renderCalendarTimeGrid(courses, clashes) {
+        const { dayStartHour, dayEndHour } = CALENDAR_SETTINGS;
+        const dates = this.calendarBuilder.dates(this.calendar.view, this.calendar.date);
+        const first = dates[0];
+        const last = dates[dates.length - 1];
+        const today = CalendarBuilder.formatDate(new Date());
+        const runs = this.calendarBuilder.runs(courses, first, last);
+        const sessions = this.calendarBuilder.sessions(courses, first, last);
+        const span = (dayEndHour - dayStartHour) * 60;
+        const hours = [];
+        for (let hour = dayStartHour; hour < dayEndHour; hour++) hours.push(hour);
+
+        return `
+            <div class="calendar-row">
+                <div class="calendar-gutter"></div>
+                <div class="calendar-days" style="grid-template-columns: repeat(${dates.length}, 1fr);">
+                    ${dates.map(date => `
+                        <button type="button" class="calendar-day-number ${date === today ? 'calendar-day--today' : ''}" onclick="cms.showCalendarDay('${date}')">
+                            ${CalendarBuilder.parseDate(date).toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' })}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="calendar-row">
+                <div class="calendar-gutter"><small>Runs</small></div>
+                <div class="calendar-days calendar-lane" data-start="${first}" data-days="${dates.length}" style="grid-template-columns: repeat(${dates.length}, 1fr);">
+                    ${runs.map((course, row) => this.renderCalendarRun(course, dates, row + 1, clashes)).join('') || '<small class="calendar-empty">No courses running</small>'}
+                </div>
+            </div>
+            <div class="calendar-row calendar-time-grid" style="--calendar-hours: ${hours.length};">
+                <div class="calendar-gutter">
+                    ${hours.map(hour => `<div class="calendar-hour">${CalendarBuilder.fromMinutes(hour * 60)}</div>`).join('')}
+                </div>
+                <div class="calendar-days" style="grid-template-columns: repeat(${dates.length}, 1fr);">
+                    ${dates.map(date => {
+                        const daySessions = sessions.filter(session => session.date === date);
+                        // Sessions that overlap share the column side by side
+                        const lanes = [];
+                        const placed = daySessions.map(session => {
+                            let lane = lanes.findIndex(end => end <= session.startTime);
+                            if (lane === -1) lane = lanes.length;
+                            lanes[lane] = session.endTime;
+                            return { session, lane };
+                        });
+                        return `
+                            <div class="calendar-column ${date === today ? 'calendar-day--today' : ''}" data-date="${date}">
+                                ${placed.map(({ session, lane }) => {
+                                    const top = (CalendarBuilder.toMinutes(session.startTime) - dayStartHour * 60) / span * 100;
+                                    const height = (CalendarBuilder.toMinutes(session.endTime) - CalendarBuilder.toMinutes(session.startTime)) / span * 100;
+                                    const style = `top: ${Math.max(0, top)}%; height: ${Math.min(height, 100 - Math.max(0, top))}%; ` +
+                                        `left: ${lane / lanes.length * 100}%; width: ${100 / lanes.length}%;`;
+                                    return this.renderCalendarSession(session, clashes, style);
+                                }).join('')}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
     }
 
-    addStudent() {
-        this.resetStudentForm();
-        document.getElementById('studentModalTitle').textContent = 'Add New Student';
-        document.getElementById('studentSubmitBtn').textContent = 'Add Student';
-        showModal('studentModal');
+    // A course run clipped to `dates`, as a bar in grid row `row`
+    renderCalendarRun(course, dates, row, clashes) {
+        const first = dates[0];
+        const last = dates[dates.length - 1];
+        const start = course.startDate > first ? course.startDate : first;
+        const end = course.endDate < last ? course.endDate : last;
+        const classes = [
+            'calendar-event', 'calendar-run',
+            course.startDate < first ? 'calendar-run--continued' : '',
+            course.endDate > last ? 'calendar-run--continues' : '',
+            clashes.has(course.id) ? 'calendar-event--conflict' : '',
+            course.status === 'Completed' ? 'calendar-event--completed' : ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <div class="${classes}" style="grid-column: ${CalendarBuilder.daysBetween(first, start) + 1} / ${CalendarBuilder.daysBetween(first, end) + 2}; grid-row: ${row};"
+                 ${course.status !== 'Completed' ? `draggable="true" data-calendar-kind="run"` : ''} data-course-id="${course.id}" data-date="${start}"
+                 title="${this.describeCalendarEvent(course, clashes)}" onclick="cms.editCourse(${course.id})">
+                ${course.name}
+            </div>
+        `;
     }
 
-    addInstructor() {
-        this.resetInstructorForm();
-        document.getElementById('instructorModalTitle').textContent = 'Add New Instructor';
-        document.getElementById('instructorSubmitBtn').textContent = 'Add Instructor';
-        showModal('instructorModal');
+    renderCalendarSession(session, clashes, style = '') {
+        const { course } = session;
+        const classes = [
+            'calendar-event', 'calendar-session',
+            clashes.has(course.id) ? 'calendar-event--conflict' : '',
+            course.status === 'Completed' ? 'calendar-event--completed' : ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <div class="${classes}" style="${style}"
+                 ${course.status !== 'Completed' ? `draggable="true" data-calendar-kind="session"` : ''} data-course-id="${course.id}" data-date="${session.date}"
+                 title="${this.describeCalendarEvent(course, clashes)}" onclick="cms.editCourse(${course.id})">
+                <strong>${session.startTime}</strong> ${course.name}
+            </div>
+        `;
     }
 
-    editCourse(id) {
-        const course = this.data.courses.find(c => c.id === id);
-        if (!course) return;
+    describeCalendarEvent(course, clashes) {
+        const instructor = this.data.instructors.find(i => i.id === course.instructorId);
+        return [
+            course.name,
+            `${course.startDate} to ${course.endDate}`,
+            ScheduleConflictDetector.describe(course, this.data.rooms),
+            instructor ? instructor.name : 'Unassigned',
+            ...(clashes.get(course.id) || []).map(conflict => `⚠️ ${conflict.message}`)
+        ].filter(Boolean).join('\n').replace(/"/g, '&quot;');
+    }
 
-        this.updateAllDropdowns();
+    // Moves the whole run by `days`, keeping its length and weekly pattern
+    rescheduleCourseRun(courseId, days) {
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!course || days === 0) return;
 
-        document.getElementById('courseId').value = course.id;
-        document.getElementById('courseName').value = course.name;
-        document.getElementById('courseDescription').value = course.description;
-        document.getElementById('courseInstructor').value = course.instructorId || '';
-        document.getElementById('courseCategory').value = course.category;
-        document.getElementById('courseCapacity').value = course.capacity;
-        document.getElementById('coursePrice').value = course.price;
-        document.getElementById('courseStartDate').value = course.startDate;
-        document.getElementById('courseEndDate').value = course.endDate;
-        document.getElementById('courseDuration').value = course.duration;
-        document.getElementById('courseLevel').value = course.level;
-        document.getElementById('courseStatus').value = course.status;
+        const startDate = CalendarBuilder.addDays(course.startDate, days);
+        const endDate = CalendarBuilder.addDays(course.endDate, days);
+        const summary = `${course.name} now runs ${startDate} to ${endDate}`;
+        this.applyCourseReschedule(courseId, { startDate, endDate }, summary);
+    }
 
-        // Show AI indicator if applicable
-        const indicator = document.getElementById('description-ai-indicator');
-        if (indicator && course.aiGenerated) {
-            indicator.classList.remove('hidden');
+    // Moves the weekly meeting on `fromDate`'s weekday to `toDate`'s weekday at `startTime`.
+    // A schedule has one time for all its days, so a new time applies to every meeting.
+    moveCourseSession(courseId, fromDate, toDate, startTime) {
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!course || !ScheduleConflictDetector.hasMeetings(course)) return;
+
+        const { days, startTime: oldStart, endTime: oldEnd } = course.schedule;
+        const fromDay = CalendarBuilder.weekday(fromDate);
+        const toDay = CalendarBuilder.weekday(toDate);
+        const newStart = startTime || oldStart;
+        const endMinutes = CalendarBuilder.toMinutes(newStart) + CalendarBuilder.toMinutes(oldEnd) - CalendarBuilder.toMinutes(oldStart);
+
+        if (fromDay !== toDay && days.includes(toDay)) {
+            this.showToast(`${course.name} already meets on ${toDay}s`, 'error');
+            return;
+        }
+        if (endMinutes >= 24 * 60) {
+            this.showToast(`${course.name} would run past midnight`, 'error');
+            return;
         }
+        if (fromDay === toDay && newStart === oldStart) return;
 
-        document.getElementById('courseModalTitle').textContent = 'Edit Course';
-        document.getElementById('courseSubmitBtn').textContent = 'Update Course';
-        showModal('courseModal');
+        const schedule = {
+            ...course.schedule,
+            days: WEEKDAYS.filter(day => (day === toDay || days.includes(day)) && day !== (fromDay !== toDay ? fromDay : null)),
+            startTime: newStart,
+            endTime: CalendarBuilder.fromMinutes(endMinutes)
+        };
+        const summary = `${course.name} now meets ${ScheduleConflictDetector.describe({ schedule }, this.data.rooms)}`;
+        this.applyCourseReschedule(courseId, { schedule }, summary);
     }
 
-    editStudent(id) {
-        const student = this.data.students.find(s => s.id === id);
-        if (!student) return;
+    // Drag-to-reschedule goes through the same conflict check as the course form, plus
+    // the timetables of the students enrolled in the course
+    applyCourseReschedule(courseId, changes, summary, { allowConflicts = false } = {}) {
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!course) return;
+
+        if (course.status === 'Completed') {
+            this.showToast('Completed courses cannot be rescheduled', 'error');
+            return;
+        }
+
+        if (!allowConflicts) {
+            const moved = { ...course, ...changes };
+            const studentClashes = this.data.enrollments
+                .filter(e => e.courseId === courseId && EnrollmentLifecycle.isOpen(e))
+                .flatMap(enrollment => {
+                    const student = this.data.students.find(s => s.id === enrollment.studentId);
+                    return this.scheduleDetector.studentConflicts(enrollment.studentId, moved, this.data)
+                        .map(conflict => ({ ...conflict, message: `${student ? student.name : `Student #${enrollment.studentId}`}: ${conflict.message}` }));
+                });
+            const conflicts = [...this.scheduleDetector.courseConflicts(moved, this.data), ...studentClashes];
+            if (conflicts.length > 0) {
+                this.showConfirmModal(`Moving ${course.name} causes conflicts: ${conflicts.map(conflict => conflict.message).join('; ')}. Move anyway?`, () => {
+                    hideModal('confirmModal');
+                    this.applyCourseReschedule(courseId, changes, summary, { allowConflicts: true });
+                });
+                return;
+            }
+        }
+
+        this.runCommand(`Reschedule course "${course.name}"`, ['courses'], data => {
+            const target = data.courses.find(c => c.id === courseId);
+            if (target) Object.assign(target, changes);
+        });
+
+        this.saveData();
+        this.renderCalendar();
+        this.showToast(summary, 'success', this.undoAction());
+    }
 
-        document.getElementById('studentId').value = student.id;
-        document.getElementById('studentName').value = student.name;
-        document.getElementById('studentEmail').value = student.email;
-        document.getElementById('studentPhone').value = student.phone;
-        document.getElementById('studentAddress').value = student.address || '';
-        document.getElementById('studentLevel').value = student.level || 'Beginner';
-        document.getElementById('studentStatus').value = student.status;
-        document.getElementById('studentInterests').value = (student.interests || []).join(', ');
+    downloadCalendar(courses, name, audit) {
+        if (courses.length === 0) {
+            this.showToast(`${name} has no courses to export`, 'warning');
+            return;
+        }
 
-        document.getElementById('studentModalTitle').textContent = 'Edit Student';
-        document.getElementById('studentSubmitBtn').textContent = 'Update Student';
-        showModal('studentModal');
+        const count = `${courses.length} course${courses.length === 1 ? '' : 's'}`;
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        this.downloadFile(`edumanage_${slug || 'calendar'}.ics`, this.calendarBuilder.toICS(courses, this.data, { name }), 'text/calendar');
+        this.logAudit({ action: 'export', ...audit, summary: `${name} exported to iCalendar (${count})` });
+        this.saveData();
+        this.showToast(`${name} exported to iCalendar (${count})`);
     }
 
-    editInstructor(id) {
-        const instructor = this.data.instructors.find(i => i.id === id);
+    exportCourseCalendar(courseId) {
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!course) return;
+        this.downloadCalendar([course], course.name, { entityType: 'course', entityId: course.id, entityName: course.name });
+    }
+
+    exportInstructorCalendar(instructorId) {
+        const instructor = this.data.instructors.find(i => i.id === instructorId);
         if (!instructor) return;
+        const courses = this.calendarBuilder.filterCourses(this.data, { instructorId });
+        this.downloadCalendar(courses, `${instructor.name} teaching`, { entityType: 'instructor', entityId: instructor.id, entityName: instructor.name });
+    }
 
-        document.getElementById('instructorId').value = instructor.id;
-        document.getElementById('instructorName').value = instructor.name;
-        document.getElementById('instructorEmail').value = instructor.email;
-        document.getElementById('instructorPhone').value = instructor.phone || '';
-        document.getElementById('instructorDepartment').value = instructor.department;
-        document.getElementById('instructorExpertise').value = instructor.expertise.join(', ');
-        document.getElementById('instructorExperience').value = instructor.experience;
-        document.getElementById('instructorStatus').value = instructor.status;
-        document.getElementById('instructorBio').value = instructor.bio || '';
+    exportStudentCalendar(studentId) {
+        const student = this.data.students.find(s => s.id === studentId);
+        if (!student) return;
+        const courses = this.calendarBuilder.filterCourses(this.data, { studentId });
+        this.downloadCalendar(courses, `${student.name} classes`, { entityType: 'student', entityId: student.id, entityName: student.name });
+    }
 
-        document.getElementById('instructorModalTitle').textContent = 'Edit Instructor';
-        document.getElementById('instructorSubmitBtn').textContent = 'Update Instructor';
-        showModal('instructorModal');
+    // Exports whatever the calendar filters currently show
+    exportCalendarView() {
+        const filters = this.calendarFilters();
+        const instructor = this.data.instructors.find(i => i.id === filters.instructorId);
+        const student = this.data.students.find(s => s.id === filters.studentId);
+        const room = this.data.rooms.find(r => r.id === filters.roomId);
+        const name = [instructor && instructor.name, student && student.name, filters.category, room && room.name].filter(Boolean).join(' · ') || 'All courses';
+        this.downloadCalendar(this.calendarBuilder.filterCourses(this.data, filters), name, { entityType: 'dataset', entityName: 'Calendar' });
     }
 
-    deleteCourse(id) {
-        const course = this.data.courses.find(c => c.id === id);
-        if (!course) return;
+    // COMMAND PALETTE
+    bindCommandPalette() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'k') return;
+            e.preventDefault();
+            this.openCommandPalette();
+        });
 
-        this.showConfirmModal(
-            `Are you sure you want to delete "${course.name}"? This will also remove all related enrollments.`,
-            () => {
-                this.data.courses = this.data.courses.filter(c => c.id !== id);
-                this.data.enrollments = this.data.enrollments.filter(e => e.courseId !== id);
-                this.data.students.forEach(student => {
-                    student.courses = student.courses.filter(courseId => courseId !== id);
-                });
-                
-                this.updateAllDropdowns();
-                this.saveData();
-                this.renderCourses();
-                this.showToast('Course deleted successfully', 'error');
-                this.addRecentActivity('🗑️ Course Deleted', `"${course.name}" removed from system`, 'Just now');
-                hideModal('confirmModal');
+        const input = document.getElementById('command-input');
+        const list = document.getElementById('command-results');
+        if (!input || !list) return;
+
+        input.addEventListener('input', () => this.updateCommandPalette());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveCommandSelection(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.executeCommandResult(this.commandPalette.selected);
+            } else if (e.key === 'Escape') {
+                hideModal('commandPalette');
             }
-        );
+        });
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.command-result');
+            if (item) this.executeCommandResult(parseInt(item.dataset.index));
+        });
     }
 
-    deleteStudent(id) {
-        const student = this.data.students.find(s => s.id === id);
-        if (!student) return;
+    openCommandPalette() {
+        document.getElementById('command-input').value = '';
+        this.updateCommandPalette();
+        showModal('commandPalette');
+    }
 
-        this.showConfirmModal(
-            `Are you sure you want to delete "${student.name}"? This will also remove all their enrollments.`,
-            () => {
-                this.data.students = this.data.students.filter(s => s.id !== id);
-                this.data.enrollments = this.data.enrollments.filter(e => e.studentId !== id);
-                this.updateEnrollmentCounts();
-                
-                this.updateAllDropdowns();
-                this.saveData();
-                this.renderStudents();
-                this.showToast('Student deleted successfully', 'error');
-                this.addRecentActivity('🗑️ Student Removed', `"${student.name}" removed from system`, 'Just now');
-                hideModal('confirmModal');
-            }
-        );
+    paletteCommands() {
+        return [
+            { icon: '📊', title: 'Go to Dashboard', keywords: ['home', 'overview'], run: () => this.showSection('dashboard') },
+            { icon: '📚', title: 'Go to Courses', run: () => this.showSection('courses') },
+            { icon: '👥', title: 'Go to Students', run: () => this.showSection('students') },
+            { icon: '👨‍🏫', title: 'Go to Instructors', run: () => this.showSection('instructors') },
+            { icon: '📝', title: 'Go to Enrollments', run: () => this.showSection('enrollments') },
+            { icon: '📅', title: 'Go to Calendar', keywords: ['schedule', 'timetable'], run: () => this.showSection('calendar') },
+            { icon: '🕘', title: 'Go to Activity', keywords: ['audit log', 'history'], run: () => this.showSection('activity') },
+            { icon: '➕', title: 'Add course', keywords: ['new course', 'create course'], run: () => this.addCourse() },
+            { icon: '👤', title: 'Add student', keywords: ['new student', 'create student'], run: () => this.addStudent() },
+            { icon: '👨‍🏫', title: 'Add instructor', keywords: ['new instructor', 'create instructor'], run: () => this.addInstructor() },
+            { icon: '📝', title: 'New enrollment', keywords: ['add enrollment', 'enroll'], run: () => showModal('enrollmentModal') },
+            { icon: '🧩', title: 'Assign instructors to unassigned courses', keywords: ['suggest instructors', 'staffing'], run: () => this.suggestInstructorAssignments() },
+            { icon: '🕸️', title: 'Prerequisite Map', keywords: ['prerequisites', 'learning path', 'graph'], run: () => this.openPrerequisiteGraph() },
+            { icon: '⏳', title: 'Waitlists', keywords: ['waiting list', 'full courses'], run: () => this.openWaitlist() },
+            { icon: '⚠️', title: 'Show at-risk enrollments', keywords: ['at risk', 'behind'], run: () => this.showAtRiskEnrollments() },
+            { icon: '↩️', title: 'Undo', run: () => this.undo() },
+            { icon: '↪️', title: 'Redo', run: () => this.redo() },
+            { icon: '📤', title: 'Export data', keywords: ['backup', 'download'], run: () => this.exportData() },
+            { icon: '📥', title: 'Import data', keywords: ['upload'], run: () => this.importData() },
+            { icon: '🕒', title: 'Restore points', keywords: ['snapshot', 'backup'], run: () => this.openRestorePoints() },
+            { icon: '☁️', title: 'Sync settings', keywords: ['server'], run: () => this.openSyncSettings() },
+            { icon: '⚙️', title: 'AI settings', keywords: ['confidence', 'recommendations'], run: () => this.openAISettings() }
+        ];
     }
 
-    deleteInstructor(id) {
-        const instructor = this.data.instructors.find(i => i.id === id);
-        if (!instructor) return;
+    commandSearchContext() {
+        const enrollmentCounts = { courses: new Map(), students: new Map() };
+        this.data.enrollments.filter(enrollment => enrollment.status !== 'Withdrawn').forEach(enrollment => {
+            enrollmentCounts.courses.set(enrollment.courseId, (enrollmentCounts.courses.get(enrollment.courseId) || 0) + 1);
+            enrollmentCounts.students.set(enrollment.studentId, (enrollmentCounts.students.get(enrollment.studentId) || 0) + 1);
+        });
+        const risks = this.getAtRiskEnrollments();
 
-        const assignedCourses = this.data.courses.filter(c => c.instructorId === id);
-        
-        const message = assignedCourses.length > 0 
-            ? `"${instructor.name}" is assigned to ${assignedCourses.length} course(s). Deleting this instructor will unassign them from all courses. Are you sure?`
-            : `Are you sure you want to delete instructor "${instructor.name}"?`;
+        return {
+            enrollmentCounts,
+            atRiskStudentIds: new Set(risks.map(risk => risk.enrollment.studentId)),
+            atRiskEnrollmentIds: new Set(risks.map(risk => risk.enrollment.id))
+        };
+    }
 
-        this.showConfirmModal(message, () => {
-            this.data.instructors = this.data.instructors.filter(i => i.id !== id);
-            
-            this.data.courses.forEach(course => {
-                if (course.instructorId === id) {
-                    course.instructorId = null;
-                    course.instructor = 'Unassigned';
-                }
-            });
-            
-            this.updateAllDropdowns();
-            this.saveData();
-            this.renderInstructors();
-            this.showToast(`Instructor "${instructor.name}" deleted successfully`, 'error');
-            this.addRecentActivity('🗑️ Instructor Removed', `"${instructor.name}" removed from system`, 'Just now');
-            hideModal('confirmModal');
+    updateCommandPalette() {
+        const query = document.getElementById('command-input').value;
+        this.commandPalette.results = this.commandSearch.search(query, this.data, {
+            today: new Date().toISOString().split('T')[0],
+            context: this.commandSearchContext(),
+            commands: this.paletteCommands()
         });
+        this.commandPalette.selected = 0;
+        this.renderCommandResults();
     }
 
-    // FORM HANDLERS
-    handleCourseForm(e) {
-        e.preventDefault();
-        
-        const instructorId = parseInt(document.getElementById('courseInstructor').value);
-        const instructor = this.data.instructors.find(i => i.id === instructorId);
-        
-        const courseData = {
-            name: document.getElementById('courseName').value.trim(),
-            description: document.getElementById('courseDescription').value.trim(),
-            instructorId: instructorId,
-            instructor: instructor ? instructor.name : 'Unknown Instructor',
-            category: document.getElementById('courseCategory').value,
-            capacity: parseInt(document.getElementById('courseCapacity').value),
-            price: parseFloat(document.getElementById('coursePrice').value),
-            startDate: document.getElementById('courseStartDate').value,
-            endDate: document.getElementById('courseEndDate').value,
-            duration: document.getElementById('courseDuration').value.trim(),
-            level: document.getElementById('courseLevel').value,
-            status: document.getElementById('courseStatus').value,
-            enrolled: 0,
-            aiGenerated: !document.getElementById('description-ai-indicator').classList.contains('hidden'),
-            popularity: Math.floor(Math.random() * 40) + 60,
-            tags: []
-        };
+    describeCommandResult(result) {
+        const icons = { courses: '📚', students: '👤', instructors: '👨‍🏫', enrollments: '📝' };
 
-        const courseId = document.getElementById('courseId').value;
-        
-        if (courseId) {
-            const index = this.data.courses.findIndex(c => c.id === parseInt(courseId));
-            if (index !== -1) {
-                courseData.id = parseInt(courseId);
-                courseData.enrolled = this.data.courses[index].enrolled;
-                this.data.courses[index] = courseData;
-                this.showToast('Course updated successfully');
-                this.addRecentActivity('✏️ Course Updated', `"${courseData.name}" modified`, 'Just now');
+        switch (result.kind) {
+            case 'enroll': {
+                const { student, course } = result;
+                const enrolled = this.data.enrollments.some(e => e.studentId === student.id && e.courseId === course.id && EnrollmentLifecycle.isOpen(e));
+                return {
+                    icon: '🎓',
+                    title: `Enroll ${student.name} in ${course.name}`,
+                    subtitle: enrolled ? 'Already enrolled' : `${course.enrolled}/${course.capacity} seats taken`
+                };
             }
-        } else {
-            courseData.id = this.getNextId(this.data.courses);
-            this.data.courses.push(courseData);
-            
-            if (instructor) {
-                if (!instructor.courses.includes(courseData.id)) {
-                    instructor.courses.push(courseData.id);
-                }
+            case 'query': {
+                const { parsed, matches } = result;
+                const noun = matches.length === 1 ? parsed.entity.replace(/s$/, '') : parsed.entity;
+                const criteria = parsed.filters.map(filter => filter.label);
+                if (parsed.text) criteria.push(`"${parsed.text}"`);
+                return {
+                    icon: '🔎',
+                    title: `Show ${matches.length} ${noun}`,
+                    subtitle: criteria.length > 0 ? criteria.join(' · ') : `All ${parsed.entity}`
+                };
             }
-            
-            this.showToast('Course added successfully');
-            this.addRecentActivity('➕ New Course', `"${courseData.name}" added to catalog`, 'Just now');
+            case 'record': {
+                const record = result.record;
+                const subtitles = {
+                    courses: () => `${record.category} · ${record.level} · $${record.price} · starts ${record.startDate}`,
+                    students: () => `${record.email} · ${record.level || 'Beginner'}`,
+                    instructors: () => `${record.department} · ${(record.expertise || []).slice(0, 3).join(', ')}`
+                };
+                return { icon: icons[result.entity], title: record.name, subtitle: subtitles[result.entity]() };
+            }
+            default:
+                return { icon: result.command.icon, title: result.command.title, subtitle: 'Command' };
         }
-
-        this.updateAllDropdowns();
-        this.saveData();
-        this.renderCourses();
-        hideModal('courseModal');
     }
 
-    handleStudentForm(e) {
-        e.preventDefault();
-        
-        const interests = document.getElementById('studentInterests').value.trim();
-        const interestsArray = interests ? interests.split(',').map(s => s.trim()).filter(s => s.length > 0) : [];
-        
-        const studentData = {
-            name: document.getElementById('studentName').value.trim(),
-            email: document.getElementById('studentEmail').value.trim(),
-            phone: document.getElementById('studentPhone').value.trim(),
-            address: document.getElementById('studentAddress').value.trim(),
-            level: document.getElementById('studentLevel').value,
-            status: document.getElementById('studentStatus').value,
-            interests: interestsArray,
-            courses: [],
-            enrollmentDate: new Date().toISOString().split('T')[0]
-        };
+    renderCommandResults() {
+        const list = document.getElementById('command-results');
+        const { results, selected } = this.commandPalette;
 
-        const studentId = document.getElementById('studentId').value;
-        
-        if (studentId) {
-            const index = this.data.students.findIndex(s => s.id === parseInt(studentId));
-            if (index !== -1) {
-                studentData.id = parseInt(studentId);
-                studentData.courses = this.data.students[index].courses;
-                studentData.enrollmentDate = this.data.students[index].enrollmentDate;
-                this.data.students[index] = studentData;
-                this.showToast('Student updated successfully');
-                this.addRecentActivity('✏️ Student Updated', `"${studentData.name}" profile modified`, 'Just now');
-            }
-        } else {
-            studentData.id = this.getNextId(this.data.students);
-            this.data.students.push(studentData);
-            this.showToast('Student added successfully');
-            this.addRecentActivity('👤 New Student', `"${studentData.name}" enrolled in system`, 'Just now');
+        if (results.length === 0) {
+            list.innerHTML = '<div class="command-empty">No matches. Try "students without enrollments" or "enroll Emma in React".</div>';
+            return;
         }
 
-        this.updateAllDropdowns();
-        this.saveData();
-        this.renderStudents();
-        hideModal('studentModal');
+        list.innerHTML = results.map((result, index) => {
+            const { icon, title, subtitle } = this.describeCommandResult(result);
+            return `
+                <div class="command-result ${index === selected ? 'selected' : ''}" data-index="${index}" role="option">
+                    <span class="command-result-icon">${icon}</span>
+                    <span class="command-result-text">
+                        <strong>${title}</strong>
+                        <small>${subtitle}</small>
+                    </span>
+                </div>
+            `;
+        }).join('');
     }
 
-    handleInstructorForm(e) {
-        e.preventDefault();
-        
-        const expertiseString = document.getElementById('instructorExpertise').value.trim();
-        const expertiseArray = expertiseString ? 
-            expertiseString.split(',').map(skill => skill.trim()).filter(skill => skill.length > 0) : [];
+    moveCommandSelection(step) {
+        const count = this.commandPalette.results.length;
+        if (count === 0) return;
+        this.commandPalette.selected = (this.commandPalette.selected + step + count) % count;
+        this.renderCommandResults();
 
-        const instructorData = {
-            name: document.getElementById('instructorName').value.trim(),
-            email: document.getElementById('instructorEmail').value.trim(),
-            phone: document.getElementById('instructorPhone').value.trim(),
-            department: document.getElementById('instructorDepartment').value,
-            expertise: expertiseArray,
-            experience: parseInt(document.getElementById('instructorExperience').value),
-            status: document.getElementById('instructorStatus').value,
-            bio: document.getElementById('instructorBio').value.trim(),
-            courses: [],
-            joinDate: new Date().toISOString().split('T')[0],
-            rating: Math.round((Math.random() * 1 + 4) * 10) / 10,
-            aiOptimized: false
-        };
+        const item = document.querySelector('#command-results .command-result.selected');
+        if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    }
 
-        const instructorId = document.getElementById('instructorId').value;
-        
-        if (instructorId) {
-            const index = this.data.instructors.findIndex(i => i.id === parseInt(instructorId));
-            if (index !== -1) {
-                instructorData.id = parseInt(instructorId);
-                instructorData.courses = this.data.instructors[index].courses || [];
-                instructorData.joinDate = this.data.instructors[index].joinDate;
-                instructorData.rating = this.data.instructors[index].rating;
-                this.data.instructors[index] = instructorData;
-                
-                this.data.courses.forEach(course => {
-                    if (course.instructorId === instructorData.id) {
-                        course.instructor = instructorData.name;
-                    }
-                });
-                
-                this.showToast('Instructor updated successfully');
-                this.addRecentActivity('✏️ Instructor Updated', `"${instructorData.name}" profile modified`, 'Just now');
-            }
-        } else {
-            instructorData.id = this.getNextId(this.data.instructors);
-            this.data.instructors.push(instructorData);
-            this.showToast('Instructor added successfully');
-            this.addRecentActivity('👨‍🏫 New Instructor', `"${instructorData.name}" joined faculty`, 'Just now');
+    executeCommandResult(index) {
+        const result = this.commandPalette.results[index];
+        if (!result) return;
+        hideModal('commandPalette');
+
+        switch (result.kind) {
+            case 'enroll':
+                this.commandEnroll(result.student.id, result.course.id);
+                break;
+            case 'query':
+                this.showQueryResults(result.parsed, result.matches);
+                break;
+            case 'record':
+                this.openRecord(result.entity, result.record.id);
+                break;
+            default:
+                result.command.run();
         }
+    }
 
-        this.updateAllDropdowns();
+    commandEnroll(studentId, courseId, { allowClash = false, prerequisiteOverride = null } = {}) {
+        if (!prerequisiteOverride && !this.confirmPrerequisites(studentId, courseId,
+            override => this.commandEnroll(studentId, courseId, { allowClash, prerequisiteOverride: override }))) return;
+        if (this.offerWaitlist(studentId, courseId, null, prerequisiteOverride)) return;
+        if (!allowClash && !this.confirmTimetableClash(studentId, courseId,
+            () => this.commandEnroll(studentId, courseId, { prerequisiteOverride, allowClash: true }))) return;
+        if (!this.enrollStudent(studentId, courseId, { prerequisiteOverride })) return;
+
+        const student = this.data.students.find(s => s.id === studentId);
+        const course = this.data.courses.find(c => c.id === courseId);
         this.saveData();
-        this.renderInstructors();
-        hideModal('instructorModal');
+        this.showSection(this.currentSection);
+        this.showToast(`${student.name} enrolled in ${course.name}`, 'success', this.undoAction());
     }
 
-    handleEnrollmentForm(e) {
-        e.preventDefault();
-        
-        const studentId = parseInt(document.getElementById('enrollmentStudent').value);
-        const courseId = parseInt(document.getElementById('enrollmentCourse').value);
-
-        const existingEnrollment = this.data.enrollments.find(
-            e => e.studentId === studentId && e.courseId === courseId && e.status === 'Active'
-        );
+    showQueryResults(parsed, matches) {
+        const display = {
+            courses: records => this.displayCourses(records),
+            students: records => this.displayStudents(records),
+            instructors: records => this.displayInstructors(records),
+            enrollments: records => this.displayEnrollments(records)
+        };
 
-        if (existingEnrollment) {
-            this.showToast('Student is already enrolled in this course', 'error');
-            return;
-        }
+        this.showSection(parsed.entity);
+        display[parsed.entity](matches);
+        const criteria = parsed.filters.map(filter => filter.label).concat(parsed.text ? [`"${parsed.text}"`] : []);
+        this.showToast(`Showing ${matches.length} ${parsed.entity}${criteria.length ? `: ${criteria.join(' · ')}` : ''}`);
+    }
 
-        const course = this.data.courses.find(c => c.id === courseId);
-        if (course && course.enrolled >= course.capacity) {
-            this.showToast('Course is at full capacity', 'error');
-            return;
-        }
+    openRecord(entity, id) {
+        this.showSection(entity);
+        const editors = {
+            courses: () => this.editCourse(id),
+            students: () => this.editStudent(id),
+            instructors: () => this.editInstructor(id),
+            enrollments: () => this.openProgressUpdate(id)
+        };
+        editors[entity]();
+    }
 
-        this.data.enrollments.push({
-            studentId,
-            courseId,
-            enrollmentDate: new Date().toISOString().split('T')[0],
-            status: 'Active',
-            progress: 0,
-            aiSuggested: false
+    // FORM VALIDATION
+    bindFormValidation() {
+        Object.entries(VALIDATION_SCHEMAS).forEach(([entity, schema]) => {
+            const form = document.getElementById(schema.formId);
+            if (!form) return;
+
+            // Inline messages replace the browser's own required-field bubbles
+            form.noValidate = true;
+            ['input', 'change'].forEach(eventName => {
+                form.addEventListener(eventName, (e) => {
+                    if (!e.target.id) return;
+                    e.target.dataset.touched = 'true';
+                    this.validateForm(entity);
+                });
+            });
         });
-
-        const student = this.data.students.find(s => s.id === studentId);
-        if (student && !student.courses.includes(courseId)) {
-            student.courses.push(courseId);
-        }
-
-        this.updateEnrollmentCounts();
-        this.updateAllDropdowns();
-        this.saveData();
-        this.renderEnrollments();
-        
-        const studentName = student ? student.name : 'Student';
-        const courseName = course ? course.name : 'Course';
-        this.showToast('Student enrolled successfully');
-        this.addRecentActivity('✅ New Enrollment', `${studentName} enrolled in ${courseName}`, 'Just now');
-        hideModal('enrollmentModal');
     }
 
-    quickEnroll(studentId, courseId) {
-        const student = this.data.students.find(s => s.id === studentId);
-        const course = this.data.courses.find(c => c.id === courseId);
-        
-        if (!student || !course) return;
+    // Builds the record the form would save, on top of the stored record when editing
+    readFormRecord(entity) {
+        const schema = VALIDATION_SCHEMAS[entity];
+        const idValue = schema.idInput ? document.getElementById(schema.idInput).value : '';
+        const existing = idValue ? this.data[entity].find(record => record.id === parseInt(idValue)) : null;
+        const record = { ...(schema.defaults || {}), ...(existing || {}) };
+
+        Object.entries(schema.fields).forEach(([key, rule]) => {
+            const input = rule.input ? document.getElementById(rule.input) : null;
+            if (!input) return;
+
+            const raw = input.value.trim();
+            if (rule.type === 'integer' || rule.type === 'number') {
+                record[key] = raw === '' ? '' : Number(raw);
+            } else if (rule.type === 'list') {
+                record[key] = raw ? raw.split(',').map(item => item.trim()).filter(item => item.length > 0) : [];
+            } else {
+                record[key] = raw;
+            }
+        });
 
-        const existingEnrollment = this.data.enrollments.find(
-            e => e.studentId === studentId && e.courseId === courseId && e.status === 'Active'
-        );
+        return record;
+    }
 
-        if (existingEnrollment) {
-            this.showToast('Student is already enrolled in this course', 'warning');
-            return;
-        }
+    // Shows errors for fields the user has touched, or for every field on submit
+    validateForm(entity, { showAll = false } = {}) {
+        const schema = VALIDATION_SCHEMAS[entity];
+        const errors = this.validator.validate(entity, this.readFormRecord(entity), { data: this.data });
+        let firstInvalid = null;
 
-        if (course.enrolled >= course.capacity) {
-            this.showToast('Course is at full capacity', 'error');
-            return;
-        }
+        Object.entries(schema.fields).forEach(([key, rule]) => {
+            const input = rule.input ? document.getElementById(rule.input) : null;
+            if (!input) return;
 
-        this.data.enrollments.push({
-            studentId,
-            courseId,
-            enrollmentDate: new Date().toISOString().split('T')[0],
-            status: 'Active',
-            progress: 0,
-            aiSuggested: true
+            if (showAll) input.dataset.touched = 'true';
+            const message = input.dataset.touched ? errors[key] : null;
+            this.showFieldError(input, message);
+            if (message && !firstInvalid) firstInvalid = input;
         });
 
-        if (!student.courses.includes(courseId)) {
-            student.courses.push(courseId);
-        }
-
-        this.updateEnrollmentCounts();
-        this.saveData();
-        this.renderStudents();
-        
-        this.showToast(`${student.name} enrolled in ${course.name} via AI recommendation!`, 'success');
-        this.addRecentActivity('🤖 AI Enrollment', `${student.name} enrolled in ${course.name} (AI-suggested)`, 'Just now');
+        if (showAll && firstInvalid) firstInvalid.focus();
+        return Object.keys(errors).length === 0;
     }
 
-    unenrollStudent(studentId, courseId) {
-        const student = this.data.students.find(s => s.id === studentId);
-        const course = this.data.courses.find(c => c.id === courseId);
+    showFieldError(input, message) {
+        const group = input.closest('.form-group');
+        let error = group ? group.querySelector('.form-error') : null;
 
-        this.showConfirmModal(
-            `Are you sure you want to unenroll ${student?.name} from ${course?.name}?`,
-            () => {
-                this.data.enrollments = this.data.enrollments.filter(
-                    e => !(e.studentId === studentId && e.courseId === courseId)
-                );
+        if (!message) {
+            input.classList.remove('form-control--invalid');
+            input.removeAttribute('aria-invalid');
+            if (error) error.remove();
+            return;
+        }
 
-                if (student) {
-                    student.courses = student.courses.filter(id => id !== courseId);
-                }
+        if (!error && group) {
+            error = document.createElement('div');
+            error.className = 'form-error';
+            error.id = `${input.id}-error`;
+            group.appendChild(error);
+            input.setAttribute('aria-describedby', error.id);
+        }
 
-                this.updateEnrollmentCounts();
-                this.saveData();
-                this.renderEnrollments();
-                this.showToast('Student unenrolled successfully', 'warning');
-                this.addRecentActivity('❌ Unenrollment', `${student?.name} unenrolled from ${course?.name}`, 'Just now');
-                hideModal('confirmModal');
-            }
-        );
+        if (error) error.textContent = message;
+        input.classList.add('form-control--invalid');
+        input.setAttribute('aria-invalid', 'true');
     }
 
-    // FILTER METHODS
-    filterCourses() {
-        const searchTerm = document.getElementById('course-search').value.toLowerCase();
-        const categoryFilter = document.getElementById('course-category-filter').value;
-        const statusFilter = document.getElementById('course-status-filter').value;
+    clearFormErrors(form) {
+        if (!form) return;
+        form.querySelectorAll('.form-error').forEach(error => error.remove());
+        form.querySelectorAll('.form-control--invalid').forEach(input => {
+            input.classList.remove('form-control--invalid');
+            input.removeAttribute('aria-invalid');
+        });
+        form.querySelectorAll('[data-touched]').forEach(input => {
+            delete input.dataset.touched;
+        });
+    }
 
-        const filteredCourses = this.data.courses.filter(course => {
-            const matchesSearch = course.name.toLowerCase().includes(searchTerm) ||
-                                course.instructor.toLowerCase().includes(searchTerm) ||
-                                course.description.toLowerCase().includes(searchTerm);
-            const matchesCategory = !categoryFilter || course.category === categoryFilter;
-            const matchesStatus = !statusFilter || course.status === statusFilter;
+    // Runs the form rules over an imported dataset; references are checked within the file
+    validateDataset(payload) {
+        const dataset = { courses: [], students: [], instructors: [], enrollments: [], rooms: [], ...payload };
+        const problems = [];
 
-            return matchesSearch && matchesCategory && matchesStatus;
+        ['rooms', 'courses', 'students', 'instructors', 'enrollments'].forEach(collection => {
+            dataset[collection].forEach(record => {
+                const errors = this.validator.validate(collection, record, { data: dataset, mode: 'import' });
+                Object.values(errors).forEach(message => {
+                    problems.push({ collection, name: this.describeRecord(collection, record, dataset), message });
+                });
+            });
         });
 
-        this.displayCourses(filteredCourses);
+        return problems;
     }
 
-    filterStudents() {
-        const searchTerm = document.getElementById('student-search').value.toLowerCase();
-        const statusFilter = document.getElementById('student-status-filter').value;
+    renderImportErrors(problems) {
+        const container = document.getElementById('import-errors');
+        if (!container) return;
 
-        const filteredStudents = this.data.students.filter(student => {
-            const matchesSearch = student.name.toLowerCase().includes(searchTerm) ||
-                                student.email.toLowerCase().includes(searchTerm) ||
-                                student.phone.includes(searchTerm);
-            const matchesStatus = !statusFilter || student.status === statusFilter;
+        if (problems.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
 
-            return matchesSearch && matchesStatus;
+        container.innerHTML = `
+            <h4>⚠️ ${problems.length} problem${problems.length === 1 ? '' : 's'} found — nothing was imported</h4>
+            <ul>
+                ${problems.slice(0, 20).map(problem => `
+                    <li><strong>${problem.collection.charAt(0).toUpperCase() + problem.collection.slice(1)}</strong> — ${problem.name}: ${problem.message}</li>
+                `).join('')}
+            </ul>
+            ${problems.length > 20 ? `<p>…and ${problems.length - 20} more</p>` : ''}
+        `;
+    }
+
+    // UTILITY METHODS
+    // COURSE SYLLABUS EDITOR
+    // The editor rows are the draft; readSyllabusForm turns them back into a syllabus
+    renderSyllabusEditor(syllabus) {
+        const draft = syllabus || { objectives: [], weeks: [], assessments: [] };
+        this.syllabusSource = draft.generatedBy || null;
+        document.getElementById('syllabusObjectives').value = draft.objectives.join('\n');
+
+        const weeks = document.getElementById('syllabus-weeks');
+        weeks.innerHTML = draft.weeks.map((week, index) => `
+            <div class="syllabus-row syllabus-row--week">
+                <span class="syllabus-week-label">Week ${index + 1}</span>
+                <input type="text" class="form-control syllabus-title" placeholder="Module title">
+                <input type="text" class="form-control syllabus-topics" placeholder="Topics, comma separated">
+                <button type="button" class="btn-icon btn-delete" onclick="cms.removeSyllabusRow('weeks', ${index})" title="Remove Week">🗑️</button>
+            </div>
+        `).join('');
+        weeks.querySelectorAll('.syllabus-row').forEach((row, index) => {
+            row.querySelector('.syllabus-title').value = draft.weeks[index].title;
+            row.querySelector('.syllabus-topics').value = draft.weeks[index].topics.join(', ');
         });
 
-        this.displayStudents(filteredStudents);
+        const assessments = document.getElementById('syllabus-assessments');
+        assessments.innerHTML = draft.assessments.map((assessment, index) => `
+            <div class="syllabus-row syllabus-row--assessment">
+                <input type="text" class="form-control syllabus-title" placeholder="Assessment">
+                <input type="number" class="form-control syllabus-week" min="1" placeholder="Week" title="Week">
+                <input type="number" class="form-control syllabus-weight" min="0" max="100" placeholder="%" title="Weight (%)">
+                <button type="button" class="btn-icon btn-delete" onclick="cms.removeSyllabusRow('assessments', ${index})" title="Remove Assessment">🗑️</button>
+            </div>
+        `).join('');
+        assessments.querySelectorAll('.syllabus-row').forEach((row, index) => {
+            const assessment = draft.assessments[index];
+            row.querySelector('.syllabus-title').value = assessment.title;
+            row.querySelector('.syllabus-week').value = assessment.week || '';
+            row.querySelector('.syllabus-weight').value = assessment.weight;
+        });
+
+        this.updateSyllabusWeightTotal();
     }
 
-    filterInstructors() {
-        const searchTerm = document.getElementById('instructor-search').value.toLowerCase();
-        const departmentFilter = document.getElementById('instructor-department-filter').value;
+    // Returns null when the editor is empty so courses without a syllabus stay without one
+    readSyllabusForm() {
+        const objectives = document.getElementById('syllabusObjectives').value
+            .split('\n').map(line => line.trim()).filter(line => line.length > 0);
+
+        const weeks = [...document.querySelectorAll('#syllabus-weeks .syllabus-row')]
+            .map(row => ({
+                title: row.querySelector('.syllabus-title').value.trim(),
+                topics: row.querySelector('.syllabus-topics').value.split(',').map(topic => topic.trim()).filter(topic => topic.length > 0)
+            }))
+            .filter(week => week.title || week.topics.length > 0)
+            .map((week, index) => ({ week: index + 1, title: week.title || `Week ${index + 1}`, topics: week.topics }));
+
+        const assessments = [...document.querySelectorAll('#syllabus-assessments .syllabus-row')]
+            .map(row => ({
+                title: row.querySelector('.syllabus-title').value.trim(),
+                week: parseInt(row.querySelector('.syllabus-week').value) || null,
+                weight: Number(row.querySelector('.syllabus-weight').value) || 0
+            }))
+            .filter(assessment => assessment.title);
+
+        if (objectives.length === 0 && weeks.length === 0 && assessments.length === 0) return null;
+        return { objectives, weeks, assessments, generatedBy: this.syllabusSource || null };
+    }
 
-        const filteredInstructors = this.data.instructors.filter(instructor => {
-            const matchesSearch = instructor.name.toLowerCase().includes(searchTerm) ||
-                                instructor.email.toLowerCase().includes(searchTerm) ||
-                                instructor.department.toLowerCase().includes(searchTerm) ||
-                                instructor.expertise.some(skill => skill.toLowerCase().includes(searchTerm));
-            const matchesDepartment = !departmentFilter || instructor.department === departmentFilter;
+    addSyllabusRow(kind) {
+        const draft = this.readSyllabusForm() || { objectives: [], weeks: [], assessments: [] };
+        if (kind === 'weeks') {
+            draft.weeks.push({ week: draft.weeks.length + 1, title: '', topics: [] });
+        } else {
+            draft.assessments.push({ title: '', week: null, weight: Math.max(0, 100 - SyllabusBuilder.totalWeight(draft)) });
+        }
+        this.renderSyllabusEditor(draft);
+        // Blank rows are dropped by readSyllabusForm, so the new row only exists in the DOM
+        const rows = document.querySelectorAll(`#syllabus-${kind} .syllabus-row`);
+        if (rows.length > 0) rows[rows.length - 1].querySelector('.syllabus-title').focus();
+    }
 
-            return matchesSearch && matchesDepartment;
-        });
+    removeSyllabusRow(kind, index) {
+        const rows = [...document.querySelectorAll(`#syllabus-${kind} .syllabus-row`)];
+        if (rows[index]) rows[index].remove();
+        this.renderSyllabusEditor(this.readSyllabusForm());
+    }
 
-        this.displayInstructors(filteredInstructors);
+    updateSyllabusWeightTotal() {
+        const hint = document.getElementById('syllabus-weight-total');
+        const draft = this.readSyllabusForm();
+        if (!draft || draft.assessments.length === 0) {
+            hint.textContent = '';
+            return;
+        }
+        const total = SyllabusBuilder.totalWeight(draft);
+        hint.textContent = total === 100 ? 'Weights total 100%' : `Weights total ${total}% — they should add up to 100%`;
+        hint.classList.toggle('form-hint--warning', total !== 100);
     }
 
-    filterEnrollments() {
-        const searchTerm = document.getElementById('enrollment-search').value.toLowerCase();
-        const courseFilter = document.getElementById('enrollment-course-filter').value;
+    // Fills the hidden handout container and prints only that (see @media print)
+    printCourseHandout(courseId) {
+        const course = this.data.courses.find(c => c.id === courseId);
+        if (!course) return;
 
-        const filteredEnrollments = this.data.enrollments.filter(enrollment => {
-            const student = this.data.students.find(s => s.id === enrollment.studentId);
-            const course = this.data.courses.find(c => c.id === enrollment.courseId);
-            
-            const matchesSearch = (student && student.name.toLowerCase().includes(searchTerm)) ||
-                                (course && course.name.toLowerCase().includes(searchTerm));
-            const matchesCourse = !courseFilter || enrollment.courseId === parseInt(courseFilter);
+        // Built from DOM nodes: the syllabus and description may be model output and are never parsed as HTML
+        const syllabus = course.syllabus;
+        const container = document.getElementById('print-handout');
+        const element = (tag, text = '', className = '') => {
+            const node = document.createElement(tag);
+            if (text !== '') node.textContent = text;
+            if (className) node.className = className;
+            return node;
+        };
+        const table = (headings, rows) => {
+            const node = element('table');
+            const head = node.createTHead().insertRow();
+            headings.forEach(heading => head.appendChild(element('th', heading)));
+            const body = node.createTBody();
+            rows.forEach(cells => {
+                const row = body.insertRow();
+                cells.forEach(cell => row.appendChild(element('td', String(cell))));
+            });
+            return node;
+        };
 
-            return matchesSearch && matchesCourse;
-        });
+        const parts = [
+            element('h1', course.name),
+            element('p', `${course.category} • ${course.level} • ${course.duration} • ${course.startDate} – ${course.endDate} • Instructor: ${course.instructor}`, 'handout-meta'),
+            element('p', course.description)
+        ];
 
-        this.displayEnrollments(filteredEnrollments);
+        if (!syllabus) {
+            const empty = element('p');
+            empty.appendChild(element('em', 'No syllabus has been written for this course yet.'));
+            parts.push(empty);
+        } else {
+            if (syllabus.objectives.length > 0) {
+                const list = element('ul');
+                syllabus.objectives.forEach(objective => list.appendChild(element('li', objective)));
+                parts.push(element('h2', 'Learning Objectives'), list);
+            }
+            if (syllabus.weeks.length > 0) {
+                parts.push(element('h2', 'Weekly Schedule'), table(['Week', 'Module', 'Topics'],
+                    syllabus.weeks.map(week => [week.week, week.title, week.topics.join(', ')])));
+            }
+            if (syllabus.assessments.length > 0) {
+                parts.push(element('h2', 'Assessments'), table(['Assessment', 'Week', 'Weight'],
+                    syllabus.assessments.map(assessment => [assessment.title, assessment.week || '—', `${assessment.weight}%`])));
+            }
+        }
+        container.replaceChildren(...parts);
+
+        document.body.classList.add('printing-handout');
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-handout'), { once: true });
+        window.print();
     }
 
-    // UTILITY METHODS
     resetCourseForm() {
         const form = document.getElementById('courseForm');
         if (form) form.reset();
@@ -1656,6 +8095,9 @@ class CourseManagementSystem {
         // Hide AI indicator
         const indicator = document.getElementById('description-ai-indicator');
         if (indicator) indicator.classList.add('hidden');
+        this.renderSyllabusEditor(null);
+        this.renderPrerequisiteEditor(null);
+        document.getElementById('schedule-conflicts').innerHTML = '';
     }
 
     resetStudentForm() {
@@ -1685,85 +8127,587 @@ class CourseManagementSystem {
         showModal('confirmModal');
     }
 
-    showToast(message, type = 'success') {
+    showToast(message, type = 'success', action = null) {
         const toast = document.getElementById('toast');
         const toastMessage = document.getElementById('toastMessage');
+        const toastAction = document.getElementById('toastAction');
         
         if (toast && toastMessage) {
             toast.className = `toast ${type}`;
             toastMessage.textContent = message;
             toast.classList.remove('hidden');
 
-            setTimeout(() => {
+            if (toastAction) {
+                toastAction.classList.toggle('hidden', !action);
+                toastAction.textContent = action ? action.label : '';
+                toastAction.onclick = action ? () => {
+                    toast.classList.add('hidden');
+                    action.onClick();
+                } : null;
+            }
+
+            // Toasts with an action stay a little longer so there is time to click it
+            clearTimeout(this.toastTimeout);
+            this.toastTimeout = setTimeout(() => {
                 toast.classList.add('hidden');
-            }, 4000);
+            }, action ? 8000 : 4000);
+        }
+    }
+
+    showAIProcessing(message) {
+        const overlay = document.getElementById('ai-overlay');
+        const messageEl = document.getElementById('ai-process-message');
+        
+        if (overlay && messageEl) {
+            messageEl.textContent = message;
+            overlay.classList.remove('hidden');
+        }
+    }
+
+    hideAIProcessing() {
+        const overlay = document.getElementById('ai-overlay');
+        if (overlay) {
+            overlay.classList.add('hidden');
+        }
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // AUDIT LOG
+    // Append-only history of every data change, persisted as its own collection
+    logAudit(entry) {
+        const log = this.data.auditLog;
+        const record = {
+            id: log.length > 0 ? log[log.length - 1].id + 1 : 1,
+            timestamp: new Date().toISOString(),
+            action: entry.action,
+            entityType: entry.entityType,
+            entityId: entry.entityId !== undefined ? entry.entityId : null,
+            entityName: entry.entityName || '',
+            changes: entry.changes || [],
+            aiSuggested: !!entry.aiSuggested,
+            batchId: entry.batchId || null,
+            summary: entry.summary || ''
+        };
+
+        log.push(record);
+        this.markDirty('auditLog', [record.id]);
+        this.renderRecentActivity();
+        if (this.currentSection === 'activity') this.filterActivity();
+        return record;
+    }
+
+    // Turns the record-level changes captured by a DataCommand into audit entries
+    recordAuditEntries(changes, { summary, aiSuggested = false, reverse = false }) {
+        const batchId = `batch-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+        const entityTypes = {
+            courses: 'course',
+            students: 'student',
+            instructors: 'instructor',
+            enrollments: 'enrollment',
+            categories: 'category',
+            rooms: 'room',
+            waitlist: 'waitlist'
+        };
+
+        // Recommendation feedback rides along in enrollment commands for undo; it isn't audited
+        changes.filter(change => change.collection !== 'recommendationFeedback').forEach(change => {
+            const beforeState = reverse ? change.after : change.before;
+            const afterState = reverse ? change.before : change.after;
+            const before = beforeState ? JSON.parse(beforeState.json) : null;
+            const after = afterState ? JSON.parse(afterState.json) : null;
+            const isEnrollment = change.collection === 'enrollments';
+
+            let action = 'update';
+            if (!before) action = isEnrollment ? 'enroll' : 'create';
+            if (!after) action = isEnrollment ? 'unenroll' : 'delete';
+            if (change.collection === 'waitlist' && before && after && before.status === 'Waiting' && after.status === 'Offered') {
+                action = 'promote';
+            }
+            if (isEnrollment && before && after && before.status !== after.status) {
+                action = after.status === 'Withdrawn' ? 'withdraw' : 'status';
+            }
+
+            this.logAudit({
+                action,
+                entityType: entityTypes[change.collection] || change.collection,
+                entityId: change.id,
+                entityName: this.describeRecord(change.collection, after || before),
+                changes: this.diffFields(before, after),
+                aiSuggested: aiSuggested || !!(after && after.aiSuggested && action === 'enroll'),
+                batchId,
+                summary
+            });
+        });
+    }
+
+    diffFields(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const changes = [];
+
+        fields.forEach(field => {
+            const previous = before ? before[field] : undefined;
+            const next = after ? after[field] : undefined;
+            if (JSON.stringify(previous) !== JSON.stringify(next)) {
+                changes.push({
+                    field,
+                    before: previous === undefined ? null : previous,
+                    after: next === undefined ? null : next
+                });
+            }
+        });
+
+        return changes;
+    }
+
+    formatRelativeTime(timestamp) {
+        const seconds = Math.round((Date.now() - Date.parse(timestamp)) / 1000);
+        if (seconds < 60) return 'Just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+        if (seconds < 604800) return `${Math.floor(seconds / 86400)} d ago`;
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    auditIcon(action) {
+        const icons = {
+            create: '➕',
+            update: '✏️',
+            delete: '🗑️',
+            enroll: '✅',
+            unenroll: '❌',
+            withdraw: '🚪',
+            status: '🔄',
+            import: '📥',
+            export: '📤',
+            restore: '↩️'
+        };
+        return icons[action] || '📝';
+    }
+
+    // Dashboard feed: the five most recent operations, one line per batch
+    renderRecentActivity() {
+        const container = document.getElementById('recent-activity');
+        if (!container) return;
+
+        // Walk backwards and keep the first entry of each batch, which is the primary record
+        const items = [];
+        const batchIndex = new Map();
+        for (let i = this.data.auditLog.length - 1; i >= 0; i--) {
+            const entry = this.data.auditLog[i];
+            if (entry.batchId && batchIndex.has(entry.batchId)) {
+                items[batchIndex.get(entry.batchId)] = entry;
+                continue;
+            }
+            if (items.length === 5) break;
+            if (entry.batchId) batchIndex.set(entry.batchId, items.length);
+            items.push(entry);
+        }
+
+        if (items.length === 0) {
+            container.innerHTML = `
+                <div class="activity-item">
+                    <span class="activity-icon">🤖</span>
+                    <div class="activity-content">
+                        <p>No activity recorded yet</p>
+                        <small>Changes you make will appear here</small>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = items.map(entry => `
+            <div class="activity-item">
+                <span class="activity-icon">${this.auditIcon(entry.action)}</span>
+                <div class="activity-content">
+                    <p>${entry.summary || `${entry.action} ${entry.entityType} ${entry.entityName}`}${entry.aiSuggested ? ' 🤖' : ''}</p>
+                    <small title="${new Date(entry.timestamp).toLocaleString()}">${this.formatRelativeTime(entry.timestamp)}</small>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderActivity() {
+        this.filterActivity();
+    }
+
+    getFilteredActivity() {
+        const entityFilter = document.getElementById('activity-entity-filter').value;
+        const actionFilter = document.getElementById('activity-action-filter').value;
+        const fromDate = document.getElementById('activity-from-date').value;
+        const toDate = document.getElementById('activity-to-date').value;
+        const searchTerm = document.getElementById('activity-search').value.toLowerCase();
+
+        return this.data.auditLog.filter(entry => {
+            const day = entry.timestamp.split('T')[0];
+            const matchesEntity = !entityFilter || entry.entityType === entityFilter;
+            const matchesAction = !actionFilter || entry.action === actionFilter;
+            const matchesFrom = !fromDate || day >= fromDate;
+            const matchesTo = !toDate || day <= toDate;
+            const matchesSearch = !searchTerm ||
+                entry.entityName.toLowerCase().includes(searchTerm) ||
+                entry.summary.toLowerCase().includes(searchTerm);
+
+            return matchesEntity && matchesAction && matchesFrom && matchesTo && matchesSearch;
+        }).reverse();
+    }
+
+    filterActivity() {
+        const tbody = document.querySelector('#activity-table tbody');
+        if (!tbody) return;
+
+        const entries = this.getFilteredActivity();
+        const countElement = document.getElementById('activity-count');
+        if (countElement) countElement.textContent = `${entries.length} entries`;
+
+        if (entries.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-state">
+                        <div class="empty-state-icon">📜</div>
+                        <h3>No activity found</h3>
+                        <p>Try widening the filters</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        // Rendering thousands of rows freezes the page; CSV export still includes everything
+        tbody.innerHTML = entries.slice(0, 500).map(entry => `
+            <tr>
+                <td><small>${new Date(entry.timestamp).toLocaleString()}</small></td>
+                <td><span class="status status--info">${this.auditIcon(entry.action)} ${entry.action}</span></td>
+                <td>${entry.entityType}${entry.entityId !== null ? ` #${entry.entityId}` : ''}</td>
+                <td>
+                    <div>${entry.entityName}</div>
+                    <small class="activity-summary">${entry.summary}</small>
+                </td>
+                <td class="activity-changes">${this.formatAuditChanges(entry)}</td>
+                <td>${entry.aiSuggested ? '🤖' : ''}</td>
+            </tr>
+        `).join('');
+    }
+
+    formatAuditValue(value) {
+        if (value === null || value === undefined) return '—';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+    }
+
+    formatAuditChanges(entry) {
+        if (entry.action !== 'update') {
+            return entry.changes.length > 0 ? `<small>${entry.changes.length} fields</small>` : '';
+        }
+        return entry.changes.map(change =>
+            `<div><small><strong>${change.field}</strong>: ${this.formatAuditValue(change.before)} → ${this.formatAuditValue(change.after)}</small></div>`
+        ).join('');
+    }
+
+    exportActivityCsv() {
+        const entries = this.getFilteredActivity();
+        const headers = ['Timestamp', 'Action', 'Entity Type', 'Entity ID', 'Entity Name', 'Summary', 'Changes', 'AI Suggested'];
+        const rows = entries.map(entry => [
+            entry.timestamp,
+            entry.action,
+            entry.entityType,
+            entry.entityId,
+            entry.entityName,
+            entry.summary,
+            entry.changes.map(change =>
+                `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`
+            ).join('; '),
+            entry.aiSuggested ? 'yes' : 'no'
+        ]);
+
+        this.downloadFile(
+            `edumanage_audit_log_${new Date().toISOString().split('T')[0]}.csv`,
+            this.buildCsv(headers, rows),
+            'text/csv'
+        );
+        this.showToast(`Exported ${entries.length} audit entries`);
+    }
+
+    buildCsv(headers, rows) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+    }
+
+    downloadFile(fileName, content, mimeType) {
+        const dataUri = `data:${mimeType};charset=utf-8,` + encodeURIComponent(content);
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('download', fileName);
+        linkElement.click();
+    }
+
+    // RESTORE POINTS
+    // Keeps the newest automatic snapshot per hour for hourlyRetention hours and the
+    // newest per day for dailyRetention days, plus the newest SYSTEM_SNAPSHOT_LIMIT system
+    // snapshots. Manual restore points are never pruned.
+    async pruneSnapshots() {
+        const { hourlyRetention, dailyRetention } = this.data.snapshotSettings;
+        const now = Date.now();
+        const hourBuckets = new Set();
+        const dayBuckets = new Set();
+        const snapshots = await this.storage.listSnapshots();
+        let systemKept = 0;
+
+        for (const snapshot of snapshots) {
+            if (snapshot.kind === 'manual') continue;
+            if (snapshot.kind === 'system') {
+                if (++systemKept > SYSTEM_SNAPSHOT_LIMIT) await this.storage.deleteSnapshot(snapshot.id);
+                continue;
+            }
+
+            const created = Date.parse(snapshot.createdAt);
+            const age = now - created;
+            const hourKey = Math.floor(created / 3600000);
+            const dayKey = new Date(created).toDateString();
+            let keep = false;
+
+            if (age < hourlyRetention * 3600000 && !hourBuckets.has(hourKey)) {
+                hourBuckets.add(hourKey);
+                keep = true;
+            }
+            if (age < dailyRetention * 86400000 && !dayBuckets.has(dayKey)) {
+                dayBuckets.add(dayKey);
+                keep = true;
+            }
+
+            if (!keep) await this.storage.deleteSnapshot(snapshot.id);
+        }
+    }
+
+    openRestorePoints() {
+        document.getElementById('snapshotHourlyRetention').value = this.data.snapshotSettings.hourlyRetention;
+        document.getElementById('snapshotDailyRetention').value = this.data.snapshotSettings.dailyRetention;
+        document.getElementById('restore-diff').innerHTML = '';
+        this.renderRestorePoints();
+        showModal('restoreModal');
+    }
+
+    async renderRestorePoints() {
+        const container = document.getElementById('restore-points-list');
+        if (!container) return;
+
+        const snapshots = await this.storage.listSnapshots();
+        if (snapshots.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🕒</div>
+                    <h3>No restore points yet</h3>
+                    <p>Restore points are created automatically every hour while you work</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = snapshots.map(snapshot => `
+            <div class="restore-point">
+                <div class="restore-point-info">
+                    <div class="restore-point-title">
+                        ${new Date(snapshot.createdAt).toLocaleString()}
+                        <span class="status status--${snapshot.kind === 'auto' ? 'success' : 'info'}">${snapshot.label}</span>
+                    </div>
+                    <div class="restore-point-counts">
+                        📚 ${snapshot.counts.courses} courses • 👥 ${snapshot.counts.students} students •
+                        👨‍🏫 ${snapshot.counts.instructors} instructors • ✅ ${snapshot.counts.enrollments} enrollments
+                    </div>
+                </div>
+                <div class="restore-point-actions">
+                    <button class="btn btn--sm btn--outline" onclick="cms.compareSnapshot('${snapshot.id}')">🔍 Compare</button>
+                    <button class="btn btn--sm btn--primary" onclick="cms.restoreSnapshot('${snapshot.id}')">↩️ Restore</button>
+                    <button class="btn-icon btn-delete" onclick="cms.deleteSnapshot('${snapshot.id}')" title="Delete Restore Point">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async createManualSnapshot() {
+        try {
+            await this.storage.saveSnapshot(this.createSnapshot('manual', 'Manual restore point'));
+            this.showToast('Restore point created');
+            this.renderRestorePoints();
+        } catch (error) {
+            console.error('Snapshot error:', error);
+            this.showToast('Error creating restore point', 'error');
+        }
+    }
+
+    async deleteSnapshot(id) {
+        await this.storage.deleteSnapshot(id);
+        document.getElementById('restore-diff').innerHTML = '';
+        this.renderRestorePoints();
+    }
+
+    updateSnapshotSettings() {
+        const hourly = parseInt(document.getElementById('snapshotHourlyRetention').value);
+        const daily = parseInt(document.getElementById('snapshotDailyRetention').value);
+
+        if (!(hourly >= 1) || !(daily >= 1)) {
+            this.showToast('Retention must be at least 1', 'warning');
+            return;
         }
+
+        this.data.snapshotSettings = { hourlyRetention: hourly, dailyRetention: daily };
+        this.markDirty('snapshotSettings');
+        this.saveData().then(() => this.pruneSnapshots()).then(() => this.renderRestorePoints());
+        this.showToast('Retention settings updated');
     }
 
-    showAIProcessing(message) {
-        const overlay = document.getElementById('ai-overlay');
-        const messageEl = document.getElementById('ai-process-message');
-        
-        if (overlay && messageEl) {
-            messageEl.textContent = message;
-            overlay.classList.remove('hidden');
-        }
+    // Per-collection differences between the current data and a snapshot, keyed by record id
+    diffAgainstSnapshot(snapshotData) {
+        return this.restorableCollections.map(collection => {
+            const current = new Map((this.data[collection] || []).map(record => [record.id, record]));
+            const saved = new Map((snapshotData[collection] || []).map(record => [record.id, record]));
+
+            const added = [...current.values()].filter(record => !saved.has(record.id));
+            const removed = [...saved.values()].filter(record => !current.has(record.id));
+            const changed = [...current.values()].filter(record =>
+                saved.has(record.id) && JSON.stringify(saved.get(record.id)) !== JSON.stringify(record)
+            );
+
+            return { collection, added, removed, changed };
+        });
     }
 
-    hideAIProcessing() {
-        const overlay = document.getElementById('ai-overlay');
-        if (overlay) {
-            overlay.classList.add('hidden');
+    describeRecord(collection, record, dataset = this.data) {
+        if (collection === 'enrollments' || collection === 'waitlist') {
+            const student = dataset.students.find(s => s.id === record.studentId);
+            const course = dataset.courses.find(c => c.id === record.courseId);
+            return `${student ? student.name : `Student #${record.studentId}`} → ${course ? course.name : `Course #${record.courseId}`}`;
         }
+        return record.name || `#${record.id}`;
     }
 
-    addRecentActivity(icon, text, time) {
-        const container = document.getElementById('recent-activity');
-        if (!container) return;
+    async compareSnapshot(id) {
+        const container = document.getElementById('restore-diff');
+        const snapshot = await this.storage.loadSnapshot(id);
+        if (!container || !snapshot) return;
 
-        const activityItem = document.createElement('div');
-        activityItem.className = 'activity-item';
-        activityItem.innerHTML = `
-            <span class="activity-icon">${icon}</span>
-            <div class="activity-content">
-                <p>${text}</p>
-                <small>${time}</small>
-            </div>
+        const snapshotData = this.migrateData(snapshot.data).data;
+        const diff = this.diffAgainstSnapshot(snapshotData);
+        const listNames = (collection, records, dataset) => records.slice(0, 5)
+            .map(record => this.describeRecord(collection, record, dataset)).join(', ') +
+            (records.length > 5 ? ` and ${records.length - 5} more` : '');
+
+        container.innerHTML = `
+            <h4>Changes since ${new Date(snapshot.createdAt).toLocaleString()}</h4>
+            ${diff.map(({ collection, added, removed, changed }) => `
+                <div class="restore-diff-row">
+                    <div class="restore-diff-header">
+                        <strong>${collection.charAt(0).toUpperCase() + collection.slice(1)}</strong>
+                        ${added.length || removed.length || changed.length ? `
+                            <button class="btn btn--sm btn--outline" onclick="cms.restoreSnapshot('${id}', '${collection}')">Restore only ${collection}</button>
+                        ` : '<span class="restore-diff-none">No differences</span>'}
+                    </div>
+                    ${removed.length ? `<div class="restore-diff-removed">− ${removed.length} deleted since: ${listNames(collection, removed, snapshotData)}</div>` : ''}
+                    ${added.length ? `<div class="restore-diff-added">+ ${added.length} added since: ${listNames(collection, added, this.data)}</div>` : ''}
+                    ${changed.length ? `<div class="restore-diff-changed">~ ${changed.length} modified: ${listNames(collection, changed, this.data)}</div>` : ''}
+                </div>
+            `).join('')}
         `;
+    }
 
-        container.insertBefore(activityItem, container.firstChild);
+    restoreSnapshot(id, collection = null) {
+        const message = collection
+            ? `Replace all current ${collection} with the version from this restore point?`
+            : 'Replace ALL current data with this restore point? A restore point of the current data is created first.';
 
-        // Keep only last 5 activities
-        while (container.children.length > 5) {
-            container.removeChild(container.lastChild);
-        }
+        this.showConfirmModal(message, async () => {
+            hideModal('confirmModal');
+            try {
+                const snapshot = await this.storage.loadSnapshot(id);
+                if (!snapshot) {
+                    this.showToast('Restore point not found', 'error');
+                    return;
+                }
+
+                const snapshotData = this.migrateData(snapshot.data).data;
+                await this.storage.saveSnapshot(this.createSnapshot('system', 'Before restore'));
+
+                if (collection) {
+                    this.data[collection] = snapshotData[collection] || [];
+                } else {
+                    this.data = {
+                        ...this.data,
+                        ...snapshotData,
+                        snapshotSettings: this.data.snapshotSettings,
+                        syncSettings: this.data.syncSettings,
+                        aiProvider: this.data.aiProvider,
+                        auditLog: this.data.auditLog
+                    };
+                }
+                this.clearHistory();
+
+                this.validateAndRepairData();
+                this.syncCourseReferences();
+                this.updateEnrollmentCounts();
+                this.updateAllDropdowns();
+                await this.saveData();
+
+                this.renderDashboard();
+                this.showSection(this.currentSection);
+                this.renderRestorePoints();
+                document.getElementById('restore-diff').innerHTML = '';
+
+                const what = collection || 'all data';
+                this.showToast(`Restored ${what} from ${new Date(snapshot.createdAt).toLocaleString()}`);
+                this.logAudit({
+                    action: 'restore',
+                    entityType: collection || 'dataset',
+                    entityName: snapshot.label,
+                    summary: `Restored ${what} from ${new Date(snapshot.createdAt).toLocaleString()}`
+                });
+                this.saveData();
+            } catch (error) {
+                console.error('Restore error:', error);
+                this.showToast('Error restoring data', 'error');
+            }
+        });
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Rebuilds the denormalized course lists on students and instructors after a partial restore
+    syncCourseReferences() {
+        this.markDirty('students');
+        this.markDirty('instructors');
+        this.data.students.forEach(student => {
+            student.courses = this.data.enrollments
+                .filter(e => e.studentId === student.id && EnrollmentLifecycle.isOpen(e))
+                .map(e => e.courseId);
+        });
+        this.data.instructors.forEach(instructor => {
+            instructor.courses = this.data.courses
+                .filter(c => c.instructorId === instructor.id)
+                .map(c => c.id);
+        });
     }
 
     // EXPORT/IMPORT
     exportData() {
         try {
+            const { recordVersions, syncQueue, syncSettings, aiProvider, ...exportable } = this.data;
             const dataToExport = {
-                ...this.data,
+                ...exportable,
                 exportDate: new Date().toISOString(),
-                version: '2.0-ai'
+                version: '2.0-ai',
+                schemaVersion: CURRENT_SCHEMA_VERSION
             };
             
             const dataStr = JSON.stringify(dataToExport, null, 2);
-            const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
-            
             const exportFileDefaultName = `edumanage_ai_export_${new Date().toISOString().split('T')[0]}.json`;
-            
-            const linkElement = document.createElement('a');
-            linkElement.setAttribute('href', dataUri);
-            linkElement.setAttribute('download', exportFileDefaultName);
-            linkElement.click();
+            this.downloadFile(exportFileDefaultName, dataStr, 'application/json');
             
             this.showToast('Data exported successfully');
-            this.addRecentActivity('📤 Export', 'Data exported to file', 'Just now');
+            this.logAudit({ action: 'export', entityType: 'dataset', entityName: exportFileDefaultName, summary: 'Data exported to file' });
+            this.saveData();
         } catch (error) {
             console.error('Export error:', error);
             this.showToast('Error exporting data', 'error');
@@ -1771,12 +8715,15 @@ class CourseManagementSystem {
     }
 
     importData() {
+        this.renderImportErrors([]);
         showModal('importModal');
     }
 
     processImport() {
         const fileInput = document.getElementById('importFile');
         const textInput = document.getElementById('importData');
+        const modeInput = document.querySelector('input[name="importMode"]:checked');
+        const mode = modeInput ? modeInput.value : 'merge';
         
         let jsonData = textInput.value.trim();
         
@@ -1786,7 +8733,7 @@ class CourseManagementSystem {
             reader.onload = (e) => {
                 try {
                     const importedData = JSON.parse(e.target.result);
-                    this.processImportedData(importedData);
+                    this.processImportedData(importedData, mode);
                 } catch (error) {
                     this.showToast('Invalid JSON file', 'error');
                 }
@@ -1798,7 +8745,7 @@ class CourseManagementSystem {
         if (jsonData) {
             try {
                 const importedData = JSON.parse(jsonData);
-                this.processImportedData(importedData);
+                this.processImportedData(importedData, mode);
             } catch (error) {
                 this.showToast('Invalid JSON data', 'error');
             }
@@ -1807,10 +8754,36 @@ class CourseManagementSystem {
         }
     }
 
-    processImportedData(importedData) {
+    processImportedData(importedData, mode = 'merge') {
         try {
             if (importedData.courses && importedData.students && importedData.instructors) {
-                this.data = { ...this.data, ...importedData };
+                const { data: migrated, fromVersion } = this.migrateData(importedData);
+                // The local audit log is a compliance record and is never replaced by an import
+                const { exportDate, version, auditLog, recordVersions, syncQueue, syncSettings, aiProvider, ...payload } = migrated;
+                if (fromVersion < CURRENT_SCHEMA_VERSION) {
+                    console.log(`📥 Imported file upgraded from schema v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`);
+                }
+
+                const problems = this.validateDataset(payload);
+                this.renderImportErrors(problems);
+                if (problems.length > 0) {
+                    this.showToast(`Import blocked: ${problems.length} invalid record${problems.length === 1 ? '' : 's'}`, 'error');
+                    return;
+                }
+
+                if (mode === 'merge') {
+                    this.pendingMerge = this.planMerge(payload);
+                    if (this.pendingMerge.conflicts.length === 0) {
+                        this.commitMerge();
+                    } else {
+                        this.renderMergeConflicts();
+                        showModal('mergeModal');
+                    }
+                    return;
+                }
+                
+                this.data = { ...this.data, ...payload };
+                this.clearHistory();
                 this.validateAndRepairData();
                 this.updateEnrollmentCounts();
                 this.updateAllDropdowns();
@@ -1820,17 +8793,855 @@ class CourseManagementSystem {
                 this.showSection(this.currentSection);
                 
                 this.showToast('Data imported successfully');
-                this.addRecentActivity('📥 Import', 'Data imported from file', 'Just now');
+                this.logAudit({
+                    action: 'import',
+                    entityType: 'dataset',
+                    summary: `Data imported from file (${payload.courses.length} courses, ${payload.students.length} students, ${payload.instructors.length} instructors)`
+                });
+                this.saveData();
                 hideModal('importModal');
             } else {
                 this.showToast('Invalid data format', 'error');
             }
         } catch (error) {
+            if (error instanceof SchemaVersionError) {
+                this.showToast(`This file was exported by a newer version (schema v${error.foundVersion}). Please update the app before importing it.`, 'error');
+                return;
+            }
             console.error('Import error:', error);
             this.showToast('Error importing data', 'error');
         }
     }
 
+    // MERGE IMPORT
+    // Natural keys used to recognise the same record across installations
+    mergeKey(collection, record) {
+        switch (collection) {
+            case 'categories':
+            case 'rooms':
+                return (record.name || '').toLowerCase();
+            case 'instructors':
+            case 'students':
+                return (record.email || '').toLowerCase();
+            case 'courses':
+                return `${(record.name || '').toLowerCase()}|${record.startDate || ''}`;
+            case 'enrollments':
+                return `${record.studentId}-${record.courseId}`;
+            case 'waitlist':
+                return `${record.studentId}-${record.courseId}-${record.joinedAt}`;
+        }
+        return String(record.id);
+    }
+
+    // Fields worth comparing; ids and derived reference lists are rebuilt after the merge
+    mergeComparable(collection, record) {
+        const { id, ...fields } = record;
+        if (collection === 'courses') delete fields.enrolled;
+        if (collection === 'categories') delete fields.courseCount;
+        if (collection === 'students' || collection === 'instructors') delete fields.courses;
+        return fields;
+    }
+
+    // Rewrites an incoming record's ids to the ids already assigned on this side of the merge
+    remapMergeReferences(collection, original, idMaps) {
+        const record = JSON.parse(JSON.stringify(original));
+
+        if (collection === 'courses') {
+            const instructorId = idMaps.instructors.get(record.instructorId);
+            record.instructorId = instructorId === undefined ? null : instructorId;
+            if (record.instructorId === null) record.instructor = 'Unassigned';
+            if (record.schedule && record.schedule.roomId) {
+                const roomId = idMaps.rooms.get(record.schedule.roomId);
+                record.schedule.roomId = roomId === undefined ? null : roomId;
+            }
+            if (record.prerequisites) {
+                record.prerequisites.groups = (record.prerequisites.groups || [])
+                    .map(group => group.map(id => idMaps.plannedCourses.get(id)).filter(id => id !== undefined))
+                    .filter(group => group.length > 0);
+            }
+        } else if (collection === 'students') {
+            record.courses = (record.courses || []).map(id => idMaps.courses.get(id)).filter(id => id !== undefined);
+        } else if (collection === 'instructors') {
+            record.courses = [];
+        } else if (collection === 'enrollments' || collection === 'waitlist') {
+            record.studentId = idMaps.students.get(record.studentId);
+            record.courseId = idMaps.courses.get(record.courseId);
+            if (record.studentId === undefined || record.courseId === undefined) return null;
+        }
+
+        return record;
+    }
+
+    planMerge(payload) {
+        const order = ['categories', 'rooms', 'instructors', 'courses', 'students', 'enrollments', 'waitlist'];
+        // Prerequisites can name courses further down the file, so course ids are settled first
+        const idMaps = { plannedCourses: this.planMergeCourseIds(payload) };
+        const plan = { payload, added: [], conflicts: [], summary: {} };
+
+        order.forEach(collection => {
+            const idMap = idMaps[collection] = new Map();
+            const local = this.data[collection];
+            const localByKey = new Map(local.map(record => [this.mergeKey(collection, record), record]));
+            const addedByKey = new Map();
+            const summary = plan.summary[collection] = { added: 0, identical: 0, conflicts: 0, skipped: 0 };
+            let nextId = this.getNextId(local);
+
+            (payload[collection] || []).forEach(original => {
+                const record = this.remapMergeReferences(collection, original, idMaps);
+                if (!record) {
+                    summary.skipped++;
+                    return;
+                }
+
+                const key = this.mergeKey(collection, record);
+                const existing = localByKey.get(key);
+
+                if (!existing) {
+                    // A record repeated within the file is merged into its first occurrence
+                    if (addedByKey.has(key)) {
+                        idMap.set(original.id, addedByKey.get(key).id);
+                        summary.skipped++;
+                        return;
+                    }
+                    record.id = nextId++;
+                    idMap.set(original.id, record.id);
+                    addedByKey.set(key, record);
+                    plan.added.push({ collection, record });
+                    summary.added++;
+                    return;
+                }
+
+                idMap.set(original.id, existing.id);
+                record.id = existing.id;
+                const changes = this.diffFields(
+                    this.mergeComparable(collection, existing),
+                    this.mergeComparable(collection, record)
+                );
+
+                if (changes.length === 0) {
+                    summary.identical++;
+                } else {
+                    plan.conflicts.push({ collection, local: existing, incoming: record, changes, resolution: 'local' });
+                    summary.conflicts++;
+                }
+            });
+        });
+
+        // New enrollments only fit into the seats the merged data leaves; the rest are listed
+        // as conflicts that can't be taken
+        const addedOf = collection => plan.added.filter(item => item.collection === collection).map(item => item.record);
+        const merged = {
+            courses: [...this.data.courses, ...addedOf('courses')],
+            students: [...this.data.students, ...addedOf('students')],
+            enrollments: [...this.data.enrollments],
+            waitlist: [...this.data.waitlist, ...addedOf('waitlist')]
+        };
+        this.fitMergedEnrollments(merged, addedOf('enrollments')).forEach(({ record, message }) => {
+            plan.added = plan.added.filter(item => item.record !== record);
+            plan.conflicts.push({
+                collection: 'enrollments', local: null, incoming: record, changes: [], resolution: 'local',
+                rejected: message, name: this.describeRecord('enrollments', record, merged)
+            });
+            plan.summary.enrollments.added--;
+            plan.summary.enrollments.conflicts++;
+        });
+
+        return plan;
+    }
+
+    // Adds each enrollment to data.enrollments while its course has a free seat (seats
+    // held for waitlist offers included) and returns the ones that didn't fit
+    fitMergedEnrollments(data, records) {
+        const rejected = [];
+        records.forEach(record => {
+            const course = data.courses.find(c => c.id === record.courseId);
+            if (course && EnrollmentLifecycle.isOpen(record) && this.waitlistManager.freeSeats(course, data, record.studentId) <= 0) {
+                rejected.push({ record, message: `${course.name} is at full capacity (${course.capacity} seats)` });
+                return;
+            }
+            data.enrollments.push(record);
+        });
+        return rejected;
+    }
+
+    // The ids planMerge will give incoming courses: matched ones keep the local id, new ones
+    // are numbered after the local courses in file order
+    planMergeCourseIds(payload) {
+        const idMap = new Map();
+        const localByKey = new Map(this.data.courses.map(course => [this.mergeKey('courses', course), course.id]));
+        const addedByKey = new Map();
+        let nextId = this.getNextId(this.data.courses);
+
+        (payload.courses || []).forEach(course => {
+            const key = this.mergeKey('courses', course);
+            if (!localByKey.has(key) && !addedByKey.has(key)) addedByKey.set(key, nextId++);
+            idMap.set(course.id, localByKey.has(key) ? localByKey.get(key) : addedByKey.get(key));
+        });
+
+        return idMap;
+    }
+
+    renderMergeConflicts() {
+        const plan = this.pendingMerge;
+        const summaryContainer = document.getElementById('merge-summary');
+        const listContainer = document.getElementById('merge-conflicts');
+        if (!plan || !summaryContainer) return;
+
+        // On a first server sync the server's catalog is already loaded and this browser's data is merged in
+        const fromSync = plan.source === 'sync';
+        const labels = fromSync ? { local: 'Server', incoming: 'This browser' } : { local: 'Local', incoming: 'Incoming' };
+        document.getElementById('mergeModalTitle').textContent = fromSync ? 'Merge Your Local Data' : 'Resolve Import Conflicts';
+        document.getElementById('merge-description').textContent = fromSync
+            ? 'The shared catalog from the server is loaded. New records from this browser are added when you apply the merge, and where a record differs you choose which version to keep. Cancel keeps only the server\'s catalog.'
+            : 'These records exist in both places with different values. Choose which version to keep; nothing is changed until you apply the merge.';
+        document.getElementById('merge-keep-local').textContent = `Keep All ${labels.local}`;
+        document.getElementById('merge-take-incoming').textContent = `Take All ${labels.incoming}`;
+
+        summaryContainer.innerHTML = `
+            <table class="table merge-summary-table">
+                <thead>
+                    <tr><th>Collection</th><th>New</th><th>Identical</th><th>Conflicts</th><th>Skipped</th></tr>
+                </thead>
+                <tbody>
+                    ${Object.entries(plan.summary).map(([collection, counts]) => `
+                        <tr>
+                            <td>${collection.charAt(0).toUpperCase() + collection.slice(1)}</td>
+                            <td>${counts.added}</td>
+                            <td>${counts.identical}</td>
+                            <td>${counts.conflicts}</td>
+                            <td>${counts.skipped}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        listContainer.innerHTML = plan.conflicts.length === 0
+            ? '<p class="empty-state">No conflicts — every matching record is identical.</p>'
+            : plan.conflicts.map((conflict, index) => conflict.rejected ? `
+                <div class="merge-conflict">
+                    <div class="merge-conflict-header">
+                        <strong>${conflict.name}</strong>
+                        <span class="status status--warning">${conflict.collection}</span>
+                    </div>
+                    <p class="merge-conflict-rejected">⚠️ Not added: ${conflict.rejected}</p>
+                </div>
+            ` : `
+                <div class="merge-conflict">
+                    <div class="merge-conflict-header">
+                        <strong>${this.describeRecord(conflict.collection, conflict.local)}</strong>
+                        <span class="status status--info">${conflict.collection}</span>
+                    </div>
+                    <table class="merge-conflict-fields">
+                        <thead><tr><th>Field</th><th>${labels.local}</th><th>${labels.incoming}</th></tr></thead>
+                        <tbody>
+                            ${conflict.changes.map(change => `
+                                <tr>
+                                    <td>${change.field}</td>
+                                    <td>${this.formatAuditValue(change.before)}</td>
+                                    <td>${this.formatAuditValue(change.after)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="merge-conflict-choice">
+                        <label>
+                            <input type="radio" name="merge-conflict-${index}" value="local"
+                                ${conflict.resolution === 'local' ? 'checked' : ''}
+                                onchange="cms.setMergeResolution(${index}, 'local')"> Keep ${labels.local.toLowerCase()}
+                        </label>
+                        <label>
+                            <input type="radio" name="merge-conflict-${index}" value="incoming"
+                                ${conflict.resolution === 'incoming' ? 'checked' : ''}
+                                onchange="cms.setMergeResolution(${index}, 'incoming')"> Take ${labels.incoming.toLowerCase()}
+                        </label>
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    setMergeResolution(index, resolution) {
+        if (!this.pendingMerge || !this.pendingMerge.conflicts[index]) return;
+        this.pendingMerge.conflicts[index].resolution = resolution;
+    }
+
+    resolveAllMergeConflicts(resolution) {
+        if (!this.pendingMerge) return;
+        this.pendingMerge.conflicts.filter(conflict => !conflict.rejected).forEach(conflict => {
+            conflict.resolution = resolution;
+        });
+        this.renderMergeConflicts();
+    }
+
+    cancelMerge() {
+        this.pendingMerge = null;
+        hideModal('mergeModal');
+    }
+
+    commitMerge() {
+        const plan = this.pendingMerge;
+        if (!plan) return;
+
+        const taken = plan.conflicts.filter(conflict => conflict.resolution === 'incoming');
+
+        const fromSync = plan.source === 'sync';
+        const added = plan.added.filter(({ collection }) => collection !== 'enrollments');
+        const rejected = [];
+        let addedCount = added.length;
+        let updatedCount = 0;
+        this.runCommand(`${fromSync ? 'Merge local data into the server catalog' : 'Merge import'} (${plan.added.length} new, ${taken.length} updated)`, this.restorableCollections, data => {
+            added.forEach(({ collection, record }) => {
+                data[collection].push(record);
+            });
+
+            // Incoming capacities and statuses are in place before the enrollment seats are checked again
+            taken.forEach(({ collection, local, incoming }) => {
+                const target = data[collection].find(record => record.id === local.id);
+                if (!target) return;
+                if (collection === 'enrollments' && !EnrollmentLifecycle.isOpen(target) && EnrollmentLifecycle.isOpen(incoming)) {
+                    const course = data.courses.find(c => c.id === target.courseId);
+                    if (course && this.waitlistManager.freeSeats(course, data, target.studentId) <= 0) {
+                        rejected.push({ record: incoming, message: `${course.name} is at full capacity (${course.capacity} seats)` });
+                        return;
+                    }
+                }
+                Object.assign(target, this.mergeComparable(collection, incoming));
+                updatedCount++;
+            });
+
+            const enrollments = plan.added.filter(({ collection }) => collection === 'enrollments').map(({ record }) => record);
+            this.fitMergedEnrollments(data, enrollments).forEach(rejection => {
+                rejected.push(rejection);
+                enrollments.splice(enrollments.indexOf(rejection.record), 1);
+            });
+            addedCount += enrollments.length;
+
+            enrollments.filter(record => EnrollmentLifecycle.isOpen(record))
+                .forEach(record => {
+                    const student = data.students.find(s => s.id === record.studentId);
+                    if (student && !student.courses.includes(record.courseId)) student.courses.push(record.courseId);
+                });
+
+            data.instructors.forEach(instructor => {
+                instructor.courses = data.courses.filter(c => c.instructorId === instructor.id).map(c => c.id);
+            });
+        });
+
+        const counts = plan.summary;
+        const full = plan.conflicts.filter(conflict => conflict.rejected).length + rejected.length;
+        this.logAudit({
+            action: 'import',
+            entityType: 'dataset',
+            summary: `Data merged from ${fromSync ? 'this browser into the server catalog' : 'file'} (${addedCount} new records, ${updatedCount} conflicts took incoming, ` +
+                `${plan.conflicts.filter(conflict => conflict.resolution === 'local' && !conflict.rejected).length} kept local` +
+                `${full ? `, ${full} enrollments left out because the course is full` : ''}; ${counts.courses.added} courses, ` +
+                `${counts.students.added} students, ${counts.instructors.added} instructors added)`
+        });
+
+        this.pendingMerge = null;
+        this.validateAndRepairData();
+        this.updateEnrollmentCounts();
+        this.updateAllDropdowns();
+        this.saveData();
+
+        this.renderDashboard();
+        this.showSection(this.currentSection);
+        hideModal('mergeModal');
+        hideModal('importModal');
+        this.showToast(`Merged ${addedCount} new records and updated ${updatedCount}` +
+            (full ? `; ${full} enrollment${full === 1 ? '' : 's'} left out because the course is full` : ''), full ? 'warning' : 'success', this.undoAction());
+    }
+
+    // CSV IMPORT/EXPORT
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = text.replace(/^﻿/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field.length > 0 || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(cell => cell.trim().length > 0));
+    }
+
+    csvCellValue(entity, field, record) {
+        const courseName = id => {
+            const course = this.data.courses.find(c => c.id === id);
+            return course ? course.name : '';
+        };
+
+        switch (`${entity}.${field.key}`) {
+            case 'courses.instructor': {
+                const instructor = this.data.instructors.find(i => i.id === record.instructorId);
+                return instructor ? instructor.name : '';
+            }
+            case 'students.courses':
+                return (record.courses || []).map(courseName).filter(Boolean).join(', ');
+            case 'instructors.courses':
+                return this.data.courses.filter(c => c.instructorId === record.id).map(c => c.name).join(', ');
+            case 'enrollments.student': {
+                const student = this.data.students.find(s => s.id === record.studentId);
+                return student ? student.email : '';
+            }
+            case 'enrollments.course':
+                return courseName(record.courseId);
+            case 'enrollments.instructor': {
+                const course = this.data.courses.find(c => c.id === record.courseId);
+                const instructor = course ? this.data.instructors.find(i => i.id === course.instructorId) : null;
+                return instructor ? instructor.name : '';
+            }
+            case 'enrollments.aiSuggested':
+                return record.aiSuggested ? 'yes' : 'no';
+        }
+
+        const value = record[field.key];
+        if (field.type === 'list') return (value || []).join(', ');
+        return value === undefined || value === null ? '' : value;
+    }
+
+    exportCsv(entity) {
+        const schema = CSV_SCHEMAS[entity];
+        const records = this.data[entity] || [];
+        const headers = schema.fields.map(field => field.label);
+        const rows = records.map(record => schema.fields.map(field => this.csvCellValue(entity, field, record)));
+
+        this.downloadFile(
+            `edumanage_${entity}_${new Date().toISOString().split('T')[0]}.csv`,
+            this.buildCsv(headers, rows),
+            'text/csv'
+        );
+        this.logAudit({ action: 'export', entityType: 'dataset', entityName: schema.label, summary: `${schema.label} exported to CSV (${records.length} rows)` });
+        this.saveData();
+        this.showToast(`${records.length} ${schema.label.toLowerCase()} exported to CSV`);
+    }
+
+    openCsvImport(entity) {
+        this.csvImport = null;
+        document.getElementById('csvEntity').value = entity;
+        document.getElementById('csvFile').value = '';
+        document.getElementById('csvText').value = '';
+        this.renderCsvImport();
+        showModal('csvImportModal');
+    }
+
+    resetCsvImport() {
+        const text = document.getElementById('csvText').value.trim();
+        if (text) {
+            this.parseCsvInput(text);
+        } else {
+            this.csvImport = null;
+            this.renderCsvImport();
+        }
+    }
+
+    loadCsvFile() {
+        const fileInput = document.getElementById('csvFile');
+        if (fileInput.files.length === 0) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            document.getElementById('csvText').value = e.target.result;
+            this.parseCsvInput(e.target.result);
+        };
+        reader.readAsText(fileInput.files[0]);
+    }
+
+    parseCsvInput(text = document.getElementById('csvText').value) {
+        const rows = this.parseCsv(text);
+        if (rows.length < 2) {
+            this.showToast('CSV needs a header row and at least one data row', 'warning');
+            return;
+        }
+
+        const entity = document.getElementById('csvEntity').value;
+        const [headers, ...dataRows] = rows;
+        this.csvImport = {
+            entity,
+            headers: headers.map(h => h.trim()),
+            rows: dataRows,
+            mapping: this.guessCsvMapping(entity, headers)
+        };
+        this.renderCsvImport();
+    }
+
+    // Matches CSV headers to fields by key, label or alias, ignoring case and punctuation
+    guessCsvMapping(entity, headers) {
+        const normalize = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const normalizedHeaders = headers.map(normalize);
+        const mapping = {};
+
+        CSV_SCHEMAS[entity].fields.filter(field => !field.exportOnly).forEach(field => {
+            const candidates = [field.key, field.label, ...(field.aliases || [])].map(normalize);
+            const index = normalizedHeaders.findIndex(header => candidates.includes(header));
+            mapping[field.key] = index;
+        });
+
+        return mapping;
+    }
+
+    updateCsvMapping(fieldKey, columnIndex) {
+        if (!this.csvImport) return;
+        this.csvImport.mapping[fieldKey] = parseInt(columnIndex);
+        this.renderCsvPreview();
+    }
+
+    renderCsvImport() {
+        const mappingContainer = document.getElementById('csv-mapping');
+        const importButton = document.getElementById('csvImportBtn');
+        if (!mappingContainer) return;
+
+        if (!this.csvImport) {
+            mappingContainer.innerHTML = '';
+            document.getElementById('csv-preview').innerHTML = '';
+            importButton.disabled = true;
+            return;
+        }
+
+        const { entity, headers, mapping } = this.csvImport;
+        const fields = CSV_SCHEMAS[entity].fields.filter(field => !field.exportOnly);
+
+        mappingContainer.innerHTML = `
+            <h4>Column Mapping</h4>
+            <div class="csv-mapping-grid">
+                ${fields.map(field => `
+                    <div class="form-group">
+                        <label class="form-label">${field.label}${field.required ? ' *' : ''}</label>
+                        <select class="form-control" onchange="cms.updateCsvMapping('${field.key}', this.value)">
+                            <option value="-1">— Skip —</option>
+                            ${headers.map((header, index) => `
+                                <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${header}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        this.renderCsvPreview();
+    }
+
+    // Converts one CSV row into a record and collects everything wrong with it
+    convertCsvRow(entity, row, mapping, batch) {
+        const schema = CSV_SCHEMAS[entity];
+        const record = {};
+        const defaults = {};
+        const errors = [];
+
+        schema.fields.filter(field => !field.exportOnly).forEach(field => {
+            const column = mapping[field.key];
+            const raw = column >= 0 && row[column] !== undefined ? row[column].trim() : '';
+
+            if (!raw) {
+                if (field.required) errors.push(`${field.label} is required`);
+                else if (field.default !== undefined) defaults[field.key] = field.default;
+                return;
+            }
+
+            switch (field.type) {
+                case 'integer':
+                case 'number': {
+                    const value = field.type === 'integer' ? Number(raw) : parseFloat(raw.replace(/[$,]/g, ''));
+                    if (Number.isNaN(value) || (field.type === 'integer' && !Number.isInteger(value)) || value < 0) {
+                        errors.push(`${field.label} must be a ${field.type === 'integer' ? 'whole number' : 'number'} (got "${raw}")`);
+                    } else {
+                        record[field.key] = value;
+                    }
+                    break;
+                }
+                case 'date':
+                    if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || Number.isNaN(Date.parse(raw))) {
+                        errors.push(`${field.label} must be a YYYY-MM-DD date (got "${raw}")`);
+                    } else {
+                        record[field.key] = raw;
+                    }
+                    break;
+                case 'email':
+                    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) {
+                        errors.push(`${field.label} "${raw}" is not a valid email`);
+                    } else {
+                        record[field.key] = raw;
+                    }
+                    break;
+                case 'list':
+                    record[field.key] = raw.split(',').map(item => item.trim()).filter(item => item.length > 0);
+                    break;
+                case 'category': {
+                    const categories = this.data.categories.map(c => c.name);
+                    const match = categories.find(name => name.toLowerCase() === raw.toLowerCase());
+                    if (!match) errors.push(`Unknown category "${raw}"`);
+                    else record[field.key] = match;
+                    break;
+                }
+                default:
+                    if (field.options) {
+                        const match = field.options.find(option => option.toLowerCase() === raw.toLowerCase());
+                        if (!match) errors.push(`${field.label} must be one of ${field.options.join(', ')}`);
+                        else record[field.key] = match;
+                    } else {
+                        record[field.key] = raw;
+                    }
+            }
+        });
+
+        let existing = null;
+        const byEmail = (list, email) => list.find(item => item.email.toLowerCase() === email.toLowerCase());
+
+        if (entity === 'courses') {
+            if (record.instructor !== undefined) {
+                const key = record.instructor.toLowerCase();
+                const instructor = this.data.instructors.find(i => i.name.toLowerCase() === key || i.email.toLowerCase() === key);
+                if (!instructor) errors.push(`No instructor named "${record.instructor}"`);
+                record.instructorId = instructor ? instructor.id : null;
+                record.instructor = instructor ? instructor.name : 'Unassigned';
+            }
+            existing = record.name ? this.data.courses.find(c =>
+                c.name.toLowerCase() === record.name.toLowerCase() && (c.startDate || '') === (record.startDate || '')
+            ) : null;
+        } else if (entity === 'students' || entity === 'instructors') {
+            existing = record.email ? byEmail(this.data[entity], record.email) : null;
+        } else if (entity === 'enrollments') {
+            const studentKey = (record.student || '').toLowerCase();
+            const student = this.data.students.find(s => s.email.toLowerCase() === studentKey || s.name.toLowerCase() === studentKey);
+            const course = this.data.courses.find(c => c.name.toLowerCase() === (record.course || '').toLowerCase());
+            if (record.student && !student) errors.push(`No student matching "${record.student}"`);
+            if (record.course && !course) errors.push(`No course named "${record.course}"`);
+
+            if (student && course) {
+                const pairKey = `${student.id}-${course.id}`;
+                const duplicate = this.data.enrollments.some(e => e.studentId === student.id && e.courseId === course.id && EnrollmentLifecycle.isOpen(e));
+                if (duplicate || batch.pairs.has(pairKey)) {
+                    errors.push(`${student.name} is already enrolled in ${course.name}`);
+                } else if (EnrollmentLifecycle.isOpen({ status: record.status || 'Active' })) {
+                    // Pending and Paused rows take a seat too, and seats offered to the waitlist are held
+                    const free = this.waitlistManager.freeSeats(course, this.data, student.id) - (batch.seats.get(course.id) || 0);
+                    if (free <= 0) errors.push(`${course.name} is at full capacity`);
+                }
+            }
+
+            record.studentId = student ? student.id : null;
+            record.courseId = course ? course.id : null;
+            delete record.student;
+            delete record.course;
+        }
+
+        // The same rules as the forms (date order, phone format, progress range, capacity
+        // against enrollments...) on the record as it would be saved. Empty optional columns
+        // are left to the defaults above, so only rules on values that are present apply.
+        if (errors.length === 0) {
+            const candidate = existing ? { ...existing, ...record } : { ...defaults, ...record };
+            if (!existing && entity === 'courses') candidate.enrolled = 0;
+            const invalid = this.validator.validate(entity, candidate, { data: this.data, mode: 'import' });
+            Object.entries(invalid)
+                .filter(([key]) => !RecordValidator.isEmpty(candidate[key]))
+                .forEach(([, message]) => errors.push(message));
+        }
+
+        if (entity === 'enrollments' && errors.length === 0) {
+            batch.pairs.add(`${record.studentId}-${record.courseId}`);
+            if (EnrollmentLifecycle.isOpen({ status: record.status || 'Active' })) {
+                batch.seats.set(record.courseId, (batch.seats.get(record.courseId) || 0) + 1);
+            }
+        }
+
+        // Two rows in the same file describing the same record would silently overwrite each other
+        const identity = entity === 'enrollments' ? null
+            : entity === 'courses' ? `${(record.name || '').toLowerCase()}|${record.startDate || ''}`
+            : (record.email || '').toLowerCase();
+        if (identity) {
+            if (batch.identities.has(identity)) errors.push(`Duplicate of row ${batch.identities.get(identity)}`);
+            else batch.identities.set(identity, batch.rowNumber);
+        }
+
+        // Defaults only fill in new records; updates never overwrite with values absent from the file
+        return { record, defaults, errors, existing };
+    }
+
+    renderCsvPreview() {
+        const container = document.getElementById('csv-preview');
+        const importButton = document.getElementById('csvImportBtn');
+        const { entity, rows, mapping } = this.csvImport;
+        const fields = CSV_SCHEMAS[entity].fields.filter(field => !field.exportOnly);
+        const batch = { pairs: new Set(), seats: new Map(), identities: new Map(), rowNumber: 0 };
+
+        this.csvImport.results = rows.map((row, index) => {
+            batch.rowNumber = index + 2;
+            return this.convertCsvRow(entity, row, mapping, batch);
+        });
+
+        const valid = this.csvImport.results.filter(result => result.errors.length === 0);
+        const updates = valid.filter(result => result.existing).length;
+        importButton.disabled = valid.length === 0;
+        importButton.textContent = `Import ${valid.length} Row${valid.length === 1 ? '' : 's'}`;
+
+        container.innerHTML = `
+            <h4>Preview</h4>
+            <p class="csv-summary">
+                ${valid.length} valid (${valid.length - updates} new, ${updates} update existing by ${CSV_SCHEMAS[entity].matchBy}) •
+                ${rows.length - valid.length} with errors will be skipped
+            </p>
+            <div class="table-container csv-preview-table">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            ${fields.filter(field => mapping[field.key] >= 0).map(field => `<th>${field.label}</th>`).join('')}
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.csvImport.results.slice(0, 200).map((result, index) => `
+                            <tr class="${result.errors.length ? 'csv-row-error' : ''}">
+                                <td>${index + 2}</td>
+                                ${fields.filter(field => mapping[field.key] >= 0).map(field => `<td>${rows[index][mapping[field.key]] || ''}</td>`).join('')}
+                                <td>
+                                    ${result.errors.length
+                                        ? result.errors.map(error => `<div class="csv-error">⚠️ ${error}</div>`).join('')
+                                        : `<span class="status status--${result.existing ? 'info' : 'success'}">${result.existing ? 'Update' : 'New'}</span>`}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    commitCsvImport() {
+        if (!this.csvImport || !this.csvImport.results) return;
+
+        const { entity } = this.csvImport;
+        const valid = this.csvImport.results.filter(result => result.errors.length === 0);
+        if (valid.length === 0) return;
+
+        const today = new Date().toISOString().split('T')[0];
+        const collections = {
+            courses: ['courses', 'instructors'],
+            students: ['students'],
+            instructors: ['instructors'],
+            enrollments: ['enrollments', 'students']
+        }[entity];
+
+        this.runCommand(`Import ${valid.length} ${entity} from CSV`, collections, data => {
+            valid.forEach(({ record: values, defaults, existing }) => {
+                if (existing) {
+                    Object.assign(existing, values);
+                    return;
+                }
+
+                const record = { ...defaults, ...values };
+
+                if (entity === 'courses') {
+                    const course = {
+                        description: '',
+                        duration: '',
+                        startDate: '',
+                        endDate: '',
+                        ...record,
+                        id: this.getNextId(data.courses),
+                        enrolled: 0,
+                        aiGenerated: false,
+                        popularity: Math.floor(Math.random() * 40) + 60,
+                        tags: record.tags || []
+                    };
+                    data.courses.push(course);
+                } else if (entity === 'students') {
+                    data.students.push({
+                        phone: '',
+                        address: '',
+                        interests: [],
+                        enrollmentDate: today,
+                        ...record,
+                        id: this.getNextId(data.students),
+                        courses: []
+                    });
+                } else if (entity === 'instructors') {
+                    data.instructors.push({
+                        phone: '',
+                        expertise: [],
+                        bio: '',
+                        ...record,
+                        id: this.getNextId(data.instructors),
+                        courses: [],
+                        joinDate: today,
+                        rating: null,
+                        aiOptimized: false
+                    });
+                } else if (entity === 'enrollments') {
+                    const enrollment = {
+                        id: this.getNextId(data.enrollments),
+                        studentId: record.studentId,
+                        courseId: record.courseId,
+                        enrollmentDate: record.enrollmentDate || today,
+                        status: record.status || 'Active',
+                        progress: record.progress || 0,
+                        aiSuggested: false
+                    };
+                    enrollment.statusHistory = EnrollmentLifecycle.initialHistory(enrollment.status, enrollment.enrollmentDate);
+                    RiskDetector.seedProgressHistory(enrollment);
+                    data.enrollments.push(enrollment);
+                    const student = data.students.find(s => s.id === record.studentId);
+                    if (student && EnrollmentLifecycle.isOpen(enrollment) && !student.courses.includes(record.courseId)) {
+                        student.courses.push(record.courseId);
+                    }
+                }
+            });
+
+            // Updated rows may have moved a course to another instructor
+            if (entity === 'courses') {
+                data.instructors.forEach(instructor => {
+                    instructor.courses = data.courses.filter(c => c.instructorId === instructor.id).map(c => c.id);
+                });
+            }
+        });
+
+        this.logAudit({
+            action: 'import',
+            entityType: 'dataset',
+            entityName: CSV_SCHEMAS[entity].label,
+            summary: `${valid.length} ${entity} imported from CSV (${this.csvImport.results.length - valid.length} rows skipped)`
+        });
+
+        this.updateEnrollmentCounts();
+        this.updateAllDropdowns();
+        this.saveData();
+        this.showSection(this.currentSection);
+        hideModal('csvImportModal');
+        this.showToast(`${valid.length} ${entity} imported from CSV`, 'success', this.undoAction());
+        this.csvImport = null;
+    }
+
     getInitialData() {
         return {
             "courses": [
@@ -1851,7 +9662,9 @@ class CourseManagementSystem {
                     "price": 299,
                     "aiGenerated": false,
                     "popularity": 85,
-                    "tags": ["HTML", "CSS", "JavaScript", "Responsive Design"]
+                    "tags": ["HTML", "CSS", "JavaScript", "Responsive Design"],
+                    "schedule": {"days": ["Monday", "Wednesday"], "startTime": "18:00", "endTime": "20:00", "roomId": 1},
+                    "prerequisites": null
                 },
                 {
                     "id": 2,
@@ -1870,7 +9683,9 @@ class CourseManagementSystem {
                     "price": 449,
                     "aiGenerated": true,
                     "popularity": 92,
-                    "tags": ["React", "JavaScript", "Hooks", "State Management"]
+                    "tags": ["React", "JavaScript", "Hooks", "State Management"],
+                    "schedule": {"days": ["Tuesday", "Thursday"], "startTime": "18:00", "endTime": "20:00", "roomId": 1},
+                    "prerequisites": {"minLevel": "Intermediate", "groups": [[1]]}
                 },
                 {
                     "id": 3,
@@ -1889,7 +9704,9 @@ class CourseManagementSystem {
                     "price": 599,
                     "aiGenerated": true,
                     "popularity": 88,
-                    "tags": ["Python", "Machine Learning", "Data Analysis", "Statistics"]
+                    "tags": ["Python", "Machine Learning", "Data Analysis", "Statistics"],
+                    "schedule": {"days": ["Tuesday"], "startTime": "18:30", "endTime": "21:00", "roomId": 2},
+                    "prerequisites": null
                 },
                 {
                     "id": 4,
@@ -1908,7 +9725,9 @@ class CourseManagementSystem {
                     "price": 199,
                     "aiGenerated": true,
                     "popularity": 76,
-                    "tags": ["SEO", "Social Media", "Content Strategy", "Analytics"]
+                    "tags": ["SEO", "Social Media", "Content Strategy", "Analytics"],
+                    "schedule": {"days": ["Saturday"], "startTime": "10:00", "endTime": "13:00", "roomId": 3},
+                    "prerequisites": null
                 },
                 {
                     "id": 5,
@@ -1927,7 +9746,9 @@ class CourseManagementSystem {
                     "price": 699,
                     "aiGenerated": false,
                     "popularity": 94,
-                    "tags": ["React Native", "Mobile Development", "iOS", "Android"]
+                    "tags": ["React Native", "Mobile Development", "iOS", "Android"],
+                    "schedule": {"days": ["Friday"], "startTime": "17:00", "endTime": "20:00", "roomId": 1},
+                    "prerequisites": null
                 }
             ],
             "students": [
@@ -2135,6 +9956,11 @@ class CourseManagementSystem {
                 {"studentId": 5, "courseId": 1, "enrollmentDate": "2025-01-18", "status": "Active", "aiSuggested": false, "progress": 35},
                 {"studentId": 5, "courseId": 5, "enrollmentDate": "2025-01-20", "status": "Active", "aiSuggested": true, "progress": 20}
             ],
+            "rooms": [
+                {"id": 1, "name": "Lab A", "capacity": 30, "location": "Tech Building, 2nd floor"},
+                {"id": 2, "name": "Seminar Room 2", "capacity": 25, "location": "Main Building"},
+                {"id": 3, "name": "Room 204", "capacity": 40, "location": "Main Building"}
+            ],
             "aiSettings": {
                 "enabled": true,
                 "autoRecommendations": true,
@@ -2169,6 +9995,11 @@ function hideModal(modalId) {
     const modal = document.getElementById(modalId);
     if (modal) {
         modal.classList.add('hidden');
+        if (cms) modal.querySelectorAll('form').forEach(form => cms.clearFormErrors(form));
+        // Closing the form stops any AI text still streaming into it
+        if (cms && cms.aiGeneration && modal.querySelector('.ai-generate-btn .ai-loading:not(.hidden)')) {
+            cms.aiGeneration.abort('cancelled');
+        }
     }
 }
 
@@ -0,0 +1,219 @@
+// EduManage Pro AI - reference sync server
+//
+// A dependency-free Node server for the optional REST sync in app.js. It keeps every
+// record in a JSON file and serves the app itself, so `node server/server.js` and
+// http://localhost:3000 is all it takes to try multi-admin sync locally.
+//
+// Environment:
+//   PORT        port to listen on (default 3000)
+//   SYNC_FILE   path of the JSON store (default server/data/store.json)
+//   SYNC_TOKEN  if set, API requests must send "Authorization: Bearer <token>"
+//
+// API (all JSON):
+//   GET    /api/health                    -> { ok, cursor }
+//   GET    /api/changes?since=<cursor>    -> { cursor, changes: [{ collection, id, data, deleted, modifiedAt }] }
+//   PUT    /api/<collection>/<id>         { data, modifiedAt, baseModifiedAt }
+//   DELETE /api/<collection>/<id>         { modifiedAt, baseModifiedAt }
+// Writes return { modifiedAt, cursor }. When the stored record's modifiedAt differs from
+// baseModifiedAt the write is refused with 409 { current } so the client can resolve it.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const STORE_FILE = process.env.SYNC_FILE || path.join(__dirname, 'data', 'store.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const APP_ROOT = path.join(__dirname, '..');
+const COLLECTIONS = ['courses', 'students', 'instructors', 'categories', 'enrollments', 'rooms', 'waitlist'];
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/index.html': ['index.html', 'text/html; charset=utf-8'],
+    '/app.js': ['app.js', 'application/javascript; charset=utf-8'],
+    '/style.css': ['style.css', 'text/css; charset=utf-8']
+};
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// STORE
+function loadStore() {
+    try {
+        const store = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+        return { cursor: store.cursor || 0, records: store.records || {} };
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('❌ Could not read store, starting empty:', error.message);
+        return { cursor: 0, records: {} };
+    }
+}
+
+// Writes to a temp file first so a crash never leaves a half-written store
+function saveStore(store) {
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    const tempFile = `${STORE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(store));
+    fs.renameSync(tempFile, STORE_FILE);
+}
+
+const store = loadStore();
+
+function publicRecord(record) {
+    return {
+        collection: record.collection,
+        id: record.id,
+        data: record.deleted ? null : record.data,
+        deleted: record.deleted,
+        modifiedAt: record.modifiedAt
+    };
+}
+
+function writeRecord(collection, id, body, deleted) {
+    const key = `${collection}/${id}`;
+    const current = store.records[key];
+    const currentModifiedAt = current ? current.modifiedAt : 0;
+    const baseModifiedAt = Number(body.baseModifiedAt) || 0;
+
+    // Replaying a write that already landed is not a conflict
+    const alreadyApplied = deleted
+        ? !current || current.deleted
+        : current && !current.deleted && JSON.stringify(current.data) === JSON.stringify(body.data);
+    if (alreadyApplied) {
+        return { status: 200, body: { modifiedAt: currentModifiedAt, cursor: store.cursor } };
+    }
+    if (currentModifiedAt !== baseModifiedAt) {
+        return { status: 409, body: { error: 'Record was modified by another client', current: current ? publicRecord(current) : null } };
+    }
+
+    store.cursor++;
+    store.records[key] = {
+        collection,
+        id,
+        data: deleted ? null : body.data,
+        deleted,
+        // Client edit time, so timestamps stay comparable with the client's own
+        modifiedAt: Math.max(Number(body.modifiedAt) || Date.now(), currentModifiedAt + 1),
+        seq: store.cursor
+    };
+    saveStore(store);
+
+    return { status: 200, body: { modifiedAt: store.records[key].modifiedAt, cursor: store.cursor } };
+}
+
+function listChanges(since) {
+    const changes = Object.values(store.records)
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map(publicRecord);
+    return { cursor: store.cursor, changes };
+}
+
+// HTTP
+function send(res, status, body, contentType = 'application/json; charset=utf-8') {
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        return send(res, 401, { error: 'Missing or invalid token' });
+    }
+
+    const parts = url.pathname.split('/').filter(Boolean).slice(1);
+
+    if (req.method === 'GET' && parts.length === 1 && parts[0] === 'health') {
+        return send(res, 200, { ok: true, cursor: store.cursor });
+    }
+
+    if (req.method === 'GET' && parts.length === 1 && parts[0] === 'changes') {
+        const since = parseInt(url.searchParams.get('since'), 10) || 0;
+        return send(res, 200, listChanges(since));
+    }
+
+    if (parts.length === 2 && (req.method === 'PUT' || req.method === 'DELETE')) {
+        const [collection, rawId] = parts;
+        const id = Number(rawId);
+        if (!COLLECTIONS.includes(collection) || !Number.isInteger(id)) {
+            return send(res, 404, { error: `Unknown record ${collection}/${rawId}` });
+        }
+
+        const body = await readBody(req);
+        if (req.method === 'PUT' && (!body.data || typeof body.data !== 'object' || body.data.id !== id)) {
+            return send(res, 400, { error: 'Body must contain the record as "data" with a matching id' });
+        }
+
+        const result = writeRecord(collection, id, body, req.method === 'DELETE');
+        return send(res, result.status, result.body);
+    }
+
+    return send(res, 404, { error: 'Not found' });
+}
+
+function handleStatic(req, res, url) {
+    const file = STATIC_FILES[url.pathname];
+    if (req.method !== 'GET' || !file) return send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+
+    fs.readFile(path.join(APP_ROOT, file[0]), (error, content) => {
+        if (error) return send(res, 500, 'Could not read file', 'text/plain; charset=utf-8');
+        send(res, 200, content, file[1]);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    // Only the path and query are used, so the Host header never takes part in parsing
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+        return send(res, 400, { error: 'Invalid request URL' });
+    }
+
+    if (req.method === 'OPTIONS') return send(res, 204, '');
+
+    try {
+        if (url.pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else {
+            handleStatic(req, res, url);
+        }
+    } catch (error) {
+        console.error('❌ Request failed:', error);
+        send(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`🚀 EduManage sync server on http://localhost:${PORT} (store: ${STORE_FILE})`);
+        if (TOKEN) console.log('🔒 API token required');
+    });
+}
+
+module.exports = { server };